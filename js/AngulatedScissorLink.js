@@ -0,0 +1,172 @@
+/**
+ * AngulatedScissorLink.js
+ * ============================================
+ * An angulated scissor pair for the kinematically correct Hoberman linkage.
+ * 
+ * Each unit spans two spokes (directions out of the structure's centre) and
+ * is made of two kinked bars crossing at a central pivot. Both legs of a bar
+ * have the same length, which keeps every hinge point on its spoke while the
+ * unit opens and closes. Neighbouring units that share a spoke therefore
+ * share their hinge points over the whole expansion range.
+ * 
+ * Endpoint naming follows ScissorLink: "top" hinges are the outer ones,
+ * "bottom" hinges the inner ones, "1" lies on spoke A and "2" on spoke B.
+ * Bar 1 runs top1 -> pivot -> bottom2, bar 2 runs top2 -> pivot -> bottom1.
+ * 
+ * Spokes start at the unit's origin, the structure centre by default.
+ */
+
+class AngulatedScissorLink extends ScissorLink {
+    /**
+     * Creates an angulated scissor pair
+     * @param {THREE.Object3D} scene - Parent object for the meshes
+     * @param {THREE.Vector3} spokeA - Direction of the first hinge spoke
+     * @param {THREE.Vector3} spokeB - Direction of the second hinge spoke
+     * @param {number} minRadius - Outer hinge radius when fully contracted
+     * @param {number} maxRadius - Outer hinge radius when fully expanded
+     * @param {number} radius - Radius of the struts
+     * @param {THREE.Material} material - Material for rendering
+     * @param {THREE.Vector3} origin - Common start point of both spokes (default: the centre)
+     */
+    constructor(scene, spokeA, spokeB, minRadius, maxRadius, radius, material, origin) {
+        const limits = LinkageKinematics.angulatedLimits(spokeA.toArray(), spokeB.toArray(), minRadius, maxRadius);
+        const bisector = spokeA.clone().normalize().add(spokeB.clone().normalize()).normalize();
+        
+        super(scene, bisector.clone().multiplyScalar(limits.legLength), bisector, limits.legLength * 2, radius, material);
+        
+        this.origin = origin ? origin.clone() : new THREE.Vector3();
+        this.spokeA = spokeA.clone().normalize();
+        this.spokeB = spokeB.clone().normalize();
+        this.halfAngle = limits.halfAngle;
+        this.legLength = limits.legLength;
+        
+        // Legs peak at maxRadius; the pair cannot fold tighter than maxRadius * sin(2 * halfAngle)
+        this.maxRadius = limits.maxRadius;
+        this.minRadius = limits.minRadius;
+        
+        this.updateGeometry();
+    }
+    
+    /**
+     * Create the two kinked bars (two legs each) and the central pivot.
+     * Geometry is positioned by the constructor once the spokes are known.
+     */
+    initialize() {
+        const legGeometry = new THREE.CylinderGeometry(
+            this.strutRadius,
+            this.strutRadius,
+            this.strutLength / 2,
+            8
+        );
+        
+        // Each bar is a rigid group of an outer and an inner leg
+        this.strut1 = new THREE.Group();
+        this.strut2 = new THREE.Group();
+        this.legs = [];
+        
+        [this.strut1, this.strut2].forEach(bar => {
+            for (let i = 0; i < 2; i++) {
+                const leg = new THREE.Mesh(legGeometry, this.material);
+                bar.add(leg);
+                this.legs.push(leg);
+            }
+        });
+        
+        const pivotGeometry = new THREE.SphereGeometry(this.strutRadius * 2, 16, 16);
+        this.pivot = new THREE.Mesh(pivotGeometry, this.material);
+        
+        this.scene.add(this.strut1);
+        this.scene.add(this.strut2);
+        this.scene.add(this.pivot);
+    }
+    
+    /**
+     * Place the legs, pivot and hinge points for the current expansion factor,
+     * as solved by LinkageKinematics.angulatedUnit
+     */
+    updateGeometry() {
+        const state = LinkageKinematics.angulatedUnit({
+            spokeA: this.spokeA.toArray(),
+            spokeB: this.spokeB.toArray(),
+            minRadius: this.minRadius,
+            maxRadius: this.maxRadius,
+            origin: this.origin.toArray()
+        }, this.expansionFactor);
+        
+        this.position.fromArray(state.pivot);
+        this.pivot.position.copy(this.position);
+        
+        Object.keys(this.endpoints).forEach(name => {
+            this.endpoints[name].fromArray(state.endpoints[name]);
+        });
+        
+        // Bar 1 runs top1 -> pivot -> bottom2, bar 2 runs top2 -> pivot -> bottom1
+        state.struts.forEach((strut, i) => this.applyTransform(this.legs[i], strut));
+    }
+    
+    /**
+     * Update the material of all components
+     * @param {THREE.Material} material - New material
+     */
+    updateMaterial(material) {
+        this.material = material;
+        this.legs.forEach(leg => {
+            leg.material = material;
+        });
+        this.pivot.material = material;
+    }
+    
+    /**
+     * Remove the scissor pair from the scene
+     */
+    dispose() {
+        this.scene.remove(this.strut1);
+        this.scene.remove(this.strut2);
+        this.scene.remove(this.pivot);
+        
+        // All four legs share one geometry
+        this.legs[0].geometry.dispose();
+        this.pivot.geometry.dispose();
+    }
+    
+    /**
+     * Normal of the plane holding both spokes, about which every hinge turns
+     * @returns {THREE.Vector3}
+     */
+    getPivotAxis() {
+        return new THREE.Vector3().crossVectors(this.spokeA, this.spokeB).normalize();
+    }
+    
+    /**
+     * Describe the two kinked bars for linkage analysis
+     * @returns {Array<Object>} Bars as { name, endpoints, segments: [{ mesh, from, to }] }
+     */
+    getBars() {
+        return [
+            {
+                name: 'strut1',
+                endpoints: ['top1', 'bottom2'],
+                segments: [
+                    { mesh: this.legs[0], from: this.endpoints.top1, to: this.position },
+                    { mesh: this.legs[1], from: this.position, to: this.endpoints.bottom2 }
+                ]
+            },
+            {
+                name: 'strut2',
+                endpoints: ['top2', 'bottom1'],
+                segments: [
+                    { mesh: this.legs[2], from: this.endpoints.top2, to: this.position },
+                    { mesh: this.legs[3], from: this.position, to: this.endpoints.bottom1 }
+                ]
+            }
+        ];
+    }
+    
+    /**
+     * Get the radius of the outer hinges
+     * @returns {number} Current radius
+     */
+    getCurrentRadius() {
+        return this.endpoints.top1.distanceTo(this.origin);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * AnimationClock.js
+ * ============================================
+ * Simulation clock shared by the structure and the controls.
+ * 
+ * main.js ticks the clock once per frame; DeployableStructure.update() and
+ * Controls.update() then read the same step from getDelta(). The step is the
+ * real frame time, capped so a backgrounded tab does not jump, scaled by the
+ * playback direction and zero while paused. Frame steps and seeks are queued
+ * and land on the next tick, so they work while paused too.
+ * 
+ * Passing tick() an explicit step (or an injected time source) makes runs
+ * reproducible: recording and tests advance it by a fixed timestep.
+ */
+
+class AnimationClock {
+    /**
+     * Create a clock at time 0
+     * @param {Object} options - { now: time source in seconds, frameDuration, maxDelta }
+     */
+    constructor(options = {}) {
+        // Real time source, only read when tick() is not given a step
+        this.now = options.now || (() => performance.now() / 1000);
+        
+        // Length of one frame step, and the longest real step a tick may take
+        this.frameDuration = options.frameDuration || 1 / 60;
+        this.maxDelta = options.maxDelta || 0.1;
+        
+        this.time = 0;
+        this.delta = 0;
+        this.direction = 1; // 1 = forward, -1 = reverse
+        this.paused = false;
+        
+        // Step and seek offsets waiting for the next tick
+        this.pending = 0;
+        this.seeking = false;
+        this.lastNow = null;
+    }
+    
+    /**
+     * Advance the clock by one frame
+     * @param {number} realDelta - Real seconds since the last tick (read from the time source if omitted)
+     * @returns {number} Simulation seconds advanced (negative in reverse)
+     */
+    tick(realDelta) {
+        if (realDelta === undefined) {
+            const now = this.now();
+            realDelta = this.lastNow === null ? 0 : now - this.lastNow;
+            this.lastNow = now;
+        }
+        
+        // A seek lands exactly on its target, without this frame's real time
+        const running = this.paused || this.seeking ? 0 : Math.max(0, Math.min(this.maxDelta, realDelta)) * this.direction;
+        
+        this.delta = running + this.pending;
+        this.pending = 0;
+        this.seeking = false;
+        this.time += this.delta;
+        
+        return this.delta;
+    }
+    
+    /**
+     * Forget the last reading of the time source, after something else has
+     * been ticking the clock, so the next real tick starts from zero
+     */
+    resync() {
+        this.lastNow = null;
+    }
+    
+    /**
+     * Simulation seconds advanced by the last tick
+     * @returns {number}
+     */
+    getDelta() {
+        return this.delta;
+    }
+    
+    /**
+     * Current simulation time
+     * @returns {number} Seconds
+     */
+    getTime() {
+        return this.time;
+    }
+    
+    /**
+     * Stop advancing; the current frame holds without a jump on resume
+     */
+    pause() {
+        this.paused = true;
+    }
+    
+    /**
+     * Resume advancing
+     */
+    play() {
+        this.paused = false;
+    }
+    
+    /**
+     * Whether the clock is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.paused;
+    }
+    
+    /**
+     * Set the playback direction
+     * @param {boolean} reversed - True to run backwards
+     */
+    setReversed(reversed) {
+        this.direction = reversed ? -1 : 1;
+    }
+    
+    /**
+     * Whether the clock runs backwards
+     * @returns {boolean}
+     */
+    isReversed() {
+        return this.direction < 0;
+    }
+    
+    /**
+     * Queue a move by whole frames, applied on the next tick
+     * @param {number} frames - Frames to move (negative steps back)
+     */
+    step(frames = 1) {
+        this.pending += frames * this.frameDuration;
+    }
+    
+    /**
+     * Queue a move to an exact simulation time, applied on the next tick
+     * @param {number} time - Target time in seconds
+     */
+    seek(time) {
+        this.pending = time - this.time;
+        this.seeking = true;
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimationClock;
+}
\ No newline at end of file
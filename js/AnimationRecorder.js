@@ -0,0 +1,211 @@
+/**
+ * AnimationRecorder.js
+ * ============================================
+ * Records the animation from the renderer's canvas.
+ * 
+ * Two outputs:
+ * - WebM video through MediaRecorder, captured in real time while the
+ *   normal render loop runs; pausing playback cancels it, since a paused
+ *   clock would never reach the requested length
+ * - A zip of numbered PNG frames rendered offline: the recorder takes over
+ *   the loop and ticks the AnimationClock by exactly 1/fps per frame, so
+ *   no frame is dropped however long each one takes to render
+ * 
+ * Lengths are in simulation seconds of the shared clock; main.js skips its
+ * own frames while isRenderingOffline() is true.
+ */
+
+class AnimationRecorder {
+    /**
+     * Create a recorder for a canvas
+     * @param {HTMLCanvasElement} canvas - The renderer's canvas
+     * @param {Object} options - { clock: AnimationClock, render: draws one frame after a tick }
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.clock = options.clock;
+        this.render = options.render || (() => {});
+        
+        this.isRecording = false;
+        this.isOffline = false;
+        this.cancelled = false;
+        this.mediaRecorder = null;
+    }
+    
+    /**
+     * Video types to try, best first
+     * @returns {Array<string>}
+     */
+    static get VIDEO_TYPES() {
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    }
+    
+    /**
+     * Clock seconds for a number of timeline cycles at an animation speed
+     * @param {Timeline} timeline - The timeline being played
+     * @param {number} cycles - Number of cycles
+     * @param {number} speed - Animation speed multiplier
+     * @returns {number} Seconds
+     */
+    static getCyclesDuration(timeline, cycles, speed) {
+        return cycles * timeline.getCycleDuration() / speed;
+    }
+    
+    /**
+     * Whether the frame sequence is being rendered (main.js pauses its loop)
+     * @returns {boolean}
+     */
+    isRenderingOffline() {
+        return this.isOffline;
+    }
+    
+    /**
+     * Record WebM video in real time
+     * @param {Object} options - { duration: clock seconds, fps, onProgress(fraction) }
+     * @returns {Promise<Blob>} The video
+     */
+    recordVideo(options = {}) {
+        if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+            return Promise.reject(new Error('Video recording is not supported in this browser'));
+        }
+        if (this.isRecording) {
+            return Promise.reject(new Error('A recording is already running'));
+        }
+        if (this.clock.isPaused()) {
+            return Promise.reject(new Error('Play the animation to record video'));
+        }
+        
+        const fps = options.fps || 30;
+        const duration = options.duration;
+        const onProgress = options.onProgress || (() => {});
+        const mimeType = AnimationRecorder.VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const chunks = [];
+        
+        this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(fps), mimeType ? { mimeType: mimeType } : {});
+        this.isRecording = true;
+        this.cancelled = false;
+        
+        return new Promise((resolve, reject) => {
+            const start = this.clock.getTime();
+            let paused = false;
+            
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            this.mediaRecorder.onstop = () => {
+                this.isRecording = false;
+                this.mediaRecorder = null;
+                if (paused) {
+                    reject(new Error('Recording cancelled: playback was paused'));
+                } else if (this.cancelled) {
+                    reject(new Error('Recording cancelled'));
+                } else {
+                    resolve(new Blob(chunks, { type: mimeType || 'video/webm' }));
+                }
+            };
+            
+            // Stop after the requested span of simulation time has played
+            const poll = () => {
+                if (!this.mediaRecorder) return;
+                
+                const elapsed = Math.abs(this.clock.getTime() - start);
+                onProgress(Math.min(1, elapsed / duration));
+                paused = elapsed < duration && this.clock.isPaused();
+                if (elapsed >= duration || this.cancelled || paused) {
+                    this.mediaRecorder.stop();
+                } else {
+                    requestAnimationFrame(poll);
+                }
+            };
+            
+            this.mediaRecorder.start();
+            requestAnimationFrame(poll);
+        });
+    }
+    
+    /**
+     * Render a numbered PNG sequence at a fixed timestep
+     * @param {Object} options - { duration: clock seconds, fps, onProgress(fraction) }
+     * @returns {Promise<Blob>} Zip of frame-00000.png, frame-00001.png, ...
+     */
+    async recordFrames(options = {}) {
+        if (this.isRecording) {
+            throw new Error('A recording is already running');
+        }
+        
+        const fps = options.fps || 30;
+        const frames = Math.max(1, Math.round(options.duration * fps));
+        const onProgress = options.onProgress || (() => {});
+        const zip = new ZipWriter();
+        const wasPaused = this.clock.isPaused();
+        
+        this.isRecording = true;
+        this.isOffline = true;
+        this.cancelled = false;
+        this.clock.play();
+        
+        try {
+            for (let i = 0; i < frames; i++) {
+                if (this.cancelled) {
+                    throw new Error('Recording cancelled');
+                }
+                
+                // The first frame shows the current pose
+                this.clock.tick(i === 0 ? 0 : 1 / fps);
+                this.render();
+                
+                zip.addFile(`frame-${String(i).padStart(5, '0')}.png`, await this.captureFrame());
+                onProgress((i + 1) / frames);
+            }
+        } finally {
+            if (wasPaused) {
+                this.clock.pause();
+            }
+            this.clock.resync();
+            this.isRecording = false;
+            this.isOffline = false;
+        }
+        
+        return zip.toBlob();
+    }
+    
+    /**
+     * PNG bytes of the canvas as just rendered
+     * @returns {Promise<Uint8Array>}
+     */
+    captureFrame() {
+        return new Promise((resolve, reject) => {
+            // toBlob snapshots the canvas now, before the drawing buffer is cleared
+            this.canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not read the canvas'));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        });
+    }
+    
+    /**
+     * Stop a running recording; its promise rejects
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+    
+    /**
+     * Save a recording as a file
+     * @param {Blob} blob - Video or zip from a record method
+     * @param {string} fileName - Name to save under
+     */
+    download(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        console.log(`Saved recording ${fileName}`);
+    }
+}
\ No newline at end of file
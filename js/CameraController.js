@@ -0,0 +1,326 @@
+/**
+ * CameraController.js
+ * ============================================
+ * Orbit camera with inertia, panning, zoom limits and animated views.
+ * 
+ * The camera sits on a sphere around a target point, at spherical
+ * coordinates { theta, phi, radius } (the shape Timeline camera keyframes
+ * and saved settings use). Input does not move it directly: rotate(),
+ * pan() and zoom() add to pending deltas, and update() applies a share of
+ * them each frame. The rest carries over, so the view eases into a drag
+ * and glides on after release.
+ * 
+ * Zoom limits follow the structure (setBounds): the camera may come no
+ * closer than just outside its current radius, and no further than a few
+ * times its fully expanded size. Focusing on a part moves the target onto
+ * it; animateTo() flies to a view with an easing curve and is cancelled by
+ * any input.
+ */
+
+class CameraController {
+    /**
+     * Create a controller for a camera
+     * @param {THREE.PerspectiveCamera} camera - The camera to move
+     * @param {Object} options - { theta, phi, radius, damping: share of the pending motion applied per 60 Hz frame,
+     *     now: time source in seconds }
+     */
+    constructor(camera, options = {}) {
+        this.camera = camera;
+        this.damping = options.damping !== undefined ? options.damping : CameraController.DAMPING;
+        this.now = options.now || (() => performance.now() / 1000);
+        this.lastNow = null;
+        
+        this.state = {
+            theta: options.theta !== undefined ? options.theta : CameraController.VIEWS.default.theta,
+            phi: options.phi !== undefined ? options.phi : CameraController.VIEWS.default.phi,
+            radius: options.radius !== undefined ? options.radius : CameraController.VIEWS.default.radius
+        };
+        this.target = new THREE.Vector3();
+        
+        // Motion waiting to be applied: angles in radians, zoom as a log scale, pan in world units
+        this.pending = { theta: 0, phi: 0, zoom: 0, pan: new THREE.Vector3() };
+        
+        // Structure size for the zoom limits
+        this.bounds = { radius: 10, maxRadius: 10 };
+        
+        // Flight started by animateTo(), or null
+        this.transition = null;
+        
+        this.apply();
+    }
+    
+    /**
+     * Named views: the startup view and the preset views
+     * @returns {Object} Name to { theta, phi, radius }
+     */
+    static get VIEWS() {
+        return {
+            default: { theta: 0, phi: Math.PI / 4, radius: 25 },
+            front: { theta: Math.PI / 2, phi: Math.PI / 2, radius: 25 },
+            top: { theta: Math.PI / 2, phi: CameraController.MIN_PHI, radius: 25 },
+            isometric: { theta: Math.PI / 4, phi: Math.acos(1 / Math.sqrt(3)), radius: 25 }
+        };
+    }
+    
+    /**
+     * Share of the pending motion applied per 60 Hz frame (1 stops with the input)
+     * @returns {number}
+     */
+    static get DAMPING() {
+        return 0.12;
+    }
+    
+    /**
+     * Closest the camera comes to the poles, so it never flips over
+     * @returns {number} Radians
+     */
+    static get MIN_PHI() {
+        return 0.1;
+    }
+    
+    /**
+     * Follow the structure's size for the zoom limits
+     * @param {number} radius - Current outer radius
+     * @param {number} maxRadius - Fully expanded radius
+     */
+    setBounds(radius, maxRadius) {
+        this.bounds.radius = radius;
+        this.bounds.maxRadius = maxRadius;
+    }
+    
+    /**
+     * Closest and furthest distances from the target: just outside the
+     * structure, less how far the target is from its centre, and six times
+     * its fully expanded radius
+     * @returns {{min: number, max: number}}
+     */
+    getDistanceLimits() {
+        const max = this.bounds.maxRadius * 6;
+        const min = Math.max(0.5, this.bounds.radius * 1.2 - this.target.length());
+        return { min: Math.min(min, max), max: max };
+    }
+    
+    /**
+     * Orbit by a pointer movement
+     * @param {number} deltaX - Horizontal movement in pixels
+     * @param {number} deltaY - Vertical movement in pixels
+     */
+    rotate(deltaX, deltaY) {
+        this.transition = null;
+        this.pending.theta += deltaX * 0.01;
+        this.pending.phi += deltaY * 0.01;
+    }
+    
+    /**
+     * Slide the camera and target across the view by a pointer movement,
+     * so the point under the pointer stays under it
+     * @param {number} deltaX - Horizontal movement in pixels
+     * @param {number} deltaY - Vertical movement in pixels
+     * @param {number} viewportHeight - Height of the view in pixels
+     */
+    pan(deltaX, deltaY, viewportHeight) {
+        this.transition = null;
+        
+        // World units per pixel at the target's distance
+        const fov = this.camera.fov !== undefined ? this.camera.fov : 60;
+        const scale = 2 * this.state.radius * Math.tan(THREE.MathUtils.degToRad(fov) / 2) / Math.max(1, viewportHeight);
+        
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+        this.pending.pan.addScaledVector(right, -deltaX * scale).addScaledVector(up, deltaY * scale);
+    }
+    
+    /**
+     * Zoom by a factor (below 1 moves closer)
+     * @param {number} scale - Distance multiplier, e.g. the inverse of a pinch's spread
+     */
+    zoom(scale) {
+        if (!(scale > 0)) return;
+        
+        this.transition = null;
+        this.pending.zoom += Math.log(scale);
+    }
+    
+    /**
+     * Fly the target to a point and move in on it
+     * @param {THREE.Vector3} point - Point to centre, in world space
+     * @param {number} duration - Seconds
+     */
+    focus(point, duration = 0.6) {
+        const view = { radius: Math.max(this.bounds.maxRadius * 0.6, 4), target: point.clone() };
+        
+        // Look at the part from outside, along the line from the centre through it
+        const distance = point.length();
+        if (distance > 1e-6) {
+            view.theta = Math.atan2(point.z, point.x);
+            view.phi = Math.acos(point.y / distance);
+        }
+        this.animateTo(view, duration);
+    }
+    
+    /**
+     * Fly to a view
+     * @param {Object|string} view - { theta, phi, radius, target } (missing values keep theirs) or a key of VIEWS
+     * @param {number} duration - Seconds (0 jumps)
+     * @param {string} easing - One of Easing.NAMES
+     */
+    animateTo(view, duration = 0.8, easing = 'easeInOut') {
+        if (typeof view === 'string') {
+            if (!CameraController.VIEWS[view]) {
+                throw new Error(`Unknown camera view: ${view}`);
+            }
+            // Named views look at the structure's centre
+            view = Object.assign({ target: new THREE.Vector3() }, CameraController.VIEWS[view]);
+        }
+        
+        const from = Object.assign({ target: this.target.clone() }, this.state);
+        const to = {
+            theta: view.theta !== undefined ? view.theta : from.theta,
+            phi: view.phi !== undefined ? view.phi : from.phi,
+            radius: view.radius !== undefined ? view.radius : from.radius,
+            target: view.target ? view.target.clone() : from.target.clone()
+        };
+        
+        // Turn the short way round
+        const turn = to.theta - from.theta;
+        to.theta = from.theta + Math.atan2(Math.sin(turn), Math.cos(turn));
+        
+        this.clearPending();
+        if (duration <= 0) {
+            this.transition = null;
+            this.set(to);
+            return;
+        }
+        this.transition = { from: from, to: to, duration: duration, elapsed: 0, ease: Easing.get(easing) };
+    }
+    
+    /**
+     * Whether a flight is under way
+     * @returns {boolean}
+     */
+    isAnimating() {
+        return this.transition !== null;
+    }
+    
+    /**
+     * Jump to a view, dropping any motion still pending
+     * @param {Object} view - { theta, phi, radius, target } (missing values keep theirs)
+     */
+    set(view) {
+        ['theta', 'phi', 'radius'].forEach(key => {
+            if (view[key] !== undefined) {
+                this.state[key] = view[key];
+            }
+        });
+        if (view.target) {
+            this.target.copy(view.target);
+        }
+        
+        this.transition = null;
+        this.clearPending();
+        this.clamp();
+        this.apply();
+    }
+    
+    /**
+     * Spherical position of the camera around the target
+     * @returns {{theta: number, phi: number, radius: number}}
+     */
+    getState() {
+        return Object.assign({}, this.state);
+    }
+    
+    /**
+     * Drop pending motion, e.g. when a view is set
+     */
+    clearPending() {
+        this.pending.theta = 0;
+        this.pending.phi = 0;
+        this.pending.zoom = 0;
+        this.pending.pan.set(0, 0, 0);
+    }
+    
+    /**
+     * Keep the camera off the poles, within the zoom limits and the target near the structure
+     */
+    clamp() {
+        this.state.phi = Math.max(CameraController.MIN_PHI, Math.min(Math.PI - CameraController.MIN_PHI, this.state.phi));
+        
+        const reach = this.bounds.maxRadius * 1.5;
+        if (this.target.length() > reach) {
+            this.target.setLength(reach);
+        }
+        
+        const { min, max } = this.getDistanceLimits();
+        this.state.radius = Math.max(min, Math.min(max, this.state.radius));
+    }
+    
+    /**
+     * Advance inertia or the flight, then place the camera
+     * @param {number} delta - Real seconds since the last frame (read from the time source if omitted)
+     * @returns {boolean} Whether the camera is still moving
+     */
+    update(delta) {
+        if (delta === undefined) {
+            const now = this.now();
+            delta = this.lastNow === null ? 0 : now - this.lastNow;
+            this.lastNow = now;
+        }
+        delta = Math.max(0, Math.min(0.1, delta));
+        
+        let moving;
+        if (this.transition) {
+            const transition = this.transition;
+            transition.elapsed = Math.min(transition.duration, transition.elapsed + delta);
+            const weight = transition.ease(transition.elapsed / transition.duration);
+            
+            ['theta', 'phi', 'radius'].forEach(key => {
+                this.state[key] = transition.from[key] + (transition.to[key] - transition.from[key]) * weight;
+            });
+            this.target.lerpVectors(transition.from.target, transition.to.target, weight);
+            
+            if (transition.elapsed >= transition.duration) {
+                this.transition = null;
+            }
+            moving = true;
+        } else {
+            // The same share per 60 Hz frame at any frame rate
+            const share = 1 - Math.pow(1 - this.damping, delta * 60);
+            const pending = this.pending;
+            
+            this.state.theta += pending.theta * share;
+            this.state.phi += pending.phi * share;
+            this.state.radius *= Math.exp(pending.zoom * share);
+            this.target.addScaledVector(pending.pan, share);
+            
+            pending.theta *= 1 - share;
+            pending.phi *= 1 - share;
+            pending.zoom *= 1 - share;
+            pending.pan.multiplyScalar(1 - share);
+            
+            // Settle instead of creeping forever
+            moving = Math.abs(pending.theta) + Math.abs(pending.phi) + Math.abs(pending.zoom) + pending.pan.length() > 1e-5;
+            if (!moving) {
+                this.clearPending();
+            }
+        }
+        
+        this.clamp();
+        this.apply();
+        return moving;
+    }
+    
+    /**
+     * Place the camera from its spherical coordinates around the target
+     */
+    apply() {
+        const { theta, phi, radius } = this.state;
+        this.camera.position.set(
+            this.target.x + radius * Math.sin(phi) * Math.cos(theta),
+            this.target.y + radius * Math.cos(phi),
+            this.target.z + radius * Math.sin(phi) * Math.sin(theta)
+        );
+        this.camera.lookAt(this.target);
+        this.camera.updateMatrixWorld();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * DeployableArch.js
+ * ============================================
+ * A deployable arch made of parallel scissor arches.
+ * 
+ * Each arch is an open chain of angulated scissor pairs along a circular arc
+ * in a vertical plane, with its feet on the ground line. The arches share
+ * the same expansion, so the purlins tying their outer hinges together keep
+ * a constant length while the arch rises and spreads.
+ * 
+ * It is not one mechanism. An open chain does not force its pairs to move
+ * together the way a closed ring does, and the purlins are ties, not pinned
+ * links, so every arch and bay is kinematically independent: LinkageAnalyzer
+ * counts 15 degrees of freedom for the default three arches. The arch only
+ * moves as one because setExpansion drives every pair with the same factor.
+ */
+
+class DeployableArch extends DeployableStructure {
+    /**
+     * Creates a deployable arch
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} options - Configuration options
+     */
+    constructor(scene, options = {}) {
+        super(scene, options);
+        
+        this.structureType = 'arch';
+        
+        Object.assign(this.config, {
+            spanAngle: options.spanAngle || Math.PI, // Angle covered by each arch
+            arches: options.arches || 3,              // Parallel arches along Z
+            archSpacing: options.archSpacing || 3     // Distance between arches
+        });
+        
+        // Sit the feet below the view centre so the arch is framed as a whole
+        this.group.position.y = -this.config.maxRadius / 2;
+        
+        this.buildArch();
+        
+        // Hand the finished parts to the bulk renderer if requested
+        this.setInstanced(this.config.instanced);
+    }
+    
+    /**
+     * Build the parallel arches and the purlins between them
+     */
+    buildArch() {
+        const { spanAngle, arches, archSpacing } = this.config;
+        const units = this.getUnitsPerEdge(spanAngle);
+        const startAngle = (Math.PI - spanAngle) / 2;
+        
+        let previous = null;
+        for (let a = 0; a < arches; a++) {
+            const origin = new THREE.Vector3(0, 0, (a - (arches - 1) / 2) * archSpacing);
+            
+            const hinges = [];
+            for (let i = 0; i <= units; i++) {
+                const angle = startAngle + (i / units) * spanAngle;
+                hinges.push(this.createHinge(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0)));
+            }
+            
+            this.createChain(hinges, { origin: origin });
+            
+            // Purlins join matching outer hinges of neighbouring arches
+            if (previous) {
+                hinges.forEach((hinge, i) => this.createTie(previous[i].outer[0], hinge.outer[0]));
+            }
+            previous = hinges;
+        }
+        
+        this.setExpansion(this.expansionFactor);
+        
+        console.log(`Deployable Arch built with ${this.scissorLinks.length} scissor links`);
+    }
+}
\ No newline at end of file
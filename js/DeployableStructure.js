@@ -0,0 +1,602 @@
+/**
+ * DeployableStructure.js
+ * ============================================
+ * Base class for the deployable scissor structures (sphere, ring, arch and
+ * iris dome).
+ * 
+ * Holds everything the structures share: the material system, the keyframed
+ * animation (a Timeline, breathing by default) or manual expansion with
+ * eased animateTo() targets, rotation, shared hinge hubs and tie struts.
+ * Subclasses build their scissor links into this.group and drive them from
+ * updateLinks, so Controls, LinkageAnalyzer and the main.js animation loop
+ * can work with any of them.
+ */
+
+class DeployableStructure {
+    /**
+     * Creates the shared state of a structure. Subclasses add their own
+     * config entries and then build their links.
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} options - Configuration options
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        
+        // Configuration - INCREASED maxRadius for MORE dramatic expansion
+        this.config = {
+            minRadius: options.minRadius || 1.5,    // Smaller minimum for dramatic effect
+            maxRadius: options.maxRadius || 10,     // Larger maximum for FULL expansion
+            strutRadius: options.strutRadius || 0.08,
+            color: options.color || 0x00aaff,
+            materialType: options.materialType || 'metallic',
+            mechanism: options.mechanism || 'linkage', // 'radial' or 'linkage'
+            instanced: options.instanced || false      // Draw through InstancedRenderer
+        };
+        
+        // Animation state
+        this.expansionFactor = 0.5; // 0 = fully contracted, 1 = fully expanded
+        this.isAnimating = false;
+        this.animationSpeed = 0.5; // Can be controlled by speed slider
+        
+        // Keyframed choreography, breathing by default (shared via setTimeline)
+        this.timeline = Timeline.createBreathing();
+        
+        // Simulation clock that update() reads (shared via setClock)
+        this.clock = options.clock || new AnimationClock();
+        
+        // Manual expansion: held by hand or driven by animateTo() instead of the timeline
+        this.manualExpansion = false;
+        this.expansionTween = null;
+        
+        // Real time for animateTo(), so it runs while playback is paused
+        this.tweenClock = new AnimationClock({ now: options.now });
+        
+        // Rotation state
+        this.autoRotate = true; // Can be toggled
+        this.rotationSpeed = 0.2;
+        this.pitchSpeed = 0.1;
+        this.currentPitch = 0;
+        
+        // Scissor links array
+        this.scissorLinks = [];
+        
+        // Shared hinge points of the linkage mechanism (one per spoke)
+        this.hinges = [];
+        
+        // Struts between hinges of different chains
+        this.ties = [];
+        
+        // Main group to hold all structure components
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        
+        // Material
+        this.material = this.createMaterial(this.config.color, this.config.materialType);
+        
+        // Bulk renderer, created by setInstanced(true)
+        this.instancedRenderer = null;
+    }
+    
+    /**
+     * Create material based on type
+     * @param {number} color - Hex color value
+     * @param {string} type - Material type ('metallic', 'matte', 'glossy')
+     * @returns {THREE.Material}
+     */
+    createMaterial(color, type) {
+        let material;
+        
+        switch(type) {
+            case 'metallic':
+                material = new THREE.MeshStandardMaterial({
+                    color: color,
+                    metalness: 0.9,
+                    roughness: 0.2,
+                    emissive: color,
+                    emissiveIntensity: 0.1
+                });
+                break;
+                
+            case 'matte':
+                material = new THREE.MeshStandardMaterial({
+                    color: color,
+                    metalness: 0.0,
+                    roughness: 0.9,
+                    emissive: color,
+                    emissiveIntensity: 0.05
+                });
+                break;
+                
+            case 'glossy':
+                material = new THREE.MeshStandardMaterial({
+                    color: color,
+                    metalness: 0.3,
+                    roughness: 0.1,
+                    emissive: color,
+                    emissiveIntensity: 0.15
+                });
+                break;
+                
+            default:
+                material = new THREE.MeshStandardMaterial({
+                    color: color,
+                    metalness: 0.9,
+                    roughness: 0.2
+                });
+        }
+        
+        return material;
+    }
+    
+    /**
+     * Number of scissor pairs needed along an arc to reach the configured
+     * expansion ratio (see LinkageKinematics.unitsPerArc)
+     * @param {number} edgeAngle - Angle subtended by the arc at the centre
+     * @param {number} foldedRatio - Folded to expanded radius ratio to reach
+     * @returns {number}
+     */
+    getUnitsPerEdge(edgeAngle, foldedRatio = this.config.minRadius / this.config.maxRadius) {
+        return LinkageKinematics.unitsPerArc(edgeAngle, foldedRatio);
+    }
+    
+    /**
+     * Chain angulated scissor pairs between consecutive hinges
+     * @param {Array<Object>} hinges - Hinges in chain order
+     * @param {Object} options - { closed, origin, minRadius, maxRadius }
+     * @returns {Array<AngulatedScissorLink>} The new links
+     */
+    createChain(hinges, options = {}) {
+        const links = [];
+        const count = options.closed ? hinges.length : hinges.length - 1;
+        
+        for (let i = 0; i < count; i++) {
+            const start = hinges[i];
+            const end = hinges[(i + 1) % hinges.length];
+            
+            const scissorLink = new AngulatedScissorLink(
+                this.group,
+                start.direction,
+                end.direction,
+                options.minRadius !== undefined ? options.minRadius : this.config.minRadius,
+                options.maxRadius !== undefined ? options.maxRadius : this.config.maxRadius,
+                this.config.strutRadius,
+                this.material,
+                options.origin
+            );
+            
+            start.outer.push({ link: scissorLink, endpoint: 'top1' });
+            start.inner.push({ link: scissorLink, endpoint: 'bottom1' });
+            end.outer.push({ link: scissorLink, endpoint: 'top2' });
+            end.inner.push({ link: scissorLink, endpoint: 'bottom2' });
+            
+            this.scissorLinks.push(scissorLink);
+            links.push(scissorLink);
+        }
+        
+        return links;
+    }
+    
+    /**
+     * Create a shared hinge on a spoke, with hub meshes for its outer and inner joints
+     * @param {THREE.Vector3} direction - Spoke direction
+     * @returns {Object} Hinge record
+     */
+    createHinge(direction) {
+        const hubGeometry = new THREE.SphereGeometry(this.config.strutRadius * 1.5, 8, 8);
+        
+        const hinge = {
+            direction: direction.clone().normalize(),
+            outer: [],  // { link, endpoint } pairs pinned at the outer joint
+            inner: [],  // { link, endpoint } pairs pinned at the inner joint
+            outerHub: new THREE.Mesh(hubGeometry, this.material),
+            innerHub: new THREE.Mesh(hubGeometry, this.material)
+        };
+        
+        hinge.outerHub.userData.isHub = true;
+        hinge.innerHub.userData.isHub = true;
+        this.group.add(hinge.outerHub);
+        this.group.add(hinge.innerHub);
+        
+        this.hinges.push(hinge);
+        return hinge;
+    }
+    
+    /**
+     * Create a tie strut between two link endpoints on different chains.
+     * Ties are re-placed every update, so they may change length; the
+     * linkage analyzer does not treat them as rigid bars.
+     * @param {Object} from - { link, endpoint } at one end
+     * @param {Object} to - { link, endpoint } at the other end
+     * @returns {THREE.Mesh} The tie mesh
+     */
+    createTie(from, to) {
+        // Unit height so the length is carried entirely by scale.y
+        const geometry = new THREE.CylinderGeometry(
+            this.config.strutRadius * 0.5,
+            this.config.strutRadius * 0.5,
+            1,
+            6
+        );
+        
+        const tie = new THREE.Mesh(geometry, this.material);
+        tie.userData.isTie = true;
+        tie.userData.from = from;
+        tie.userData.to = to;
+        
+        this.group.add(tie);
+        this.ties.push(tie);
+        return tie;
+    }
+    
+    /**
+     * Update the expansion of all scissor links
+     * @param {number} factor - Expansion factor (0-1)
+     */
+    setExpansion(factor) {
+        this.expansionFactor = Math.max(0, Math.min(1, factor));
+        
+        this.updateLinks();
+        
+        // Move the shared hinge hubs and the ties between them
+        this.updateHinges();
+        this.updateTies();
+        
+        this.updateInstances();
+    }
+    
+    /**
+     * Drive the scissor links from the current expansion factor.
+     * Structures whose links do not all share one factor override this.
+     */
+    updateLinks() {
+        this.scissorLinks.forEach(link => {
+            link.setExpansion(this.expansionFactor);
+        });
+    }
+    
+    /**
+     * Move hinge hubs onto the endpoints they pin together
+     */
+    updateHinges() {
+        this.hinges.forEach(hinge => {
+            const outer = hinge.outer[0];
+            const inner = hinge.inner[0];
+            hinge.outerHub.position.copy(outer.link.endpoints[outer.endpoint]);
+            hinge.innerHub.position.copy(inner.link.endpoints[inner.endpoint]);
+        });
+    }
+    
+    /**
+     * Stretch each tie between the endpoints it joins
+     */
+    updateTies() {
+        const axis = new THREE.Vector3(0, 1, 0);
+        
+        this.ties.forEach(tie => {
+            const { from, to } = tie.userData;
+            const point1 = from.link.endpoints[from.endpoint];
+            const point2 = to.link.endpoints[to.endpoint];
+            const direction = new THREE.Vector3().subVectors(point2, point1);
+            
+            tie.position.addVectors(point1, point2).multiplyScalar(0.5);
+            tie.scale.y = direction.length();
+            tie.quaternion.setFromUnitVectors(axis, direction.normalize());
+        });
+    }
+    
+    /**
+     * Switch between individual meshes and the instanced renderer
+     * @param {boolean} enabled - Whether to draw through InstancedRenderer
+     */
+    setInstanced(enabled) {
+        this.config.instanced = enabled;
+        
+        if (enabled && !this.instancedRenderer) {
+            this.instancedRenderer = new InstancedRenderer(this);
+            this.instancedRenderer.update();
+        } else if (!enabled && this.instancedRenderer) {
+            this.instancedRenderer.dispose();
+            this.instancedRenderer = null;
+        }
+    }
+    
+    /**
+     * Copy the linkage state into the instance buffers, if instancing is on
+     */
+    updateInstances() {
+        if (this.instancedRenderer) {
+            this.instancedRenderer.update();
+        }
+    }
+    
+    /**
+     * Remove the scissor links, hubs, ties and connection struts, keeping the group and material
+     */
+    clearStructure() {
+        this.scissorLinks.forEach(link => link.dispose());
+        this.scissorLinks = [];
+        this.hinges = [];
+        this.ties = [];
+        
+        const parts = this.group.children.filter(child =>
+            child.userData.isConnectionStrut || child.userData.isHub || child.userData.isTie
+        );
+        parts.forEach(part => {
+            this.group.remove(part);
+            part.geometry.dispose();
+        });
+    }
+    
+    /**
+     * Update structure material color
+     * @param {number} color - Hex color value
+     */
+    updateColor(color) {
+        this.config.color = color;
+        this.material.color.setHex(color);
+        this.material.emissive.setHex(color);
+        this.material.needsUpdate = true;
+    }
+    
+    /**
+     * Update structure material type
+     * @param {string} type - Material type ('metallic', 'matte', 'glossy')
+     */
+    updateMaterialType(type) {
+        this.config.materialType = type;
+        
+        // Create new material
+        const newMaterial = this.createMaterial(this.config.color, type);
+        
+        // Update all scissor links
+        this.scissorLinks.forEach(link => {
+            link.updateMaterial(newMaterial);
+        });
+        
+        // Update connection struts, ties and hinge hubs
+        this.group.children.forEach(child => {
+            if (child.userData.isConnectionStrut || child.userData.isTie || child.userData.isHub) {
+                child.material = newMaterial;
+            }
+        });
+        
+        if (this.instancedRenderer) {
+            this.instancedRenderer.setMaterial(newMaterial);
+        }
+        
+        // Replace old material
+        this.material.dispose();
+        this.material = newMaterial;
+    }
+    
+    /**
+     * Set the animation speed
+     * @param {number} speed - Speed multiplier (0.1 to 3.0)
+     */
+    setAnimationSpeed(speed) {
+        this.animationSpeed = Math.max(0.1, Math.min(3.0, speed));
+    }
+    
+    /**
+     * Drive the animation from another timeline, e.g. one shared across structures
+     * @param {Timeline} timeline - The keyframe timeline
+     */
+    setTimeline(timeline) {
+        this.timeline = timeline;
+    }
+    
+    /**
+     * Read time from another clock, e.g. the one main.js ticks every frame
+     * @param {AnimationClock} clock - The simulation clock
+     */
+    setClock(clock) {
+        this.clock = clock;
+    }
+    
+    /**
+     * Toggle auto-rotation on/off
+     * @param {boolean} enabled - Whether auto-rotation is enabled
+     */
+    setAutoRotate(enabled) {
+        this.autoRotate = enabled;
+    }
+    
+    /**
+     * Start the breathing animation
+     */
+    startAnimation() {
+        this.isAnimating = true;
+    }
+    
+    /**
+     * Stop the breathing animation
+     */
+    stopAnimation() {
+        this.isAnimating = false;
+    }
+    
+    /**
+     * Toggle animation state
+     */
+    toggleAnimation() {
+        this.isAnimating = !this.isAnimating;
+    }
+    
+    /**
+     * Switch manual expansion on or off. While it is on, the timeline keeps
+     * playing (rotation, camera) but no longer sets the expansion, which
+     * stays where it is put; off, the timeline drives it again.
+     * @param {boolean} enabled - Whether expansion is manual
+     */
+    setManualExpansion(enabled) {
+        this.manualExpansion = enabled;
+        if (!enabled) {
+            this.cancelExpansionTween();
+        }
+    }
+    
+    /**
+     * Whether expansion is manual
+     * @returns {boolean}
+     */
+    isManualExpansion() {
+        return this.manualExpansion;
+    }
+    
+    /**
+     * Drive the expansion to a factor and hold it there, switching to manual
+     * expansion. Works whether or not the animation is playing.
+     * @param {number} factor - Target expansion (0-1)
+     * @param {number} duration - Seconds to get there (0 jumps)
+     * @param {string} easing - One of Easing.NAMES
+     * @returns {Promise<boolean>} Resolves true on arrival, or false if another target,
+     *     a jump or the end of manual expansion takes over first
+     */
+    animateTo(factor, duration = 1, easing = 'easeInOut') {
+        const ease = Easing.get(easing);
+        const target = Math.max(0, Math.min(1, factor));
+        
+        this.cancelExpansionTween();
+        this.manualExpansion = true;
+        
+        if (!(duration > 0)) {
+            this.setExpansion(target);
+            return Promise.resolve(true);
+        }
+        
+        this.tweenClock.resync();
+        return new Promise(resolve => {
+            this.expansionTween = {
+                from: this.expansionFactor,
+                to: target,
+                duration: duration,
+                elapsed: 0,
+                ease: ease,
+                resolve: resolve
+            };
+        });
+    }
+    
+    /**
+     * Stop an animateTo() where it is
+     */
+    cancelExpansionTween() {
+        if (this.expansionTween) {
+            this.expansionTween.resolve(false);
+            this.expansionTween = null;
+        }
+    }
+    
+    /**
+     * Advance an animateTo()
+     * @param {number} deltaTime - Real seconds since the last step
+     */
+    updateExpansionTween(deltaTime) {
+        const tween = this.expansionTween;
+        tween.elapsed = Math.min(tween.duration, tween.elapsed + deltaTime);
+        
+        const weight = tween.ease(tween.elapsed / tween.duration);
+        this.setExpansion(tween.from + (tween.to - tween.from) * weight);
+        
+        if (tween.elapsed >= tween.duration) {
+            // Land exactly, whatever the curve's last value
+            this.setExpansion(tween.to);
+            this.expansionTween = null;
+            tween.resolve(true);
+        }
+    }
+    
+    /**
+     * Get current expansion factor (for stats display)
+     * @returns {number} Current expansion factor (0-1)
+     */
+    getExpansionFactor() {
+        return this.expansionFactor;
+    }
+    
+    /**
+     * Approximate outer radius at the current expansion (for camera limits)
+     * @returns {number} Radius in world units
+     */
+    getRadius() {
+        const { minRadius, maxRadius } = this.config;
+        return minRadius + (maxRadius - minRadius) * this.expansionFactor;
+    }
+    
+    /**
+     * Update method called every frame, after the clock has ticked. Everything
+     * moves by the clock's step, so pausing, reversing and seeking the clock
+     * pause, reverse and seek the structure; only animateTo() runs in real time.
+     */
+    update() {
+        const deltaTime = this.clock.getDelta();
+        
+        if (this.expansionTween) {
+            this.tweenClock.tick();
+            this.updateExpansionTween(this.tweenClock.getDelta());
+        }
+        
+        if (this.isAnimating) {
+            // The timeline runs in its own seconds; the speed slider scales them
+            const state = this.timeline.update(deltaTime * this.animationSpeed);
+            
+            if (state.expansion !== undefined && !this.manualExpansion) {
+                this.setExpansion(state.expansion);
+            }
+            
+            if (state.rotation) {
+                // Keyframed rotation takes over from auto-rotation
+                this.group.rotation.set(state.rotation[0], state.rotation[1], state.rotation[2]);
+            } else if (this.autoRotate) {
+                // Rotation with changing pitch (only if auto-rotate is enabled)
+                this.group.rotation.y += this.rotationSpeed * deltaTime;
+                
+                // Update pitch angle over time
+                this.currentPitch += this.pitchSpeed * deltaTime;
+                this.group.rotation.x = Math.sin(this.currentPitch) * 0.4;
+                this.group.rotation.z = Math.cos(this.currentPitch * 0.7) * 0.3;
+            }
+        }
+    }
+    
+    /**
+     * Get the structure group for external manipulation
+     * @returns {THREE.Group}
+     */
+    getGroup() {
+        return this.group;
+    }
+    
+    /**
+     * The structure group under its former name, kept for existing callers
+     * @returns {THREE.Group}
+     */
+    get sphereGroup() {
+        return this.group;
+    }
+    
+    /**
+     * Clean up and dispose of resources
+     */
+    dispose() {
+        this.cancelExpansionTween();
+        
+        if (this.instancedRenderer) {
+            this.instancedRenderer.dispose();
+            this.instancedRenderer = null;
+        }
+        
+        this.scissorLinks.forEach(link => link.dispose());
+        this.scissorLinks = [];
+        this.hinges = [];
+        this.ties = [];
+        
+        this.group.children.forEach(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        
+        this.scene.remove(this.group);
+        this.material.dispose();
+    }
+}
\ No newline at end of file
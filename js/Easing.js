@@ -0,0 +1,124 @@
+/**
+ * Easing.js
+ * ============================================
+ * Easing curves for timeline keyframes.
+ * 
+ * Every curve maps progress t in [0, 1] through a segment to an
+ * interpolation weight, starting at 0 and ending at 1. The ease-in/out
+ * family is sinusoidal, so a keyframe pair eased with 'easeInOut' traces
+ * exactly half a sine wave, like the original breathing cycle.
+ */
+
+class Easing {
+    /**
+     * Names of the available curves, in display order
+     * @returns {Array<string>}
+     */
+    static get NAMES() {
+        return ['linear', 'easeIn', 'easeOut', 'easeInOut', 'bounce', 'elastic', 'step', 'hold'];
+    }
+    
+    /**
+     * Look up a curve by name
+     * @param {string} name - One of Easing.NAMES
+     * @returns {Function} Curve taking and returning a number
+     */
+    static get(name) {
+        if (!Easing.NAMES.includes(name)) {
+            throw new Error(`Unknown easing: ${name}`);
+        }
+        return Easing[name];
+    }
+    
+    /**
+     * Constant speed
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static linear(t) {
+        return t;
+    }
+    
+    /**
+     * Start slowly, finish at full speed
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static easeIn(t) {
+        return 1 - Math.cos(t * Math.PI / 2);
+    }
+    
+    /**
+     * Start at full speed, settle slowly
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static easeOut(t) {
+        return Math.sin(t * Math.PI / 2);
+    }
+    
+    /**
+     * Slow at both ends
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static easeInOut(t) {
+        return (1 - Math.cos(t * Math.PI)) / 2;
+    }
+    
+    /**
+     * Arrive with decaying bounces
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static bounce(t) {
+        const n = 7.5625;
+        const d = 2.75;
+        
+        if (t < 1 / d) {
+            return n * t * t;
+        } else if (t < 2 / d) {
+            t -= 1.5 / d;
+            return n * t * t + 0.75;
+        } else if (t < 2.5 / d) {
+            t -= 2.25 / d;
+            return n * t * t + 0.9375;
+        }
+        t -= 2.625 / d;
+        return n * t * t + 0.984375;
+    }
+    
+    /**
+     * Overshoot and spring into place
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static elastic(t) {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1;
+    }
+    
+    /**
+     * Jump to the next value as soon as the segment starts
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static step(t) {
+        return t > 0 ? 1 : 0;
+    }
+    
+    /**
+     * Keep the current value until the next keyframe is reached
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    static hold(t) {
+        return t < 1 ? 0 : 1;
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Easing;
+}
\ No newline at end of file
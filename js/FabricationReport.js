@@ -0,0 +1,278 @@
+/**
+ * FabricationReport.js
+ * ============================================
+ * Bill of materials for building the active structure for real.
+ * 
+ * Lists the scissor units, the unique struts (lettered like the printable
+ * parts from PrintablePartExporter, so the report and the STL files agree),
+ * the pivot and hinge pins grouped by how many bars they join, and the
+ * folded and expanded size in real units. Sizes are bounding boxes of the
+ * hinge points; the expansion ratio compares their largest dimensions.
+ * 
+ * The report is plain data; toText(), toCSV() and toJSON() format it for
+ * the panel and the downloads.
+ */
+
+class FabricationReport {
+    /**
+     * Create a report generator for a structure
+     * @param {DeployableStructure} structure - The structure to report on
+     * @param {Object} options - { unitScale: millimetres per scene unit }
+     */
+    constructor(structure, options = {}) {
+        this.structure = structure;
+        this.unitScale = options.unitScale || 10;
+        this.unit = 'mm';
+    }
+    
+    /**
+     * Build the report for the structure as currently configured
+     * @returns {Object} Report data
+     */
+    generate() {
+        const { minRadius, maxRadius, strutRadius, polyhedron, subdivisions, mechanism } = this.structure.config;
+        const toUnits = value => this.round(value * this.unitScale);
+        const struts = this.listStruts();
+        const connectors = this.listConnectors();
+        
+        // Radial scissors reach furthest when closed, so order the two extremes by size
+        const extent = size => Math.max(size.x, size.y, size.z);
+        const [folded, expanded] = [this.measureSize(0), this.measureSize(1)]
+            .sort((a, b) => extent(a) - extent(b));
+        
+        return {
+            structure: this.structure.structureType,
+            unit: this.unit,
+            unitScale: this.unitScale,
+            config: {
+                mechanism: mechanism,
+                polyhedron: polyhedron,
+                subdivisions: subdivisions,
+                minRadius: toUnits(minRadius),
+                maxRadius: toUnits(maxRadius),
+                strutDiameter: toUnits(strutRadius * 2)
+            },
+            scissorUnits: this.structure.scissorLinks.length,
+            struts: struts,
+            strutCount: struts.reduce((sum, strut) => sum + strut.count, 0),
+            connectors: connectors,
+            pinCount: connectors.reduce((sum, connector) => sum + connector.count, 0),
+            expansion: {
+                foldedSize: folded.toArray().map(toUnits),
+                expandedSize: expanded.toArray().map(toUnits),
+                ratio: this.round(extent(expanded) / extent(folded))
+            }
+        };
+    }
+    
+    /**
+     * Unique struts with their counts, longest first
+     * @returns {Array<Object>} Struts as { part, kind, count, length, hingeSpacing, bend }
+     */
+    listStruts() {
+        const parts = new PrintablePartExporter(this.structure, { unitScale: this.unitScale });
+        
+        return parts.groupParts(parts.collectProfiles()).map(type => {
+            const spacing = type.points.slice(1).map(([x, y], i) =>
+                Math.hypot(x - type.points[i][0], y - type.points[i][1])
+            );
+            
+            // Turn at the central hinge of three-hinge bars
+            let bend = 0;
+            if (type.points.length === 3) {
+                const [a, b, c] = type.points;
+                bend = Math.atan2(c[1] - b[1], c[0] - b[0]) - Math.atan2(b[1] - a[1], b[0] - a[0]);
+            }
+            
+            return {
+                part: type.id,
+                kind: this.describeKind(type.names[0], bend),
+                count: type.quantity,
+                length: this.round(spacing.reduce((sum, value) => sum + value, 0)),
+                hingeSpacing: spacing.map(value => this.round(value)),
+                bend: this.round(Math.abs(bend) * 180 / Math.PI)
+            };
+        });
+    }
+    
+    /**
+     * Human-readable kind of strut from its part name
+     * @param {string} name - Part name from PrintablePartExporter
+     * @param {number} bend - Bend angle in radians
+     * @returns {string}
+     */
+    describeKind(name, bend) {
+        if (name.startsWith('ConnectionStrut')) return 'Connection strut';
+        if (name.startsWith('Tie')) return 'Tie';
+        return Math.abs(bend) > 1e-6 ? 'Angulated scissor bar' : 'Straight scissor bar';
+    }
+    
+    /**
+     * Pins grouped by role and the number of bar ends they join
+     * @returns {Array<Object>} Connectors as { type, bars, count }
+     */
+    listConnectors() {
+        const counts = new Map();
+        const add = (role, bars) => {
+            const type = `${role} (${bars} ${bars === 1 ? 'bar' : 'bars'})`;
+            if (!counts.has(type)) {
+                counts.set(type, { type: type, bars: bars, count: 0 });
+            }
+            counts.get(type).count++;
+        };
+        
+        // Every scissor unit has a central pivot through its two bars
+        this.structure.scissorLinks.forEach(() => add('Central pivot pin', 2));
+        
+        if (this.structure.hinges.length > 0) {
+            // Shared hinges: the pinned bar ends plus any ties ending there
+            this.structure.hinges.forEach(hinge => {
+                const ties = this.structure.ties.filter(tie =>
+                    hinge.outer.includes(tie.userData.from) || hinge.outer.includes(tie.userData.to)
+                ).length;
+                add('Outer hinge pin', hinge.outer.length + ties);
+                add('Inner hinge pin', hinge.inner.length);
+            });
+        } else {
+            // Radial links: both bars and the connection struts meet at the tip
+            const struts = this.structure.getGroup().children.filter(child => child.userData.isConnectionStrut);
+            this.structure.scissorLinks.forEach((link, i) => {
+                const attached = struts.filter(strut => strut.userData.linkIndices.includes(i)).length;
+                add('Tip pin', 2 + attached);
+                add('Base pin', 2);
+            });
+        }
+        
+        return Array.from(counts.values());
+    }
+    
+    /**
+     * Bounding box size of the scissor hinge points at an expansion factor.
+     * The structure is returned to its current expansion afterwards.
+     * @param {number} factor - Expansion factor (0-1)
+     * @returns {THREE.Vector3} Size in scene units
+     */
+    measureSize(factor) {
+        const previous = this.structure.getExpansionFactor();
+        const box = new THREE.Box3();
+        
+        this.structure.setExpansion(factor);
+        this.structure.scissorLinks.forEach(link => {
+            Object.values(link.endpoints).forEach(point => box.expandByPoint(point));
+        });
+        this.structure.setExpansion(previous);
+        
+        return box.getSize(new THREE.Vector3());
+    }
+    
+    /**
+     * Round to hundredths, enough for any fabrication drawing
+     * @param {number} value - Value to round
+     * @returns {number}
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    /**
+     * Short multi-line summary for the report panel
+     * @param {Object} report - From generate()
+     * @returns {string}
+     */
+    toText(report) {
+        const unit = report.unit;
+        const lines = [
+            `Scissor units: ${report.scissorUnits}`,
+            `Struts: ${report.strutCount} (${report.struts.length} unique)`
+        ];
+        
+        report.struts.forEach(strut => {
+            const bend = strut.bend > 0 ? `, bend ${strut.bend}°` : '';
+            lines.push(`  ${strut.part}: ${strut.count} × ${strut.length} ${unit} ${strut.kind.toLowerCase()}${bend}`);
+        });
+        
+        lines.push(`Pins: ${report.pinCount}`);
+        report.connectors.forEach(connector => {
+            lines.push(`  ${connector.count} × ${connector.type.toLowerCase()}`);
+        });
+        
+        const size = values => values.map(value => value.toFixed(0)).join(' × ');
+        lines.push(`Folded: ${size(report.expansion.foldedSize)} ${unit}`);
+        lines.push(`Expanded: ${size(report.expansion.expandedSize)} ${unit}`);
+        lines.push(`Expansion ratio: ${report.expansion.ratio.toFixed(2)}:1`);
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * CSV with one row per item: section, item, quantity, value, unit, detail
+     * @param {Object} report - From generate()
+     * @returns {string}
+     */
+    toCSV(report) {
+        const unit = report.unit;
+        const rows = [['Section', 'Item', 'Quantity', 'Value', 'Unit', 'Detail']];
+        
+        rows.push(['Summary', 'Structure', '', report.structure, '', '']);
+        Object.entries(report.config).forEach(([key, value]) => {
+            const isLength = ['minRadius', 'maxRadius', 'strutDiameter'].includes(key);
+            rows.push(['Config', key, '', value === undefined ? '' : value, isLength ? unit : '', '']);
+        });
+        rows.push(['Summary', 'Scissor units', report.scissorUnits, '', '', '']);
+        
+        report.struts.forEach(strut => {
+            rows.push([
+                'Strut', `${strut.part} ${strut.kind}`, strut.count, strut.length, unit,
+                `hinge spacing ${strut.hingeSpacing.join(' / ')} ${unit}; bend ${strut.bend} deg`
+            ]);
+        });
+        
+        report.connectors.forEach(connector => {
+            rows.push(['Connector', connector.type, connector.count, '', '', '']);
+        });
+        
+        rows.push(['Expansion', 'Folded size', '', report.expansion.foldedSize.join(' x '), unit, '']);
+        rows.push(['Expansion', 'Expanded size', '', report.expansion.expandedSize.join(' x '), unit, '']);
+        rows.push(['Expansion', 'Expansion ratio', '', report.expansion.ratio, '', '']);
+        
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\n');
+    }
+    
+    /**
+     * Pretty-printed JSON
+     * @param {Object} report - From generate()
+     * @returns {string}
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+    
+    /**
+     * Generate the report and save it as a file
+     * @param {string} format - 'csv' or 'json'
+     * @returns {string} The file name
+     */
+    download(format) {
+        const report = this.generate();
+        const isCSV = format === 'csv';
+        const fileName = `${report.structure}-bill-of-materials.${isCSV ? 'csv' : 'json'}`;
+        const blob = new Blob(
+            [isCSV ? this.toCSV(report) : this.toJSON(report)],
+            { type: isCSV ? 'text/csv' : 'application/json' }
+        );
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        console.log(`Exported ${fileName}`);
+        return fileName;
+    }
+}
\ No newline at end of file
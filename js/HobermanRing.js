@@ -0,0 +1,48 @@
+/**
+ * HobermanRing.js
+ * ============================================
+ * A planar expanding Hoberman ring.
+ * 
+ * A single closed chain of angulated scissor pairs around a circle in the
+ * XY plane. Every pair shares its hinges with its neighbours, so the whole
+ * ring opens and closes with one degree of freedom.
+ */
+
+class HobermanRing extends DeployableStructure {
+    /**
+     * Creates a Hoberman ring
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} options - Configuration options
+     */
+    constructor(scene, options = {}) {
+        super(scene, options);
+        
+        this.structureType = 'ring';
+        
+        // Number of scissor pairs around the ring (0 = enough to reach minRadius)
+        this.config.segments = options.segments || 0;
+        
+        this.buildRing();
+        
+        // Hand the finished parts to the bulk renderer if requested
+        this.setInstanced(this.config.instanced);
+    }
+    
+    /**
+     * Build the closed chain of scissor pairs
+     */
+    buildRing() {
+        const segments = this.config.segments || this.getUnitsPerEdge(Math.PI * 2);
+        
+        const hinges = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            hinges.push(this.createHinge(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0)));
+        }
+        
+        this.createChain(hinges, { closed: true });
+        this.setExpansion(this.expansionFactor);
+        
+        console.log(`Hoberman Ring built with ${this.scissorLinks.length} scissor links`);
+    }
+}
\ No newline at end of file
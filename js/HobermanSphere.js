@@ -5,155 +5,134 @@
  * 
  * This implementation creates an authentic Hoberman sphere using radial
  * scissor linkages that expand and contract from a central point.
- * The sphere is based on an icosahedron geometry for optimal distribution.
+ * The sphere is built on a selectable base polyhedron (see Polyhedra.js),
+ * optionally subdivided into a geodesic sphere.
+ * 
+ * The linkage geometry is solved by LinkageKinematics; this class builds
+ * the meshes and hinge hubs that render it.
  */
 
-class HobermanSphere {
+class HobermanSphere extends DeployableStructure {
     /**
      * Creates a Hoberman Sphere
      * @param {THREE.Scene} scene - The Three.js scene
      * @param {Object} options - Configuration options
      */
     constructor(scene, options = {}) {
-        this.scene = scene;
-        
-        // Configuration - INCREASED maxRadius for MORE dramatic expansion
-        this.config = {
-            minRadius: options.minRadius || 1.5,    // Smaller minimum for dramatic effect
-            maxRadius: options.maxRadius || 10,     // Larger maximum for FULL expansion
-            strutRadius: options.strutRadius || 0.08,
-            subdivisions: options.subdivisions || 2, // Icosahedron subdivisions
-            color: options.color || 0x00aaff,
-            materialType: options.materialType || 'metallic'
-        };
-        
-        // Animation state
-        this.expansionFactor = 0.5; // 0 = fully contracted, 1 = fully expanded
-        this.isAnimating = false;
-        this.animationSpeed = 0.5; // Can be controlled by speed slider
+        // Base polyhedron (one of Polyhedra.TYPES) and geodesic subdivisions;
+        // the linkage defaults to the base polyhedron, the only frequency it closes at
+        const mechanism = options.mechanism || 'radial';
+        const polyhedron = options.polyhedron || (mechanism === 'linkage' ? 'icosidodecahedron' : 'icosahedron');
+        const subdivisions = options.subdivisions !== undefined ? options.subdivisions : (mechanism === 'linkage' ? 0 : 2);
+        HobermanSphere.validateGeometry(mechanism, polyhedron, subdivisions);
         
-        // Rotation state
-        this.autoRotate = true; // Can be toggled
-        this.rotationSpeed = 0.2;
-        this.pitchSpeed = 0.1;
-        this.currentPitch = 0;
+        super(scene, Object.assign({ mechanism: 'radial' }, options));
         
-        // Scissor links array
-        this.scissorLinks = [];
-        
-        // Main group to hold all sphere components
-        this.sphereGroup = new THREE.Group();
-        this.scene.add(this.sphereGroup);
-        
-        // Material
-        this.material = this.createMaterial(this.config.color, this.config.materialType);
+        this.structureType = 'sphere';
+        this.config.polyhedron = polyhedron;
+        this.config.subdivisions = subdivisions;
         
         // Build the sphere
         this.buildSphere();
+        
+        // Hand the finished parts to the bulk renderer if requested
+        this.setInstanced(this.config.instanced);
     }
     
     /**
-     * Create material based on type
-     * @param {number} color - Hex color value
-     * @param {string} type - Material type ('metallic', 'matte', 'glossy')
-     * @returns {THREE.Material}
+     * Whether a base polyhedron and frequency can be built with a mechanism.
+     * The linkage's angulated pairs only stay closed when every edge subtends
+     * the same angle, which holds for the base polyhedra but for none of
+     * their geodesic subdivisions.
+     * @param {string} mechanism - 'linkage' or 'radial'
+     * @param {string} polyhedron - One of Polyhedra.TYPES
+     * @param {number} subdivisions - Geodesic subdivisions (frequency - 1)
+     * @returns {boolean}
      */
-    createMaterial(color, type) {
-        let material;
-        
-        switch(type) {
-            case 'metallic':
-                material = new THREE.MeshStandardMaterial({
-                    color: color,
-                    metalness: 0.9,
-                    roughness: 0.2,
-                    emissive: color,
-                    emissiveIntensity: 0.1
-                });
-                break;
-                
-            case 'matte':
-                material = new THREE.MeshStandardMaterial({
-                    color: color,
-                    metalness: 0.0,
-                    roughness: 0.9,
-                    emissive: color,
-                    emissiveIntensity: 0.05
-                });
-                break;
-                
-            case 'glossy':
-                material = new THREE.MeshStandardMaterial({
-                    color: color,
-                    metalness: 0.3,
-                    roughness: 0.1,
-                    emissive: color,
-                    emissiveIntensity: 0.15
-                });
-                break;
-                
-            default:
-                material = new THREE.MeshStandardMaterial({
-                    color: color,
-                    metalness: 0.9,
-                    roughness: 0.2
-                });
+    static supportsGeometry(mechanism, polyhedron, subdivisions) {
+        // Creating it also rejects unknown polyhedra, whatever the mechanism
+        const { isEdgeUniform } = Polyhedra.create(polyhedron, subdivisions);
+        return mechanism !== 'linkage' || isEdgeUniform;
+    }
+    
+    /**
+     * Throw if a base polyhedron and frequency cannot be built with a mechanism
+     * @param {string} mechanism - 'linkage' or 'radial'
+     * @param {string} polyhedron - One of Polyhedra.TYPES
+     * @param {number} subdivisions - Geodesic subdivisions (frequency - 1)
+     */
+    static validateGeometry(mechanism, polyhedron, subdivisions) {
+        if (!HobermanSphere.supportsGeometry(mechanism, polyhedron, subdivisions)) {
+            throw new Error(`${polyhedron} at geodesic frequency ${subdivisions + 1} has unequal edges; ` +
+                'its linkage cannot close (use frequency 1 or the radial mechanism)');
         }
-        
-        return material;
     }
     
     /**
      * Build the complete Hoberman sphere structure
      */
     buildSphere() {
-        // Create icosahedron geometry as base structure
-        const geometry = new THREE.IcosahedronGeometry(1, this.config.subdivisions);
-        const vertices = geometry.attributes.position.array;
+        this.topology = null;
         
-        // Convert vertices to Vector3 array
-        const vertexPositions = [];
-        for (let i = 0; i < vertices.length; i += 3) {
-            vertexPositions.push(new THREE.Vector3(
-                vertices[i],
-                vertices[i + 1],
-                vertices[i + 2]
-            ));
+        if (this.config.mechanism === 'linkage') {
+            this.buildLinkage();
+        } else {
+            this.buildRadial();
         }
         
-        // Remove duplicate vertices
-        const uniqueVertices = this.removeDuplicateVertices(vertexPositions);
+        console.log(`Hoberman Sphere built with ${this.scissorLinks.length} scissor links`);
+    }
+    
+    /**
+     * Build the illustrative layout: one radial scissor link per vertex
+     */
+    buildRadial() {
+        const { vertices, edges } = this.getBasePolyhedron();
         
         // Create scissor links from center to each vertex
-        uniqueVertices.forEach(vertex => {
+        vertices.forEach(vertex => {
             this.createRadialScissorLink(vertex);
         });
         
-        // Create connecting struts between adjacent vertices
-        this.createConnectingStruts(uniqueVertices);
-        
-        console.log(`Hoberman Sphere built with ${this.scissorLinks.length} scissor links`);
+        // Create connecting struts along the polyhedron's edges
+        this.createConnectingStruts(vertices, edges);
     }
     
     /**
-     * Remove duplicate vertices from array
-     * @param {Array<THREE.Vector3>} vertices - Array of vertices
-     * @returns {Array<THREE.Vector3>} Unique vertices
+     * Build the real mechanism: chains of angulated scissor pairs along the
+     * edges of the base polyhedron (an icosidodecahedron for the classic
+     * Hoberman sphere). Units meeting on a spoke are pinned at shared hinge points.
+     * 
+     * The pairs only stay closed over the whole motion when every edge subtends
+     * the same angle, so geodesic subdivisions are refused (see supportsGeometry()).
      */
-    removeDuplicateVertices(vertices) {
-        const unique = [];
-        const threshold = 0.0001;
+    buildLinkage() {
+        const polyhedron = Polyhedra.create(this.config.polyhedron, this.config.subdivisions);
         
-        vertices.forEach(v => {
-            const isDuplicate = unique.some(u => 
-                u.distanceTo(v) < threshold
-            );
-            if (!isDuplicate) {
-                unique.push(v);
-            }
+        // Headless description of the mechanism; the links below only render it
+        this.topology = LinkageKinematics.linkageTopology(polyhedron, this.config);
+        
+        const hinges = this.topology.spokes.map(spoke => this.createHinge(new THREE.Vector3().fromArray(spoke)));
+        this.topology.units.forEach(unit => {
+            this.createChain(unit.spokes.map(index => hinges[index]));
         });
         
-        return unique;
+        this.updateHinges();
+    }
+    
+    /**
+     * Create the configured base polyhedron with THREE.Vector3 vertices
+     * @returns {{vertices: Array<THREE.Vector3>, edges: Array<Array<number>>, faces: Array<Array<number>>, isEdgeUniform: boolean}}
+     */
+    getBasePolyhedron() {
+        const polyhedron = Polyhedra.create(this.config.polyhedron, this.config.subdivisions);
+        
+        return {
+            vertices: polyhedron.vertices.map(([x, y, z]) => new THREE.Vector3(x, y, z)),
+            edges: polyhedron.edges,
+            faces: polyhedron.faces,
+            isEdgeUniform: polyhedron.isEdgeUniform
+        };
     }
     
     /**
@@ -170,7 +149,7 @@ class HobermanSphere {
         
         // Create scissor link
         const scissorLink = new ScissorLink(
-            this.sphereGroup,
+            this.group,
             midPoint,
             direction,
             strutLength,
@@ -182,29 +161,23 @@ class HobermanSphere {
     }
     
     /**
-     * Create connecting struts between adjacent vertices
+     * Create connecting struts along the edges of the base polyhedron
      * @param {Array<THREE.Vector3>} vertices - Array of vertex positions
+     * @param {Array<Array<number>>} edges - Vertex index pairs
      */
-    createConnectingStruts(vertices) {
-        const connectionThreshold = 1.2; // Distance threshold for connections
-        
-        // Create thin connecting cylinders between nearby vertices
-        for (let i = 0; i < vertices.length; i++) {
-            for (let j = i + 1; j < vertices.length; j++) {
-                const distance = vertices[i].distanceTo(vertices[j]);
-                
-                if (distance < connectionThreshold) {
-                    // These vertices should be connected
-                    this.createConnectionStrut(vertices[i], vertices[j]);
-                }
-            }
-        }
+    createConnectingStruts(vertices, edges) {
+        edges.forEach(([i, j]) => {
+            // Link i sits on vertex i
+            const strut = this.createConnectionStrut(vertices[i], vertices[j]);
+            strut.userData.linkIndices = [i, j];
+        });
     }
     
     /**
      * Create a thin connecting strut between two points
      * @param {THREE.Vector3} point1 - First point
      * @param {THREE.Vector3} point2 - Second point
+     * @returns {THREE.Mesh} The strut mesh
      */
     createConnectionStrut(point1, point2) {
         const direction = new THREE.Vector3().subVectors(point2, point1);
@@ -225,46 +198,52 @@ class HobermanSphere {
         const axis = new THREE.Vector3(0, 1, 0);
         strut.quaternion.setFromUnitVectors(axis, direction.normalize());
         
-        // Store reference for updates
+        // Marked for updates
         strut.userData.isConnectionStrut = true;
-        strut.userData.point1 = point1.clone();
-        strut.userData.point2 = point2.clone();
         
-        this.sphereGroup.add(strut);
+        this.group.add(strut);
+        return strut;
     }
     
     /**
-     * Update the expansion of all scissor links
-     * @param {number} factor - Expansion factor (0-1)
+     * Rebuild the structure on a different base polyhedron
+     * @param {Object} options - { polyhedron, subdivisions }; omitted values are kept
      */
-    setExpansion(factor) {
-        this.expansionFactor = Math.max(0, Math.min(1, factor));
-        
-        // Update all scissor links
-        this.scissorLinks.forEach(link => {
-            link.setExpansion(this.expansionFactor);
-        });
-        
-        // Update connection struts
+    setGeometry(options = {}) {
+        const polyhedron = options.polyhedron !== undefined ? options.polyhedron : this.config.polyhedron;
+        const subdivisions = options.subdivisions !== undefined
+            ? Math.max(0, Math.floor(options.subdivisions))
+            : this.config.subdivisions;
+        
+        // Validate before tearing anything down
+        HobermanSphere.validateGeometry(this.config.mechanism, polyhedron, subdivisions);
+        this.config.polyhedron = polyhedron;
+        this.config.subdivisions = subdivisions;
+        
+        this.clearStructure();
+        this.buildSphere();
+        this.setExpansion(this.expansionFactor);
+    }
+    
+    /**
+     * Update all scissor links and the connection struts between them
+     */
+    updateLinks() {
+        super.updateLinks();
         this.updateConnectionStruts();
     }
     
     /**
-     * Update positions of connection struts based on current expansion
+     * Keep each connection strut spanning the outer tips of the two links it joins
      */
     updateConnectionStruts() {
-        this.sphereGroup.children.forEach(child => {
+        this.group.children.forEach(child => {
             if (child.userData.isConnectionStrut) {
-                const point1 = child.userData.point1.clone();
-                const point2 = child.userData.point2.clone();
-                
-                // Scale points based on expansion
-                const currentRadius = this.config.minRadius + 
-                    (this.config.maxRadius - this.config.minRadius) * this.expansionFactor;
-                const scaleFactor = currentRadius / this.config.maxRadius;
-                
-                point1.multiplyScalar(scaleFactor);
-                point2.multiplyScalar(scaleFactor);
+                // Each end sits on the hinge point between its link's top endpoints
+                const [point1, point2] = child.userData.linkIndices.map(index => {
+                    const link = this.scissorLinks[index];
+                    return link.endpoints.top1.clone().add(link.endpoints.top2).multiplyScalar(0.5);
+                });
                 
                 // Update strut position and orientation
                 const direction = new THREE.Vector3().subVectors(point2, point1);
@@ -279,136 +258,4 @@ class HobermanSphere {
             }
         });
     }
-    
-    /**
-     * Update sphere material color
-     * @param {number} color - Hex color value
-     */
-    updateColor(color) {
-        this.config.color = color;
-        this.material.color.setHex(color);
-        this.material.emissive.setHex(color);
-        this.material.needsUpdate = true;
-    }
-    
-    /**
-     * Update sphere material type
-     * @param {string} type - Material type ('metallic', 'matte', 'glossy')
-     */
-    updateMaterialType(type) {
-        this.config.materialType = type;
-        
-        // Create new material
-        const newMaterial = this.createMaterial(this.config.color, type);
-        
-        // Update all scissor links
-        this.scissorLinks.forEach(link => {
-            link.updateMaterial(newMaterial);
-        });
-        
-        // Update connection struts
-        this.sphereGroup.children.forEach(child => {
-            if (child.userData.isConnectionStrut) {
-                child.material = newMaterial;
-            }
-        });
-        
-        // Replace old material
-        this.material.dispose();
-        this.material = newMaterial;
-    }
-    
-    /**
-     * Set the animation speed
-     * @param {number} speed - Speed multiplier (0.1 to 3.0)
-     */
-    setAnimationSpeed(speed) {
-        this.animationSpeed = Math.max(0.1, Math.min(3.0, speed));
-    }
-    
-    /**
-     * Toggle auto-rotation on/off
-     * @param {boolean} enabled - Whether auto-rotation is enabled
-     */
-    setAutoRotate(enabled) {
-        this.autoRotate = enabled;
-    }
-    
-    /**
-     * Start the breathing animation
-     */
-    startAnimation() {
-        this.isAnimating = true;
-    }
-    
-    /**
-     * Stop the breathing animation
-     */
-    stopAnimation() {
-        this.isAnimating = false;
-    }
-    
-    /**
-     * Toggle animation state
-     */
-    toggleAnimation() {
-        this.isAnimating = !this.isAnimating;
-    }
-    
-    /**
-     * Get current expansion factor (for stats display)
-     * @returns {number} Current expansion factor (0-1)
-     */
-    getExpansionFactor() {
-        return this.expansionFactor;
-    }
-    
-    /**
-     * Update method called every frame
-     * @param {number} deltaTime - Time since last frame
-     */
-    update(deltaTime) {
-        if (this.isAnimating) {
-            // Slow, satisfying breathing animation - FULL expansion and contraction (0 to 1)
-            // Using sine wave for smooth, natural breathing motion
-            const time = Date.now() * 0.001 * this.animationSpeed;
-            const breathingCycle = Math.sin(time) * 0.5 + 0.5; // Oscillates between 0 and 1
-            
-            this.setExpansion(breathingCycle);
-            
-            // Rotation with changing pitch (only if auto-rotate is enabled)
-            if (this.autoRotate) {
-                this.sphereGroup.rotation.y += this.rotationSpeed * deltaTime;
-                
-                // Update pitch angle over time
-                this.currentPitch += this.pitchSpeed * deltaTime;
-                this.sphereGroup.rotation.x = Math.sin(this.currentPitch) * 0.4;
-                this.sphereGroup.rotation.z = Math.cos(this.currentPitch * 0.7) * 0.3;
-            }
-        }
-    }
-    
-    /**
-     * Get the sphere group for external manipulation
-     * @returns {THREE.Group}
-     */
-    getGroup() {
-        return this.sphereGroup;
-    }
-    
-    /**
-     * Clean up and dispose of resources
-     */
-    dispose() {
-        this.scissorLinks.forEach(link => link.dispose());
-        this.scissorLinks = [];
-        
-        this.sphereGroup.children.forEach(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
-        
-        this.scene.remove(this.sphereGroup);
-        this.material.dispose();
-    }
 }
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * HobermanSphereElement.js
+ * ============================================
+ * The <hoberman-sphere> custom element: an embeddable HobermanViewer
+ * configured through attributes.
+ * 
+ *     <hoberman-sphere structure="ring" color="#ff8800" speed="1.2" lighting="neon"></hoberman-sphere>
+ * 
+ * Each element has its own renderer, scene and clock, so a page can hold
+ * several. The viewer is created when the element is added to the document
+ * and disposed when it is removed. Attributes can change at any time;
+ * structural ones (structure, mechanism, polyhedron, subdivisions, radii)
+ * rebuild the structure, the rest apply live. Invalid values are ignored
+ * with a warning and the default is used; so are subdivisions above 0 for
+ * the linkage, which cannot close on a geodesic (the viewer builds the base
+ * polyhedron instead).
+ * 
+ * Events (bubbling, composed, details as in HobermanViewer): expansionchange,
+ * cyclecomplete, materialchange, play and pause.
+ * Methods: play(), pause(), setExpansion(factor), getExpansion().
+ * 
+ * Needs three.js and the structure scripts loaded first (see embed.html).
+ */
+
+class HobermanSphereElement extends HTMLElement {
+    /**
+     * Attribute names and the viewer settings they set
+     * @returns {Object}
+     */
+    static get ATTRIBUTES() {
+        return {
+            'structure': 'structure',
+            'mechanism': 'mechanism',
+            'polyhedron': 'polyhedron',
+            'subdivisions': 'subdivisions',
+            'min-radius': 'minRadius',
+            'max-radius': 'maxRadius',
+            'strut-radius': 'strutRadius',
+            'color': 'color',
+            'material': 'material',
+            'instanced': 'instanced',
+            'lighting': 'lighting',
+            'background': 'background',
+            'speed': 'speed',
+            'auto-rotate': 'autoRotate',
+            'autoplay': 'autoplay',
+            'expansion': 'expansion',
+            'camera-theta': 'theta',
+            'camera-phi': 'phi',
+            'camera-distance': 'radius'
+        };
+    }
+    
+    /**
+     * Attributes whose changes attributeChangedCallback hears about
+     * @returns {Array<string>}
+     */
+    static get observedAttributes() {
+        return Object.keys(HobermanSphereElement.ATTRIBUTES);
+    }
+    
+    /**
+     * Read an attribute value as a viewer setting
+     * @param {string} name - Attribute name
+     * @param {string|null} value - Attribute value (null when absent)
+     * @returns {*} The setting, or undefined to use the default
+     */
+    static parseAttribute(name, value) {
+        const option = HobermanSphereElement.ATTRIBUTES[name];
+        if (value === null || option === undefined) {
+            return undefined;
+        }
+        
+        let parsed;
+        switch (option) {
+            // Boolean attributes are on when present, unless set to "false" or "0"
+            case 'instanced':
+            case 'autoRotate':
+            case 'autoplay':
+                return value !== 'false' && value !== '0';
+            case 'expansion': {
+                const factor = value === '' ? NaN : Number(value);
+                parsed = factor >= 0 && factor <= 1 ? factor : undefined;
+                break;
+            }
+            case 'polyhedron':
+                parsed = Polyhedra.TYPES.includes(value) ? value : undefined;
+                break;
+            case 'lighting':
+                parsed = LightingRig.RIGS[value] ? value : undefined;
+                break;
+            case 'background':
+                parsed = value === 'transparent' || HobermanViewer.BACKGROUNDS[value] !== undefined ||
+                    /^#[0-9a-f]{6}$/i.test(value) ? value : undefined;
+                break;
+            default:
+                // Same ranges as saved settings and share links
+                parsed = SettingsStore.parseValue(option, value);
+        }
+        
+        if (parsed === undefined) {
+            console.warn(`<hoberman-sphere> ignored ${name}="${value}"`);
+        }
+        return parsed;
+    }
+    
+    /**
+     * Create the element's shadow root; the viewer waits until it is connected
+     */
+    constructor() {
+        super();
+        
+        this.viewer = null;
+        this.resizeObserver = null;
+        
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+                :host { display: block; position: relative; width: 100%; height: 400px; }
+                :host([hidden]) { display: none; }
+                .viewport { position: absolute; inset: 0; overflow: hidden; }
+            </style>
+            <div class="viewport" part="viewport"></div>
+        `;
+        this.viewport = root.querySelector('.viewport');
+    }
+    
+    /**
+     * Viewer settings from the attributes, with defaults for missing or invalid ones
+     * @returns {Object}
+     */
+    readOptions() {
+        const options = HobermanViewer.DEFAULTS;
+        Object.entries(HobermanSphereElement.ATTRIBUTES).forEach(([name, option]) => {
+            const value = HobermanSphereElement.parseAttribute(name, this.getAttribute(name));
+            if (value !== undefined) {
+                options[option] = value;
+            }
+        });
+        return options;
+    }
+    
+    /**
+     * Start a viewer when added to the document
+     */
+    connectedCallback() {
+        if (this.viewer) return;
+        
+        this.viewer = new HobermanViewer(this.viewport, this.readOptions());
+        this.viewer.onEvent = (type, detail) => {
+            this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+        };
+        
+        // Follow the element's size, not the window's
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.viewer.resize());
+            this.resizeObserver.observe(this);
+        }
+    }
+    
+    /**
+     * Release the viewer and its WebGL context when removed from the document
+     */
+    disconnectedCallback() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.viewer) {
+            this.viewer.dispose();
+            this.viewer = null;
+        }
+    }
+    
+    /**
+     * Apply a changed attribute to the running viewer
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} value - New value (null when removed)
+     */
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.viewer || oldValue === value) return;
+        
+        const option = HobermanSphereElement.ATTRIBUTES[name];
+        const parsed = HobermanSphereElement.parseAttribute(name, value);
+        const setting = parsed !== undefined ? parsed : HobermanViewer.DEFAULTS[option];
+        
+        if (option === 'autoplay') {
+            if (setting) this.viewer.play(); else this.viewer.pause();
+        } else {
+            this.viewer.setOptions({ [option]: setting });
+        }
+    }
+    
+    /**
+     * Play the timeline (or autoplay once connected)
+     */
+    play() {
+        if (this.viewer) {
+            this.viewer.play();
+        } else {
+            this.setAttribute('autoplay', '');
+        }
+    }
+    
+    /**
+     * Pause the timeline (or start paused once connected)
+     */
+    pause() {
+        if (this.viewer) {
+            this.viewer.pause();
+        } else {
+            this.setAttribute('autoplay', 'false');
+        }
+    }
+    
+    /**
+     * Hold the structure at an expansion, pausing playback
+     * @param {number} factor - 0 = fully contracted, 1 = fully expanded
+     */
+    setExpansion(factor) {
+        if (this.viewer) {
+            this.viewer.setExpansion(factor);
+        } else {
+            this.setAttribute('expansion', String(factor));
+        }
+    }
+    
+    /**
+     * Current expansion factor
+     * @returns {number} 0 to 1
+     */
+    getExpansion() {
+        return this.viewer ? this.viewer.getExpansion() : this.readOptions().expansion;
+    }
+    
+    /**
+     * Expansion factor, as a property
+     * @returns {number}
+     */
+    get expansion() {
+        return this.getExpansion();
+    }
+    
+    /**
+     * Set the expansion factor, as a property
+     * @param {number} factor - 0 to 1
+     */
+    set expansion(factor) {
+        this.setExpansion(factor);
+    }
+    
+    /**
+     * Whether the timeline is playing
+     * @returns {boolean}
+     */
+    get playing() {
+        return this.viewer ? this.viewer.isPlaying() : this.readOptions().autoplay;
+    }
+}
+
+if (!customElements.get('hoberman-sphere')) {
+    customElements.define('hoberman-sphere', HobermanSphereElement);
+}
\ No newline at end of file
@@ -0,0 +1,522 @@
+/**
+ * HobermanViewer.js
+ * ============================================
+ * A self-contained viewer: one structure with its own scene, camera,
+ * renderer, lights, clock and render loop, drawn into a container element.
+ * 
+ * main.js drives the full application from module-level globals and the
+ * control panel's fixed element IDs; the viewer keeps all of that state on
+ * the instance instead, so a page can hold several of them (see the
+ * <hoberman-sphere> element in HobermanSphereElement.js). It has no panel,
+ * only drag-to-orbit and wheel zoom.
+ * 
+ * Changes are reported through onEvent(type, detail):
+ * - expansionchange { expansion }     whenever the expansion factor changes
+ * - cyclecomplete   { cycle }         each time forward playback completes a cycle
+ * - materialchange  { material, color }
+ * - play / pause    {}
+ */
+
+class HobermanViewer {
+    /**
+     * Create a viewer and start drawing
+     * @param {HTMLElement} container - Element the canvas is added to; the canvas fills it
+     * @param {Object} options - Settings over HobermanViewer.DEFAULTS, plus
+     *     renderer: a WebGLRenderer to draw with (created if omitted) and
+     *     autostart: false to leave the render loop to the caller
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = Object.assign(HobermanViewer.DEFAULTS, options);
+        
+        // Called with (type, detail) for the events listed above (set by the owner)
+        this.onEvent = null;
+        
+        // Simulation clock of this viewer only
+        this.clock = new AnimationClock();
+        
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+        this.cameraRotation = {
+            theta: this.options.theta,
+            phi: this.options.phi,
+            radius: this.options.radius
+        };
+        
+        // A renderer passed in belongs to the caller, who disposes of it
+        this.ownsRenderer = !options.renderer;
+        this.renderer = options.renderer || HobermanViewer.createRenderer();
+        this.container.appendChild(this.renderer.domElement);
+        
+        this.lightingRig = new LightingRig(this.scene, this.options.lighting);
+        
+        // Gradient or nebula behind the named backgrounds that have one
+        this.backgroundTexture = null;
+        this.setBackground(this.options.background);
+        
+        // Last reported expansion and timeline cycle, to report changes only
+        this.lastExpansion = null;
+        this.lastCycle = 0;
+        
+        this.structure = null;
+        this.build();
+        
+        this.initOrbit();
+        this.resize();
+        
+        this.frameId = null;
+        if (options.autostart !== false) {
+            this.start();
+        }
+        
+        console.log(`Viewer created with a ${this.options.structure}`);
+    }
+    
+    /**
+     * Settings a viewer starts with
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            structure: 'sphere', mechanism: 'linkage', polyhedron: 'icosidodecahedron', subdivisions: 0,
+            minRadius: 1.5, maxRadius: 10, strutRadius: 0.08,
+            color: '#00aaff', material: 'metallic', instanced: true,
+            lighting: 'studio', background: 'space',
+            speed: 0.5, autoRotate: true, autoplay: true, expansion: 0.5,
+            theta: 0, phi: Math.PI / 4, radius: 25
+        };
+    }
+    
+    /**
+     * Named backgrounds as hex colors: those of SceneEnvironment.BACKGROUNDS
+     * except the skybox, as the viewer has no environment to show
+     * @returns {Object}
+     */
+    static get BACKGROUNDS() {
+        const backgrounds = {};
+        Object.entries(SceneEnvironment.BACKGROUNDS).forEach(([name, descriptor]) => {
+            if (!descriptor.skybox) {
+                backgrounds[name] = descriptor.color;
+            }
+        });
+        return backgrounds;
+    }
+    
+    /**
+     * Settings that need the structure rebuilt when they change
+     * @returns {Array<string>}
+     */
+    static get BUILD_OPTIONS() {
+        return ['structure', 'mechanism', 'polyhedron', 'subdivisions', 'minRadius', 'maxRadius', 'strutRadius'];
+    }
+    
+    /**
+     * Create a deployable structure
+     * @param {THREE.Scene} scene - Scene to add it to
+     * @param {string} type - 'sphere', 'ring', 'arch' or 'dome'
+     * @param {Object} overrides - Options replacing the defaults (e.g. carried-over color)
+     * @returns {DeployableStructure}
+     */
+    static createStructure(scene, type, overrides = {}) {
+        const options = Object.assign({
+            minRadius: 1.5,       // Smaller minimum for dramatic effect
+            maxRadius: 10,        // Larger maximum for FULL expansion
+            strutRadius: 0.08,
+            color: 0x00aaff,
+            materialType: 'metallic',
+            mechanism: 'linkage', // Real pinned mechanism ('radial' for the illustration)
+            instanced: true       // Two draw calls via InstancedRenderer
+        }, overrides);
+        
+        switch(type) {
+            case 'ring':
+                return new HobermanRing(scene, options);
+            case 'arch':
+                return new DeployableArch(scene, options);
+            case 'dome':
+                return new IrisDome(scene, options);
+            default:
+                return new HobermanSphere(scene, Object.assign({
+                    polyhedron: 'icosidodecahedron', // Classic Hoberman layout
+                    subdivisions: 0       // Geodesic subdivisions (frequency - 1)
+                }, options));
+        }
+    }
+    
+    /**
+     * A renderer set up like the application's
+     * @returns {THREE.WebGLRenderer}
+     */
+    static createRenderer() {
+        const renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true,          // Transparent background support
+            powerPreference: 'high-performance'
+        });
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = 1.0;
+        renderer.domElement.style.display = 'block';
+        return renderer;
+    }
+    
+    /**
+     * Report an event to the owner
+     * @param {string} type - Event name
+     * @param {Object} detail - Event data
+     */
+    emit(type, detail = {}) {
+        if (this.onEvent) {
+            this.onEvent(type, detail);
+        }
+    }
+    
+    /**
+     * Build the structure from the current options, replacing the old one
+     */
+    build() {
+        const previous = this.structure;
+        const options = this.options;
+        
+        const overrides = {
+            minRadius: options.minRadius,
+            maxRadius: options.maxRadius,
+            strutRadius: options.strutRadius,
+            mechanism: options.mechanism,
+            color: new THREE.Color(options.color).getHex(),
+            materialType: options.material,
+            instanced: options.instanced,
+            clock: this.clock
+        };
+        if (options.structure === 'sphere') {
+            overrides.polyhedron = options.polyhedron;
+            overrides.subdivisions = options.subdivisions;
+            
+            // Geodesic linkages cannot close; fall back to the base polyhedron
+            if (!HobermanSphere.supportsGeometry(options.mechanism, options.polyhedron, options.subdivisions)) {
+                console.warn(`${options.polyhedron} at subdivisions ${options.subdivisions} cannot be built as a linkage; using subdivisions 0`);
+                overrides.subdivisions = 0;
+            }
+        }
+        
+        this.structure = HobermanViewer.createStructure(this.scene, options.structure, overrides);
+        this.structure.setExpansion(previous ? previous.getExpansionFactor() : options.expansion);
+        this.structure.setAnimationSpeed(options.speed);
+        this.structure.setAutoRotate(options.autoRotate);
+        
+        if (previous) {
+            // The new structure carries on with the old one's timeline and play state
+            this.structure.setTimeline(previous.timeline);
+            if (previous.isAnimating) this.structure.startAnimation();
+            previous.dispose();
+        } else if (options.autoplay) {
+            this.structure.startAnimation();
+        }
+    }
+    
+    /**
+     * Change settings; structural ones rebuild the structure, the rest apply live
+     * @param {Object} changes - Settings in the shape of HobermanViewer.DEFAULTS
+     */
+    setOptions(changes) {
+        const changed = Object.keys(changes).filter(key => changes[key] !== this.options[key]);
+        if (changed.length === 0) return;
+        
+        Object.assign(this.options, changes);
+        
+        if (changed.some(key => HobermanViewer.BUILD_OPTIONS.includes(key))) {
+            this.build();
+            this.lastExpansion = null;
+            return;
+        }
+        
+        changed.forEach(key => {
+            switch (key) {
+                case 'instanced':
+                    this.structure.setInstanced(this.options.instanced);
+                    break;
+                case 'lighting':
+                    this.lightingRig.setRig(this.options.lighting);
+                    break;
+                case 'background':
+                    this.setBackground(this.options.background);
+                    break;
+                case 'speed':
+                    this.structure.setAnimationSpeed(this.options.speed);
+                    break;
+                case 'autoRotate':
+                    this.structure.setAutoRotate(this.options.autoRotate);
+                    break;
+                case 'expansion':
+                    this.setExpansion(this.options.expansion);
+                    break;
+                case 'theta':
+                case 'phi':
+                case 'radius':
+                    this.cameraRotation[key] = this.options[key];
+                    this.updateCamera();
+                    break;
+            }
+        });
+        
+        // Color and material together are one change
+        if (changed.includes('color') || changed.includes('material')) {
+            this.setMaterial(this.options.material, this.options.color);
+        }
+    }
+    
+    /**
+     * Change the material type and color
+     * @param {string} material - 'metallic', 'matte' or 'glossy'
+     * @param {string} color - CSS hex color (unchanged if omitted)
+     */
+    setMaterial(material, color = this.options.color) {
+        this.options.material = material;
+        this.options.color = color;
+        
+        const hex = new THREE.Color(color).getHex();
+        if (material !== this.structure.config.materialType) {
+            this.structure.updateMaterialType(material);
+        }
+        if (hex !== this.structure.config.color) {
+            this.structure.updateColor(hex);
+        }
+        
+        this.emit('materialchange', { material: material, color: color });
+    }
+    
+    /**
+     * Change the background
+     * @param {string} background - A key of HobermanViewer.BACKGROUNDS, a CSS hex color or 'transparent'
+     */
+    setBackground(background) {
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+            this.backgroundTexture = null;
+        }
+        if (background === 'transparent') {
+            this.scene.background = null;
+            this.scene.fog = null;
+            return;
+        }
+        
+        const named = HobermanViewer.BACKGROUNDS[background] !== undefined;
+        const hex = named ? HobermanViewer.BACKGROUNDS[background] : new THREE.Color(background).getHex();
+        this.backgroundTexture = named ? SceneEnvironment.createBackgroundTexture(background) : null;
+        this.scene.background = this.backgroundTexture || new THREE.Color(hex);
+        this.scene.fog = new THREE.Fog(hex, 40, 120);
+    }
+    
+    /**
+     * Play the timeline
+     */
+    play() {
+        if (this.structure.isAnimating) return;
+        
+        this.structure.startAnimation();
+        this.emit('play');
+    }
+    
+    /**
+     * Stop the timeline where it is
+     */
+    pause() {
+        if (!this.structure.isAnimating) return;
+        
+        this.structure.stopAnimation();
+        this.emit('pause');
+    }
+    
+    /**
+     * Whether the timeline is playing
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.structure.isAnimating;
+    }
+    
+    /**
+     * Hold the structure at an expansion; playback pauses so the timeline does not move it on
+     * @param {number} factor - 0 = fully contracted, 1 = fully expanded
+     */
+    setExpansion(factor) {
+        this.pause();
+        this.structure.setExpansion(Math.max(0, Math.min(1, factor)));
+        this.reportChanges();
+    }
+    
+    /**
+     * Current expansion factor
+     * @returns {number} 0 to 1
+     */
+    getExpansion() {
+        return this.structure.getExpansionFactor();
+    }
+    
+    /**
+     * Report expansion changes and completed timeline cycles since the last call
+     */
+    reportChanges() {
+        const expansion = this.structure.getExpansionFactor();
+        if (expansion !== this.lastExpansion) {
+            this.lastExpansion = expansion;
+            this.emit('expansionchange', { expansion: expansion });
+        }
+        
+        // Cycles counted from the playhead; a one-shot timeline completes once, at its end.
+        // Only forward playback completes one; reverse playback and seeks back just move the count.
+        const timeline = this.structure.timeline;
+        const duration = timeline.getCycleDuration();
+        const cycle = duration > 0 ? Math.floor(timeline.time / duration) : 0;
+        const completed = cycle > this.lastCycle && !this.clock.isReversed();
+        this.lastCycle = cycle;
+        if (completed) {
+            this.emit('cyclecomplete', { cycle: cycle });
+        }
+    }
+    
+    /**
+     * Drag to orbit the camera, wheel to zoom
+     */
+    initOrbit() {
+        const canvas = this.renderer.domElement;
+        let drag = null;
+        
+        this.orbitHandlers = {
+            pointerdown: (e) => {
+                drag = { x: e.clientX, y: e.clientY };
+                if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+            },
+            pointermove: (e) => {
+                if (!drag) return;
+                this.orbit((e.clientX - drag.x) * 0.005, (e.clientY - drag.y) * 0.005);
+                drag = { x: e.clientX, y: e.clientY };
+            },
+            pointerup: () => {
+                drag = null;
+            },
+            wheel: (e) => {
+                e.preventDefault();
+                this.zoom(e.deltaY * 0.01);
+            }
+        };
+        this.orbitHandlers.pointercancel = this.orbitHandlers.pointerup;
+        
+        Object.entries(this.orbitHandlers).forEach(([type, handler]) => {
+            canvas.addEventListener(type, handler, type === 'wheel' ? { passive: false } : false);
+        });
+        canvas.style.touchAction = 'none';
+        
+        this.updateCamera();
+    }
+    
+    /**
+     * Turn the camera around the structure
+     * @param {number} dTheta - Horizontal angle in radians
+     * @param {number} dPhi - Vertical angle in radians
+     */
+    orbit(dTheta, dPhi) {
+        this.cameraRotation.theta += dTheta;
+        this.cameraRotation.phi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraRotation.phi - dPhi));
+        this.updateCamera();
+    }
+    
+    /**
+     * Move the camera closer or further away
+     * @param {number} delta - Distance to add
+     */
+    zoom(delta) {
+        this.cameraRotation.radius = Math.max(12, Math.min(60, this.cameraRotation.radius + delta));
+        this.updateCamera();
+    }
+    
+    /**
+     * Place the camera from its spherical coordinates
+     */
+    updateCamera() {
+        const { theta, phi, radius } = this.cameraRotation;
+        this.camera.position.set(
+            radius * Math.sin(phi) * Math.cos(theta),
+            radius * Math.cos(phi),
+            radius * Math.sin(phi) * Math.sin(theta)
+        );
+        this.camera.lookAt(0, 0, 0);
+    }
+    
+    /**
+     * Fit the canvas to the container
+     */
+    resize() {
+        const width = Math.max(1, this.container.clientWidth);
+        const height = Math.max(1, this.container.clientHeight);
+        
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+    }
+    
+    /**
+     * Advance and draw one frame
+     * @param {number} delta - Seconds to advance (real time since the last frame if omitted)
+     */
+    frame(delta) {
+        this.clock.tick(delta);
+        this.structure.update();
+        this.reportChanges();
+        this.renderer.render(this.scene, this.camera);
+    }
+    
+    /**
+     * Start the render loop
+     */
+    start() {
+        if (this.frameId !== null) return;
+        
+        const loop = () => {
+            this.frameId = requestAnimationFrame(loop);
+            this.frame();
+        };
+        this.clock.resync();
+        this.frameId = requestAnimationFrame(loop);
+    }
+    
+    /**
+     * Stop the render loop
+     */
+    stop() {
+        if (this.frameId === null) return;
+        
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+    
+    /**
+     * Stop drawing and release the structure and lights, and the renderer
+     * and its WebGL context if the viewer created them
+     */
+    dispose() {
+        this.stop();
+        
+        const canvas = this.renderer.domElement;
+        Object.entries(this.orbitHandlers).forEach(([type, handler]) => {
+            canvas.removeEventListener(type, handler);
+        });
+        
+        this.structure.dispose();
+        this.lightingRig.dispose();
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+        }
+        if (this.ownsRenderer) {
+            this.renderer.forceContextLoss();
+            this.renderer.dispose();
+        }
+        if (canvas.parentNode) {
+            canvas.parentNode.removeChild(canvas);
+        }
+        
+        console.log('Viewer disposed');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * InstancedRenderer.js
+ * ============================================
+ * Draws a deployable structure with two THREE.InstancedMesh objects: one
+ * for every strut (scissor bars, connection struts and ties) and one for
+ * every pivot and hinge hub.
+ * 
+ * The scissor links keep computing their own mesh transforms, which the
+ * linkage analyzer relies on, but those meshes are taken out of the scene
+ * graph. Each update copies their transforms into the instance buffers in
+ * bulk, so the structure costs two draw calls whatever its size.
+ */
+
+class InstancedRenderer {
+    /**
+     * Create an instanced renderer for a structure
+     * @param {DeployableStructure} structure - The structure to draw
+     */
+    constructor(structure) {
+        this.structure = structure;
+        
+        // Unit shapes, scaled per instance to each part's radius and length
+        this.strutGeometry = new THREE.CylinderGeometry(1, 1, 1, 8);
+        this.pivotGeometry = new THREE.SphereGeometry(1, 16, 16);
+        
+        this.strutMesh = null;
+        this.pivotMesh = null;
+        
+        // Parts as { mesh, radius, length } mirrored into the instance buffers
+        this.struts = [];
+        this.pivots = [];
+        
+        // Links array the parts were collected from; replaced on every rebuild
+        this.links = null;
+        
+        this.matrix = new THREE.Matrix4();
+        this.scale = new THREE.Vector3();
+    }
+    
+    /**
+     * Collect the structure's parts, hide their individual meshes and
+     * (re)create the instance buffers
+     */
+    rebuild() {
+        this.restoreMeshes();
+        this.struts = [];
+        this.pivots = [];
+        this.links = this.structure.scissorLinks;
+        
+        const addStrut = (mesh) => {
+            const { radiusTop, height } = mesh.geometry.parameters;
+            this.struts.push({ mesh: mesh, radius: radiusTop, length: height });
+        };
+        const addPivot = (mesh) => {
+            // Spheres scale evenly, so their length is their radius
+            const radius = mesh.geometry.parameters.radius;
+            this.pivots.push({ mesh: mesh, radius: radius, length: radius });
+        };
+        
+        this.links.forEach(link => {
+            link.getBars().forEach(bar => bar.segments.forEach(segment => addStrut(segment.mesh)));
+            addPivot(link.pivot);
+            
+            // Detach rather than hide so thousands of meshes skip the scene traversal
+            link.scene.remove(link.strut1, link.strut2, link.pivot);
+        });
+        
+        this.structure.getGroup().children.forEach(child => {
+            if (child.userData.isConnectionStrut || child.userData.isTie) {
+                addStrut(child);
+                child.visible = false;
+            } else if (child.userData.isHub) {
+                addPivot(child);
+                child.visible = false;
+            }
+        });
+        
+        this.strutMesh = this.replaceMesh(this.strutMesh, this.strutGeometry, this.struts.length);
+        this.pivotMesh = this.replaceMesh(this.pivotMesh, this.pivotGeometry, this.pivots.length);
+    }
+    
+    /**
+     * Swap an instanced mesh for one sized to the current part count
+     * @param {THREE.InstancedMesh} previous - Mesh to replace, if any
+     * @param {THREE.BufferGeometry} geometry - Unit geometry
+     * @param {number} count - Number of instances
+     * @returns {THREE.InstancedMesh}
+     */
+    replaceMesh(previous, geometry, count) {
+        const group = this.structure.getGroup();
+        
+        if (previous) {
+            group.remove(previous);
+            previous.dispose();
+        }
+        
+        const mesh = new THREE.InstancedMesh(geometry, this.structure.material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        
+        // Instances spread far beyond the unit geometry's bounds
+        mesh.frustumCulled = false;
+        
+        group.add(mesh);
+        return mesh;
+    }
+    
+    /**
+     * Copy the current part transforms into the instance buffers
+     */
+    update() {
+        if (this.links !== this.structure.scissorLinks) {
+            this.rebuild();
+        }
+        
+        this.writeInstances(this.strutMesh, this.struts);
+        this.writeInstances(this.pivotMesh, this.pivots);
+    }
+    
+    /**
+     * Write one matrix per part
+     * @param {THREE.InstancedMesh} instancedMesh - Target buffer
+     * @param {Array<Object>} parts - Parts as { mesh, radius, length }
+     */
+    writeInstances(instancedMesh, parts) {
+        parts.forEach((part, i) => {
+            const mesh = part.mesh;
+            this.scale.set(
+                mesh.scale.x * part.radius,
+                mesh.scale.y * part.length,
+                mesh.scale.z * part.radius
+            );
+            this.matrix.compose(mesh.position, mesh.quaternion, this.scale);
+            instancedMesh.setMatrixAt(i, this.matrix);
+        });
+        
+        instancedMesh.instanceMatrix.needsUpdate = true;
+    }
+    
+    /**
+     * Use a new material for both buffers
+     * @param {THREE.Material} material - New material
+     */
+    setMaterial(material) {
+        if (this.strutMesh) this.strutMesh.material = material;
+        if (this.pivotMesh) this.pivotMesh.material = material;
+    }
+    
+    /**
+     * Put the individual meshes back into the scene graph
+     */
+    restoreMeshes() {
+        // Links replaced by a rebuild of the structure are already disposed
+        if (this.links === this.structure.scissorLinks) {
+            this.links.forEach(link => link.scene.add(link.strut1, link.strut2, link.pivot));
+        }
+        
+        this.struts.concat(this.pivots).forEach(part => {
+            part.mesh.visible = true;
+        });
+    }
+    
+    /**
+     * Remove the instance buffers and restore the individual meshes
+     */
+    dispose() {
+        this.restoreMeshes();
+        
+        const group = this.structure.getGroup();
+        [this.strutMesh, this.pivotMesh].forEach(mesh => {
+            if (mesh) {
+                group.remove(mesh);
+                mesh.dispose();
+            }
+        });
+        
+        this.strutGeometry.dispose();
+        this.pivotGeometry.dispose();
+        this.strutMesh = null;
+        this.pivotMesh = null;
+        this.struts = [];
+        this.pivots = [];
+        this.links = null;
+    }
+}
\ No newline at end of file
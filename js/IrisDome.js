@@ -0,0 +1,108 @@
+/**
+ * IrisDome.js
+ * ============================================
+ * A retractable iris dome.
+ * 
+ * The dome is a stack of horizontal Hoberman rings on a hemisphere, from the
+ * fixed rim ring up to an oculus at the top. Opening the dome slides every
+ * ring down the surface towards the rim while it widens, so the aperture
+ * grows like a camera iris. Each ring is an exact one-degree-of-freedom
+ * scissor chain; the meridian ties between rings telescope as they close up.
+ * 
+ * It is not one mechanism. The rings are kinematically independent: nothing
+ * pins one ring's height or expansion to the next, so LinkageAnalyzer counts
+ * 29 degrees of freedom for the default five rings. updateLinks drives each
+ * ring to its own latitude and expansion, which is what makes them open
+ * together.
+ * 
+ * The expansion factor is the aperture: 0 = dome closed, 1 = fully retracted.
+ */
+
+class IrisDome extends DeployableStructure {
+    /**
+     * Creates an iris dome
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} options - Configuration options
+     */
+    constructor(scene, options = {}) {
+        super(scene, options);
+        
+        this.structureType = 'dome';
+        
+        Object.assign(this.config, {
+            rings: options.rings || 5,                           // Rings from rim to oculus
+            topLatitude: options.topLatitude || Math.PI * 0.4,  // Latitude of the top ring when closed
+            segments: options.segments || 0                      // Pairs per ring (0 = enough for the top ring)
+        });
+        
+        // Rings as { latitude, links } from the rim up
+        this.rings = [];
+        
+        // Sit the rim below the view centre so the dome is framed as a whole
+        this.group.position.y = -this.config.maxRadius / 2;
+        
+        this.buildDome();
+        
+        // Hand the finished parts to the bulk renderer if requested
+        this.setInstanced(this.config.instanced);
+    }
+    
+    /**
+     * Build the stacked rings and the meridian ties between them
+     */
+    buildDome() {
+        const { maxRadius, rings, topLatitude } = this.config;
+        const segments = this.config.segments ||
+            this.getUnitsPerEdge(Math.PI * 2, Math.cos(topLatitude));
+        
+        let previous = null;
+        for (let r = 0; r < rings; r++) {
+            const latitude = rings > 1 ? (r / (rings - 1)) * topLatitude : 0;
+            
+            const hinges = [];
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                hinges.push(this.createHinge(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle))));
+            }
+            
+            // Each ring widens from its closed latitude circle out to the rim
+            const links = this.createChain(hinges, {
+                closed: true,
+                minRadius: maxRadius * Math.cos(latitude),
+                maxRadius: maxRadius,
+                origin: new THREE.Vector3(0, maxRadius * Math.sin(latitude), 0)
+            });
+            this.rings.push({ latitude: latitude, links: links });
+            
+            // Meridian ties join matching outer hinges of neighbouring rings
+            if (previous) {
+                hinges.forEach((hinge, i) => this.createTie(previous[i].outer[0], hinge.outer[0]));
+            }
+            previous = hinges;
+        }
+        
+        this.setExpansion(this.expansionFactor);
+        
+        console.log(`Iris Dome built with ${this.scissorLinks.length} scissor links`);
+    }
+    
+    /**
+     * Move each ring to its latitude for the current aperture
+     * (0 = closed, 1 = fully retracted)
+     */
+    updateLinks() {
+        const maxRadius = this.config.maxRadius;
+        
+        this.rings.forEach(ring => {
+            // Rings slide down the hemisphere, reaching the rim when fully open
+            const latitude = ring.latitude * (1 - this.expansionFactor);
+            const radius = maxRadius * Math.cos(latitude);
+            
+            ring.links.forEach(link => {
+                const span = link.maxRadius - link.minRadius;
+                link.origin.y = maxRadius * Math.sin(latitude);
+                link.setExpansion(span > 0 ? (radius - link.minRadius) / span : 0);
+            });
+        });
+    }
+}
\ No newline at end of file
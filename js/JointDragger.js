@@ -0,0 +1,214 @@
+/**
+ * JointDragger.js
+ * ============================================
+ * Direct manipulation: grab a joint and pull to expand or contract.
+ * 
+ * A ray from the pointer picks a scissor pivot or hinge hub (individual
+ * meshes, or instances of the InstancedRenderer's pivot mesh). On grab the
+ * joint's path is sampled across the whole expansion range, in the
+ * structure's own coordinates, because the mechanism only lets a joint move
+ * along that one path. Dragging sets the expansion at the point of the path
+ * closest to the pointer ray, like pulling on a real Hoberman sphere.
+ * 
+ * On release the structure can spring back to the expansion it was grabbed
+ * at. The spring runs in real time on its own clock, so it still settles
+ * while the shared animation clock is paused.
+ */
+
+class JointDragger {
+    /**
+     * Create a dragger for a structure
+     * @param {DeployableStructure} structure - The structure to manipulate
+     * @param {THREE.Camera} camera - The camera the pointer looks through
+     * @param {Object} options - { springBack, stiffness, damping, samples, now: time source for the spring }
+     */
+    constructor(structure, camera, options = {}) {
+        this.structure = structure;
+        this.camera = camera;
+        
+        this.springBack = options.springBack || false;
+        this.stiffness = options.stiffness || 120;
+        this.damping = options.damping || 12; // Slightly under-damped: overshoots once
+        this.samples = options.samples || 32;
+        
+        this.raycaster = new THREE.Raycaster();
+        this.springClock = new AnimationClock({ now: options.now });
+        
+        // Current grab: { mesh, path, restExpansion }
+        this.grab = null;
+        
+        // Spring-back state
+        this.isSpringing = false;
+        this.velocity = 0;
+        this.restExpansion = 0;
+    }
+    
+    /**
+     * Expansion factor at the point of a sampled joint path closest to a ray
+     * @param {Array<THREE.Vector3>} path - Joint positions at evenly spaced expansions from 0 to 1
+     * @param {THREE.Ray} ray - Pointer ray, in the same space as the path
+     * @returns {number} Expansion factor (0-1)
+     */
+    static getPathExpansion(path, ray) {
+        const onSegment = new THREE.Vector3();
+        let best = { distance: Infinity, expansion: 0 };
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const distance = ray.distanceSqToSegment(path[i], path[i + 1], null, onSegment);
+            
+            if (distance < best.distance) {
+                const length = path[i].distanceTo(path[i + 1]);
+                const t = length > 0 ? path[i].distanceTo(onSegment) / length : 0;
+                best = { distance: distance, expansion: (i + t) / (path.length - 1) };
+            }
+        }
+        return best.expansion;
+    }
+    
+    /**
+     * Manipulate another structure, dropping any grab or spring in progress
+     * @param {DeployableStructure} structure - The new structure
+     */
+    setStructure(structure) {
+        this.structure = structure;
+        this.grab = null;
+        this.isSpringing = false;
+    }
+    
+    /**
+     * Whether a joint is held
+     * @returns {boolean}
+     */
+    isDragging() {
+        return this.grab !== null;
+    }
+    
+    /**
+     * Meshes the pointer can grab: pivots and hinge hubs
+     * @returns {Array<THREE.Mesh>}
+     */
+    getTargets() {
+        const renderer = this.structure.instancedRenderer;
+        if (renderer) {
+            return renderer.pivotMesh ? [renderer.pivotMesh] : [];
+        }
+        
+        const hubs = this.structure.getGroup().children.filter(child => child.userData.isHub);
+        return this.structure.scissorLinks.map(link => link.pivot).concat(hubs);
+    }
+    
+    /**
+     * Find the joint under the pointer
+     * @param {THREE.Vector2} pointer - Pointer in normalized device coordinates (-1 to 1)
+     * @returns {THREE.Mesh|null} The joint's own mesh, also when drawn instanced
+     */
+    pick(pointer) {
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.intersectObjects(this.getTargets(), false)[0];
+        
+        if (!hit) {
+            return null;
+        }
+        if (hit.instanceId !== undefined) {
+            return this.structure.instancedRenderer.pivots[hit.instanceId].mesh;
+        }
+        return hit.object;
+    }
+    
+    /**
+     * Grab the joint under the pointer, if any
+     * @param {THREE.Vector2} pointer - Pointer in normalized device coordinates
+     * @returns {boolean} Whether a joint was grabbed (otherwise the camera may orbit)
+     */
+    begin(pointer) {
+        const mesh = this.pick(pointer);
+        if (!mesh) {
+            return false;
+        }
+        
+        const structure = this.structure;
+        const restExpansion = this.isSpringing ? this.restExpansion : structure.getExpansionFactor();
+        const current = structure.getExpansionFactor();
+        
+        // Sample the path the joint can travel (pivot and hub positions are group-local)
+        const path = [];
+        for (let i = 0; i <= this.samples; i++) {
+            structure.setExpansion(i / this.samples);
+            path.push(mesh.position.clone());
+        }
+        structure.setExpansion(current);
+        
+        this.grab = { mesh: mesh, path: path, restExpansion: restExpansion };
+        this.isSpringing = false;
+        
+        console.log(`Grabbed joint at ${Math.round(current * 100)}% expansion`);
+        return true;
+    }
+    
+    /**
+     * Move the held joint toward the pointer
+     * @param {THREE.Vector2} pointer - Pointer in normalized device coordinates
+     */
+    drag(pointer) {
+        if (!this.grab) return;
+        
+        const group = this.structure.getGroup();
+        group.updateMatrixWorld();
+        
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const ray = this.raycaster.ray.clone().applyMatrix4(new THREE.Matrix4().copy(group.matrixWorld).invert());
+        
+        this.structure.setExpansion(JointDragger.getPathExpansion(this.grab.path, ray));
+    }
+    
+    /**
+     * Let go of the held joint
+     */
+    end() {
+        if (!this.grab) return;
+        
+        if (this.springBack) {
+            this.restExpansion = this.grab.restExpansion;
+            this.velocity = 0;
+            this.isSpringing = true;
+            this.springClock.resync();
+        }
+        
+        this.grab = null;
+        console.log(`Released joint at ${Math.round(this.structure.getExpansionFactor() * 100)}% expansion`);
+    }
+    
+    /**
+     * Advance the spring-back, called every frame
+     * @param {number} deltaTime - Seconds to advance (read from the spring's own clock if omitted)
+     * @returns {boolean} True on the frame the spring comes to rest
+     */
+    update(deltaTime) {
+        if (!this.isSpringing) {
+            return false;
+        }
+        
+        // Playing, stepping or scrubbing hands the expansion back to the timeline
+        if (this.structure.isAnimating) {
+            this.isSpringing = false;
+            return false;
+        }
+        
+        const dt = deltaTime !== undefined ? deltaTime : this.springClock.tick();
+        const expansion = this.structure.getExpansionFactor();
+        const offset = expansion - this.restExpansion;
+        
+        // Semi-implicit Euler on a damped spring
+        this.velocity += (-this.stiffness * offset - this.damping * this.velocity) * dt;
+        const next = expansion + this.velocity * dt;
+        
+        if (Math.abs(next - this.restExpansion) < 1e-4 && Math.abs(this.velocity) < 1e-3) {
+            this.structure.setExpansion(this.restExpansion);
+            this.isSpringing = false;
+            return true;
+        }
+        
+        this.structure.setExpansion(next);
+        return false;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * KeyboardShortcuts.js
+ * ============================================
+ * The keyboard shortcut map: which key does what.
+ * 
+ * Each binding names an action and the value it is run with, so one entry
+ * covers a family of keys (the four arrows all orbit, in different
+ * directions). Controls runs the actions; the help overlay is rendered from
+ * the same list, so the two cannot drift apart.
+ * 
+ * Keys typed into a text field, select or slider are left alone, as are
+ * combinations with Ctrl, Alt or Meta, which belong to the browser.
+ */
+
+class KeyboardShortcuts {
+    /**
+     * Bindings in help order
+     * @returns {Array<Object>} { label: keys as shown in the help, description, action,
+     *     keys: KeyboardEvent.key to the value the action is run with }
+     */
+    static get BINDINGS() {
+        return [
+            { label: 'Space', description: 'Play or pause', action: 'togglePlay', keys: { ' ': null } },
+            {
+                label: '← → ↑ ↓',
+                description: 'Orbit the camera',
+                action: 'orbit',
+                keys: { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+            },
+            { label: '+ −', description: 'Zoom in or out', action: 'zoom', keys: { '+': -1, '=': -1, '-': 1, '_': 1 } },
+            { label: '[ ]', description: 'Slower or faster', action: 'speed', keys: { '[': -1, ']': 1 } },
+            {
+                label: '1 2 3',
+                description: 'Metallic, matte or glossy material',
+                action: 'material',
+                keys: { '1': 'metallic', '2': 'matte', '3': 'glossy' }
+            },
+            { label: 'F', description: 'Fullscreen', action: 'fullscreen', keys: { f: null, F: null } },
+            { label: '?', description: 'Show or hide this help', action: 'help', keys: { '?': null } },
+            { label: 'Esc', description: 'Close this help', action: 'closeHelp', keys: { Escape: null } }
+        ];
+    }
+    
+    /**
+     * Whether keys pressed in an element are the element's own: typing in a
+     * field, moving a slider, choosing an option, or Space on a button
+     * @param {Element} target - The key event's target
+     * @param {string} key - KeyboardEvent.key
+     * @returns {boolean}
+     */
+    static isOwnKey(target, key) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) {
+            return key !== 'Escape';
+        }
+        return key === ' ' && target.tagName === 'BUTTON';
+    }
+    
+    /**
+     * Find the shortcut for a key press
+     * @param {KeyboardEvent} event - The key press
+     * @returns {{action: string, value: *}|null} The action to run, or null if the key is not a shortcut here
+     */
+    static resolve(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) {
+            return null;
+        }
+        if (KeyboardShortcuts.isOwnKey(event.target, event.key)) {
+            return null;
+        }
+        
+        const binding = KeyboardShortcuts.BINDINGS.find(candidate =>
+            Object.prototype.hasOwnProperty.call(candidate.keys, event.key));
+        return binding ? { action: binding.action, value: binding.keys[event.key] } : null;
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyboardShortcuts;
+}
\ No newline at end of file
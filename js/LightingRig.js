@@ -0,0 +1,136 @@
+/**
+ * LightingRig.js
+ * ============================================
+ * The scene's lights, with named rigs that recolour and rebalance them.
+ * 
+ * One set of lights is created once (ambient, key, fill, rim, two accent
+ * point lights and a hemisphere light); a rig only changes their colours
+ * and intensities, so switching is instant and the key light keeps its
+ * shadow map. 'studio' is the original lighting of the viewer.
+ */
+
+class LightingRig {
+    /**
+     * Create the lights and add them to a scene
+     * @param {THREE.Scene} scene - The scene to light
+     * @param {string} rig - Initial rig, a key of LightingRig.RIGS
+     */
+    constructor(scene, rig = 'studio') {
+        this.scene = scene;
+        this.rig = null;
+        
+        this.lights = {
+            // Base illumination
+            ambient: new THREE.AmbientLight(),
+            // Main directional light, the only one casting shadows
+            key: new THREE.DirectionalLight(),
+            // Opposite side
+            fill: new THREE.DirectionalLight(),
+            // From below for dramatic effect
+            rim: new THREE.DirectionalLight(),
+            // Point lights for dynamic highlights
+            accent1: new THREE.PointLight(0xffffff, 1, 50),
+            accent2: new THREE.PointLight(0xffffff, 1, 50),
+            // Sky and ground colour variation
+            hemisphere: new THREE.HemisphereLight()
+        };
+        
+        const { key, fill, rim, accent1, accent2 } = this.lights;
+        key.position.set(10, 10, 10);
+        key.castShadow = true;
+        key.shadow.mapSize.width = 2048;
+        key.shadow.mapSize.height = 2048;
+        fill.position.set(-10, 5, -10);
+        rim.position.set(0, -10, 5);
+        accent1.position.set(15, 15, 15);
+        accent2.position.set(-15, 10, -15);
+        
+        Object.values(this.lights).forEach(light => scene.add(light));
+        this.setRig(rig);
+    }
+    
+    /**
+     * Rigs as light name to { color, intensity } (hemisphere lights also take groundColor)
+     * @returns {Object}
+     */
+    static get RIGS() {
+        return {
+            studio: {
+                ambient: { color: 0xffffff, intensity: 0.4 },
+                key: { color: 0xffffff, intensity: 0.8 },
+                fill: { color: 0x4466ff, intensity: 0.4 },
+                rim: { color: 0xff6644, intensity: 0.3 },
+                accent1: { color: 0x00aaff, intensity: 1.5 },
+                accent2: { color: 0xff00aa, intensity: 1.0 },
+                hemisphere: { color: 0x4466ff, groundColor: 0x002244, intensity: 0.3 }
+            },
+            showroom: {
+                ambient: { color: 0xffffff, intensity: 0.55 },
+                key: { color: 0xfff4e6, intensity: 1.1 },
+                fill: { color: 0xdde6ff, intensity: 0.6 },
+                rim: { color: 0xffffff, intensity: 0.4 },
+                accent1: { color: 0xffffff, intensity: 0.6 },
+                accent2: { color: 0xffe0c0, intensity: 0.4 },
+                hemisphere: { color: 0xffffff, groundColor: 0x404040, intensity: 0.4 }
+            },
+            blueprint: {
+                ambient: { color: 0xcfe3ff, intensity: 0.8 },
+                key: { color: 0xffffff, intensity: 0.5 },
+                fill: { color: 0x88bbff, intensity: 0.5 },
+                rim: { color: 0x88bbff, intensity: 0.2 },
+                accent1: { color: 0xffffff, intensity: 0 },
+                accent2: { color: 0xffffff, intensity: 0 },
+                hemisphere: { color: 0xffffff, groundColor: 0x1a3a6a, intensity: 0.5 }
+            },
+            neon: {
+                ambient: { color: 0x220033, intensity: 0.2 },
+                key: { color: 0xff44ff, intensity: 0.4 },
+                fill: { color: 0x00ffff, intensity: 0.8 },
+                rim: { color: 0xff0066, intensity: 0.8 },
+                accent1: { color: 0x00ffff, intensity: 2.5 },
+                accent2: { color: 0xff00ff, intensity: 2.5 },
+                hemisphere: { color: 0x6600ff, groundColor: 0x000000, intensity: 0.2 }
+            },
+            dramatic: {
+                ambient: { color: 0xffffff, intensity: 0.1 },
+                key: { color: 0xffffff, intensity: 1.4 },
+                fill: { color: 0x4466ff, intensity: 0.1 },
+                rim: { color: 0xff6644, intensity: 0.9 },
+                accent1: { color: 0x00aaff, intensity: 0.3 },
+                accent2: { color: 0xff00aa, intensity: 0.2 },
+                hemisphere: { color: 0x4466ff, groundColor: 0x000000, intensity: 0.1 }
+            }
+        };
+    }
+    
+    /**
+     * Switch to another rig
+     * @param {string} rig - A key of LightingRig.RIGS
+     */
+    setRig(rig) {
+        const settings = LightingRig.RIGS[rig];
+        if (!settings) {
+            throw new Error(`Unknown lighting rig: ${rig}`);
+        }
+        
+        Object.entries(settings).forEach(([name, light]) => {
+            this.lights[name].color.setHex(light.color);
+            this.lights[name].intensity = light.intensity;
+            if (light.groundColor !== undefined) {
+                this.lights[name].groundColor.setHex(light.groundColor);
+            }
+        });
+        
+        this.rig = rig;
+    }
+    
+    /**
+     * Remove the lights from the scene
+     */
+    dispose() {
+        Object.values(this.lights).forEach(light => {
+            this.scene.remove(light);
+            if (light.shadow && light.shadow.map) light.shadow.map.dispose();
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,534 @@
+/**
+ * LinkageAnalyzer.js
+ * ============================================
+ * Diagnostic checks for the scissor linkage of a Hoberman Sphere or any
+ * other DeployableStructure.
+ * 
+ * For a given expansion factor the analyzer measures:
+ * - Joint closure: how far apart hinge points that should coincide are
+ *   (shared hinges between units, strut tips on their hinges, connection
+ *   struts on the links they join)
+ * - Strut drift: how far the span between a strut's hinges is from the
+ *   strut's built length
+ * - Mobility: a Kutzbach count and a numeric estimate from the rank of the
+ *   joint constraint matrix
+ * 
+ * Violating joints can be drawn as red markers inside the sphere group.
+ */
+
+class LinkageAnalyzer {
+    /**
+     * Create an analyzer for a Hoberman sphere or another structure
+     * @param {DeployableStructure} hobermanSphere - The structure to inspect
+     * @param {Object} options - Analysis options
+     */
+    constructor(hobermanSphere, options = {}) {
+        this.sphere = hobermanSphere;
+        
+        // Distances above the tolerance count as violations
+        this.tolerance = options.tolerance || 1e-4;
+        
+        // The rank estimate is skipped above this many unknowns
+        this.maxMobilityUnknowns = options.maxMobilityUnknowns || 6000;
+        
+        // Pivots below this size count as zero. Joint positions themselves
+        // only close to about 1e-7, so the threshold sits well above that.
+        this.rankTolerance = options.rankTolerance || 1e-6;
+        
+        // Red markers drawn at violating joints
+        this.markers = [];
+        this.markerGeometry = null;
+        this.markerMaterial = null;
+    }
+    
+    /**
+     * Analyze the linkage at an expansion factor
+     * @param {number} factor - Expansion factor (0-1), defaults to the current one
+     * @param {Object} options - { mobility: false } skips the mobility estimate
+     * @returns {Object} Structured report
+     */
+    analyze(factor = this.sphere.getExpansionFactor(), options = {}) {
+        const previousFactor = this.sphere.getExpansionFactor();
+        const moved = factor !== previousFactor;
+        
+        if (moved) {
+            this.sphere.setExpansion(factor);
+        }
+        
+        const joints = this.measureJoints();
+        const struts = this.measureStruts();
+        const mobility = options.mobility === false ? null : this.estimateMobility();
+        
+        const report = {
+            expansionFactor: this.sphere.getExpansionFactor(),
+            mechanism: this.sphere.config.mechanism,
+            tolerance: this.tolerance,
+            joints: joints,
+            struts: struts,
+            maxJointError: joints.reduce((max, joint) => Math.max(max, joint.error), 0),
+            maxStrutDrift: struts.reduce((max, strut) => Math.max(max, strut.drift), 0),
+            violations: {
+                joints: joints.filter(joint => joint.error > this.tolerance),
+                struts: struts.filter(strut => strut.drift > this.tolerance)
+            },
+            mobility: mobility
+        };
+        
+        report.isValid = report.violations.joints.length === 0 &&
+            report.violations.struts.length === 0;
+        
+        if (moved) {
+            this.sphere.setExpansion(previousFactor);
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Sweep the expansion range and collect the worst errors
+     * @param {number} steps - Number of samples between 0 and 1
+     * @returns {Object} { samples, maxJointError, maxStrutDrift, isValid }
+     */
+    sweep(steps = 20) {
+        const samples = [];
+        
+        for (let i = 0; i <= steps; i++) {
+            const report = this.analyze(i / steps, { mobility: false });
+            samples.push({
+                expansionFactor: report.expansionFactor,
+                maxJointError: report.maxJointError,
+                maxStrutDrift: report.maxStrutDrift
+            });
+        }
+        
+        return {
+            samples: samples,
+            maxJointError: samples.reduce((max, s) => Math.max(max, s.maxJointError), 0),
+            maxStrutDrift: samples.reduce((max, s) => Math.max(max, s.maxStrutDrift), 0),
+            isValid: samples.every(s => s.maxJointError <= this.tolerance && s.maxStrutDrift <= this.tolerance)
+        };
+    }
+    
+    /**
+     * Measure every place where two hinge points should coincide
+     * @returns {Array<Object>} Joints as { type, label, position, error }
+     */
+    measureJoints() {
+        const joints = [];
+        const links = this.sphere.scissorLinks;
+        
+        // Hinges shared between neighbouring units (linkage mechanism)
+        this.sphere.hinges.forEach((hinge, hingeIndex) => {
+            ['outer', 'inner'].forEach(side => {
+                const points = hinge[side].map(member => member.link.endpoints[member.endpoint]);
+                joints.push({
+                    type: 'hinge',
+                    label: `hinge ${hingeIndex} (${side})`,
+                    position: points[0].clone(),
+                    error: this.spread(points)
+                });
+            });
+        });
+        
+        // Strut tips on the hinge points they are supposed to span
+        links.forEach((link, linkIndex) => {
+            link.getBars().forEach(bar => {
+                bar.segments.forEach((segment, segmentIndex) => {
+                    const [tipA, tipB] = this.getStrutTips(segment.mesh);
+                    const error = Math.min(
+                        Math.max(tipA.distanceTo(segment.from), tipB.distanceTo(segment.to)),
+                        Math.max(tipA.distanceTo(segment.to), tipB.distanceTo(segment.from))
+                    );
+                    joints.push({
+                        type: 'strut-end',
+                        label: `link ${linkIndex} ${bar.name}.${segmentIndex}`,
+                        position: segment.from.clone(),
+                        error: error
+                    });
+                });
+            });
+        });
+        
+        // Connection struts on the outer ends of the links they join
+        this.getConnectionStruts().forEach((strut, strutIndex) => {
+            const [from, to] = this.getConnectionTargets(strut);
+            const [tipA, tipB] = this.getStrutTips(strut);
+            const error = Math.min(
+                Math.max(tipA.distanceTo(from), tipB.distanceTo(to)),
+                Math.max(tipA.distanceTo(to), tipB.distanceTo(from))
+            );
+            joints.push({
+                type: 'connection',
+                label: `connection strut ${strutIndex}`,
+                position: from.clone(),
+                error: error
+            });
+        });
+        
+        return joints;
+    }
+    
+    /**
+     * Compare the span between each strut's hinges with its built length
+     * @returns {Array<Object>} Struts as { label, restLength, length, drift, position }
+     */
+    measureStruts() {
+        const struts = [];
+        
+        const addStrut = (label, mesh, from, to) => {
+            const restLength = mesh.geometry.parameters.height;
+            const length = from.distanceTo(to);
+            struts.push({
+                label: label,
+                restLength: restLength,
+                length: length,
+                drift: Math.abs(length - restLength),
+                position: from.clone().add(to).multiplyScalar(0.5)
+            });
+        };
+        
+        this.sphere.scissorLinks.forEach((link, linkIndex) => {
+            link.getBars().forEach(bar => {
+                bar.segments.forEach((segment, segmentIndex) => {
+                    addStrut(`link ${linkIndex} ${bar.name}.${segmentIndex}`, segment.mesh, segment.from, segment.to);
+                });
+            });
+        });
+        
+        this.getConnectionStruts().forEach((strut, strutIndex) => {
+            const [from, to] = this.getConnectionTargets(strut);
+            addStrut(`connection strut ${strutIndex}`, strut, from, to);
+        });
+        
+        return struts;
+    }
+    
+    /**
+     * Estimate the mechanism's degrees of freedom.
+     * 
+     * Every bar is a rigid body. Scissor pivots and hinges between coplanar
+     * bars are revolute joints; bars from several planes meeting on one spoke
+     * turn on a hub body. The Kutzbach count ignores redundant constraints,
+     * which symmetric linkages such as the Hoberman sphere are full of, so the
+     * numeric estimate solves for the rank of the velocity constraints instead.
+     * @returns {Object} { bodies, revoluteJoints, sphericalJoints, kutzbach, numeric, redundantConstraints }
+     */
+    estimateMobility() {
+        const { bodies, joints } = this.buildJointModel();
+        
+        const constraintCount = joints.reduce(
+            (sum, joint) => sum + (joint.type === 'revolute' ? 5 : 3), 0
+        );
+        const unknowns = bodies.length * 6;
+        
+        // Free-floating structure: discount the six rigid-body motions
+        const mobility = {
+            bodies: bodies.length,
+            revoluteJoints: joints.filter(joint => joint.type === 'revolute').length,
+            sphericalJoints: joints.filter(joint => joint.type === 'spherical').length,
+            kutzbach: unknowns - constraintCount - 6,
+            numeric: null,
+            redundantConstraints: null
+        };
+        
+        if (unknowns <= this.maxMobilityUnknowns) {
+            const rank = this.constraintRank(bodies, joints);
+            mobility.numeric = unknowns - rank - 6;
+            mobility.redundantConstraints = constraintCount - rank;
+        }
+        
+        return mobility;
+    }
+    
+    /**
+     * Build rigid bodies and joints from the sphere's links, hinges and struts
+     * @returns {{bodies: Array<Object>, joints: Array<Object>}}
+     */
+    buildJointModel() {
+        const bodies = [];
+        const joints = [];
+        const barBodies = new Map(); // link -> { endpoint name -> body }
+        
+        const addBody = (centroid) => {
+            const body = { index: bodies.length, centroid: centroid.clone() };
+            bodies.push(body);
+            return body;
+        };
+        
+        this.sphere.scissorLinks.forEach(link => {
+            const byEndpoint = {};
+            const bars = link.getBars().map(bar => {
+                const centroid = new THREE.Vector3();
+                bar.endpoints.forEach(name => centroid.add(link.endpoints[name]));
+                const body = addBody(centroid.divideScalar(bar.endpoints.length));
+                bar.endpoints.forEach(name => {
+                    byEndpoint[name] = body;
+                });
+                return body;
+            });
+            barBodies.set(link, byEndpoint);
+            
+            // The two bars of a unit turn on the central pivot
+            joints.push({
+                type: 'revolute',
+                bodyA: bars[0],
+                bodyB: bars[1],
+                point: link.position.clone(),
+                axis: link.getPivotAxis()
+            });
+        });
+        
+        this.sphere.hinges.forEach(hinge => {
+            ['outer', 'inner'].forEach(side => {
+                const members = hinge[side].map(member => ({
+                    body: barBodies.get(member.link)[member.endpoint],
+                    point: member.link.endpoints[member.endpoint],
+                    axis: member.link.getPivotAxis()
+                }));
+                const point = members[0].point;
+                const coplanar = members.every(member =>
+                    Math.abs(member.axis.dot(members[0].axis)) > 1 - 1e-9
+                );
+                
+                if (coplanar) {
+                    for (let i = 1; i < members.length; i++) {
+                        joints.push({ type: 'revolute', bodyA: members[0].body, bodyB: members[i].body, point: point, axis: members[0].axis });
+                    }
+                } else {
+                    const hub = addBody(point);
+                    members.forEach(member => {
+                        joints.push({ type: 'revolute', bodyA: hub, bodyB: member.body, point: point, axis: member.axis });
+                    });
+                }
+            });
+        });
+        
+        // Connection struts are meant to be ball-jointed to the links they join
+        this.getConnectionStruts().forEach(strut => {
+            const targets = this.getConnectionTargets(strut);
+            const body = addBody(strut.position);
+            strut.userData.linkIndices.forEach((linkIndex, end) => {
+                const link = this.sphere.scissorLinks[linkIndex];
+                joints.push({ type: 'spherical', bodyA: body, bodyB: barBodies.get(link).top1, point: targets[end] });
+            });
+        });
+        
+        return { bodies, joints };
+    }
+    
+    /**
+     * Rank of the joint velocity constraints.
+     * 
+     * Unknowns are each body's twist (v, ω); a point p on the body moves at
+     * v + ω × p. Bodies are ordered along the sphere's height so the matrix
+     * stays banded, then reduced column by column with partial pivoting.
+     * @param {Array<Object>} bodies - Rigid bodies with centroids
+     * @param {Array<Object>} joints - Joints between bodies
+     * @returns {number}
+     */
+    constraintRank(bodies, joints) {
+        const order = bodies.slice().sort((a, b) =>
+            a.centroid.y - b.centroid.y || a.centroid.x - b.centroid.x
+        );
+        const column = new Map();
+        order.forEach((body, i) => column.set(body, i * 6));
+        
+        const rows = [];
+        const basis = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+        
+        // One row per constrained direction; coefficients for body A minus body B
+        const addRow = (joint, linear, angular) => {
+            const a = column.get(joint.bodyA);
+            const b = column.get(joint.bodyB);
+            const start = Math.min(a, b);
+            const values = new Float64Array(Math.max(a, b) + 6 - start);
+            
+            for (let k = 0; k < 3; k++) {
+                values[a - start + k] += linear[k];
+                values[a - start + 3 + k] += angular[k];
+                values[b - start + k] -= linear[k];
+                values[b - start + 3 + k] -= angular[k];
+            }
+            
+            const scale = values.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+            rows.push({ start: start, values: values.map(v => v / scale) });
+        };
+        
+        joints.forEach(joint => {
+            // Point coincidence: (v_A + ω_A × p) - (v_B + ω_B × p) = 0
+            basis.forEach(e => {
+                const moment = new THREE.Vector3().crossVectors(joint.point, e);
+                addRow(joint, e.toArray(), moment.toArray());
+            });
+            
+            // Revolute: relative rotation only about the axis
+            if (joint.type === 'revolute') {
+                this.perpendicularsOf(joint.axis).forEach(t => {
+                    addRow(joint, [0, 0, 0], t.toArray());
+                });
+            }
+        });
+        
+        return this.bandedRank(rows, bodies.length * 6);
+    }
+    
+    /**
+     * Rank of a banded matrix by Gaussian elimination with partial pivoting
+     * @param {Array<{start: number, values: Float64Array}>} rows - Rows with a leading offset
+     * @param {number} columns - Number of columns
+     * @returns {number}
+     */
+    bandedRank(rows, columns) {
+        const pending = rows.slice().sort((a, b) => a.start - b.start);
+        const active = [];
+        let next = 0;
+        let rank = 0;
+        
+        for (let c = 0; c < columns; c++) {
+            while (next < pending.length && pending[next].start <= c) {
+                active.push(pending[next++]);
+            }
+            
+            // Largest entry in this column among rows not yet used as pivots
+            let pivotIndex = -1;
+            let pivotValue = this.rankTolerance;
+            active.forEach((row, i) => {
+                const i0 = c - row.start;
+                const value = i0 < row.values.length ? Math.abs(row.values[i0]) : 0;
+                if (value > Math.abs(pivotValue)) {
+                    pivotIndex = i;
+                    pivotValue = row.values[i0];
+                }
+            });
+            if (pivotIndex < 0) continue;
+            
+            rank++;
+            const pivot = active.splice(pivotIndex, 1)[0];
+            const pivotEnd = pivot.start + pivot.values.length;
+            
+            active.forEach(row => {
+                const i0 = c - row.start;
+                const value = i0 < row.values.length ? row.values[i0] : 0;
+                if (value === 0) return;
+                
+                // Widen the row when the pivot reaches further right
+                if (row.start + row.values.length < pivotEnd) {
+                    const values = new Float64Array(pivotEnd - row.start);
+                    values.set(row.values);
+                    row.values = values;
+                }
+                
+                const factor = value / pivotValue;
+                for (let k = c; k < pivotEnd; k++) {
+                    row.values[k - row.start] -= factor * pivot.values[k - pivot.start];
+                }
+            });
+        }
+        
+        return rank;
+    }
+    
+    /**
+     * Draw red markers at violating joints and drifting struts
+     * @param {Object} report - Report returned by analyze()
+     */
+    showViolations(report) {
+        if (!this.markerGeometry) {
+            this.markerGeometry = new THREE.SphereGeometry(this.sphere.config.strutRadius * 3, 12, 12);
+            this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+        }
+        
+        const positions = report.violations.joints.map(joint => joint.position)
+            .concat(report.violations.struts.map(strut => strut.position));
+        
+        // Reuse markers between calls so live checks do not churn meshes
+        while (this.markers.length < positions.length) {
+            const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+            marker.userData.isJointMarker = true;
+            this.sphere.getGroup().add(marker);
+            this.markers.push(marker);
+        }
+        
+        this.markers.forEach((marker, i) => {
+            marker.visible = i < positions.length;
+            if (marker.visible) {
+                marker.position.copy(positions[i]);
+            }
+        });
+    }
+    
+    /**
+     * Remove all violation markers
+     */
+    clearMarkers() {
+        this.markers.forEach(marker => marker.parent && marker.parent.remove(marker));
+        this.markers = [];
+    }
+    
+    /**
+     * Connection struts in the sphere group
+     * @returns {Array<THREE.Mesh>}
+     */
+    getConnectionStruts() {
+        return this.sphere.getGroup().children.filter(child => child.userData.isConnectionStrut);
+    }
+    
+    /**
+     * Points a connection strut is meant to join: the outer ends of its links
+     * @param {THREE.Mesh} strut - Connection strut
+     * @returns {Array<THREE.Vector3>}
+     */
+    getConnectionTargets(strut) {
+        return strut.userData.linkIndices.map(linkIndex => {
+            const link = this.sphere.scissorLinks[linkIndex];
+            return link.endpoints.top1.clone().add(link.endpoints.top2).multiplyScalar(0.5);
+        });
+    }
+    
+    /**
+     * World-independent tip positions of a cylinder strut in its parent's space
+     * @param {THREE.Mesh} mesh - Cylinder mesh aligned with its local Y axis
+     * @returns {Array<THREE.Vector3>}
+     */
+    getStrutTips(mesh) {
+        const halfLength = mesh.geometry.parameters.height * mesh.scale.y / 2;
+        const direction = new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.quaternion);
+        const offset = direction.multiplyScalar(halfLength);
+        return [
+            mesh.position.clone().add(offset),
+            mesh.position.clone().sub(offset)
+        ];
+    }
+    
+    /**
+     * Two unit vectors perpendicular to an axis and to each other
+     * @param {THREE.Vector3} axis - Unit axis
+     * @returns {Array<THREE.Vector3>}
+     */
+    perpendicularsOf(axis) {
+        const helper = Math.abs(axis.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const first = new THREE.Vector3().crossVectors(axis, helper).normalize();
+        const second = new THREE.Vector3().crossVectors(axis, first).normalize();
+        return [first, second];
+    }
+    
+    /**
+     * Largest distance of any point from the first one
+     * @param {Array<THREE.Vector3>} points - Points that should coincide
+     * @returns {number}
+     */
+    spread(points) {
+        return points.reduce((max, point) => Math.max(max, point.distanceTo(points[0])), 0);
+    }
+    
+    /**
+     * Remove markers and free marker resources
+     */
+    dispose() {
+        this.clearMarkers();
+        if (this.markerGeometry) this.markerGeometry.dispose();
+        if (this.markerMaterial) this.markerMaterial.dispose();
+        this.markerGeometry = null;
+        this.markerMaterial = null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * LinkageKinematics.js
+ * ============================================
+ * Headless kinematics for the scissor linkages.
+ * 
+ * Everything here is plain data: vectors are [x, y, z] arrays and rotations
+ * are [x, y, z, w] quaternions, so the module runs in Node without Three.js
+ * or a WebGL context. ScissorLink, AngulatedScissorLink and the structures
+ * only copy its results onto their meshes.
+ * 
+ * A topology is { spokes, units }: unit-length spoke directions and, for
+ * each angulated pair, the indices of the two spokes it spans (with an
+ * optional origin and radius range). solve() turns a topology and an
+ * expansion factor into hinge positions and strut transforms.
+ */
+
+class LinkageKinematics {
+    /**
+     * Solve a straight (radial) scissor unit
+     * @param {Object} unit - { position, axis, strutLength }
+     * @param {number} expansionFactor - 0 = closed, 1 = open at 90 degrees
+     * @returns {Object} { openAngle, pivot, endpoints, struts: [{ position, quaternion, length }] }
+     */
+    static scissorUnit(unit, expansionFactor) {
+        const { position, axis, strutLength } = unit;
+        
+        // At expansion = 0 the scissors are closed (angle = 0),
+        // at expansion = 1 they are open (angle = 90 degrees)
+        const openAngle = expansionFactor * Math.PI / 2;
+        const { perpAxis1, perpAxis2 } = LinkageKinematics.perpendicularAxes(axis);
+        
+        const halfLength = strutLength / 2;
+        const offset = halfLength * Math.sin(openAngle);
+        const height = halfLength * Math.cos(openAngle);
+        const k = LinkageKinematics;
+        
+        // Both struts start along the axis and tip about perpAxis2 in opposite senses
+        const aligned = k.quaternionFromUnitVectors([0, 1, 0], axis);
+        const strut = (side) => ({
+            position: k.add(position, k.scale(perpAxis1, side * offset)),
+            quaternion: k.multiplyQuaternions(aligned, k.quaternionFromAxisAngle(perpAxis2, side * openAngle)),
+            length: strutLength
+        });
+        
+        const endpoint = (up, side) => k.add(
+            k.add(position, k.scale(axis, up * height)),
+            k.scale(perpAxis1, side * offset)
+        );
+        
+        return {
+            openAngle: openAngle,
+            pivot: position.slice(),
+            endpoints: {
+                top1: endpoint(1, 1),
+                top2: endpoint(1, -1),
+                bottom1: endpoint(-1, 1),
+                bottom2: endpoint(-1, -1)
+            },
+            struts: [strut(1), strut(-1)]
+        };
+    }
+    
+    /**
+     * Fixed dimensions of an angulated pair spanning two spokes.
+     * Legs are sized so the outer hinges peak at maxRadius (sin(halfAngle) = L / R),
+     * and the pair cannot fold tighter than maxRadius * sin(2 * halfAngle).
+     * @param {Array<number>} spokeA - First spoke direction
+     * @param {Array<number>} spokeB - Second spoke direction
+     * @param {number} minRadius - Requested folded outer radius
+     * @param {number} maxRadius - Expanded outer radius
+     * @returns {Object} { halfAngle, legLength, minRadius, maxRadius }
+     */
+    static angulatedLimits(spokeA, spokeB, minRadius, maxRadius) {
+        const a = LinkageKinematics.normalize(spokeA);
+        const b = LinkageKinematics.normalize(spokeB);
+        
+        // atan2 keeps small angles accurate where acos would lose precision
+        const halfAngle = Math.atan2(
+            LinkageKinematics.length(LinkageKinematics.cross(a, b)),
+            LinkageKinematics.dot(a, b)
+        ) / 2;
+        
+        return {
+            halfAngle: halfAngle,
+            legLength: maxRadius * Math.sin(halfAngle),
+            minRadius: Math.max(minRadius, maxRadius * Math.sin(halfAngle * 2)),
+            maxRadius: maxRadius
+        };
+    }
+    
+    /**
+     * Solve an angulated scissor pair.
+     * 
+     * With both legs of length L and the pivot at distance c on the bisector,
+     * the hinges on a spoke sit at the two roots of r^2 - 2rc*cos(a) + c^2 - L^2 = 0,
+     * where a is the half angle between the spokes. Picking the outer radius R
+     * from the expansion factor fixes c, and the inner radius is the other root.
+     * @param {Object} unit - { spokeA, spokeB, minRadius, maxRadius, origin }
+     * @param {number} expansionFactor - 0 = folded, 1 = expanded
+     * @returns {Object} { outerRadius, innerRadius, pivot, endpoints, struts: [{ from, to, position, quaternion, length }] }
+     */
+    static angulatedUnit(unit, expansionFactor) {
+        const k = LinkageKinematics;
+        const spokeA = k.normalize(unit.spokeA);
+        const spokeB = k.normalize(unit.spokeB);
+        const origin = unit.origin || [0, 0, 0];
+        const { halfAngle, legLength, minRadius, maxRadius } =
+            k.angulatedLimits(spokeA, spokeB, unit.minRadius, unit.maxRadius);
+        
+        const outerRadius = minRadius + (maxRadius - minRadius) * expansionFactor;
+        const cosHalf = Math.cos(halfAngle);
+        const sinHalf = Math.sin(halfAngle);
+        
+        const discriminant = legLength * legLength - outerRadius * outerRadius * sinHalf * sinHalf;
+        const pivotRadius = outerRadius * cosHalf - Math.sqrt(Math.max(0, discriminant));
+        const innerRadius = 2 * pivotRadius * cosHalf - outerRadius;
+        
+        const bisector = k.normalize(k.add(spokeA, spokeB));
+        const pivot = k.add(origin, k.scale(bisector, pivotRadius));
+        const endpoints = {
+            top1: k.add(origin, k.scale(spokeA, outerRadius)),
+            top2: k.add(origin, k.scale(spokeB, outerRadius)),
+            bottom1: k.add(origin, k.scale(spokeA, innerRadius)),
+            bottom2: k.add(origin, k.scale(spokeB, innerRadius))
+        };
+        
+        // Bar 1 runs top1 -> pivot -> bottom2, bar 2 runs top2 -> pivot -> bottom1
+        return {
+            outerRadius: outerRadius,
+            innerRadius: innerRadius,
+            pivot: pivot,
+            endpoints: endpoints,
+            struts: [
+                k.segment(endpoints.top1, pivot),
+                k.segment(pivot, endpoints.bottom2),
+                k.segment(endpoints.top2, pivot),
+                k.segment(pivot, endpoints.bottom1)
+            ]
+        };
+    }
+    
+    /**
+     * Transform of a cylinder (along its local Y axis) spanning two points
+     * @param {Array<number>} from - Start point
+     * @param {Array<number>} to - End point
+     * @returns {Object} { from, to, position, quaternion, length }
+     */
+    static segment(from, to) {
+        const k = LinkageKinematics;
+        const delta = k.subtract(to, from);
+        const length = k.length(delta);
+        
+        return {
+            from: from,
+            to: to,
+            position: k.scale(k.add(from, to), 0.5),
+            quaternion: k.quaternionFromUnitVectors([0, 1, 0], k.scale(delta, 1 / length)),
+            length: length
+        };
+    }
+    
+    /**
+     * Number of angulated pairs needed along an arc to fold down to a ratio.
+     * A pair spanning angle θ folds down to maxRadius * sin(θ).
+     * @param {number} arcAngle - Angle subtended by the arc at the centre
+     * @param {number} foldedRatio - Folded to expanded radius ratio to reach
+     * @returns {number}
+     */
+    static unitsPerArc(arcAngle, foldedRatio) {
+        let units = 1;
+        while (arcAngle / units >= Math.PI / 2 ||
+            Math.sin(arcAngle / units) > foldedRatio) {
+            units++;
+        }
+        return units;
+    }
+    
+    /**
+     * Topology of the pinned linkage on a polyhedron: chains of angulated
+     * pairs along every edge, with intermediate spokes spread evenly along
+     * the great-circle arc. The first spokes are the polyhedron's vertices.
+     * @param {Object} polyhedron - { vertices, edges } as from Polyhedra.create
+     * @param {Object} options - { minRadius, maxRadius }
+     * @returns {Object} { spokes, units: [{ spokes: [a, b], minRadius, maxRadius }] }
+     */
+    static linkageTopology(polyhedron, options) {
+        const k = LinkageKinematics;
+        const { minRadius, maxRadius } = options;
+        const spokes = polyhedron.vertices.map(k.normalize);
+        const units = [];
+        
+        polyhedron.edges.forEach(([start, end]) => {
+            const arc = k.angleBetween(spokes[start], spokes[end]);
+            const count = k.unitsPerArc(arc, minRadius / maxRadius);
+            
+            const chain = [start];
+            for (let step = 1; step < count; step++) {
+                chain.push(spokes.length);
+                spokes.push(k.slerp(spokes[start], spokes[end], step / count));
+            }
+            chain.push(end);
+            
+            for (let i = 0; i < count; i++) {
+                units.push({ spokes: [chain[i], chain[i + 1]], minRadius: minRadius, maxRadius: maxRadius });
+            }
+        });
+        
+        return { spokes: spokes, units: units };
+    }
+    
+    /**
+     * Solve every unit of a topology and collect the shared hinge positions
+     * @param {Object} topology - { spokes, units }
+     * @param {number} expansionFactor - 0 = folded, 1 = expanded
+     * @returns {Object} { units, hinges: [{ outer, inner, error }] }
+     */
+    static solve(topology, expansionFactor) {
+        const k = LinkageKinematics;
+        const hinges = topology.spokes.map(() => ({ outer: null, inner: null, error: 0 }));
+        
+        // Units meeting on a spoke should put their hinge points in the same place
+        const pin = (spoke, side, point) => {
+            const hinge = hinges[spoke];
+            if (hinge[side]) {
+                hinge.error = Math.max(hinge.error, k.length(k.subtract(point, hinge[side])));
+            } else {
+                hinge[side] = point;
+            }
+        };
+        
+        const units = topology.units.map(unit => {
+            const [a, b] = unit.spokes;
+            const result = k.angulatedUnit({
+                spokeA: topology.spokes[a],
+                spokeB: topology.spokes[b],
+                minRadius: unit.minRadius,
+                maxRadius: unit.maxRadius,
+                origin: unit.origin
+            }, expansionFactor);
+            
+            pin(a, 'outer', result.endpoints.top1);
+            pin(a, 'inner', result.endpoints.bottom1);
+            pin(b, 'outer', result.endpoints.top2);
+            pin(b, 'inner', result.endpoints.bottom2);
+            
+            return result;
+        });
+        
+        return { units: units, hinges: hinges };
+    }
+    
+    /**
+     * Two unit vectors perpendicular to an axis and to each other
+     * @param {Array<number>} axis - Unit axis
+     * @returns {{perpAxis1: Array<number>, perpAxis2: Array<number>}}
+     */
+    static perpendicularAxes(axis) {
+        const k = LinkageKinematics;
+        const helper = Math.abs(axis[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+        const perpAxis1 = k.normalize(k.cross(axis, helper));
+        const perpAxis2 = k.normalize(k.cross(axis, perpAxis1));
+        
+        return { perpAxis1, perpAxis2 };
+    }
+    
+    /**
+     * Quaternion rotating one unit vector onto another (as THREE.Quaternion.setFromUnitVectors)
+     * @param {Array<number>} from - Unit start vector
+     * @param {Array<number>} to - Unit end vector
+     * @returns {Array<number>} [x, y, z, w]
+     */
+    static quaternionFromUnitVectors(from, to) {
+        const r = LinkageKinematics.dot(from, to) + 1;
+        let q;
+        
+        if (r < Number.EPSILON) {
+            // Opposite vectors: turn half way round any perpendicular axis
+            q = Math.abs(from[0]) > Math.abs(from[2])
+                ? [-from[1], from[0], 0, 0]
+                : [0, -from[2], from[1], 0];
+        } else {
+            q = LinkageKinematics.cross(from, to).concat(r);
+        }
+        
+        const length = Math.hypot(q[0], q[1], q[2], q[3]);
+        return q.map(c => c / length);
+    }
+    
+    /**
+     * Quaternion for a rotation about an axis
+     * @param {Array<number>} axis - Unit axis
+     * @param {number} angle - Angle in radians
+     * @returns {Array<number>} [x, y, z, w]
+     */
+    static quaternionFromAxisAngle(axis, angle) {
+        const s = Math.sin(angle / 2);
+        return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+    }
+    
+    /**
+     * Quaternion product a * b (b applied first)
+     * @returns {Array<number>} [x, y, z, w]
+     */
+    static multiplyQuaternions(a, b) {
+        const [ax, ay, az, aw] = a;
+        const [bx, by, bz, bw] = b;
+        
+        return [
+            ax * bw + aw * bx + ay * bz - az * by,
+            ay * bw + aw * by + az * bx - ax * bz,
+            az * bw + aw * bz + ax * by - ay * bx,
+            aw * bw - ax * bx - ay * by - az * bz
+        ];
+    }
+    
+    /**
+     * Spherical interpolation between two unit vectors
+     * @param {Array<number>} a - Start direction
+     * @param {Array<number>} b - End direction
+     * @param {number} t - Fraction of the arc (0-1)
+     * @returns {Array<number>}
+     */
+    static slerp(a, b, t) {
+        const angle = LinkageKinematics.angleBetween(a, b);
+        const sin = Math.sin(angle);
+        
+        return LinkageKinematics.add(
+            LinkageKinematics.scale(a, Math.sin((1 - t) * angle) / sin),
+            LinkageKinematics.scale(b, Math.sin(t * angle) / sin)
+        );
+    }
+    
+    /**
+     * Angle between two vectors
+     * @returns {number}
+     */
+    static angleBetween(a, b) {
+        return Math.atan2(
+            LinkageKinematics.length(LinkageKinematics.cross(a, b)),
+            LinkageKinematics.dot(a, b)
+        );
+    }
+    
+    /**
+     * Sum a + b
+     * @returns {Array<number>}
+     */
+    static add(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    }
+    
+    /**
+     * Difference a - b
+     * @returns {Array<number>}
+     */
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+    
+    /**
+     * Vector times a scalar
+     * @returns {Array<number>}
+     */
+    static scale(v, s) {
+        return [v[0] * s, v[1] * s, v[2] * s];
+    }
+    
+    /**
+     * Dot product
+     * @returns {number}
+     */
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+    
+    /**
+     * Cross product a × b
+     * @returns {Array<number>}
+     */
+    static cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+    
+    /**
+     * Euclidean length
+     * @returns {number}
+     */
+    static length(v) {
+        return Math.hypot(v[0], v[1], v[2]);
+    }
+    
+    /**
+     * Scale a vector to unit length
+     * @returns {Array<number>}
+     */
+    static normalize(v) {
+        return LinkageKinematics.scale(v, 1 / LinkageKinematics.length(v));
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkageKinematics;
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * PartInspector.js
+ * ============================================
+ * Identifies individual parts of a structure for geometry debugging.
+ * 
+ * A ray from the pointer picks a strut leg, pivot, hinge hub, connection
+ * strut or tie (also when they are drawn through the InstancedRenderer).
+ * Parts get the same names as the nodes of a glTF export, so what the
+ * inspector shows can be found again in Blender. The selected part is
+ * outlined by a highlight mesh that follows it as the structure moves, and
+ * getInfo() reports its scissor links as they are right now: axis, strut
+ * length, opening angle, endpoints and the links they connect to.
+ */
+
+class PartInspector {
+    /**
+     * Create an inspector for a structure
+     * @param {DeployableStructure} structure - The structure to inspect
+     * @param {THREE.Camera} camera - The camera the pointer looks through
+     */
+    constructor(structure, camera) {
+        this.structure = structure;
+        this.camera = camera;
+        
+        this.raycaster = new THREE.Raycaster();
+        
+        // Selected part: { name, role, mesh, linkIndices }
+        this.selection = null;
+        this.highlight = null;
+        this.highlightMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffaa00,
+            transparent: true,
+            opacity: 0.6,
+            depthTest: false
+        });
+    }
+    
+    /**
+     * Inspect another structure, dropping the selection
+     * @param {DeployableStructure} structure - The new structure
+     */
+    setStructure(structure) {
+        this.select(null);
+        this.structure = structure;
+    }
+    
+    /**
+     * Every pickable part with its name and the links it belongs to or joins
+     * @returns {Map<THREE.Mesh, Object>} Mesh to { name, role, mesh, linkIndices }
+     */
+    collectParts() {
+        const structure = this.structure;
+        const parts = new Map();
+        const add = (mesh, name, role, linkIndices) => {
+            parts.set(mesh, { name: name, role: role, mesh: mesh, linkIndices: linkIndices });
+        };
+        
+        structure.scissorLinks.forEach((link, i) => {
+            link.getBars().forEach(bar => {
+                bar.segments.forEach((segment, j) => {
+                    const suffix = bar.segments.length > 1 ? `_leg${j + 1}` : '';
+                    add(segment.mesh, `ScissorLink_${i}_${bar.name}${suffix}`, 'Strut', [i]);
+                });
+            });
+            add(link.pivot, `ScissorLink_${i}_pivot`, 'Pivot', [i]);
+        });
+        
+        structure.hinges.forEach((hinge, i) => {
+            ['outer', 'inner'].forEach(side => {
+                const linkIndices = hinge[side].map(member => structure.scissorLinks.indexOf(member.link));
+                add(hinge[`${side}Hub`], `Hinge_${i}_${side}`, 'Hub', linkIndices);
+            });
+        });
+        
+        let tieIndex = 0;
+        structure.getGroup().children.forEach(child => {
+            if (child.userData.isConnectionStrut) {
+                const [a, b] = child.userData.linkIndices;
+                add(child, `ConnectionStrut_${a}_${b}`, 'ConnectionStrut', [a, b]);
+            } else if (child.userData.isTie) {
+                const { from, to } = child.userData;
+                add(child, `Tie_${tieIndex++}`, 'Tie', [from, to].map(end => structure.scissorLinks.indexOf(end.link)));
+            }
+        });
+        
+        return parts;
+    }
+    
+    /**
+     * Find the part under the pointer
+     * @param {THREE.Vector2} pointer - Pointer in normalized device coordinates (-1 to 1)
+     * @returns {Object|null} Part as { name, role, mesh, linkIndices }
+     */
+    pick(pointer) {
+        const parts = this.collectParts();
+        const renderer = this.structure.instancedRenderer;
+        const targets = renderer
+            ? [renderer.strutMesh, renderer.pivotMesh].filter(mesh => mesh)
+            : Array.from(parts.keys());
+        
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.intersectObjects(targets, false)[0];
+        
+        if (!hit) {
+            return null;
+        }
+        
+        // Instances map back to the part meshes they are copied from
+        let mesh = hit.object;
+        if (hit.instanceId !== undefined) {
+            const list = hit.object === renderer.strutMesh ? renderer.struts : renderer.pivots;
+            mesh = list[hit.instanceId].mesh;
+        }
+        return parts.get(mesh) || null;
+    }
+    
+    /**
+     * Select a part and outline it, or clear the selection
+     * @param {Object|null} part - Part from pick(), or null
+     */
+    select(part) {
+        if (this.highlight) {
+            this.highlight.parent.remove(this.highlight);
+            this.highlight = null;
+        }
+        
+        this.selection = part;
+        if (!part) return;
+        
+        this.highlight = new THREE.Mesh(part.mesh.geometry, this.highlightMaterial);
+        this.highlight.userData.isHighlight = true;
+        this.highlight.renderOrder = 1; // Drawn over the structure
+        this.structure.getGroup().add(this.highlight);
+        this.updateHighlight();
+        
+        console.log(`Inspecting ${part.name}`);
+    }
+    
+    /**
+     * Move the outline onto the selected part, slightly larger so it shows around it
+     */
+    updateHighlight() {
+        if (!this.highlight) return;
+        
+        const mesh = this.selection.mesh;
+        this.highlight.position.copy(mesh.position);
+        this.highlight.quaternion.copy(mesh.quaternion);
+        this.highlight.scale.copy(mesh.scale).multiplyScalar(1.3);
+    }
+    
+    /**
+     * Links joined to a link through shared hinges, connection struts or ties
+     * @param {number} index - Index into structure.scissorLinks
+     * @returns {Array<number>} Sorted link indices
+     */
+    getNeighbours(index) {
+        const structure = this.structure;
+        const link = structure.scissorLinks[index];
+        const neighbours = new Set();
+        
+        structure.hinges.forEach(hinge => {
+            ['outer', 'inner'].forEach(side => {
+                if (hinge[side].some(member => member.link === link)) {
+                    hinge[side].forEach(member => neighbours.add(structure.scissorLinks.indexOf(member.link)));
+                }
+            });
+        });
+        
+        structure.getGroup().children.forEach(child => {
+            let ends = null;
+            if (child.userData.isConnectionStrut) {
+                ends = child.userData.linkIndices;
+            } else if (child.userData.isTie) {
+                ends = [child.userData.from, child.userData.to].map(end => structure.scissorLinks.indexOf(end.link));
+            }
+            if (ends && ends.includes(index)) {
+                ends.forEach(end => neighbours.add(end));
+            }
+        });
+        
+        neighbours.delete(index);
+        return Array.from(neighbours).sort((a, b) => a - b);
+    }
+    
+    /**
+     * Current state of one scissor link
+     * @param {number} index - Index into structure.scissorLinks
+     * @returns {Object} { index, type, axis, strutLength, openingAngle (degrees), pivot, endpoints, neighbours }
+     */
+    getLinkInfo(index) {
+        const link = this.structure.scissorLinks[index];
+        const endpoints = {};
+        Object.keys(link.endpoints).forEach(name => {
+            endpoints[name] = link.endpoints[name].toArray();
+        });
+        
+        // Angle between the two bars' outer arms at the central pivot
+        const arm1 = link.endpoints.top1.clone().sub(link.position);
+        const arm2 = link.endpoints.top2.clone().sub(link.position);
+        
+        return {
+            index: index,
+            type: link.constructor.name,
+            axis: link.axis.toArray(),
+            strutLength: link.strutLength,
+            openingAngle: THREE.MathUtils.radToDeg(arm1.angleTo(arm2)),
+            pivot: link.position.toArray(),
+            endpoints: endpoints,
+            neighbours: this.getNeighbours(index)
+        };
+    }
+    
+    /**
+     * Current state of the selected part and its links
+     * @returns {Object|null} { name, role, position, length (struts), links }
+     */
+    getInfo() {
+        if (!this.selection) {
+            return null;
+        }
+        
+        const mesh = this.selection.mesh;
+        const info = {
+            name: this.selection.name,
+            role: this.selection.role,
+            position: mesh.position.toArray(),
+            links: this.selection.linkIndices.map(index => this.getLinkInfo(index))
+        };
+        
+        // Cylinders carry their length in the geometry height, ties in scale.y
+        if (mesh.geometry.parameters.height !== undefined) {
+            info.length = mesh.geometry.parameters.height * mesh.scale.y;
+        }
+        return info;
+    }
+    
+    /**
+     * Format getInfo() for the inspector panel
+     * @param {Object} info - Result of getInfo()
+     * @returns {string}
+     */
+    static toText(info) {
+        const vector = (values) => `(${values.map(v => v.toFixed(3)).join(', ')})`;
+        const lines = [`${info.name} (${info.role})`, `Position: ${vector(info.position)}`];
+        
+        if (info.length !== undefined) {
+            lines.push(`Length: ${info.length.toFixed(3)}`);
+        }
+        
+        info.links.forEach(link => {
+            lines.push(
+                '',
+                `ScissorLink ${link.index} (${link.type})`,
+                `Axis: ${vector(link.axis)}`,
+                `Strut length: ${link.strutLength.toFixed(3)}`,
+                `Opening angle: ${link.openingAngle.toFixed(1)}°`
+            );
+            Object.keys(link.endpoints).forEach(name => {
+                lines.push(`${name}: ${vector(link.endpoints[name])}`);
+            });
+            lines.push(`Neighbours: ${link.neighbours.length ? link.neighbours.join(', ') : 'none'}`);
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Remove the outline and free its material
+     */
+    dispose() {
+        this.select(null);
+        this.highlightMaterial.dispose();
+    }
+}
\ No newline at end of file
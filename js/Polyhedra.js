@@ -0,0 +1,377 @@
+/**
+ * Polyhedra.js
+ * ============================================
+ * Base polyhedra for the Hoberman structures.
+ * 
+ * Every polyhedron is described by plain data so it can be used without a
+ * renderer: unit-length vertices as [x, y, z] arrays, faces as index loops
+ * and the real edge list. Geodesic versions split each face into triangles
+ * and project the new vertices onto the unit sphere.
+ */
+
+class Polyhedra {
+    /**
+     * Names of the available base polyhedra
+     * @returns {Array<string>}
+     */
+    static get TYPES() {
+        return [
+            'tetrahedron',
+            'octahedron',
+            'cube',
+            'dodecahedron',
+            'icosahedron',
+            'cuboctahedron',
+            'icosidodecahedron'
+        ];
+    }
+    
+    /**
+     * Create a polyhedron, optionally subdivided into a geodesic sphere
+     * @param {string} type - One of Polyhedra.TYPES
+     * @param {number} subdivisions - Geodesic subdivisions (frequency - 1)
+     * @returns {Object} { type, subdivisions, vertices, faces, edges, isEdgeUniform }
+     */
+    static create(type, subdivisions = 0) {
+        let base;
+        
+        switch(type) {
+            case 'tetrahedron':
+                base = Polyhedra.tetrahedron();
+                break;
+            case 'octahedron':
+                base = Polyhedra.octahedron();
+                break;
+            case 'cube':
+                base = Polyhedra.cube();
+                break;
+            case 'dodecahedron':
+                base = Polyhedra.dual(Polyhedra.icosahedron());
+                break;
+            case 'icosahedron':
+                base = Polyhedra.icosahedron();
+                break;
+            case 'cuboctahedron':
+                base = Polyhedra.rectify(Polyhedra.cube());
+                break;
+            case 'icosidodecahedron':
+                base = Polyhedra.rectify(Polyhedra.icosahedron());
+                break;
+            default:
+                throw new Error(`Unknown polyhedron type: ${type}`);
+        }
+        
+        const polyhedron = subdivisions > 0
+            ? Polyhedra.subdivide(base, subdivisions + 1)
+            : base;
+        
+        polyhedron.vertices = polyhedron.vertices.map(Polyhedra.normalize);
+        polyhedron.edges = Polyhedra.edgesFromFaces(polyhedron.faces);
+        polyhedron.type = type;
+        polyhedron.subdivisions = subdivisions;
+        polyhedron.isEdgeUniform = Polyhedra.isEdgeUniform(polyhedron);
+        
+        return polyhedron;
+    }
+    
+    /**
+     * Regular tetrahedron
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static tetrahedron() {
+        return {
+            vertices: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]],
+            faces: [[0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]]
+        };
+    }
+    
+    /**
+     * Regular octahedron
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static octahedron() {
+        return {
+            vertices: [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]],
+            faces: [
+                [0, 2, 4], [0, 4, 3], [0, 3, 5], [0, 5, 2],
+                [1, 2, 5], [1, 5, 3], [1, 3, 4], [1, 4, 2]
+            ]
+        };
+    }
+    
+    /**
+     * Cube
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static cube() {
+        return {
+            vertices: [
+                [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+                [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]
+            ],
+            faces: [
+                [0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4],
+                [2, 3, 7, 6], [1, 2, 6, 5], [0, 4, 7, 3]
+            ]
+        };
+    }
+    
+    /**
+     * Regular icosahedron (same vertex layout as THREE.IcosahedronGeometry)
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static icosahedron() {
+        const t = (1 + Math.sqrt(5)) / 2;
+        
+        return {
+            vertices: [
+                [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+                [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+                [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+            ],
+            faces: [
+                [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+                [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+                [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+                [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+            ]
+        };
+    }
+    
+    /**
+     * Dual polyhedron: one vertex per face, one face per vertex
+     * @param {Object} polyhedron - Polyhedron with vertices and faces
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static dual(polyhedron) {
+        const vertices = polyhedron.faces.map(face =>
+            Polyhedra.normalize(Polyhedra.centroid(face.map(i => polyhedron.vertices[i])))
+        );
+        
+        const faces = polyhedron.vertices.map((vertex, v) => {
+            const around = [];
+            polyhedron.faces.forEach((face, f) => {
+                if (face.includes(v)) around.push(f);
+            });
+            return Polyhedra.orderAround(vertex, around, vertices);
+        });
+        
+        return { vertices, faces };
+    }
+    
+    /**
+     * Rectified polyhedron: vertices at edge midpoints
+     * @param {Object} polyhedron - Polyhedron with vertices and faces
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static rectify(polyhedron) {
+        const edges = Polyhedra.edgesFromFaces(polyhedron.faces);
+        const edgeIndex = new Map(edges.map(([a, b], i) => [`${a}-${b}`, i]));
+        const indexOf = (a, b) => edgeIndex.get(a < b ? `${a}-${b}` : `${b}-${a}`);
+        
+        const vertices = edges.map(([a, b]) =>
+            Polyhedra.normalize(Polyhedra.centroid([polyhedron.vertices[a], polyhedron.vertices[b]]))
+        );
+        
+        // Shrunken original faces
+        const faces = polyhedron.faces.map(face =>
+            face.map((a, i) => indexOf(a, face[(i + 1) % face.length]))
+        );
+        
+        // New faces where the original vertices were cut off
+        polyhedron.vertices.forEach((vertex, v) => {
+            const around = [];
+            edges.forEach(([a, b], i) => {
+                if (a === v || b === v) around.push(i);
+            });
+            faces.push(Polyhedra.orderAround(vertex, around, vertices));
+        });
+        
+        return { vertices, faces };
+    }
+    
+    /**
+     * Geodesic subdivision. Faces with more than three sides are first split
+     * into a fan of triangles around their centre, then every triangle is cut
+     * into frequency^2 smaller ones and projected onto the unit sphere.
+     * @param {Object} polyhedron - Polyhedron with vertices and faces
+     * @param {number} frequency - Number of segments along each triangle edge
+     * @returns {{vertices: Array<Array<number>>, faces: Array<Array<number>>}}
+     */
+    static subdivide(polyhedron, frequency) {
+        const vertices = [];
+        const faces = [];
+        const lookup = new Map();
+        
+        // Shared points along common edges must map to the same vertex
+        const addVertex = (point) => {
+            const unit = Polyhedra.normalize(point);
+            const key = unit.map(c => (Math.abs(c) < 1e-9 ? 0 : c).toFixed(8)).join(',');
+            if (!lookup.has(key)) {
+                lookup.set(key, vertices.length);
+                vertices.push(unit);
+            }
+            return lookup.get(key);
+        };
+        
+        const triangles = [];
+        polyhedron.faces.forEach(face => {
+            const corners = face.map(i => polyhedron.vertices[i]);
+            if (corners.length === 3) {
+                triangles.push(corners);
+            } else {
+                const center = Polyhedra.centroid(corners);
+                corners.forEach((corner, i) => {
+                    triangles.push([center, corner, corners[(i + 1) % corners.length]]);
+                });
+            }
+        });
+        
+        triangles.forEach(([a, b, c]) => {
+            // Grid of points at barycentric steps of 1 / frequency
+            const grid = [];
+            for (let i = 0; i <= frequency; i++) {
+                grid[i] = [];
+                for (let j = 0; j <= frequency - i; j++) {
+                    const k = frequency - i - j;
+                    grid[i][j] = addVertex([0, 1, 2].map(axis =>
+                        (a[axis] * k + b[axis] * i + c[axis] * j) / frequency
+                    ));
+                }
+            }
+            
+            for (let i = 0; i < frequency; i++) {
+                for (let j = 0; j < frequency - i; j++) {
+                    faces.push([grid[i][j], grid[i + 1][j], grid[i][j + 1]]);
+                    if (j < frequency - i - 1) {
+                        faces.push([grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1]]);
+                    }
+                }
+            }
+        });
+        
+        return { vertices, faces };
+    }
+    
+    /**
+     * Unique edges of a face list, each as a sorted index pair
+     * @param {Array<Array<number>>} faces - Face index loops
+     * @returns {Array<Array<number>>}
+     */
+    static edgesFromFaces(faces) {
+        const edges = [];
+        const seen = new Set();
+        
+        faces.forEach(face => {
+            face.forEach((a, i) => {
+                const b = face[(i + 1) % face.length];
+                const edge = a < b ? [a, b] : [b, a];
+                const key = `${edge[0]}-${edge[1]}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    edges.push(edge);
+                }
+            });
+        });
+        
+        return edges;
+    }
+    
+    /**
+     * Whether every edge subtends the same angle at the centre. Only such
+     * polyhedra carry an exact angulated linkage.
+     * @param {Object} polyhedron - Polyhedron with unit vertices and edges
+     * @returns {boolean}
+     */
+    static isEdgeUniform(polyhedron) {
+        const angles = polyhedron.edges.map(([a, b]) =>
+            Polyhedra.angleBetween(polyhedron.vertices[a], polyhedron.vertices[b])
+        );
+        return Math.max(...angles) - Math.min(...angles) < 1e-9;
+    }
+    
+    /**
+     * Sort point indices counter-clockwise around an axis
+     * @param {Array<number>} axis - Direction to look down
+     * @param {Array<number>} indices - Indices into points
+     * @param {Array<Array<number>>} points - Point coordinates
+     * @returns {Array<number>}
+     */
+    static orderAround(axis, indices, points) {
+        const normal = Polyhedra.normalize(axis);
+        const project = (p) => Polyhedra.subtract(p, normal.map(c => c * Polyhedra.dot(p, normal)));
+        const tangent = Polyhedra.normalize(project(points[indices[0]]));
+        const bitangent = Polyhedra.cross(normal, tangent);
+        
+        const angleOf = (i) => {
+            const offset = project(points[i]);
+            return Math.atan2(Polyhedra.dot(offset, bitangent), Polyhedra.dot(offset, tangent));
+        };
+        
+        return indices.slice().sort((a, b) => angleOf(a) - angleOf(b));
+    }
+    
+    /**
+     * Angle between two vectors, accurate for small angles
+     * @param {Array<number>} a - First vector
+     * @param {Array<number>} b - Second vector
+     * @returns {number}
+     */
+    static angleBetween(a, b) {
+        const cross = Polyhedra.cross(a, b);
+        return Math.atan2(Math.hypot(...cross), Polyhedra.dot(a, b));
+    }
+    
+    /**
+     * Scale a vector to unit length
+     * @param {Array<number>} v - Vector
+     * @returns {Array<number>}
+     */
+    static normalize(v) {
+        const length = Math.hypot(v[0], v[1], v[2]);
+        return [v[0] / length, v[1] / length, v[2] / length];
+    }
+    
+    /**
+     * Average of a list of points
+     * @param {Array<Array<number>>} points - Points
+     * @returns {Array<number>}
+     */
+    static centroid(points) {
+        const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+        return sum.map(c => c / points.length);
+    }
+    
+    /**
+     * Difference a - b
+     * @returns {Array<number>}
+     */
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+    
+    /**
+     * Dot product
+     * @returns {number}
+     */
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+    
+    /**
+     * Cross product a × b
+     * @returns {Array<number>}
+     */
+    static cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Polyhedra;
+}
\ No newline at end of file
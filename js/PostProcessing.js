@@ -0,0 +1,204 @@
+/**
+ * PostProcessing.js
+ * ============================================
+ * Post-processing chain behind the Glow toggle.
+ * 
+ * An EffectComposer renders the scene, then runs an UnrealBloomPass with
+ * adjustable threshold, strength and radius, an optional vignette and an
+ * optional FXAA or SMAA anti-aliasing pass (last, on the final image).
+ * The passes are built the first time the chain is enabled; while it is
+ * off, or if the three.js post-processing scripts did not load, frames go
+ * straight to the renderer as before.
+ */
+
+class PostProcessing {
+    /**
+     * Create the chain for a renderer
+     * @param {THREE.WebGLRenderer} renderer - The live renderer
+     * @param {THREE.Scene} scene - The scene to render
+     * @param {THREE.Camera} camera - The live camera
+     * @param {Object} options - Initial bloom, antialias and vignette settings
+     */
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        
+        this.settings = {
+            threshold: options.threshold !== undefined ? options.threshold : 0.2,
+            strength: options.strength !== undefined ? options.strength : 1.2,
+            radius: options.radius !== undefined ? options.radius : 0.4,
+            antialias: options.antialias || 'none', // 'none', 'fxaa' or 'smaa'
+            vignette: options.vignette || false,
+            vignetteDarkness: options.vignetteDarkness || 1.2
+        };
+        
+        this.enabled = false;
+        this.composer = null;
+        this.passes = {};
+    }
+    
+    /**
+     * Anti-aliasing modes
+     * @returns {Array<string>}
+     */
+    static get ANTIALIAS_MODES() {
+        return ['none', 'fxaa', 'smaa'];
+    }
+    
+    /**
+     * Whether the three.js post-processing scripts are loaded
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return ['EffectComposer', 'RenderPass', 'ShaderPass', 'UnrealBloomPass', 'SMAAPass', 'FXAAShader', 'VignetteShader']
+            .every(name => typeof THREE[name] !== 'undefined');
+    }
+    
+    /**
+     * Build the composer and its passes
+     */
+    build() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        
+        this.composer = new THREE.EffectComposer(this.renderer);
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(size.x, size.y);
+        
+        this.passes.render = new THREE.RenderPass(this.scene, this.camera);
+        this.passes.bloom = new THREE.UnrealBloomPass(
+            size.clone(),
+            this.settings.strength,
+            this.settings.radius,
+            this.settings.threshold
+        );
+        this.passes.vignette = new THREE.ShaderPass(THREE.VignetteShader);
+        this.passes.fxaa = new THREE.ShaderPass(THREE.FXAAShader);
+        this.passes.smaa = new THREE.SMAAPass(size.x * this.renderer.getPixelRatio(), size.y * this.renderer.getPixelRatio());
+        
+        ['render', 'bloom', 'vignette', 'fxaa', 'smaa'].forEach(name => {
+            this.composer.addPass(this.passes[name]);
+        });
+        
+        this.updateFxaaResolution(size.x, size.y);
+        this.applySettings();
+    }
+    
+    /**
+     * Push the settings into the passes
+     */
+    applySettings() {
+        if (!this.composer) return;
+        
+        const { bloom, vignette, fxaa, smaa } = this.passes;
+        bloom.threshold = this.settings.threshold;
+        bloom.strength = this.settings.strength;
+        bloom.radius = this.settings.radius;
+        
+        vignette.enabled = this.settings.vignette;
+        vignette.uniforms.darkness.value = this.settings.vignetteDarkness;
+        
+        fxaa.enabled = this.settings.antialias === 'fxaa';
+        smaa.enabled = this.settings.antialias === 'smaa';
+    }
+    
+    /**
+     * Turn the chain on or off
+     * @param {boolean} enabled - Whether frames go through the composer
+     */
+    setEnabled(enabled) {
+        if (enabled && !PostProcessing.isAvailable()) {
+            console.warn('Post-processing scripts are not loaded; rendering without bloom');
+            enabled = false;
+        }
+        if (enabled && !this.composer) {
+            this.build();
+        }
+        this.enabled = enabled;
+    }
+    
+    /**
+     * Change the bloom pass
+     * @param {Object} bloom - Any of { threshold, strength, radius }
+     */
+    setBloom(bloom) {
+        ['threshold', 'strength', 'radius'].forEach(key => {
+            if (bloom[key] !== undefined) {
+                this.settings[key] = bloom[key];
+            }
+        });
+        this.applySettings();
+    }
+    
+    /**
+     * Choose the anti-aliasing pass
+     * @param {string} mode - 'none', 'fxaa' or 'smaa'
+     */
+    setAntialias(mode) {
+        if (!PostProcessing.ANTIALIAS_MODES.includes(mode)) {
+            throw new Error(`Unknown anti-aliasing mode: ${mode}`);
+        }
+        this.settings.antialias = mode;
+        this.applySettings();
+    }
+    
+    /**
+     * Turn the vignette on or off
+     * @param {boolean} enabled - Whether the edges are darkened
+     */
+    setVignette(enabled) {
+        this.settings.vignette = enabled;
+        this.applySettings();
+    }
+    
+    /**
+     * FXAA samples neighbouring pixels, so it needs the drawing buffer size
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
+     */
+    updateFxaaResolution(width, height) {
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.passes.fxaa.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio));
+    }
+    
+    /**
+     * Follow a renderer resize (call after renderer.setSize and setPixelRatio)
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
+     */
+    setSize(width, height) {
+        if (!this.composer) return;
+        
+        // The composer scales by its pixel ratio and resizes every pass
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(width, height);
+        this.updateFxaaResolution(width, height);
+    }
+    
+    /**
+     * Draw one frame, through the chain when it is on
+     */
+    render() {
+        if (this.enabled) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    
+    /**
+     * Release the render targets of the chain
+     */
+    dispose() {
+        if (!this.composer) return;
+        
+        Object.values(this.passes).forEach(pass => {
+            if (pass.dispose) pass.dispose();
+        });
+        this.composer.renderTarget1.dispose();
+        this.composer.renderTarget2.dispose();
+        this.composer = null;
+        this.passes = {};
+        this.enabled = false;
+    }
+}
\ No newline at end of file
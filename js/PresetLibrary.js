@@ -0,0 +1,332 @@
+/**
+ * PresetLibrary.js
+ * ============================================
+ * Named presets: complete viewer configurations that can be saved,
+ * edited, deleted and shared as JSON files.
+ * 
+ * A preset's settings have the shape SettingsStore uses for the URL hash:
+ * the structure and the build options passed to its constructor
+ * (mechanism, radii, strut thickness, polyhedron, frequency), material,
+ * color, background, lighting rig, speed, glow and camera orbit. Built-in
+ * presets ship with the viewer and are read-only; user presets are kept in
+ * localStorage. Export files look like
+ * 
+ *     { "format": "hoberman-presets", "version": 1, "presets": [{ "name": ..., "settings": {...} }] }
+ */
+
+class PresetLibrary {
+    /**
+     * Create a library
+     * @param {Storage|null} storage - Where user presets are kept (localStorage by default)
+     * @param {string} key - Storage key
+     */
+    constructor(storage = SettingsStore.getLocalStorage(), key = 'hoberman-sphere-presets') {
+        this.storage = storage;
+        this.key = key;
+        this.presets = this.load();
+    }
+    
+    /**
+     * File format marker and version of exported presets
+     * @returns {{format: string, version: number}}
+     */
+    static get FORMAT() {
+        return { format: 'hoberman-presets', version: 1 };
+    }
+    
+    /**
+     * Settings that describe a session rather than a configuration
+     * @returns {Array<string>}
+     */
+    static get SESSION_SETTINGS() {
+        return ['animating', 'stats'];
+    }
+    
+    /**
+     * The viewer's startup configuration, under every built-in preset
+     * @returns {Object}
+     */
+    static get DEFAULTS() {
+        return {
+            structure: 'sphere', mechanism: 'linkage', polyhedron: 'icosidodecahedron', subdivisions: 0,
+            minRadius: 1.5, maxRadius: 10, strutRadius: 0.08,
+            material: 'metallic', color: '#00aaff', instanced: true, background: 'space', lighting: 'studio',
+            speed: 0.5, autoRotate: true, springBack: false,
+            glow: false, bloomThreshold: 0.2, bloomStrength: 1.2, bloomRadius: 0.4, antialias: 'none', vignette: false,
+            colorMode: 'uniform', colorRamp: 'viridis',
+            theta: 0, phi: Math.PI / 4, radius: 25
+        };
+    }
+    
+    /**
+     * Presets that ship with the viewer, complete over DEFAULTS
+     * @returns {Array<Object>} Presets as { name, settings }
+     */
+    static get BUILT_IN() {
+        const presets = [
+            {
+                name: 'Showroom',
+                settings: {
+                    strutRadius: 0.1,
+                    color: '#d0d6de', background: 'gradient', lighting: 'showroom',
+                    speed: 0.4,
+                    theta: 0.6, phi: 1.15, radius: 28
+                }
+            },
+            {
+                name: 'Blueprint',
+                settings: {
+                    polyhedron: 'cuboctahedron', strutRadius: 0.05,
+                    material: 'matte', color: '#ffffff', background: 'blue', lighting: 'blueprint',
+                    speed: 0.3, autoRotate: false,
+                    theta: 0, phi: 0.35, radius: 30
+                }
+            },
+            {
+                name: 'Neon',
+                settings: {
+                    polyhedron: 'dodecahedron', minRadius: 2, strutRadius: 0.06,
+                    material: 'glossy', color: '#ff00cc', background: 'black', lighting: 'neon',
+                    speed: 0.8,
+                    glow: true, bloomThreshold: 0.1, bloomStrength: 1.8, bloomRadius: 0.6, vignette: true,
+                    theta: 0.9, phi: 1.3, radius: 26
+                }
+            }
+        ];
+        return presets.map(preset => ({
+            name: preset.name,
+            settings: Object.assign(PresetLibrary.DEFAULTS, preset.settings)
+        }));
+    }
+    
+    /**
+     * Keep a preset's valid configuration settings
+     * @param {Object} settings - Settings, e.g. from Controls.getSettings()
+     * @returns {Object}
+     */
+    static capture(settings) {
+        const captured = SettingsStore.sanitize(settings);
+        PresetLibrary.SESSION_SETTINGS.forEach(name => delete captured[name]);
+        return captured;
+    }
+    
+    /**
+     * Check a preset name
+     * @param {*} name - Name to check
+     * @returns {string} The trimmed name
+     */
+    static validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > 60) {
+            throw new Error('Preset names need 1 to 60 characters');
+        }
+        return trimmed;
+    }
+    
+    /**
+     * Whether a name belongs to a built-in preset
+     * @param {string} name - Preset name
+     * @returns {boolean}
+     */
+    static isBuiltIn(name) {
+        return PresetLibrary.BUILT_IN.some(preset => preset.name === name);
+    }
+    
+    /**
+     * User presets saved on a previous visit
+     * @returns {Array<Object>} Presets as { name, settings }
+     */
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            return Array.isArray(saved) ? PresetLibrary.parsePresets(saved) : [];
+        } catch (error) {
+            console.warn('Saved presets could not be read', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Write the user presets to storage
+     */
+    persist() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('Presets could not be saved', error);
+        }
+    }
+    
+    /**
+     * Built-in presets followed by the user's, alphabetically
+     * @returns {Array<Object>} Presets as { name, settings, builtIn }
+     */
+    list() {
+        const builtIn = PresetLibrary.BUILT_IN.map(preset => Object.assign({ builtIn: true }, preset));
+        const user = this.presets
+            .map(preset => Object.assign({ builtIn: false }, preset))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return builtIn.concat(user);
+    }
+    
+    /**
+     * Find a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset as { name, settings, builtIn }
+     */
+    get(name) {
+        return this.list().find(preset => preset.name === name) || null;
+    }
+    
+    /**
+     * Save settings as a user preset, replacing one of the same name
+     * @param {string} name - Preset name
+     * @param {Object} settings - Settings, e.g. from Controls.getSettings()
+     * @returns {Object} The saved preset
+     */
+    save(name, settings) {
+        name = PresetLibrary.validateName(name);
+        if (PresetLibrary.isBuiltIn(name)) {
+            throw new Error(`"${name}" is a built-in preset; save under another name`);
+        }
+        
+        const preset = { name: name, settings: PresetLibrary.capture(settings) };
+        const index = this.presets.findIndex(existing => existing.name === name);
+        if (index >= 0) {
+            this.presets[index] = preset;
+        } else {
+            this.presets.push(preset);
+        }
+        
+        this.persist();
+        console.log(`Saved preset "${name}"`);
+        return preset;
+    }
+    
+    /**
+     * Rename a user preset
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     */
+    rename(name, newName) {
+        newName = PresetLibrary.validateName(newName);
+        const preset = this.presets.find(existing => existing.name === name);
+        if (!preset) {
+            throw new Error(`No user preset named "${name}"`);
+        }
+        if (newName !== name && (PresetLibrary.isBuiltIn(newName) || this.presets.some(existing => existing.name === newName))) {
+            throw new Error(`A preset named "${newName}" already exists`);
+        }
+        
+        preset.name = newName;
+        this.persist();
+        console.log(`Renamed preset "${name}" to "${newName}"`);
+    }
+    
+    /**
+     * Delete a user preset
+     * @param {string} name - Preset name
+     * @returns {boolean} Whether a preset was deleted
+     */
+    remove(name) {
+        if (PresetLibrary.isBuiltIn(name)) {
+            throw new Error(`"${name}" is a built-in preset and cannot be deleted`);
+        }
+        
+        const count = this.presets.length;
+        this.presets = this.presets.filter(preset => preset.name !== name);
+        this.persist();
+        return this.presets.length < count;
+    }
+    
+    /**
+     * Presets as an export file
+     * @param {Array<string>} names - Presets to export (all user presets if omitted)
+     * @returns {string} JSON text
+     */
+    toJSON(names) {
+        const presets = names
+            ? names.map(name => this.get(name)).filter(preset => preset)
+            : this.presets;
+        
+        return JSON.stringify(Object.assign({}, PresetLibrary.FORMAT, {
+            presets: presets.map(preset => ({ name: preset.name, settings: preset.settings }))
+        }), null, 2);
+    }
+    
+    /**
+     * Valid presets from parsed JSON; entries without a name or settings are skipped
+     * @param {Array} entries - Parsed presets
+     * @returns {Array<Object>} Presets as { name, settings }
+     */
+    static parsePresets(entries) {
+        const presets = [];
+        entries.forEach(entry => {
+            if (!entry || typeof entry.settings !== 'object' || entry.settings === null) return;
+            
+            try {
+                presets.push({ name: PresetLibrary.validateName(entry.name), settings: PresetLibrary.capture(entry.settings) });
+            } catch (error) {
+                console.warn('Skipped a preset without a valid name', error);
+            }
+        });
+        return presets;
+    }
+    
+    /**
+     * Add presets from an export file. Imported presets replace user presets
+     * of the same name; one named like a built-in is imported as "Name (imported)".
+     * @param {string} text - JSON text from toJSON()
+     * @returns {Array<string>} Names of the imported presets
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The preset file is not valid JSON');
+        }
+        if (!data || data.format !== PresetLibrary.FORMAT.format || !Array.isArray(data.presets)) {
+            throw new Error('Not a preset file: expected { "format": "hoberman-presets", "presets": [...] }');
+        }
+        if (data.version > PresetLibrary.FORMAT.version) {
+            throw new Error(`Preset file version ${data.version} is newer than this viewer supports`);
+        }
+        
+        const names = PresetLibrary.parsePresets(data.presets).map(preset => {
+            const name = PresetLibrary.isBuiltIn(preset.name) ? `${preset.name} (imported)` : preset.name;
+            return this.save(name, preset.settings).name;
+        });
+        
+        console.log(`Imported ${names.length} preset(s)`);
+        return names;
+    }
+    
+    /**
+     * Download presets as a JSON file
+     * @param {Array<string>} names - Presets to export (all user presets if omitted)
+     * @returns {string} File name
+     */
+    download(names) {
+        const fileName = names && names.length === 1
+            ? `${names[0].replace(/[^A-Za-z0-9_-]+/g, '-')}.preset.json`
+            : 'hoberman-presets.json';
+        const blob = new Blob([this.toJSON(names)], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        console.log(`Exported ${fileName}`);
+        return fileName;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,474 @@
+/**
+ * PrintablePartExporter.js
+ * ============================================
+ * Turns the struts of a deployable structure into 3D-printable solids and
+ * exports them as STL or OBJ (through THREE.STLExporter / THREE.OBJExporter).
+ * 
+ * Every strut becomes a flat bar: its centre line runs through the strut's
+ * hinge points, it is extruded to a fixed thickness, its ends are rounded and
+ * each hinge point gets a pin hole. Hole diameter is the pin diameter plus
+ * twice the print clearance. Bars are extruded from a single closed outline,
+ * so every part is a watertight solid.
+ * 
+ * Sizes are in millimetres; unitScale converts scene units. Scissor bars keep
+ * their built length. Connection struts and ties are cut at their length in
+ * the current pose, since the radial struts stretch as the sphere breathes.
+ * 
+ * Identical bars are grouped into part types (A, B, ...), exported either as
+ * one file per type or laid out on build plates, one file per plate, and
+ * downloaded together in one zip.
+ */
+
+class PrintablePartExporter {
+    /**
+     * Create a part exporter for a structure
+     * @param {DeployableStructure} structure - The structure to fabricate
+     * @param {Object} options - Fabrication settings (millimetres)
+     */
+    constructor(structure, options = {}) {
+        this.structure = structure;
+        
+        this.config = {
+            unitScale: options.unitScale || 10,       // Millimetres per scene unit
+            pinDiameter: options.pinDiameter || 3,    // Hinge pin diameter
+            clearance: Number.isFinite(options.clearance) ? options.clearance : 0.2, // Gap between pin and hole wall
+            thickness: options.thickness || 3,        // Bar thickness
+            barWidth: options.barWidth || 0,          // Bar width (0 = three pin diameters)
+            plateWidth: options.plateWidth || 200,    // Build plate size for the plated layout
+            plateDepth: options.plateDepth || 200,
+            spacing: options.spacing || 5,            // Gap between parts on the plate
+            holeSegments: 24,
+            capSegments: 12
+        };
+        
+        if (this.config.pinDiameter <= 0 || this.config.clearance < 0) {
+            throw new Error('Pin diameter must be positive and clearance non-negative');
+        }
+        
+        // Keep at least a millimetre of material either side of a hole
+        if (this.getBarWidth() < this.getHoleDiameter() + 2) {
+            throw new Error(`Bar width ${this.getBarWidth()} mm leaves no wall around ${this.getHoleDiameter()} mm holes`);
+        }
+    }
+    
+    /**
+     * Diameter of the pin holes, clearance included
+     * @returns {number}
+     */
+    getHoleDiameter() {
+        return this.config.pinDiameter + this.config.clearance * 2;
+    }
+    
+    /**
+     * Width of the bars
+     * @returns {number}
+     */
+    getBarWidth() {
+        return this.config.barWidth || this.config.pinDiameter * 3;
+    }
+    
+    /**
+     * Hinge points of every strut, flattened into the strut's own plane
+     * @returns {Array<Object>} Profiles as { name, points: [[x, y], ...] } in millimetres
+     */
+    collectProfiles() {
+        const scale = this.config.unitScale;
+        const profiles = [];
+        
+        this.structure.scissorLinks.forEach((link, i) => {
+            link.getBars().forEach(bar => {
+                const name = `ScissorLink_${i}_${bar.name}`;
+                
+                if (bar.segments.length > 1) {
+                    // Angulated bar: hinge, central pivot, hinge
+                    const points = [bar.segments[0].from, bar.segments[0].to, bar.segments[1].to];
+                    profiles.push({ name: name, points: this.flatten(points.map(p => p.clone().multiplyScalar(scale))) });
+                } else {
+                    // Straight bar pinned at both ends and at the central pivot
+                    const length = link.strutLength * scale;
+                    profiles.push({ name: name, points: [[0, 0], [length / 2, 0], [length, 0]] });
+                }
+            });
+        });
+        
+        let tieIndex = 0;
+        this.structure.getGroup().children.forEach(child => {
+            if (child.userData.isConnectionStrut || child.userData.isTie) {
+                const length = child.geometry.parameters.height * child.scale.y * scale;
+                const name = child.userData.isTie
+                    ? `Tie_${tieIndex++}`
+                    : `ConnectionStrut_${child.userData.linkIndices.join('_')}`;
+                profiles.push({ name: name, points: [[0, 0], [length, 0]] });
+            }
+        });
+        
+        return profiles;
+    }
+    
+    /**
+     * Lay a three-point bar flat: first point at the origin, second on +X,
+     * third above the X axis (mirror-image bars are the same part)
+     * @param {Array<THREE.Vector3>} points - Hinge points along the bar
+     * @returns {Array<Array<number>>}
+     */
+    flatten(points) {
+        const [a, b, c] = points;
+        const first = b.distanceTo(a);
+        const second = c.distanceTo(b);
+        const bend = new THREE.Vector3().subVectors(b, a).angleTo(new THREE.Vector3().subVectors(c, b));
+        
+        return [
+            [0, 0],
+            [first, 0],
+            [first + second * Math.cos(bend), second * Math.sin(bend)]
+        ];
+    }
+    
+    /**
+     * Group identical profiles into part types
+     * @param {Array<Object>} profiles - From collectProfiles()
+     * @returns {Array<Object>} Types as { id, points, quantity, names }
+     */
+    groupParts(profiles) {
+        const types = new Map();
+        
+        profiles.forEach(profile => {
+            // Hundredths of a millimetre are well below print tolerance
+            const key = profile.points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(';');
+            
+            if (!types.has(key)) {
+                types.set(key, { id: '', points: profile.points, quantity: 0, names: [] });
+            }
+            const type = types.get(key);
+            type.quantity++;
+            type.names.push(profile.name);
+        });
+        
+        // Longest parts first, lettered A, B, C ... AA, AB ...
+        const sorted = Array.from(types.values()).sort((a, b) => this.getSpan(b.points) - this.getSpan(a.points));
+        sorted.forEach((type, i) => {
+            type.id = PrintablePartExporter.typeLetter(i);
+        });
+        
+        return sorted;
+    }
+    
+    /**
+     * Letter code for the i-th part type
+     * @param {number} index - Zero-based type index
+     * @returns {string}
+     */
+    static typeLetter(index) {
+        let letters = '';
+        let n = index;
+        do {
+            letters = String.fromCharCode(65 + (n % 26)) + letters;
+            n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        return letters;
+    }
+    
+    /**
+     * Distance from the first to the last hinge point
+     * @param {Array<Array<number>>} points - Hinge points
+     * @returns {number}
+     */
+    getSpan(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        return Math.hypot(last[0] - first[0], last[1] - first[1]);
+    }
+    
+    /**
+     * Closed, counter-clockwise outline of a bar of the configured width around
+     * a polyline: mitred on the inside of bends, rounded on the outside and at the ends
+     * @param {Array<Array<number>>} points - Hinge points along the bar
+     * @returns {Array<THREE.Vector2>}
+     */
+    outline(points) {
+        const halfWidth = this.getBarWidth() / 2;
+        const forward = points.map(([x, y]) => new THREE.Vector2(x, y));
+        const backward = forward.slice().reverse();
+        
+        const points2d = this.traceSide(forward, halfWidth).concat(this.traceSide(backward, halfWidth));
+        
+        // ExtrudeGeometry only winds the hole walls correctly around a counter-clockwise outline
+        return THREE.ShapeUtils.isClockWise(points2d) ? points2d.reverse() : points2d;
+    }
+    
+    /**
+     * Trace the left-hand side of a polyline followed by the cap around its end
+     * @param {Array<THREE.Vector2>} points - Polyline
+     * @param {number} halfWidth - Offset from the centre line
+     * @returns {Array<THREE.Vector2>}
+     */
+    traceSide(points, halfWidth) {
+        const normals = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const direction = new THREE.Vector2().subVectors(points[i + 1], points[i]).normalize();
+            normals.push(new THREE.Vector2(-direction.y, direction.x));
+        }
+        
+        // The start point is where the cap of the opposite side ends
+        const offset = (point, normal) => point.clone().addScaledVector(normal, halfWidth);
+        const result = [];
+        
+        for (let i = 1; i < points.length - 1; i++) {
+            const before = normals[i - 1];
+            const after = normals[i];
+            const turn = before.x * after.y - before.y * after.x;
+            
+            if (Math.abs(turn) < 1e-9 && before.dot(after) > 0) {
+                // Straight through: the offset edge simply continues
+                continue;
+            } else if (turn > 0) {
+                // Bending towards this side: the two offset edges meet at a mitre
+                const bisector = before.clone().add(after).normalize();
+                result.push(offset(points[i], bisector.multiplyScalar(1 / bisector.dot(after))));
+            } else {
+                result.push(...this.arc(points[i], halfWidth, before, after));
+            }
+        }
+        
+        // Round end cap: half a turn clockwise from the left normal
+        const last = normals[normals.length - 1];
+        result.push(...this.arc(points[points.length - 1], halfWidth, last, last.clone().negate(), -1));
+        
+        return result;
+    }
+    
+    /**
+     * Points on a circular arc between two unit directions
+     * @param {THREE.Vector2} center - Arc centre
+     * @param {number} radius - Arc radius
+     * @param {THREE.Vector2} from - Start direction
+     * @param {THREE.Vector2} to - End direction
+     * @param {number} direction - 1 counter-clockwise, -1 clockwise, 0 the shorter way
+     * @returns {Array<THREE.Vector2>}
+     */
+    arc(center, radius, from, to, direction = 0) {
+        const start = Math.atan2(from.y, from.x);
+        let sweep = Math.atan2(to.y, to.x) - start;
+        
+        if (direction === 0) {
+            sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));
+        } else if (direction < 0) {
+            sweep = sweep > -1e-9 ? sweep - Math.PI * 2 : sweep;
+        } else {
+            sweep = sweep < 1e-9 ? sweep + Math.PI * 2 : sweep;
+        }
+        
+        const steps = Math.max(1, Math.ceil(this.config.capSegments * Math.abs(sweep) / Math.PI));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const angle = start + sweep * (i / steps);
+            points.push(new THREE.Vector2(
+                center.x + Math.cos(angle) * radius,
+                center.y + Math.sin(angle) * radius
+            ));
+        }
+        return points;
+    }
+    
+    /**
+     * Solid bar with pin holes, lying on the XY plane from z = 0 to the thickness
+     * @param {Array<Array<number>>} points - Hinge points along the bar
+     * @returns {THREE.ExtrudeGeometry}
+     */
+    createPartGeometry(points) {
+        const shape = new THREE.Shape(this.outline(points));
+        const holeRadius = this.getHoleDiameter() / 2;
+        
+        points.forEach(([x, y]) => {
+            const hole = new THREE.Path();
+            hole.absarc(x, y, holeRadius, 0, Math.PI * 2, true);
+            shape.holes.push(hole);
+        });
+        
+        return new THREE.ExtrudeGeometry(shape, {
+            depth: this.config.thickness,
+            bevelEnabled: false,
+            curveSegments: this.config.holeSegments
+        });
+    }
+    
+    /**
+     * One mesh per part type
+     * @returns {Array<Object>} Types as { id, points, quantity, names, mesh }
+     */
+    buildPartTypes() {
+        const material = new THREE.MeshStandardMaterial();
+        const types = this.groupParts(this.collectProfiles());
+        
+        // Neighbouring holes need a wall between them
+        const minimum = this.getHoleDiameter() + 2;
+        types.forEach(type => {
+            for (let i = 1; i < type.points.length; i++) {
+                const [x0, y0] = type.points[i - 1];
+                const [x1, y1] = type.points[i];
+                if (Math.hypot(x1 - x0, y1 - y0) < minimum) {
+                    console.warn(`Part ${type.id}: hinge holes ${Math.hypot(x1 - x0, y1 - y0).toFixed(1)} mm apart merge; increase the scale`);
+                    break;
+                }
+            }
+        });
+        
+        return types.map(type => {
+            type.mesh = new THREE.Mesh(this.createPartGeometry(type.points), material);
+            type.mesh.name = `Part_${type.id}`;
+            return type;
+        });
+    }
+    
+    /**
+     * Lay every part out in rows on as many build plates as it takes
+     * @param {Array<Object>} types - From buildPartTypes()
+     * @returns {Array<THREE.Group>} Plates, parts resting on z = 0
+     * @throws {Error} If a part is larger than the plate
+     */
+    buildPlates(types) {
+        const { plateWidth, plateDepth, spacing } = this.config;
+        const plates = [];
+        
+        let plate = null;
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+        
+        const startPlate = () => {
+            plate = new THREE.Group();
+            plate.name = `Plate_${plates.length + 1}`;
+            plates.push(plate);
+            x = 0;
+            y = 0;
+            rowHeight = 0;
+        };
+        
+        types.forEach(type => {
+            type.mesh.geometry.computeBoundingBox();
+            const box = type.mesh.geometry.boundingBox;
+            const width = box.max.x - box.min.x;
+            const height = box.max.y - box.min.y;
+            
+            if (width > plateWidth || height > plateDepth) {
+                throw new Error(`Part ${type.id} is ${width.toFixed(1)} x ${height.toFixed(1)} mm and does not fit the ${plateWidth} x ${plateDepth} mm build plate; reduce the print scale`);
+            }
+            
+            for (let i = 0; i < type.quantity; i++) {
+                if (!plate) {
+                    startPlate();
+                }
+                if (x > 0 && x + width > plateWidth) {
+                    x = 0;
+                    y += rowHeight + spacing;
+                    rowHeight = 0;
+                }
+                if (y > 0 && y + height > plateDepth) {
+                    startPlate();
+                }
+                
+                const copy = new THREE.Mesh(type.mesh.geometry, type.mesh.material);
+                copy.name = `Part_${type.id}_${i + 1}`;
+                copy.position.set(x - box.min.x, y - box.min.y, 0);
+                plate.add(copy);
+                
+                x += width + spacing;
+                rowHeight = Math.max(rowHeight, height);
+            }
+        });
+        
+        return plates;
+    }
+    
+    /**
+     * Serialise an object with the exporter for a format
+     * @param {THREE.Object3D} object - Meshes to write
+     * @param {string} format - 'stl' or 'obj'
+     * @returns {string|DataView}
+     */
+    serialize(object, format) {
+        object.updateMatrixWorld(true);
+        return format === 'obj'
+            ? new THREE.OBJExporter().parse(object)
+            : new THREE.STLExporter().parse(object, { binary: true });
+    }
+    
+    /**
+     * Export the parts
+     * @param {Object} options - { format: 'stl' | 'obj', layout: 'parts' (one file per type) | 'plate' }
+     * @returns {Array<Object>} Files as { fileName, data }
+     */
+    export(options = {}) {
+        const format = options.format === 'obj' ? 'obj' : 'stl';
+        const prefix = this.structure.structureType;
+        
+        const exporterName = format === 'obj' ? 'OBJExporter' : 'STLExporter';
+        if (typeof THREE[exporterName] === 'undefined') {
+            throw new Error(`THREE.${exporterName} is not loaded`);
+        }
+        
+        const types = this.buildPartTypes();
+        
+        // Released even when a part does not fit the plate
+        try {
+            if (options.layout === 'plate') {
+                return this.buildPlates(types).map((plate, i) => ({
+                    fileName: `${prefix}-plate-${i + 1}.${format}`,
+                    data: this.serialize(plate, format)
+                }));
+            }
+            return types.map(type => ({
+                fileName: `${prefix}-part-${type.id}-x${type.quantity}.${format}`,
+                data: this.serialize(type.mesh, format)
+            }));
+        } finally {
+            types.forEach(type => type.mesh.geometry.dispose());
+            if (types.length > 0) {
+                types[0].mesh.material.dispose();
+            }
+        }
+    }
+    
+    /**
+     * Export the parts as one zip of their files
+     * @param {Object} options - Same as export()
+     * @returns {{fileName: string, files: Array<string>, blob: Blob}} The zip, its name and the names inside it
+     */
+    exportZip(options = {}) {
+        const files = this.export(options);
+        const zip = new ZipWriter();
+        
+        files.forEach(file => {
+            // Binary STL comes back as a DataView over the exporter's buffer
+            const data = typeof file.data === 'string'
+                ? file.data
+                : new Uint8Array(file.data.buffer, file.data.byteOffset, file.data.byteLength);
+            zip.addFile(file.fileName, data);
+        });
+        
+        return {
+            fileName: `${this.structure.structureType}-${options.layout === 'plate' ? 'plates' : 'parts'}.zip`,
+            files: files.map(file => file.fileName),
+            blob: zip.toBlob()
+        };
+    }
+    
+    /**
+     * Export the parts and save them as one zip
+     * @param {Object} options - Same as export()
+     * @returns {{fileName: string, files: Array<string>}} The zip name and the names inside it
+     */
+    download(options = {}) {
+        const archive = this.exportZip(options);
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(archive.blob);
+        link.download = archive.fileName;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        console.log(`Exported ${archive.files.length} printable part file(s) in ${archive.fileName}`);
+        return { fileName: archive.fileName, files: archive.files };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,459 @@
+/**
+ * SceneEnvironment.js
+ * ============================================
+ * Image-based lighting and backgrounds for a scene.
+ * 
+ * The environment is a panorama of the surroundings, prefiltered by
+ * THREE.PMREMGenerator and set as scene.environment, so every
+ * MeshStandardMaterial reflects it: metal mirrors it and rough surfaces
+ * pick up its soft light. It comes from a procedural generator ('studio':
+ * a dim room with softbox panels; 'sky': a graded sky with a sun over the
+ * ground) or from the user's own equirectangular file (.hdr through
+ * RGBELoader, .exr through EXRLoader, .jpg or .png through TextureLoader).
+ * 
+ * Backgrounds are flat colours, vertical gradients, a nebula, or 'skybox',
+ * the environment itself. Gradients and the nebula are built as
+ * DataTextures, pixel by pixel, so they need no canvas.
+ */
+
+class SceneEnvironment {
+    /**
+     * Prepare environments for a renderer's scene (none is generated until asked for)
+     * @param {THREE.WebGLRenderer} renderer - Renderer the environments are prefiltered with
+     * @param {THREE.Scene} scene - Scene to light and put the background behind
+     * @param {Object} options - { pmrem: prefilter to use instead of a PMREMGenerator,
+     *     loaders: file type to loader, instead of the three.js ones }
+     */
+    constructor(renderer, scene, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.pmrem = options.pmrem || new THREE.PMREMGenerator(renderer);
+        this.loaders = options.loaders || {};
+        
+        // Current environment: a key of ENVIRONMENTS, or 'file' with the file's name
+        this.environment = 'none';
+        this.fileName = null;
+        
+        // Prefiltered environment (scene.environment is its texture)
+        this.renderTarget = null;
+        
+        // Loaded file as an equirectangular panorama, the sharpest skybox
+        this.panorama = null;
+        
+        this.background = 'space';
+        this.backgroundTexture = null;
+    }
+    
+    /**
+     * Named backgrounds: a colour (also the fallback), and optionally a
+     * gradient (colours from top to bottom), a nebula (cloud colours over
+     * the base colour) or the skybox
+     * @returns {Object}
+     */
+    static get BACKGROUNDS() {
+        return {
+            space: { color: 0x0a0a0a },
+            gradient: { color: 0x1a1a2e, gradient: [0x3a3a6e, 0x1a1a2e, 0x050510] },
+            blue: { color: 0x001a33 },
+            purple: { color: 0x1a0a2e, nebula: [0x6a2c9e, 0x2c4cae, 0xb03a7a] },
+            black: { color: 0x000000 },
+            skybox: { color: 0x0a0a0a, skybox: true }
+        };
+    }
+    
+    /**
+     * Procedural environments ('none' lights with the lighting rig alone)
+     * @returns {Array<string>}
+     */
+    static get ENVIRONMENTS() {
+        return ['none', 'studio', 'sky'];
+    }
+    
+    /**
+     * Kind of environment file a name stands for
+     * @param {string} fileName - File name with extension
+     * @returns {string|null} 'hdr', 'exr', 'image', or null if unsupported
+     */
+    static getFileType(fileName) {
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        const types = { hdr: 'hdr', exr: 'exr', jpg: 'image', jpeg: 'image', png: 'image' };
+        return types[extension] || null;
+    }
+    
+    /**
+     * Texture for a named background
+     * @param {string} name - A key of SceneEnvironment.BACKGROUNDS
+     * @returns {THREE.DataTexture|null} Null for flat colours and the skybox
+     */
+    static createBackgroundTexture(name) {
+        const descriptor = SceneEnvironment.BACKGROUNDS[name];
+        if (!descriptor) {
+            return null;
+        }
+        if (descriptor.gradient) {
+            return SceneEnvironment.createGradientTexture(descriptor.gradient);
+        }
+        if (descriptor.nebula) {
+            return SceneEnvironment.createNebulaTexture(descriptor.color, descriptor.nebula);
+        }
+        return null;
+    }
+    
+    /**
+     * Vertical gradient, one pixel wide and stretched across the view
+     * @param {Array<number>} colors - Hex colours from top to bottom, evenly spaced
+     * @param {number} height - Rows
+     * @returns {THREE.DataTexture}
+     */
+    static createGradientTexture(colors, height = 256) {
+        const stops = colors.map(hex => new THREE.Color(hex));
+        const data = new Uint8Array(height * 4);
+        const color = new THREE.Color();
+        
+        for (let row = 0; row < height; row++) {
+            // Row 0 is the bottom of a DataTexture
+            const position = (1 - row / (height - 1)) * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            color.lerpColors(stops[index], stops[index + 1], position - index);
+            SceneEnvironment.writePixel(data, row, color);
+        }
+        
+        return SceneEnvironment.finishTexture(new THREE.DataTexture(data, 1, height, THREE.RGBAFormat));
+    }
+    
+    /**
+     * Nebula: soft coloured clouds and faint stars over a base colour. The
+     * same seed always draws the same sky.
+     * @param {number} base - Hex colour of empty space
+     * @param {Array<number>} colors - Hex colours of the clouds
+     * @param {number} size - Width and height in pixels
+     * @param {number} seed - Random seed
+     * @returns {THREE.DataTexture}
+     */
+    static createNebulaTexture(base, colors, size = 128, seed = 7) {
+        const random = SceneEnvironment.createRandom(seed);
+        
+        // Clouds as overlapping soft discs, several per colour
+        const clouds = [];
+        colors.forEach(hex => {
+            for (let i = 0; i < 4; i++) {
+                clouds.push({
+                    color: new THREE.Color(hex),
+                    x: random(), y: random(),
+                    radius: 0.12 + random() * 0.25,
+                    strength: 0.25 + random() * 0.35
+                });
+            }
+        });
+        
+        const data = new Uint8Array(size * size * 4);
+        const background = new THREE.Color(base);
+        const color = new THREE.Color();
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                color.copy(background);
+                clouds.forEach(cloud => {
+                    const dx = x / size - cloud.x;
+                    const dy = y / size - cloud.y;
+                    const weight = cloud.strength * Math.exp(-(dx * dx + dy * dy) / (cloud.radius * cloud.radius));
+                    color.r += cloud.color.r * weight;
+                    color.g += cloud.color.g * weight;
+                    color.b += cloud.color.b * weight;
+                });
+                if (random() < 0.004) {
+                    color.addScalar(0.4 + random() * 0.6);
+                }
+                SceneEnvironment.writePixel(data, y * size + x, color);
+            }
+        }
+        
+        return SceneEnvironment.finishTexture(new THREE.DataTexture(data, size, size, THREE.RGBAFormat));
+    }
+    
+    /**
+     * Studio environment: a dark room lit by a large overhead softbox, a
+     * strip light either side and a dimmer panel behind. Panels are brighter
+     * than white, so metal shows crisp highlights.
+     * @returns {THREE.Scene}
+     */
+    static createStudioScene() {
+        const studio = new THREE.Scene();
+        
+        const room = new THREE.Mesh(
+            new THREE.BoxGeometry(20, 12, 20),
+            new THREE.MeshBasicMaterial({ color: 0x303236, side: THREE.BackSide })
+        );
+        room.position.y = 2;
+        studio.add(room);
+        
+        // [width, height, position, rotation, brightness]
+        const panels = [
+            [10, 6, [0, 7.9, 0], [Math.PI / 2, 0, 0], 8],
+            [2, 8, [-9.9, 2, 2], [0, Math.PI / 2, 0], 5],
+            [2, 8, [9.9, 2, -2], [0, -Math.PI / 2, 0], 5],
+            [12, 3, [0, 4, -9.9], [0, 0, 0], 2]
+        ];
+        panels.forEach(([width, height, position, rotation, brightness]) => {
+            const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+            material.color.setScalar(brightness);
+            const panel = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+            panel.position.fromArray(position);
+            panel.rotation.fromArray(rotation);
+            studio.add(panel);
+        });
+        
+        return studio;
+    }
+    
+    /**
+     * Sky environment: a dome graded from the horizon to a deep zenith,
+     * ground below, and a bright sun
+     * @param {Object} options - { zenith, horizon, ground: hex colours, sun: direction towards the sun }
+     * @returns {THREE.Scene}
+     */
+    static createSkyScene(options = {}) {
+        const zenith = new THREE.Color(options.zenith !== undefined ? options.zenith : 0x1f5fbf);
+        const horizon = new THREE.Color(options.horizon !== undefined ? options.horizon : 0xc8dcf0);
+        const ground = new THREE.Color(options.ground !== undefined ? options.ground : 0x4a4438);
+        const sun = (options.sun || new THREE.Vector3(0.5, 0.6, 0.3)).clone().normalize();
+        const sky = new THREE.Scene();
+        
+        // Colours per vertex, by height: well inside the prefilter's far plane
+        const radius = 50;
+        const geometry = new THREE.SphereGeometry(radius, 48, 24);
+        const positions = geometry.attributes.position;
+        const colors = new Float32Array(positions.count * 3);
+        const color = new THREE.Color();
+        for (let i = 0; i < positions.count; i++) {
+            const height = positions.getY(i) / radius;
+            if (height >= 0) {
+                color.lerpColors(horizon, zenith, Math.sqrt(height));
+            } else {
+                color.lerpColors(horizon, ground, Math.min(1, -height * 6));
+            }
+            color.toArray(colors, i * 3);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        sky.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.BackSide })));
+        
+        const sunMaterial = new THREE.MeshBasicMaterial();
+        sunMaterial.color.setRGB(40, 36, 30);
+        const sunDisc = new THREE.Mesh(new THREE.SphereGeometry(2, 16, 8), sunMaterial);
+        sunDisc.position.copy(sun).multiplyScalar(radius * 0.9);
+        sky.add(sunDisc);
+        
+        return sky;
+    }
+    
+    /**
+     * Free the generated scenes' geometry and materials
+     * @param {THREE.Scene} scene - A scene built by createStudioScene() or createSkyScene()
+     */
+    static disposeScene(scene) {
+        scene.traverse(object => {
+            if (object.isMesh) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+    
+    /**
+     * Seeded random numbers (mulberry32), so generated textures are repeatable
+     * @param {number} seed - Any integer
+     * @returns {function(): number} Numbers from 0 up to 1
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Write a colour into RGBA bytes, clamped
+     * @param {Uint8Array} data - Pixel data
+     * @param {number} index - Pixel index
+     * @param {THREE.Color} color - Colour, components from 0 to 1
+     */
+    static writePixel(data, index, color) {
+        data[index * 4] = Math.round(Math.min(1, color.r) * 255);
+        data[index * 4 + 1] = Math.round(Math.min(1, color.g) * 255);
+        data[index * 4 + 2] = Math.round(Math.min(1, color.b) * 255);
+        data[index * 4 + 3] = 255;
+    }
+    
+    /**
+     * Smooth a generated background texture and mark it for upload
+     * @param {THREE.DataTexture} texture - Texture with its data written
+     * @returns {THREE.DataTexture}
+     */
+    static finishTexture(texture) {
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    /**
+     * Switch to a procedural environment
+     * @param {string} name - One of SceneEnvironment.ENVIRONMENTS
+     */
+    setEnvironment(name) {
+        if (!SceneEnvironment.ENVIRONMENTS.includes(name)) {
+            throw new Error(`Unknown environment: ${name}`);
+        }
+        
+        let renderTarget = null;
+        if (name !== 'none') {
+            const source = name === 'studio' ? SceneEnvironment.createStudioScene() : SceneEnvironment.createSkyScene();
+            renderTarget = this.pmrem.fromScene(source, 0.04);
+            SceneEnvironment.disposeScene(source);
+        }
+        
+        this.use(renderTarget, null);
+        this.environment = name;
+        this.fileName = null;
+        console.log(`Environment changed to: ${name}`);
+    }
+    
+    /**
+     * Light the scene with an equirectangular panorama from a file
+     * @param {File} file - A .hdr, .exr, .jpg or .png file
+     * @returns {Promise<string>} The file's name, once the scene is lit with it
+     */
+    loadFile(file) {
+        const type = SceneEnvironment.getFileType(file.name);
+        if (!type) {
+            return Promise.reject(new Error(`${file.name} is not an environment map (use .hdr, .exr, .jpg or .png)`));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const loader = this.createLoader(type);
+            const url = URL.createObjectURL(file);
+            
+            loader.load(url, (texture) => {
+                URL.revokeObjectURL(url);
+                texture.mapping = THREE.EquirectangularReflectionMapping;
+                if (type === 'image') {
+                    texture.encoding = THREE.sRGBEncoding;
+                }
+                
+                this.use(this.pmrem.fromEquirectangular(texture), texture);
+                this.environment = 'file';
+                this.fileName = file.name;
+                console.log(`Environment loaded from: ${file.name}`);
+                resolve(file.name);
+            }, undefined, (error) => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read ${file.name}${error && error.message ? `: ${error.message}` : ''}`));
+            });
+        });
+    }
+    
+    /**
+     * Loader for a kind of file. HDR and EXR are decoded to 8-bit RGBE,
+     * which every WebGL device can filter.
+     * @param {string} type - 'hdr', 'exr' or 'image'
+     * @returns {THREE.Loader}
+     */
+    createLoader(type) {
+        if (this.loaders[type]) {
+            return this.loaders[type];
+        }
+        
+        const loaders = { hdr: 'RGBELoader', exr: 'EXRLoader', image: 'TextureLoader' };
+        if (!THREE[loaders[type]]) {
+            throw new Error(`THREE.${loaders[type]} is not loaded`);
+        }
+        const loader = new THREE[loaders[type]]();
+        return type === 'image' ? loader : loader.setDataType(THREE.UnsignedByteType);
+    }
+    
+    /**
+     * Make a prefiltered environment current, releasing the previous one
+     * @param {THREE.WebGLRenderTarget|null} renderTarget - Prefiltered environment, or null for none
+     * @param {THREE.Texture|null} panorama - Panorama it came from, kept for the skybox
+     */
+    use(renderTarget, panorama) {
+        this.release();
+        this.renderTarget = renderTarget;
+        this.panorama = panorama;
+        this.scene.environment = renderTarget ? renderTarget.texture : null;
+        
+        // The skybox shows whichever environment is current
+        if (SceneEnvironment.BACKGROUNDS[this.background].skybox) {
+            this.setBackground(this.background);
+        }
+    }
+    
+    /**
+     * Free the current environment's textures
+     */
+    release() {
+        if (this.renderTarget) {
+            this.renderTarget.dispose();
+            this.renderTarget = null;
+        }
+        if (this.panorama) {
+            this.panorama.dispose();
+            this.panorama = null;
+        }
+    }
+    
+    /**
+     * Change the background
+     * @param {string} name - A key of SceneEnvironment.BACKGROUNDS ('skybox' is the
+     *     flat colour while there is no environment)
+     */
+    setBackground(name) {
+        const descriptor = SceneEnvironment.BACKGROUNDS[name];
+        if (!descriptor) {
+            throw new Error(`Unknown background: ${name}`);
+        }
+        
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+            this.backgroundTexture = null;
+        }
+        
+        if (descriptor.skybox && (this.panorama || this.renderTarget)) {
+            this.scene.background = this.panorama || this.renderTarget.texture;
+        } else {
+            this.backgroundTexture = SceneEnvironment.createBackgroundTexture(name);
+            this.scene.background = this.backgroundTexture || new THREE.Color(descriptor.color);
+        }
+        
+        // Fog fades distant struts into the background's base colour
+        if (this.scene.fog) {
+            this.scene.fog.color.setHex(descriptor.color);
+        }
+        this.background = name;
+    }
+    
+    /**
+     * Brightness of the whole image, environment and lights alike
+     * @param {number} exposure - Tone mapping exposure (1 is neutral)
+     */
+    setExposure(exposure) {
+        this.renderer.toneMappingExposure = exposure;
+    }
+    
+    /**
+     * Release every texture and the prefilter
+     */
+    dispose() {
+        this.release();
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+            this.backgroundTexture = null;
+        }
+        this.scene.environment = null;
+        this.pmrem.dispose();
+    }
+}
\ No newline at end of file
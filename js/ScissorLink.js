@@ -78,89 +78,49 @@ class ScissorLink {
     }
     
     /**
-     * Update the scissor link geometry based on expansion factor
-     * This calculates the positions and rotations of all components
+     * Update the scissor link geometry based on expansion factor.
+     * The positions come from LinkageKinematics; this only places the meshes.
      */
     updateGeometry() {
-        // Calculate the angle of opening based on expansion
-        // At expansion = 0, scissors are closed (angle = 0)
-        // At expansion = 1, scissors are open (angle = 90 degrees)
-        const openAngle = this.expansionFactor * Math.PI / 2;
-        
-        // Calculate perpendicular axes for positioning struts
-        const perpAxis1 = new THREE.Vector3();
-        const perpAxis2 = new THREE.Vector3();
-        
-        // Create perpendicular vectors to the main axis
-        if (Math.abs(this.axis.y) < 0.9) {
-            perpAxis1.crossVectors(this.axis, new THREE.Vector3(0, 1, 0));
-        } else {
-            perpAxis1.crossVectors(this.axis, new THREE.Vector3(1, 0, 0));
-        }
-        perpAxis1.normalize();
-        perpAxis2.crossVectors(this.axis, perpAxis1).normalize();
-        
-        // Calculate strut positions and rotations
-        const halfLength = this.strutLength / 2;
-        const offset = halfLength * Math.sin(openAngle);
-        
-        // Strut 1 position and rotation
-        const strut1Pos = this.position.clone().add(
-            perpAxis1.clone().multiplyScalar(offset)
-        );
-        this.strut1.position.copy(strut1Pos);
-        this.strut1.quaternion.setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            this.axis
-        );
-        this.strut1.rotateOnAxis(perpAxis2, openAngle);
+        const state = LinkageKinematics.scissorUnit({
+            position: this.position.toArray(),
+            axis: this.axis.toArray(),
+            strutLength: this.strutLength
+        }, this.expansionFactor);
         
-        // Strut 2 position and rotation
-        const strut2Pos = this.position.clone().add(
-            perpAxis1.clone().multiplyScalar(-offset)
-        );
-        this.strut2.position.copy(strut2Pos);
-        this.strut2.quaternion.setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            this.axis
-        );
-        this.strut2.rotateOnAxis(perpAxis2, -openAngle);
+        this.applyTransform(this.strut1, state.struts[0]);
+        this.applyTransform(this.strut2, state.struts[1]);
         
         // Pivot position (center point)
         this.pivot.position.copy(this.position);
         
         // Update endpoint positions for connections to other links
-        this.updateEndpoints(openAngle, halfLength, perpAxis1, perpAxis2);
+        Object.keys(this.endpoints).forEach(name => {
+            this.endpoints[name].fromArray(state.endpoints[name]);
+        });
     }
     
     /**
-     * Update the positions of connection endpoints
-     * @param {number} openAngle - Current opening angle
-     * @param {number} halfLength - Half the strut length
-     * @param {THREE.Vector3} perpAxis1 - First perpendicular axis
-     * @param {THREE.Vector3} perpAxis2 - Second perpendicular axis
+     * Copy a strut transform from LinkageKinematics onto a mesh
+     * @param {THREE.Object3D} mesh - Strut mesh (cylinder along its local Y axis)
+     * @param {Object} strut - { position, quaternion } as arrays
      */
-    updateEndpoints(openAngle, halfLength, perpAxis1, perpAxis2) {
-        const offset = halfLength * Math.sin(openAngle);
-        const height = halfLength * Math.cos(openAngle);
-        
-        // Top endpoints (positive axis direction)
-        this.endpoints.top1.copy(this.position)
-            .add(this.axis.clone().multiplyScalar(height))
-            .add(perpAxis1.clone().multiplyScalar(offset));
-            
-        this.endpoints.top2.copy(this.position)
-            .add(this.axis.clone().multiplyScalar(height))
-            .add(perpAxis1.clone().multiplyScalar(-offset));
+    applyTransform(mesh, strut) {
+        mesh.position.fromArray(strut.position);
+        mesh.quaternion.fromArray(strut.quaternion);
+    }
+    
+    /**
+     * Create two unit vectors perpendicular to the main axis and to each other
+     * @returns {{perpAxis1: THREE.Vector3, perpAxis2: THREE.Vector3}}
+     */
+    getPerpendicularAxes() {
+        const { perpAxis1, perpAxis2 } = LinkageKinematics.perpendicularAxes(this.axis.toArray());
         
-        // Bottom endpoints (negative axis direction)
-        this.endpoints.bottom1.copy(this.position)
-            .add(this.axis.clone().multiplyScalar(-height))
-            .add(perpAxis1.clone().multiplyScalar(offset));
-            
-        this.endpoints.bottom2.copy(this.position)
-            .add(this.axis.clone().multiplyScalar(-height))
-            .add(perpAxis1.clone().multiplyScalar(-offset));
+        return {
+            perpAxis1: new THREE.Vector3().fromArray(perpAxis1),
+            perpAxis2: new THREE.Vector3().fromArray(perpAxis2)
+        };
     }
     
     /**
@@ -196,6 +156,35 @@ class ScissorLink {
         this.pivot.geometry.dispose();
     }
     
+    /**
+     * Direction of the hinge axis through the central pivot
+     * @returns {THREE.Vector3}
+     */
+    getPivotAxis() {
+        return this.getPerpendicularAxes().perpAxis2;
+    }
+    
+    /**
+     * Describe the rigid bars of the unit for linkage analysis.
+     * Each bar lists the endpoints it carries and the meshes that should
+     * span the hinge points between them.
+     * @returns {Array<Object>} Bars as { name, endpoints, segments: [{ mesh, from, to }] }
+     */
+    getBars() {
+        return [
+            {
+                name: 'strut1',
+                endpoints: ['bottom1', 'top1'],
+                segments: [{ mesh: this.strut1, from: this.endpoints.bottom1, to: this.endpoints.top1 }]
+            },
+            {
+                name: 'strut2',
+                endpoints: ['bottom2', 'top2'],
+                segments: [{ mesh: this.strut2, from: this.endpoints.bottom2, to: this.endpoints.top2 }]
+            }
+        ];
+    }
+    
     /**
      * Get the current radius from center based on expansion
      * @returns {number} Current radius
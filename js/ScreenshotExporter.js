@@ -0,0 +1,265 @@
+/**
+ * ScreenshotExporter.js
+ * ============================================
+ * High-resolution PNG capture of the scene, independent of the window size.
+ * 
+ * The scene is rendered offscreen in tiles through a copy of the live
+ * camera (the same view the CameraController set up, with the
+ * aspect ratio of the capture), so 4K, 8K or print-size images work even
+ * beyond the GPU's render target limit. Supersampling renders 2x or 4x the
+ * pixels and averages them down. The live viewport, camera, render target,
+ * clear colour and background are all left exactly as they were.
+ * 
+ * Print sizes are computed from a DPI, which is also written into the PNG
+ * so layout software prints it at the intended size.
+ */
+
+class ScreenshotExporter {
+    /**
+     * Create an exporter for a renderer and scene
+     * @param {THREE.WebGLRenderer} renderer - The live renderer
+     * @param {THREE.Scene} scene - The scene to capture
+     * @param {THREE.PerspectiveCamera} camera - The live camera (never modified)
+     */
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        
+        // Largest tile rendered in one pass
+        this.tileSize = 2048;
+    }
+    
+    /**
+     * Named capture sizes: fixed pixels, or paper in millimetres at a DPI
+     * @returns {Object}
+     */
+    static get SIZES() {
+        return {
+            '1080p': { width: 1920, height: 1080 },
+            '4k': { width: 3840, height: 2160 },
+            '8k': { width: 7680, height: 4320 },
+            'a4': { widthMM: 297, heightMM: 210 },
+            'a3': { widthMM: 420, heightMM: 297 },
+            'letter': { widthMM: 279.4, heightMM: 215.9 }
+        };
+    }
+    
+    /**
+     * Pixel size of a capture
+     * @param {string} preset - A key of ScreenshotExporter.SIZES, or 'window'
+     * @param {Object} options - { dpi for paper sizes, windowWidth, windowHeight for 'window' }
+     * @returns {{width: number, height: number}}
+     */
+    static resolveSize(preset, options = {}) {
+        if (preset === 'window') {
+            return { width: options.windowWidth, height: options.windowHeight };
+        }
+        
+        const size = ScreenshotExporter.SIZES[preset];
+        if (!size) {
+            throw new Error(`Unknown capture size: ${preset}`);
+        }
+        if (size.widthMM) {
+            const dpi = options.dpi || 300;
+            return {
+                width: Math.round(size.widthMM / 25.4 * dpi),
+                height: Math.round(size.heightMM / 25.4 * dpi)
+            };
+        }
+        return { width: size.width, height: size.height };
+    }
+    
+    /**
+     * Split an image into tiles no larger than tileSize
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} tileSize - Largest tile edge
+     * @returns {Array<Object>} Tiles as { x, y, width, height }, y measured from the top
+     */
+    static getTiles(width, height, tileSize) {
+        const tiles = [];
+        
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                tiles.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(tileSize, width - x),
+                    height: Math.min(tileSize, height - y)
+                });
+            }
+        }
+        return tiles;
+    }
+    
+    /**
+     * Add a rendered tile into the output sums, averaging each
+     * supersample x supersample block into one output pixel
+     * @param {Uint16Array|Uint8ClampedArray} sums - Output RGBA, width x height
+     * @param {number} width - Output width in pixels
+     * @param {Uint8Array} pixels - Tile RGBA as read back (bottom row first)
+     * @param {Object} tile - Tile in supersampled pixels, from getTiles()
+     * @param {number} supersample - Samples per output pixel along each axis
+     */
+    static accumulateTile(sums, width, pixels, tile, supersample) {
+        for (let row = 0; row < tile.height; row++) {
+            // WebGL reads bottom-up; tiles are placed top-down
+            const outY = Math.floor((tile.y + tile.height - 1 - row) / supersample);
+            
+            for (let column = 0; column < tile.width; column++) {
+                const outX = Math.floor((tile.x + column) / supersample);
+                const source = (row * tile.width + column) * 4;
+                const target = (outY * width + outX) * 4;
+                
+                for (let channel = 0; channel < 4; channel++) {
+                    sums[target + channel] += pixels[source + channel];
+                }
+            }
+        }
+    }
+    
+    /**
+     * Write a pHYs chunk into a PNG so it prints at the given DPI
+     * @param {Uint8Array} png - PNG file bytes
+     * @param {number} dpi - Dots per inch
+     * @returns {Uint8Array} New PNG bytes
+     */
+    static setPngDpi(png, dpi) {
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+        view.setUint32(8, pixelsPerMetre);
+        view.setUint32(12, pixelsPerMetre);
+        chunk[16] = 1; // unit: metre
+        view.setUint32(17, ZipWriter.crc32(chunk.subarray(4, 17)));
+        
+        // The signature (8 bytes) and IHDR chunk (25 bytes) always come first
+        const insertAt = 33;
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, insertAt), 0);
+        result.set(chunk, insertAt);
+        result.set(png.subarray(insertAt), insertAt + chunk.length);
+        
+        return result;
+    }
+    
+    /**
+     * Render the scene at a size and return its RGBA pixels, top row first
+     * @param {Object} options - { width, height, supersample: 1, 2 or 4, transparent }
+     * @returns {Uint8ClampedArray}
+     */
+    renderPixels(options) {
+        const { width, height } = options;
+        const supersample = options.supersample || 1;
+        const renderer = this.renderer;
+        const fullWidth = width * supersample;
+        const fullHeight = height * supersample;
+        const tileSize = Math.min(this.tileSize, renderer.capabilities.maxTextureSize);
+        
+        // A copy of the live camera, framed for the capture's aspect ratio
+        const camera = this.camera.clone();
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        
+        const target = new THREE.WebGLRenderTarget(tileSize, tileSize);
+        target.texture.encoding = renderer.outputEncoding;
+        
+        const previousTarget = renderer.getRenderTarget();
+        const previousClearColor = renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = renderer.getClearAlpha();
+        const previousBackground = this.scene.background;
+        
+        if (options.transparent) {
+            this.scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+        
+        const sums = supersample > 1 ? new Uint16Array(width * height * 4) : new Uint8ClampedArray(width * height * 4);
+        
+        try {
+            ScreenshotExporter.getTiles(fullWidth, fullHeight, tileSize).forEach(tile => {
+                const pixels = new Uint8Array(tile.width * tile.height * 4);
+                
+                camera.setViewOffset(fullWidth, fullHeight, tile.x, tile.y, tile.width, tile.height);
+                target.setSize(tile.width, tile.height);
+                renderer.setRenderTarget(target);
+                renderer.clear();
+                renderer.render(this.scene, camera);
+                renderer.readRenderTargetPixels(target, 0, 0, tile.width, tile.height, pixels);
+                
+                ScreenshotExporter.accumulateTile(sums, width, pixels, tile, supersample);
+            });
+        } finally {
+            renderer.setRenderTarget(previousTarget);
+            renderer.setClearColor(previousClearColor, previousClearAlpha);
+            this.scene.background = previousBackground;
+            target.dispose();
+        }
+        
+        if (supersample === 1) {
+            return sums;
+        }
+        
+        const samples = supersample * supersample;
+        return Uint8ClampedArray.from(sums, sum => Math.round(sum / samples));
+    }
+    
+    /**
+     * Capture the scene as a PNG
+     * @param {Object} options - { width, height, supersample, transparent, dpi }
+     * @returns {Promise<Blob>}
+     */
+    capture(options) {
+        let pixels;
+        try {
+            pixels = this.renderPixels(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = options.width;
+        canvas.height = options.height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels, options.width, options.height), 0, 0);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not encode the PNG'));
+                } else if (options.dpi) {
+                    blob.arrayBuffer().then(buffer => {
+                        const png = ScreenshotExporter.setPngDpi(new Uint8Array(buffer), options.dpi);
+                        resolve(new Blob([png], { type: 'image/png' }));
+                    }, reject);
+                } else {
+                    resolve(blob);
+                }
+            }, 'image/png');
+        });
+    }
+    
+    /**
+     * Capture the scene and save it as a PNG file
+     * @param {Object} options - Same as capture(), plus name: file name prefix
+     * @returns {Promise<string>} The file name
+     */
+    download(options) {
+        const fileName = `${options.name || 'capture'}-${options.width}x${options.height}.png`;
+        
+        return this.capture(options).then(blob => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            link.click();
+            
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            
+            console.log(`Captured ${fileName}`);
+            return fileName;
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * SettingsStore.js
+ * ============================================
+ * Saves the viewer settings and shares them through the URL.
+ * 
+ * Settings are a flat object of UI values (structure and its build
+ * options, speed, color, material, background, lighting, toggles, camera
+ * orbit, whether the animation runs, and the expansion while it is
+ * manual). They are kept in localStorage as JSON between visits, and can be
+ * encoded into a URL hash such as
+ * 
+ *     #speed=0.5&color=00aaff&autoRotate=1&theta=0.7854&animating=1
+ * 
+ * so a link opens the same view. Anything read back, from storage or from
+ * a hand-edited link, is checked against FIELDS; unknown keys and values
+ * of the wrong type or out of range are dropped, not guessed at.
+ */
+
+class SettingsStore {
+    /**
+     * Create a store
+     * @param {Storage|null} storage - Where to keep settings (localStorage by default; null keeps nothing)
+     * @param {string} key - Storage key
+     */
+    constructor(storage = SettingsStore.getLocalStorage(), key = 'hoberman-sphere-settings') {
+        this.storage = storage;
+        this.key = key;
+    }
+    
+    /**
+     * Settings that can be saved, with their type and allowed range or values
+     * @returns {Object} Field name to { type: 'number'|'integer'|'boolean'|'color'|'name', min, max, values }
+     */
+    static get FIELDS() {
+        return {
+            structure: { type: 'name', values: ['sphere', 'ring', 'arch', 'dome'] },
+            mechanism: { type: 'name', values: ['linkage', 'radial'] },
+            minRadius: { type: 'number', min: 0.1, max: 50 },
+            maxRadius: { type: 'number', min: 0.5, max: 100 },
+            strutRadius: { type: 'number', min: 0.01, max: 1 },
+            polyhedron: { type: 'name' },
+            subdivisions: { type: 'integer', min: 0, max: 5 },
+            speed: { type: 'number', min: 0.1, max: 3 },
+            color: { type: 'color' },
+            material: { type: 'name', values: ['metallic', 'matte', 'glossy'] },
+            instanced: { type: 'boolean' },
+            background: { type: 'name' },
+            lighting: { type: 'name' },
+            environment: { type: 'name', values: ['none', 'studio', 'sky'] },
+            exposure: { type: 'number', min: 0.2, max: 3 },
+            autoRotate: { type: 'boolean' },
+            springBack: { type: 'boolean' },
+            glow: { type: 'boolean' },
+            bloomThreshold: { type: 'number', min: 0, max: 1 },
+            bloomStrength: { type: 'number', min: 0, max: 3 },
+            bloomRadius: { type: 'number', min: 0, max: 1 },
+            antialias: { type: 'name' },
+            vignette: { type: 'boolean' },
+            stats: { type: 'boolean' },
+            colorMode: { type: 'name' },
+            colorRamp: { type: 'name' },
+            theta: { type: 'number' },
+            phi: { type: 'number', min: 0, max: Math.PI },
+            radius: { type: 'number', min: 1, max: 1000 },
+            targetX: { type: 'number', min: -1000, max: 1000 },
+            targetY: { type: 'number', min: -1000, max: 1000 },
+            targetZ: { type: 'number', min: -1000, max: 1000 },
+            animating: { type: 'boolean' },
+            manualExpansion: { type: 'boolean' },
+            expansion: { type: 'number', min: 0, max: 1 }
+        };
+    }
+    
+    /**
+     * localStorage, or null where the browser refuses it (blocked cookies, sandboxed frames)
+     * @returns {Storage|null}
+     */
+    static getLocalStorage() {
+        try {
+            return typeof window !== 'undefined' ? window.localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Read one setting from JSON or a URL parameter
+     * @param {string} name - Field name
+     * @param {*} raw - Stored value, or the string from a hash
+     * @returns {*} The value, or undefined if it is not valid for the field
+     */
+    static parseValue(name, raw) {
+        const field = SettingsStore.FIELDS[name];
+        if (!field || raw === null || raw === undefined) {
+            return undefined;
+        }
+        
+        switch (field.type) {
+            case 'number':
+            case 'integer': {
+                const value = typeof raw === 'number' ? raw : (raw === '' ? NaN : Number(raw));
+                if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                    return undefined;
+                }
+                if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                    return undefined;
+                }
+                return value;
+            }
+            case 'boolean':
+                if (raw === true || raw === '1' || raw === 'true') return true;
+                if (raw === false || raw === '0' || raw === 'false') return false;
+                return undefined;
+            case 'color': {
+                const match = /^#?([0-9a-f]{6})$/i.exec(String(raw));
+                return match ? `#${match[1].toLowerCase()}` : undefined;
+            }
+            case 'name':
+                if (field.values) {
+                    return field.values.includes(raw) ? raw : undefined;
+                }
+                return /^[A-Za-z0-9_-]+$/.test(String(raw)) ? String(raw) : undefined;
+        }
+        return undefined;
+    }
+    
+    /**
+     * Keep only known, valid settings
+     * @param {Object} values - Settings from storage, a hash or the UI
+     * @returns {Object}
+     */
+    static sanitize(values) {
+        const settings = {};
+        Object.keys(SettingsStore.FIELDS).forEach(name => {
+            const value = SettingsStore.parseValue(name, values[name]);
+            if (value !== undefined) {
+                settings[name] = value;
+            }
+        });
+        return settings;
+    }
+    
+    /**
+     * Encode settings as a URL hash (without the leading '#')
+     * @param {Object} settings - Settings to share
+     * @returns {string}
+     */
+    static encode(settings) {
+        const params = new URLSearchParams();
+        
+        Object.entries(SettingsStore.sanitize(settings)).forEach(([name, value]) => {
+            const type = SettingsStore.FIELDS[name].type;
+            if (type === 'boolean') {
+                params.set(name, value ? '1' : '0');
+            } else if (type === 'number') {
+                params.set(name, String(parseFloat(value.toFixed(4)))); // Short links; 1e-4 rad is invisible
+            } else if (type === 'color') {
+                params.set(name, value.slice(1));
+            } else {
+                params.set(name, String(value));
+            }
+        });
+        
+        return params.toString();
+    }
+    
+    /**
+     * Decode settings from a URL hash
+     * @param {string} hash - location.hash, with or without the leading '#'
+     * @returns {Object} Valid settings found in the hash
+     */
+    static decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const values = {};
+        params.forEach((value, name) => {
+            values[name] = value;
+        });
+        return SettingsStore.sanitize(values);
+    }
+    
+    /**
+     * Settings saved on a previous visit
+     * @returns {Object} Valid saved settings (empty if none)
+     */
+    load() {
+        if (!this.storage) {
+            return {};
+        }
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            return saved && typeof saved === 'object' ? SettingsStore.sanitize(saved) : {};
+        } catch (error) {
+            console.warn('Saved settings could not be read; using defaults', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Save settings for the next visit
+     * @param {Object} settings - Settings to save
+     * @returns {boolean} Whether they were written
+     */
+    save(settings) {
+        if (!this.storage) {
+            return false;
+        }
+        
+        try {
+            this.storage.setItem(this.key, JSON.stringify(SettingsStore.sanitize(settings)));
+            return true;
+        } catch (error) {
+            // Full or read-only storage: the session goes on unsaved
+            console.warn('Settings could not be saved', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Forget the saved settings
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.key);
+        }
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsStore;
+}
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * StructureExporter.js
+ * ============================================
+ * Exports a deployable structure to glTF 2.0 (.gltf) or binary glTF (.glb)
+ * through THREE.GLTFExporter.
+ * 
+ * The export is built from fresh nodes rather than the live scene graph, so
+ * it does not depend on instanced rendering being on or off. Every node is
+ * named after the part it represents (ScissorLink_12_strut1_leg2, Hinge_4_outer,
+ * ConnectionStrut_3_7, Tie_0, ...), and struts, pivots, hubs and ties each get
+ * their own named material.
+ * 
+ * Optionally one cycle of the structure's timeline expansion track (the
+ * breathing cycle by default) is sampled into a glTF animation, so the
+ * structure opens and closes in other viewers. The view rotation and the
+ * rotation and camera tracks are not part of the export.
+ */
+
+class StructureExporter {
+    /**
+     * Create an exporter for a structure
+     * @param {DeployableStructure} structure - The structure to export
+     */
+    constructor(structure) {
+        this.structure = structure;
+        
+        // Keyframes per timeline cycle when exporting the animation
+        this.animationSamples = 60;
+    }
+    
+    /**
+     * List every visible part of the structure with a descriptive name
+     * @returns {Array<Object>} Parts as { name, role, parent, mesh }
+     */
+    collectParts() {
+        const parts = [];
+        
+        this.structure.scissorLinks.forEach((link, i) => {
+            const parent = `ScissorLink_${i}`;
+            
+            link.getBars().forEach(bar => {
+                bar.segments.forEach((segment, j) => {
+                    const suffix = bar.segments.length > 1 ? `_leg${j + 1}` : '';
+                    parts.push({ name: `${parent}_${bar.name}${suffix}`, role: 'Strut', parent: parent, mesh: segment.mesh });
+                });
+            });
+            parts.push({ name: `${parent}_pivot`, role: 'Pivot', parent: parent, mesh: link.pivot });
+        });
+        
+        this.structure.hinges.forEach((hinge, i) => {
+            parts.push({ name: `Hinge_${i}_outer`, role: 'Hub', parent: null, mesh: hinge.outerHub });
+            parts.push({ name: `Hinge_${i}_inner`, role: 'Hub', parent: null, mesh: hinge.innerHub });
+        });
+        
+        let tieIndex = 0;
+        this.structure.getGroup().children.forEach(child => {
+            if (child.userData.isConnectionStrut) {
+                const [a, b] = child.userData.linkIndices;
+                parts.push({ name: `ConnectionStrut_${a}_${b}`, role: 'ConnectionStrut', parent: null, mesh: child });
+            } else if (child.userData.isTie) {
+                parts.push({ name: `Tie_${tieIndex++}`, role: 'Tie', parent: null, mesh: child });
+            }
+        });
+        
+        return parts;
+    }
+    
+    /**
+     * Build a standalone copy of the structure at its current expansion
+     * @returns {{root: THREE.Group, parts: Array<Object>, materials: Array<THREE.Material>}}
+     */
+    buildExportScene() {
+        const root = new THREE.Group();
+        root.name = this.structure.constructor.name;
+        
+        // Keep framing offsets (the arch and dome sit below the centre), not the spin
+        root.position.copy(this.structure.getGroup().position);
+        
+        const materials = new Map();
+        const getMaterial = (role) => {
+            if (!materials.has(role)) {
+                const material = this.structure.material.clone();
+                material.name = `${root.name}_${role}`;
+                materials.set(role, material);
+            }
+            return materials.get(role);
+        };
+        
+        const linkGroups = new Map();
+        const parts = this.collectParts();
+        
+        parts.forEach(part => {
+            const node = new THREE.Mesh(part.mesh.geometry, getMaterial(part.role));
+            node.name = part.name;
+            node.position.copy(part.mesh.position);
+            node.quaternion.copy(part.mesh.quaternion);
+            node.scale.copy(part.mesh.scale);
+            part.node = node;
+            
+            if (part.parent) {
+                if (!linkGroups.has(part.parent)) {
+                    const group = new THREE.Group();
+                    group.name = part.parent;
+                    root.add(group);
+                    linkGroups.set(part.parent, group);
+                }
+                linkGroups.get(part.parent).add(node);
+            } else {
+                root.add(node);
+            }
+        });
+        
+        return { root: root, parts: parts, materials: Array.from(materials.values()) };
+    }
+    
+    /**
+     * Sample one cycle of the timeline's expansion track into keyframe tracks
+     * for the exported nodes, at the structure's animation speed.
+     * The structure is returned to its current expansion afterwards.
+     * @param {Array<Object>} parts - Parts from buildExportScene()
+     * @returns {THREE.AnimationClip}
+     */
+    createBreathingClip(parts) {
+        const structure = this.structure;
+        const timeline = structure.timeline;
+        const previous = structure.getExpansionFactor();
+        const cycle = timeline.getCycleDuration();
+        const duration = cycle / structure.animationSpeed;
+        const samples = this.animationSamples;
+        
+        const times = [];
+        const values = parts.map(() => ({ position: [], quaternion: [], scale: [] }));
+        
+        for (let i = 0; i <= samples; i++) {
+            times.push((i / samples) * duration);
+            structure.setExpansion(timeline.sample('expansion', timeline.getLocalTime((i / samples) * cycle)));
+            
+            parts.forEach((part, j) => {
+                values[j].position.push(...part.mesh.position.toArray());
+                values[j].quaternion.push(...part.mesh.quaternion.toArray());
+                values[j].scale.push(...part.mesh.scale.toArray());
+            });
+        }
+        
+        structure.setExpansion(previous);
+        
+        const tracks = [];
+        parts.forEach((part, j) => {
+            tracks.push(new THREE.VectorKeyframeTrack(`${part.name}.position`, times, values[j].position));
+            tracks.push(new THREE.QuaternionKeyframeTrack(`${part.name}.quaternion`, times, values[j].quaternion));
+            
+            // Only stretched struts change scale
+            const scale = values[j].scale;
+            if (scale.some((value, k) => value !== scale[k % 3])) {
+                tracks.push(new THREE.VectorKeyframeTrack(`${part.name}.scale`, times, scale));
+            }
+        });
+        
+        return new THREE.AnimationClip('Breathing', duration, tracks);
+    }
+    
+    /**
+     * Export the structure
+     * @param {Object} options - { binary: true for .glb, animated: include the timeline's expansion cycle }
+     * @returns {Promise<ArrayBuffer|Object>} GLB bytes or the glTF JSON
+     */
+    export(options = {}) {
+        if (typeof THREE.GLTFExporter === 'undefined') {
+            return Promise.reject(new Error('THREE.GLTFExporter is not loaded'));
+        }
+        
+        const { root, parts, materials } = this.buildExportScene();
+        const animated = options.animated && this.structure.timeline.hasKeyframes('expansion');
+        const animations = animated ? [this.createBreathingClip(parts)] : [];
+        
+        return new Promise(resolve => {
+            new THREE.GLTFExporter().parse(root, result => {
+                materials.forEach(material => material.dispose());
+                resolve(result);
+            }, {
+                binary: !!options.binary,
+                animations: animations,
+                trs: true
+            });
+        });
+    }
+    
+    /**
+     * Export the structure and save it as a file
+     * @param {Object} options - Same as export()
+     * @returns {Promise<string>} The file name
+     */
+    download(options = {}) {
+        const extension = options.binary ? 'glb' : 'gltf';
+        const expansion = this.structure.getExpansionFactor().toFixed(2);
+        const fileName = `${this.structure.structureType}-expansion-${expansion}.${extension}`;
+        
+        return this.export(options).then(result => {
+            const blob = options.binary
+                ? new Blob([result], { type: 'model/gltf-binary' })
+                : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            link.click();
+            
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            
+            console.log(`Exported ${fileName}`);
+            return fileName;
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,392 @@
+/**
+ * StrutHeatmap.js
+ * ============================================
+ * Colours every strut of a structure by an analysis metric.
+ * 
+ * Metrics, measured in the structure's own coordinates so the spin of the
+ * group does not count as motion:
+ * - angle: opening angle of the strut's scissor link at its pivot
+ * - angularVelocity: how fast the strut's direction turns
+ * - endpointSpeed: speed of the faster of the strut's two tips
+ * - jointError: worst gap at the joints the strut should close
+ *   (measured like LinkageAnalyzer does)
+ * 
+ * Speeds are per second of the step update() is given: Controls passes the
+ * simulation clock's, so fixed-step frame recording reads right, and leaves
+ * the heatmap's own real-time clock to time a joint pulled by hand while the
+ * animation is paused. A zero step keeps the last speeds.
+ * 
+ * All parts normally share the structure's one material. While a metric is
+ * shown, struts drawn as individual meshes get one of a small set of
+ * colour-binned materials, and the instanced strut mesh gets a colour per
+ * instance. clear() puts the shared material back (the uniform mode driven
+ * by the colour picker).
+ */
+
+class StrutHeatmap {
+    /**
+     * Create a heatmap for a structure
+     * @param {DeployableStructure} structure - The structure to colour
+     * @param {Object} options - { metric, ramp, bins: number of materials for individual meshes, now: time source }
+     */
+    constructor(structure, options = {}) {
+        this.structure = structure;
+        this.analyzer = new LinkageAnalyzer(structure);
+        
+        this.metric = options.metric || 'angle';
+        this.ramp = options.ramp || 'viridis';
+        this.bins = options.bins || 32;
+        this.active = false;
+        this.clock = new AnimationClock({ now: options.now });
+        
+        // Strut pose of the previous update, for the velocity metrics
+        this.previous = new Map();
+        
+        // Latest values and the range they are coloured over
+        this.values = new Map();
+        this.range = { min: 0, max: 1 };
+        
+        // Shared base for the heat colours; colour comes per instance or per bin
+        this.heatMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 0.2, roughness: 0.6 });
+        this.binMaterials = [];
+    }
+    
+    /**
+     * Metrics with their legend labels, units and decimals
+     * @returns {Object}
+     */
+    static get METRICS() {
+        return {
+            angle: { label: 'Opening angle', unit: '°', digits: 0 },
+            angularVelocity: { label: 'Angular velocity', unit: '°/s', digits: 1 },
+            endpointSpeed: { label: 'Endpoint speed', unit: 'u/s', digits: 3 },
+            jointError: { label: 'Joint error', unit: 'u', digits: 5 }
+        };
+    }
+    
+    /**
+     * Colour ramps as evenly spaced stops, low to high
+     * @returns {Object}
+     */
+    static get RAMPS() {
+        return {
+            viridis: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725],
+            magma: [0x000004, 0x51127c, 0xb73779, 0xfc8961, 0xfcfdbf],
+            coolwarm: [0x3b4cc0, 0x8db0fe, 0xdddddd, 0xf49a7b, 0xb40426],
+            rainbow: [0x0000ff, 0x00ffff, 0x00ff00, 0xffff00, 0xff0000]
+        };
+    }
+    
+    /**
+     * Colour at a position along a ramp
+     * @param {string} ramp - A key of StrutHeatmap.RAMPS
+     * @param {number} t - Position, 0 (low) to 1 (high); clamped
+     * @param {THREE.Color} target - Colour to write into
+     * @returns {THREE.Color}
+     */
+    static sampleRamp(ramp, t, target = new THREE.Color()) {
+        const stops = StrutHeatmap.RAMPS[ramp];
+        if (!stops) {
+            throw new Error(`Unknown colour ramp: ${ramp}`);
+        }
+        
+        const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        return target.setHex(stops[index]).lerp(new THREE.Color(stops[index + 1]), position - index);
+    }
+    
+    /**
+     * CSS gradient of a ramp, for the legend bar
+     * @param {string} ramp - A key of StrutHeatmap.RAMPS
+     * @returns {string}
+     */
+    static getRampGradient(ramp) {
+        const stops = StrutHeatmap.RAMPS[ramp].map(hex => `#${hex.toString(16).padStart(6, '0')}`);
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+    
+    /**
+     * Colour another structure, giving the current one back its material
+     * @param {DeployableStructure} structure - The new structure
+     */
+    setStructure(structure) {
+        const active = this.active;
+        this.clear();
+        this.analyzer.dispose();
+        
+        this.structure = structure;
+        this.analyzer = new LinkageAnalyzer(structure);
+        this.active = active;
+    }
+    
+    /**
+     * Choose the metric to show
+     * @param {string} metric - A key of StrutHeatmap.METRICS
+     */
+    setMetric(metric) {
+        if (!StrutHeatmap.METRICS[metric]) {
+            throw new Error(`Unknown heatmap metric: ${metric}`);
+        }
+        this.metric = metric;
+        this.active = true;
+        this.range = { min: 0, max: 0 };
+        this.previous = new Map();
+        this.values = new Map();
+        this.clock.resync();
+    }
+    
+    /**
+     * Choose the colour ramp
+     * @param {string} ramp - A key of StrutHeatmap.RAMPS
+     */
+    setRamp(ramp) {
+        if (!StrutHeatmap.RAMPS[ramp]) {
+            throw new Error(`Unknown colour ramp: ${ramp}`);
+        }
+        this.ramp = ramp;
+        
+        // Bins are coloured from the ramp, so rebuild them
+        this.binMaterials.forEach(material => material.dispose());
+        this.binMaterials = [];
+    }
+    
+    /**
+     * Whether a metric is being shown (false in uniform mode)
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.active;
+    }
+    
+    /**
+     * Every strut mesh with the links it belongs to and the joints at its ends
+     * @returns {Array<Object>} Struts as { mesh, links, ends: [{ link, endpoint }], from, to }
+     */
+    collectStruts() {
+        const structure = this.structure;
+        const struts = [];
+        
+        structure.scissorLinks.forEach(link => {
+            link.getBars().forEach(bar => {
+                bar.segments.forEach(segment => {
+                    struts.push({ mesh: segment.mesh, links: [link], from: segment.from, to: segment.to });
+                });
+            });
+        });
+        
+        structure.getGroup().children.forEach(child => {
+            if (child.userData.isConnectionStrut) {
+                const [from, to] = this.analyzer.getConnectionTargets(child);
+                struts.push({
+                    mesh: child,
+                    links: child.userData.linkIndices.map(index => structure.scissorLinks[index]),
+                    from: from,
+                    to: to
+                });
+            } else if (child.userData.isTie) {
+                const { from, to } = child.userData;
+                struts.push({
+                    mesh: child,
+                    links: [from.link, to.link],
+                    from: from.link.endpoints[from.endpoint],
+                    to: to.link.endpoints[to.endpoint]
+                });
+            }
+        });
+        
+        return struts;
+    }
+    
+    /**
+     * Opening angle of a link at its pivot, between the outer arms of its two bars
+     * @param {ScissorLink} link - The link
+     * @returns {number} Degrees
+     */
+    getOpeningAngle(link) {
+        const arm1 = link.endpoints.top1.clone().sub(link.position);
+        const arm2 = link.endpoints.top2.clone().sub(link.position);
+        return THREE.MathUtils.radToDeg(arm1.angleTo(arm2));
+    }
+    
+    /**
+     * Gap at each shared hinge point, keyed by the endpoint vectors pinned there
+     * @returns {Map<THREE.Vector3, number>}
+     */
+    measureHingeErrors() {
+        const errors = new Map();
+        
+        this.structure.hinges.forEach(hinge => {
+            ['outer', 'inner'].forEach(side => {
+                const points = hinge[side].map(member => member.link.endpoints[member.endpoint]);
+                const error = this.analyzer.spread(points);
+                points.forEach(point => errors.set(point, Math.max(error, errors.get(point) || 0)));
+            });
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Measure the current metric for every strut
+     * @param {number} deltaTime - Seconds since the last measurement
+     * @returns {Map<THREE.Mesh, number>} Values by strut mesh
+     */
+    measure(deltaTime) {
+        const struts = this.collectStruts();
+        const hingeErrors = this.metric === 'jointError' ? this.measureHingeErrors() : null;
+        const dt = Math.abs(deltaTime);
+        const values = new Map();
+        const current = new Map();
+        
+        struts.forEach(strut => {
+            const tips = this.analyzer.getStrutTips(strut.mesh);
+            const direction = tips[0].clone().sub(tips[1]).normalize();
+            const before = this.previous.get(strut.mesh);
+            current.set(strut.mesh, { tips: tips, direction: direction });
+            
+            let value;
+            switch (this.metric) {
+                case 'angle':
+                    value = strut.links.reduce((sum, link) => sum + this.getOpeningAngle(link), 0) / strut.links.length;
+                    break;
+                
+                case 'angularVelocity':
+                    // A zero step (first frame) keeps the last reading
+                    value = !before ? 0
+                        : dt === 0 ? this.values.get(strut.mesh) || 0
+                        : THREE.MathUtils.radToDeg(direction.angleTo(before.direction)) / dt;
+                    break;
+                
+                case 'endpointSpeed':
+                    value = !before ? 0
+                        : dt === 0 ? this.values.get(strut.mesh) || 0
+                        : Math.max(tips[0].distanceTo(before.tips[0]), tips[1].distanceTo(before.tips[1])) / dt;
+                    break;
+                
+                case 'jointError': {
+                    // Tips on their hinge points (either way round), then the hinges themselves
+                    const [tipA, tipB] = tips;
+                    const tipError = Math.min(
+                        Math.max(tipA.distanceTo(strut.from), tipB.distanceTo(strut.to)),
+                        Math.max(tipA.distanceTo(strut.to), tipB.distanceTo(strut.from))
+                    );
+                    value = Math.max(tipError, hingeErrors.get(strut.from) || 0, hingeErrors.get(strut.to) || 0);
+                    break;
+                }
+            }
+            values.set(strut.mesh, value);
+        });
+        
+        this.previous = current;
+        this.values = values;
+        return values;
+    }
+    
+    /**
+     * Range the values are coloured over. Angles use a fixed 0-180°; the
+     * other metrics start at zero and follow their peak, easing down slowly
+     * so the colours do not flicker from frame to frame.
+     * @param {Map<THREE.Mesh, number>} values - Values from measure()
+     * @returns {{min: number, max: number}}
+     */
+    updateRange(values) {
+        if (this.metric === 'angle') {
+            this.range = { min: 0, max: 180 };
+            return this.range;
+        }
+        
+        let peak = 0;
+        values.forEach(value => {
+            peak = Math.max(peak, value);
+        });
+        
+        // Joint errors within the analyzer's tolerance all read as closed
+        const floor = this.metric === 'jointError' ? this.analyzer.tolerance : 1e-6;
+        this.range = { min: 0, max: Math.max(peak, this.range.max * 0.98, floor) };
+        return this.range;
+    }
+    
+    /**
+     * Material for a position along the ramp (individual meshes)
+     * @param {number} t - Position, 0 to 1
+     * @returns {THREE.Material}
+     */
+    getBinMaterial(t) {
+        const bin = Math.round(Math.max(0, Math.min(1, t)) * (this.bins - 1));
+        
+        if (!this.binMaterials[bin]) {
+            const material = this.heatMaterial.clone();
+            StrutHeatmap.sampleRamp(this.ramp, bin / (this.bins - 1), material.color);
+            this.binMaterials[bin] = material;
+        }
+        return this.binMaterials[bin];
+    }
+    
+    /**
+     * Colour the struts from measured values
+     * @param {Map<THREE.Mesh, number>} values - Values from measure()
+     */
+    apply(values) {
+        const { min, max } = this.range;
+        const position = (value) => (max > min ? (value - min) / (max - min) : 0);
+        const renderer = this.structure.instancedRenderer;
+        
+        if (renderer && renderer.strutMesh) {
+            const color = new THREE.Color();
+            renderer.strutMesh.material = this.heatMaterial;
+            renderer.struts.forEach((strut, i) => {
+                StrutHeatmap.sampleRamp(this.ramp, position(values.get(strut.mesh) || 0), color);
+                renderer.strutMesh.setColorAt(i, color);
+            });
+            renderer.strutMesh.instanceColor.needsUpdate = true;
+        } else {
+            values.forEach((value, mesh) => {
+                mesh.material = this.getBinMaterial(position(value));
+            });
+        }
+    }
+    
+    /**
+     * Measure and recolour, called every frame while a metric is shown
+     * @param {number} deltaTime - Seconds since the last frame (read from the heatmap's own clock if omitted)
+     * @returns {{min: number, max: number}} Range for the legend
+     */
+    update(deltaTime) {
+        const values = this.measure(deltaTime !== undefined ? deltaTime : this.clock.tick());
+        this.updateRange(values);
+        this.apply(values);
+        return this.range;
+    }
+    
+    /**
+     * Give every strut the structure's shared material back (uniform mode)
+     */
+    clear() {
+        const structure = this.structure;
+        const renderer = structure.instancedRenderer;
+        
+        if (renderer && renderer.strutMesh) {
+            renderer.strutMesh.material = structure.material;
+            renderer.strutMesh.instanceColor = null;
+        }
+        this.collectStruts().forEach(strut => {
+            strut.mesh.material = structure.material;
+        });
+        
+        this.active = false;
+        this.previous = new Map();
+        this.values = new Map();
+        this.clock.resync();
+    }
+    
+    /**
+     * Restore the shared material and free the heat materials
+     */
+    dispose() {
+        this.clear();
+        this.analyzer.dispose();
+        this.heatMaterial.dispose();
+        this.binMaterials.forEach(material => material.dispose());
+        this.binMaterials = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,314 @@
+/**
+ * Timeline.js
+ * ============================================
+ * Keyframe timeline that choreographs a structure's animation.
+ * 
+ * Three tracks hold keyframes as { time, value, easing }:
+ * - expansion: expansion factor (0-1)
+ * - rotation:  structure Euler angles [x, y, z] in radians
+ * - camera:    orbit position { theta, phi, radius }, as in Controls
+ * 
+ * A keyframe's easing shapes the segment from it to the next keyframe.
+ * Times are in seconds at 1x speed; DeployableStructure scales the time
+ * step by its animation speed. Playback loops, ping-pongs or plays once.
+ * Tracks without keyframes are left out of the evaluated state, so the
+ * structure and camera keep their own behaviour for them.
+ * 
+ * Time only moves through update() and seek(), so the timeline can be
+ * driven by any clock, backwards included (see AnimationClock).
+ */
+
+class Timeline {
+    /**
+     * Names of the keyframe tracks
+     * @returns {Array<string>}
+     */
+    static get TRACKS() {
+        return ['expansion', 'rotation', 'camera'];
+    }
+    
+    /**
+     * Names of the playback modes
+     * @returns {Array<string>}
+     */
+    static get MODES() {
+        return ['loop', 'pingpong', 'once'];
+    }
+    
+    /**
+     * Create an empty timeline
+     * @param {Object} options - { mode: 'loop', 'pingpong' or 'once' }
+     */
+    constructor(options = {}) {
+        this.tracks = {};
+        Timeline.TRACKS.forEach(track => {
+            this.tracks[track] = [];
+        });
+        
+        this.mode = 'loop';
+        this.setMode(options.mode || 'loop');
+        
+        // Playhead in timeline seconds, and the state evaluated there
+        this.time = 0;
+        this.state = {};
+    }
+    
+    /**
+     * The default choreography: one full expansion and contraction every
+     * 2π seconds, the same sine wave the structures have always breathed with.
+     * It starts half open, like a freshly built structure, so starting
+     * playback does not jump.
+     * @returns {Timeline}
+     */
+    static createBreathing() {
+        const timeline = new Timeline({ mode: 'loop' });
+        
+        timeline.addKeyframe('expansion', 0, 0.5, 'easeOut');
+        timeline.addKeyframe('expansion', Math.PI / 2, 1, 'easeInOut');
+        timeline.addKeyframe('expansion', Math.PI * 1.5, 0, 'easeIn');
+        timeline.addKeyframe('expansion', Math.PI * 2, 0.5, 'easeOut');
+        
+        return timeline;
+    }
+    
+    /**
+     * Check a track name
+     * @param {string} track - Track name
+     */
+    validateTrack(track) {
+        if (!Timeline.TRACKS.includes(track)) {
+            throw new Error(`Unknown timeline track: ${track}`);
+        }
+    }
+    
+    /**
+     * Add a keyframe, replacing any keyframe at the same time on the track
+     * @param {string} track - 'expansion', 'rotation' or 'camera'
+     * @param {number} time - Time in seconds (>= 0)
+     * @param {number|Array<number>|Object} value - Value in the track's format
+     * @param {string} easing - Easing name for the segment that starts here
+     * @returns {Object} The keyframe
+     */
+    addKeyframe(track, time, value, easing = 'easeInOut') {
+        this.validateTrack(track);
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error(`Keyframe time must be a number >= 0, got ${time}`);
+        }
+        Easing.get(easing);
+        
+        const keyframes = this.tracks[track];
+        const keyframe = { time: time, value: this.copyValue(value), easing: easing };
+        const existing = keyframes.findIndex(key => Math.abs(key.time - time) < 1e-6);
+        
+        if (existing !== -1) {
+            keyframes[existing] = keyframe;
+        } else {
+            keyframes.push(keyframe);
+            keyframes.sort((a, b) => a.time - b.time);
+        }
+        
+        return keyframe;
+    }
+    
+    /**
+     * Remove a keyframe
+     * @param {string} track - Track name
+     * @param {number} index - Index into getKeyframes(track)
+     */
+    removeKeyframe(track, index) {
+        this.validateTrack(track);
+        this.tracks[track].splice(index, 1);
+    }
+    
+    /**
+     * Remove every keyframe of a track
+     * @param {string} track - Track name
+     */
+    clearTrack(track) {
+        this.validateTrack(track);
+        this.tracks[track] = [];
+    }
+    
+    /**
+     * Keyframes of a track, in time order
+     * @param {string} track - Track name
+     * @returns {Array<Object>}
+     */
+    getKeyframes(track) {
+        this.validateTrack(track);
+        return this.tracks[track];
+    }
+    
+    /**
+     * Whether a track has any keyframes
+     * @param {string} track - Track name
+     * @returns {boolean}
+     */
+    hasKeyframes(track) {
+        return this.getKeyframes(track).length > 0;
+    }
+    
+    /**
+     * Set the playback mode
+     * @param {string} mode - 'loop', 'pingpong' or 'once'
+     */
+    setMode(mode) {
+        if (!Timeline.MODES.includes(mode)) {
+            throw new Error(`Unknown playback mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
+    
+    /**
+     * Time of the last keyframe on any track
+     * @returns {number} Seconds
+     */
+    getDuration() {
+        return Timeline.TRACKS.reduce((duration, track) => {
+            const keyframes = this.tracks[track];
+            return keyframes.length > 0 ? Math.max(duration, keyframes[keyframes.length - 1].time) : duration;
+        }, 0);
+    }
+    
+    /**
+     * Time until playback repeats: twice the duration when ping-ponging
+     * @returns {number} Seconds
+     */
+    getCycleDuration() {
+        return this.mode === 'pingpong' ? this.getDuration() * 2 : this.getDuration();
+    }
+    
+    /**
+     * Position of a playhead time within the current cycle. Negative times
+     * (reverse playback past the start) wrap like positive ones.
+     * @param {number} time - Playhead time in seconds
+     * @returns {number} Time within [0, cycle duration]
+     */
+    getCycleTime(time = this.time) {
+        const cycle = this.getCycleDuration();
+        if (cycle === 0) return 0;
+        if (this.mode === 'once') return Math.max(0, Math.min(time, cycle));
+        
+        return ((time % cycle) + cycle) % cycle;
+    }
+    
+    /**
+     * Map playhead time onto the keyframe range for the playback mode
+     * @param {number} time - Playhead time in seconds
+     * @returns {number} Time within [0, duration]
+     */
+    getLocalTime(time) {
+        const duration = this.getDuration();
+        const phase = this.getCycleTime(time);
+        
+        // The second half of a ping-pong cycle plays the keyframes backwards
+        return phase > duration ? duration * 2 - phase : phase;
+    }
+    
+    /**
+     * Whether a one-shot timeline has reached its end
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.mode === 'once' && this.time >= this.getDuration();
+    }
+    
+    /**
+     * Move the playhead. A one-shot timeline stays within its keyframes, so
+     * reversing from past the end starts moving straight away.
+     * @param {number} time - Playhead time in seconds
+     * @returns {Object} The evaluated state, see evaluate()
+     */
+    seek(time) {
+        this.time = this.mode === 'once' ? this.getCycleTime(time) : time;
+        this.state = this.evaluate(this.getLocalTime(this.time));
+        return this.state;
+    }
+    
+    /**
+     * Advance the playhead
+     * @param {number} deltaTime - Seconds to advance (negative plays backwards)
+     * @returns {Object} The evaluated state, see evaluate()
+     */
+    update(deltaTime) {
+        return this.seek(this.time + deltaTime);
+    }
+    
+    /**
+     * Values of every keyed track at a time within the keyframe range
+     * @param {number} time - Time in seconds
+     * @returns {Object} { expansion, rotation, camera } for tracks with keyframes
+     */
+    evaluate(time) {
+        const state = {};
+        
+        Timeline.TRACKS.forEach(track => {
+            if (this.tracks[track].length > 0) {
+                state[track] = this.sample(track, time);
+            }
+        });
+        
+        return state;
+    }
+    
+    /**
+     * Value of one track at a time. Before the first and after the last
+     * keyframe the track holds that keyframe's value.
+     * @param {string} track - Track name
+     * @param {number} time - Time in seconds
+     * @returns {number|Array<number>|Object|undefined} Undefined without keyframes
+     */
+    sample(track, time) {
+        const keyframes = this.getKeyframes(track);
+        if (keyframes.length === 0) return undefined;
+        
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (time <= first.time) return this.copyValue(first.value);
+        if (time >= last.time) return this.copyValue(last.value);
+        
+        let index = 0;
+        while (keyframes[index + 1].time <= time) {
+            index++;
+        }
+        
+        const from = keyframes[index];
+        const to = keyframes[index + 1];
+        const progress = (time - from.time) / (to.time - from.time);
+        
+        return this.interpolate(from.value, to.value, Easing.get(from.easing)(progress));
+    }
+    
+    /**
+     * Blend two values of the same shape
+     * @param {number|Array<number>|Object} from - Value at weight 0
+     * @param {number|Array<number>|Object} to - Value at weight 1
+     * @param {number} weight - Eased progress (may overshoot 0-1)
+     * @returns {number|Array<number>|Object}
+     */
+    interpolate(from, to, weight) {
+        if (typeof from === 'number') {
+            return from + (to - from) * weight;
+        }
+        if (Array.isArray(from)) {
+            return from.map((value, i) => value + (to[i] - value) * weight);
+        }
+        
+        const result = {};
+        Object.keys(from).forEach(key => {
+            result[key] = from[key] + (to[key] - from[key]) * weight;
+        });
+        return result;
+    }
+    
+    /**
+     * Copy a keyframe value so later edits to the source do not leak in
+     * @param {number|Array<number>|Object} value - Value to copy
+     * @returns {number|Array<number>|Object}
+     */
+    copyValue(value) {
+        if (Array.isArray(value)) return value.slice();
+        if (typeof value === 'object' && value !== null) return Object.assign({}, value);
+        return value;
+    }
+}
\ No newline at end of file
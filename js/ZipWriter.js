@@ -0,0 +1,151 @@
+/**
+ * ZipWriter.js
+ * ============================================
+ * Minimal zip archive writer for exported image sequences.
+ * 
+ * Files are stored uncompressed: PNG frames are already deflated, so
+ * compressing them again gains almost nothing. Every entry gets the same
+ * fixed timestamp, so the same frames always produce the same archive.
+ */
+
+class ZipWriter {
+    /**
+     * Create an empty archive
+     */
+    constructor() {
+        this.entries = [];
+    }
+    
+    /**
+     * CRC-32 lookup table (polynomial 0xEDB88320), built once
+     * @returns {Uint32Array}
+     */
+    static get CRC_TABLE() {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        return ZipWriter.crcTable;
+    }
+    
+    /**
+     * CRC-32 checksum of some bytes
+     * @param {Uint8Array} data - Bytes to check
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    static crc32(data) {
+        const table = ZipWriter.CRC_TABLE;
+        let crc = 0xFFFFFFFF;
+        
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive (ASCII)
+     * @param {Uint8Array|string} data - File contents
+     */
+    addFile(name, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: ZipWriter.crc32(bytes)
+        });
+    }
+    
+    /**
+     * Number of files added so far
+     * @returns {number}
+     */
+    getFileCount() {
+        return this.entries.length;
+    }
+    
+    /**
+     * Write the archive: local headers and data, the central directory and
+     * the end-of-central-directory record
+     * @returns {Uint8Array} Zip file bytes
+     */
+    toUint8Array() {
+        const localSize = this.entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        
+        // MS-DOS date of 1980-01-01, midnight
+        const dosTime = 0;
+        const dosDate = (1 << 5) | 1;
+        
+        let offset = 0;
+        const offsets = [];
+        
+        this.entries.forEach(entry => {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034B50, true);   // local file header
+            view.setUint16(offset + 4, 20, true);       // version needed (2.0)
+            view.setUint16(offset + 6, 0, true);        // flags
+            view.setUint16(offset + 8, 0, true);        // method: stored
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);       // extra field length
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+        
+        const centralStart = offset;
+        this.entries.forEach((entry, i) => {
+            view.setUint32(offset, 0x02014B50, true);   // central directory header
+            view.setUint16(offset + 4, 20, true);       // version made by
+            view.setUint16(offset + 6, 20, true);       // version needed
+            view.setUint16(offset + 8, 0, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // Extra, comment, disk number and attributes stay zero
+            view.setUint32(offset + 42, offsets[i], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+        
+        view.setUint32(offset, 0x06054B50, true);       // end of central directory
+        view.setUint16(offset + 8, this.entries.length, true);
+        view.setUint16(offset + 10, this.entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        
+        return bytes;
+    }
+    
+    /**
+     * Write the archive as a Blob for download
+     * @returns {Blob}
+     */
+    toBlob() {
+        return new Blob([this.toUint8Array()], { type: 'application/zip' });
+    }
+}
+
+// Allow require() from Node scripts and tests; browsers use the global class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
\ No newline at end of file
@@ -4,23 +4,43 @@
  * Manages all UI controls and user interactions for the Hoberman Sphere.
  * 
  * Handles:
- * - Start/Stop animation button
+ * - Start/Pause animation button (pauses the shared AnimationClock)
+ * - Reverse, frame stepping and scrub bar
+ * - Manual expansion slider and eased expansion targets
  * - Speed slider
- * - Color picker for sphere color
+ * - Keyframe timeline editor (tracks, easing, playback mode)
+ * - Color picker for sphere color (uniform mode)
+ * - Strut heatmap coloring by angle, velocity or joint error, with ramp and legend
  * - Material type selector
- * - Background selector
+ * - Structure type selector
+ * - Base polyhedron and geodesic frequency selectors
+ * - Background and lighting rig selectors
+ * - Environment maps (studio, sky or a loaded HDR/EXR file) and exposure
  * - Auto-rotate toggle
- * - Glow effect toggle
+ * - Joint dragging (pull a pivot to expand or contract) with optional spring-back
+ * - Glow effect toggle with bloom, anti-aliasing and vignette settings
+ * - Instanced rendering toggle
  * - Stats display toggle
+ * - Linkage check and joint error markers
+ * - Part inspector (click a strut, pivot, hub or connection strut)
+ * - glTF/GLB model export
+ * - STL/OBJ printable part export
+ * - Fabrication report (bill of materials) panel and CSV/JSON download
+ * - WebM / PNG-sequence recording with progress
+ * - High-resolution PNG capture
  * - Fullscreen toggle
- * - Mouse orbit controls
+ * - Saved settings, share link and reset to defaults
+ * - Preset library (save, rename, delete, JSON import/export)
+ * - Mouse orbit controls (when the pointer misses the structure)
  * - Zoom controls
+ * - Keyboard shortcuts with a help overlay, and screen reader announcements
+ * - Reduced motion (no camera glides or flights)
  */
 
 class Controls {
     /**
      * Initialize controls
-     * @param {HobermanSphere} hobermanSphere - The Hoberman sphere instance
+     * @param {DeployableStructure} hobermanSphere - The active structure (sphere, ring, arch or dome)
      * @param {THREE.Camera} camera - The Three.js camera
      * @param {HTMLElement} renderer - The renderer DOM element
      * @param {THREE.Scene} scene - The Three.js scene
@@ -39,107 +59,578 @@ class Controls {
         this.speedSlider = document.getElementById('speed-slider');
         this.speedDisplay = document.getElementById('speed-display');
         this.colorPicker = document.getElementById('color-picker');
+        this.colorModeSelector = document.getElementById('color-mode');
+        this.colorRampSelector = document.getElementById('color-ramp');
+        this.heatmapLegend = document.getElementById('heatmap-legend');
+        this.heatmapLegendTitle = document.getElementById('heatmap-legend-title');
+        this.heatmapLegendBar = document.getElementById('heatmap-legend-bar');
+        this.heatmapLegendMin = document.getElementById('heatmap-legend-min');
+        this.heatmapLegendMax = document.getElementById('heatmap-legend-max');
         this.materialSelector = document.getElementById('material-type');
+        this.structureSelector = document.getElementById('structure-type');
+        this.mechanismSelector = document.getElementById('mechanism-type');
+        this.polyhedronSelector = document.getElementById('polyhedron-type');
+        this.subdivisionsSelector = document.getElementById('subdivisions-select');
         this.backgroundSelector = document.getElementById('background-type');
+        this.lightingSelector = document.getElementById('lighting-type');
+        this.environmentSelector = document.getElementById('environment-type');
+        this.environmentLoadBtn = document.getElementById('environment-load-btn');
+        this.environmentInput = document.getElementById('environment-input');
+        this.environmentStatus = document.getElementById('environment-status');
+        this.exposureSlider = document.getElementById('exposure-slider');
+        this.exposureDisplay = document.getElementById('exposure-display');
         this.autoRotateToggle = document.getElementById('auto-rotate-toggle');
+        this.springBackToggle = document.getElementById('spring-back-toggle');
         this.glowToggle = document.getElementById('glow-toggle');
+        this.bloomThresholdSlider = document.getElementById('bloom-threshold');
+        this.bloomThresholdDisplay = document.getElementById('bloom-threshold-display');
+        this.bloomStrengthSlider = document.getElementById('bloom-strength');
+        this.bloomStrengthDisplay = document.getElementById('bloom-strength-display');
+        this.bloomRadiusSlider = document.getElementById('bloom-radius');
+        this.bloomRadiusDisplay = document.getElementById('bloom-radius-display');
+        this.antialiasSelector = document.getElementById('antialias-type');
+        this.vignetteToggle = document.getElementById('vignette-toggle');
+        this.instancedToggle = document.getElementById('instanced-toggle');
         this.statsToggle = document.getElementById('stats-toggle');
         this.fullscreenBtn = document.getElementById('fullscreen-btn');
+        this.viewFrontBtn = document.getElementById('view-front-btn');
+        this.viewTopBtn = document.getElementById('view-top-btn');
+        this.viewIsoBtn = document.getElementById('view-iso-btn');
+        this.viewResetBtn = document.getElementById('view-reset-btn');
+        this.shareLinkBtn = document.getElementById('share-link-btn');
+        this.resetSettingsBtn = document.getElementById('reset-settings-btn');
+        this.shareStatus = document.getElementById('share-status');
+        this.presetSelector = document.getElementById('preset-select');
+        this.presetNameInput = document.getElementById('preset-name');
+        this.presetSaveBtn = document.getElementById('preset-save-btn');
+        this.presetRenameBtn = document.getElementById('preset-rename-btn');
+        this.presetDeleteBtn = document.getElementById('preset-delete-btn');
+        this.presetExportBtn = document.getElementById('preset-export-btn');
+        this.presetImportBtn = document.getElementById('preset-import-btn');
+        this.presetImportInput = document.getElementById('preset-import-input');
+        this.presetStatus = document.getElementById('preset-status');
         this.statsDisplay = document.getElementById('stats-display');
+        this.checkLinkageBtn = document.getElementById('check-linkage-btn');
+        this.linkageReport = document.getElementById('linkage-report');
+        this.jointMarkersToggle = document.getElementById('joint-markers-toggle');
+        this.exportFormatSelector = document.getElementById('export-format');
+        this.exportAnimationToggle = document.getElementById('export-animation-toggle');
+        this.exportBtn = document.getElementById('export-btn');
+        this.printScaleInput = document.getElementById('print-scale');
+        this.pinDiameterInput = document.getElementById('pin-diameter');
+        this.printClearanceInput = document.getElementById('print-clearance');
+        this.printFormatSelector = document.getElementById('print-format');
+        this.printExportBtn = document.getElementById('print-export-btn');
+        this.printReport = document.getElementById('print-report');
+        this.fabricationReportBtn = document.getElementById('fabrication-report-btn');
+        this.fabricationReport = document.getElementById('fabrication-report');
+        this.fabricationCsvBtn = document.getElementById('fabrication-csv-btn');
+        this.fabricationJsonBtn = document.getElementById('fabrication-json-btn');
+        this.inspectorPanel = document.getElementById('inspector-panel');
+        this.inspectorContent = document.getElementById('inspector-content');
+        this.inspectorCloseBtn = document.getElementById('inspector-close-btn');
+        this.captureSizeSelector = document.getElementById('capture-size');
+        this.captureDpiInput = document.getElementById('capture-dpi');
+        this.captureSupersampleSelector = document.getElementById('capture-supersample');
+        this.captureTransparentToggle = document.getElementById('capture-transparent-toggle');
+        this.captureBtn = document.getElementById('capture-btn');
+        this.captureStatus = document.getElementById('capture-status');
+        this.recordFormatSelector = document.getElementById('record-format');
+        this.recordLengthInput = document.getElementById('record-length');
+        this.recordUnitSelector = document.getElementById('record-unit');
+        this.recordFpsInput = document.getElementById('record-fps');
+        this.recordBtn = document.getElementById('record-btn');
+        this.recordProgress = document.getElementById('record-progress');
+        this.recordStatus = document.getElementById('record-status');
+        this.reverseBtn = document.getElementById('reverse-btn');
+        this.stepBackBtn = document.getElementById('step-back-btn');
+        this.stepForwardBtn = document.getElementById('step-forward-btn');
+        this.scrubSlider = document.getElementById('scrub-slider');
+        this.scrubDisplay = document.getElementById('scrub-display');
+        this.manualExpansionToggle = document.getElementById('manual-expansion-toggle');
+        this.expansionSlider = document.getElementById('expansion-slider');
+        this.expansionDisplay = document.getElementById('expansion-display');
+        this.expansionTargets = document.getElementById('expansion-targets');
+        this.timelineModeSelector = document.getElementById('timeline-mode');
+        this.timelineTrackSelector = document.getElementById('timeline-track');
+        this.timelineStrip = document.getElementById('timeline-strip');
+        this.timelinePlayhead = document.getElementById('timeline-playhead');
+        this.keyframeList = document.getElementById('keyframe-list');
+        this.keyframeTimeInput = document.getElementById('keyframe-time');
+        this.keyframeValueInput = document.getElementById('keyframe-value');
+        this.keyframeEasingSelector = document.getElementById('keyframe-easing');
+        this.addKeyframeBtn = document.getElementById('add-keyframe-btn');
+        this.clearTrackBtn = document.getElementById('clear-track-btn');
+        this.resetTimelineBtn = document.getElementById('reset-timeline-btn');
+        this.helpBtn = document.getElementById('help-btn');
+        this.helpOverlay = document.getElementById('help-overlay');
+        this.helpShortcuts = document.getElementById('help-shortcuts');
+        this.helpCloseBtn = document.getElementById('help-close-btn');
+        this.announcer = document.getElementById('announcer');
         
         // Animation state
         this.isAnimating = false;
         
+        // Keyframe timeline and simulation clock, kept when the structure is swapped
+        this.timeline = hobermanSphere.timeline;
+        this.clock = hobermanSphere.clock;
+        this.isScrubbing = false;
+        this.isDraggingExpansion = false;
+        
         // Glow effect state
         this.glowEnabled = false;
         
+        // Bloom, anti-aliasing and vignette chain (set by main.js)
+        this.postProcessing = null;
+        
+        // Linkage diagnostics
+        this.linkageAnalyzer = new LinkageAnalyzer(hobermanSphere);
+        this.jointMarkersEnabled = false;
+        
+        // Per-strut coloring; inactive in uniform mode
+        this.strutHeatmap = new StrutHeatmap(hobermanSphere);
+        
+        // Called with the selected type to swap structures (set by main.js)
+        this.onStructureChange = null;
+        
+        // Updates and draws one frame from the current clock step (set by main.js)
+        this.renderFrame = null;
+        
+        // Canvas recorder, created on first use
+        this.recorder = null;
+        
+        // Offscreen PNG capture of the renderer (set by main.js)
+        this.screenshotExporter = null;
+        
+        // Settings saved between visits (set by main.js)
+        this.settingsStore = null;
+        
+        // Scene lights, switched between named rigs (set by main.js)
+        this.lightingRig = null;
+        
+        // Environment map and background (set by main.js)
+        this.sceneEnvironment = null;
+        
+        // Selector entry for a loaded environment file, while it is the environment
+        this.environmentFileOption = null;
+        
+        // Named configurations, built-in and the user's own
+        this.presetLibrary = new PresetLibrary();
+        
+        // Grabbing joints; the animation pauses while one is held
+        this.jointDragger = new JointDragger(hobermanSphere, camera);
+        this.resumeAfterDrag = false;
+        
+        // Clicked part shown in the inspector panel
+        this.partInspector = new PartInspector(hobermanSphere, camera);
+        
+        // Camera moves without glides or flights (set by main.js from prefers-reduced-motion)
+        this.reducedMotion = false;
+        
+        // Element focused before the help overlay opened, focused again when it closes
+        this.helpReturnFocus = null;
+        
         // Initialize everything
         this.initOrbitControls();
         this.initUIControls();
+        this.initKeyboardShortcuts();
         
         console.log('Controls initialized');
     }
     
     /**
-     * Initialize Three.js OrbitControls for camera manipulation
+     * Wire mouse and touch input to the camera controller and joint dragging
      */
     initOrbitControls() {
-        // Manual orbit control implementation
         this.mouse = {
             isDragging: false,
+            isDraggingJoint: false,
+            isPanning: false,
+            downX: 0,       // Where the button went down, to tell clicks from drags
+            downY: 0,
+            moved: false,
             previousX: 0,
-            previousY: 0,
-            currentX: 0,
-            currentY: 0
+            previousY: 0
         };
         
-        this.cameraRotation = {
-            theta: 0, // Horizontal rotation
-            phi: Math.PI / 4, // Vertical rotation (45 degrees)
-            radius: 25 // Distance from center (increased for larger sphere)
-        };
+        // Two-finger gesture: spread and midpoint at the last move
+        this.pinch = null;
+        
+        // Inertial orbit, pan and zoom around the structure
+        this.cameraController = new CameraController(this.camera);
         
         // Mouse event listeners
         this.renderer.addEventListener('mousedown', (e) => this.onMouseDown(e));
         this.renderer.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.renderer.addEventListener('mouseup', (e) => this.onMouseUp(e));
         this.renderer.addEventListener('wheel', (e) => this.onMouseWheel(e));
+        this.renderer.addEventListener('dblclick', (e) => this.focusAt(e.clientX, e.clientY));
+        
+        // Right-drag pans instead of opening the menu
+        this.renderer.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Touch event listeners for mobile
         this.renderer.addEventListener('touchstart', (e) => this.onTouchStart(e));
         this.renderer.addEventListener('touchmove', (e) => this.onTouchMove(e));
         this.renderer.addEventListener('touchend', (e) => this.onTouchEnd(e));
+    }
+    
+    /**
+     * Move the camera along a drag: orbit, or pan while panning
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     */
+    dragCamera(clientX, clientY) {
+        this.trackPress(clientX, clientY);
+        
+        const deltaX = clientX - this.mouse.previousX;
+        const deltaY = clientY - this.mouse.previousY;
+        if (this.mouse.isPanning) {
+            this.cameraController.pan(deltaX, deltaY, this.renderer.clientHeight);
+        } else {
+            this.cameraController.rotate(deltaX, deltaY);
+        }
+        
+        this.mouse.previousX = clientX;
+        this.mouse.previousY = clientY;
+    }
+    
+    /**
+     * Fly to the part under the pointer, or back to the centre over empty space
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     */
+    focusAt(clientX, clientY) {
+        const part = this.partInspector.pick(this.getPointer(clientX, clientY));
+        
+        if (part) {
+            this.cameraController.focus(part.mesh.getWorldPosition(new THREE.Vector3()), this.getFlightDuration());
+            console.log(`Camera focused on ${part.name}`);
+        } else {
+            this.cameraController.animateTo({ target: new THREE.Vector3() }, this.getFlightDuration());
+        }
+    }
+    
+    /**
+     * Length of camera flights: instant with reduced motion
+     * @returns {number|undefined} Seconds, or undefined for the controller's default
+     */
+    getFlightDuration() {
+        return this.reducedMotion ? 0 : undefined;
+    }
+    
+    /**
+     * Follow the reduced motion preference: the camera stops when input
+     * stops and jumps to views instead of flying
+     * @param {boolean} enabled - Whether motion should be reduced
+     */
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        this.cameraController.damping = enabled ? 1 : CameraController.DAMPING;
+        console.log(`Reduced motion: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
+    /**
+     * Make the canvas reachable by keyboard and listen for shortcuts
+     */
+    initKeyboardShortcuts() {
+        this.renderer.tabIndex = 0;
+        this.renderer.setAttribute('role', 'application');
+        this.renderer.setAttribute('aria-label', '3D view of the structure. Arrow keys orbit, plus and minus zoom; press ? for all keyboard shortcuts');
+        
+        this.renderHelp();
+        
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.helpBtn.addEventListener('click', () => this.toggleHelp(true));
+        this.helpCloseBtn.addEventListener('click', () => this.toggleHelp(false));
+        
+        // A click beside the dialog closes it
+        this.helpOverlay.addEventListener('click', (e) => {
+            if (e.target === this.helpOverlay) {
+                this.toggleHelp(false);
+            }
+        });
+    }
+    
+    /**
+     * Run the shortcut for a key press, if it is one
+     * @param {KeyboardEvent} event - The key press
+     */
+    onKeyDown(event) {
+        const shortcut = KeyboardShortcuts.resolve(event);
+        if (shortcut && this.runShortcut(shortcut.action, shortcut.value)) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Run a shortcut action
+     * @param {string} action - An action of KeyboardShortcuts.BINDINGS
+     * @param {*} value - The pressed key's value for it
+     * @returns {boolean} Whether it did anything
+     */
+    runShortcut(action, value) {
+        switch (action) {
+            case 'togglePlay':
+                this.toggleAnimation();
+                this.announce(this.isAnimating ? 'Playing' : 'Paused');
+                return true;
+            case 'orbit':
+                // About 11 degrees per press
+                this.cameraController.rotate(value[0] * 20, value[1] * 20);
+                return true;
+            case 'zoom':
+                this.cameraController.zoom(Math.pow(1.2, value));
+                return true;
+            case 'speed':
+                this.stepSpeed(value);
+                return true;
+            case 'material':
+                if (!this.selectOption(this.materialSelector, value)) return false;
+                this.updateMaterialType(value);
+                this.announce(`Material: ${value}`);
+                return true;
+            case 'fullscreen':
+                this.toggleFullscreen();
+                return true;
+            case 'help':
+                this.toggleHelp(!this.isHelpOpen());
+                return true;
+            case 'closeHelp':
+                if (!this.isHelpOpen()) return false;
+                this.toggleHelp(false);
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Move the speed slider one step
+     * @param {number} direction - 1 for faster, -1 for slower
+     */
+    stepSpeed(direction) {
+        const min = parseFloat(this.speedSlider.min);
+        const max = parseFloat(this.speedSlider.max);
+        const step = parseFloat(this.speedSlider.step);
+        
+        // Round away float drift so repeated steps land on the slider's marks
+        const speed = parseFloat((Math.round(parseFloat(this.speedSlider.value) / step + direction) * step).toFixed(4));
+        const clamped = Math.max(min, Math.min(max, speed));
+        
+        this.speedSlider.value = String(clamped);
+        this.updateSpeed(clamped);
+        this.announce(`Speed ${clamped.toFixed(1)}x`);
+    }
+    
+    /**
+     * Fill the help overlay from the shortcut bindings
+     */
+    renderHelp() {
+        this.helpShortcuts.textContent = '';
+        
+        KeyboardShortcuts.BINDINGS.forEach(binding => {
+            const row = document.createElement('tr');
+            const keys = document.createElement('th');
+            keys.scope = 'row';
+            keys.textContent = binding.label;
+            const description = document.createElement('td');
+            description.textContent = binding.description;
+            
+            row.appendChild(keys);
+            row.appendChild(description);
+            this.helpShortcuts.appendChild(row);
+        });
+    }
+    
+    /**
+     * Whether the help overlay is showing
+     * @returns {boolean}
+     */
+    isHelpOpen() {
+        return !this.helpOverlay.classList.contains('hidden');
+    }
+    
+    /**
+     * Show or hide the help overlay. Focus moves into it while it is open
+     * and returns to where it was when it closes.
+     * @param {boolean} show - Whether to show it
+     */
+    toggleHelp(show) {
+        if (show === this.isHelpOpen()) return;
+        
+        this.helpOverlay.classList.toggle('hidden', !show);
+        this.helpOverlay.setAttribute('aria-hidden', String(!show));
+        
+        if (show) {
+            this.helpReturnFocus = document.activeElement;
+            this.helpCloseBtn.focus();
+        } else if (this.helpReturnFocus && this.helpReturnFocus.focus) {
+            this.helpReturnFocus.focus();
+            this.helpReturnFocus = null;
+        }
+    }
+    
+    /**
+     * Tell screen readers about a change that is not otherwise announced
+     * @param {string} message - What changed
+     */
+    announce(message) {
+        this.announcer.textContent = message;
+    }
+    
+    /**
+     * Fly to a preset view
+     * @param {string} view - A key of CameraController.VIEWS ('default' resets the view)
+     */
+    setCameraView(view) {
+        this.cameraController.animateTo(view, this.getFlightDuration());
+        console.log(`Camera view: ${view}`);
+    }
+    
+    /**
+     * Pointer position in normalized device coordinates
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {THREE.Vector2}
+     */
+    getPointer(clientX, clientY) {
+        const rect = this.renderer.getBoundingClientRect();
+        return new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+    
+    /**
+     * Remember where a press started
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     */
+    beginPress(clientX, clientY) {
+        this.mouse.downX = clientX;
+        this.mouse.downY = clientY;
+        this.mouse.moved = false;
+    }
+    
+    /**
+     * Whether the pointer has moved far enough from the press to be a drag
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {boolean}
+     */
+    trackPress(clientX, clientY) {
+        if (!this.mouse.moved) {
+            this.mouse.moved = Math.hypot(clientX - this.mouse.downX, clientY - this.mouse.downY) > 4;
+        }
+        return this.mouse.moved;
+    }
+    
+    /**
+     * Grab the joint under the pointer; a miss leaves the drag to orbit the camera
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {boolean} Whether a joint was grabbed
+     */
+    beginJointDrag(clientX, clientY) {
+        if (!this.jointDragger.begin(this.getPointer(clientX, clientY))) {
+            return false;
+        }
+        
+        this.mouse.isDraggingJoint = true;
+        this.renderer.style.cursor = 'grabbing';
+        return true;
+    }
+    
+    /**
+     * Pull the held joint toward the pointer, once the press has become a drag
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     */
+    dragJoint(clientX, clientY) {
+        const wasMoving = this.mouse.moved;
+        if (!this.trackPress(clientX, clientY)) return;
+        
+        // Hold the animation so the timeline and expansion targets do not fight the hand
+        if (!wasMoving) {
+            this.sphere.cancelExpansionTween();
+            if (this.isAnimating) {
+                this.toggleAnimation();
+                this.resumeAfterDrag = true;
+            }
+            this.sphere.stopAnimation();
+        }
         
-        // Initial camera position
-        this.updateCameraPosition();
+        this.jointDragger.drag(this.getPointer(clientX, clientY));
     }
     
     /**
-     * Update camera position based on spherical coordinates
+     * Let go of the held joint
      */
-    updateCameraPosition() {
-        this.camera.position.x = this.cameraRotation.radius * Math.sin(this.cameraRotation.phi) * Math.cos(this.cameraRotation.theta);
-        this.camera.position.y = this.cameraRotation.radius * Math.cos(this.cameraRotation.phi);
-        this.camera.position.z = this.cameraRotation.radius * Math.sin(this.cameraRotation.phi) * Math.sin(this.cameraRotation.theta);
-        this.camera.lookAt(0, 0, 0);
+    endJointDrag() {
+        this.mouse.isDraggingJoint = false;
+        this.renderer.style.cursor = '';
+        this.jointDragger.end();
+        
+        // Without spring-back the structure stays where it was left
+        if (!this.jointDragger.isSpringing) {
+            this.resumeAfterDrag = false;
+        }
     }
     
     /**
      * Mouse down event handler
      */
     onMouseDown(event) {
-        this.mouse.isDragging = true;
+        this.beginPress(event.clientX, event.clientY);
         this.mouse.previousX = event.clientX;
         this.mouse.previousY = event.clientY;
+        
+        // Right, middle or shift-drag pans
+        if (event.button === 1 || event.button === 2 || event.shiftKey) {
+            this.mouse.isPanning = true;
+            return;
+        }
+        
+        if (this.beginJointDrag(event.clientX, event.clientY)) return;
+        
+        this.mouse.isDragging = true;
     }
     
     /**
      * Mouse move event handler
      */
     onMouseMove(event) {
-        if (!this.mouse.isDragging) return;
-        
-        const deltaX = event.clientX - this.mouse.previousX;
-        const deltaY = event.clientY - this.mouse.previousY;
-        
-        // Update camera rotation
-        this.cameraRotation.theta += deltaX * 0.01;
-        this.cameraRotation.phi += deltaY * 0.01;
-        
-        // Clamp phi to prevent flipping
-        this.cameraRotation.phi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraRotation.phi));
+        if (this.mouse.isDraggingJoint) {
+            this.dragJoint(event.clientX, event.clientY);
+            return;
+        }
         
-        this.updateCameraPosition();
+        if (!this.mouse.isDragging && !this.mouse.isPanning) {
+            // Show that joints can be grabbed
+            const joint = this.jointDragger.pick(this.getPointer(event.clientX, event.clientY));
+            this.renderer.style.cursor = joint ? 'grab' : '';
+            return;
+        }
         
-        this.mouse.previousX = event.clientX;
-        this.mouse.previousY = event.clientY;
+        this.dragCamera(event.clientX, event.clientY);
     }
     
     /**
      * Mouse up event handler
      */
     onMouseUp(event) {
+        const pressed = this.mouse.isDragging || this.mouse.isDraggingJoint;
+        if (this.mouse.isDraggingJoint) {
+            this.endJointDrag();
+        }
         this.mouse.isDragging = false;
+        this.mouse.isPanning = false;
+        
+        // A press released where it started is a click: inspect what is under it
+        if (pressed && !this.mouse.moved) {
+            this.inspectAt(event.clientX, event.clientY);
+        }
     }
     
     /**
@@ -148,20 +639,47 @@ class Controls {
     onMouseWheel(event) {
         event.preventDefault();
         
-        const zoomSpeed = 0.1;
-        const delta = event.deltaY > 0 ? 1 : -1;
-        
-        this.cameraRotation.radius += delta * zoomSpeed * this.cameraRotation.radius * 0.1;
-        this.cameraRotation.radius = Math.max(12, Math.min(60, this.cameraRotation.radius));
-        
-        this.updateCameraPosition();
+        // About 10% per notch, finer on trackpads that report small steps
+        this.cameraController.zoom(Math.exp(Math.max(-100, Math.min(100, event.deltaY)) * 0.001));
+    }
+    
+    /**
+     * Spread and midpoint of a two-finger touch
+     * @param {TouchList} touches - The touches
+     * @returns {{distance: number, x: number, y: number}}
+     */
+    getPinch(touches) {
+        const [a, b] = [touches[0], touches[1]];
+        return {
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2
+        };
     }
     
     /**
      * Touch start event handler
      */
     onTouchStart(event) {
+        if (event.touches.length === 2) {
+            // A second finger turns the gesture into pinch zoom and pan
+            event.preventDefault();
+            if (this.mouse.isDraggingJoint) {
+                this.endJointDrag();
+            }
+            this.mouse.isDragging = false;
+            this.mouse.moved = true; // Not a tap
+            this.pinch = this.getPinch(event.touches);
+            return;
+        }
+        
         if (event.touches.length === 1) {
+            this.beginPress(event.touches[0].clientX, event.touches[0].clientY);
+            if (this.beginJointDrag(event.touches[0].clientX, event.touches[0].clientY)) {
+                event.preventDefault();
+                return;
+            }
+            
             this.mouse.isDragging = true;
             this.mouse.previousX = event.touches[0].clientX;
             this.mouse.previousY = event.touches[0].clientY;
@@ -172,29 +690,53 @@ class Controls {
      * Touch move event handler
      */
     onTouchMove(event) {
-        if (!this.mouse.isDragging || event.touches.length !== 1) return;
-        
-        event.preventDefault();
-        
-        const deltaX = event.touches[0].clientX - this.mouse.previousX;
-        const deltaY = event.touches[0].clientY - this.mouse.previousY;
-        
-        this.cameraRotation.theta += deltaX * 0.01;
-        this.cameraRotation.phi += deltaY * 0.01;
+        if (this.mouse.isDraggingJoint && event.touches.length === 1) {
+            event.preventDefault();
+            this.dragJoint(event.touches[0].clientX, event.touches[0].clientY);
+            return;
+        }
         
-        this.cameraRotation.phi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraRotation.phi));
+        if (this.pinch && event.touches.length === 2) {
+            event.preventDefault();
+            const pinch = this.getPinch(event.touches);
+            if (pinch.distance > 0) {
+                this.cameraController.zoom(this.pinch.distance / pinch.distance);
+            }
+            this.cameraController.pan(pinch.x - this.pinch.x, pinch.y - this.pinch.y, this.renderer.clientHeight);
+            this.pinch = pinch;
+            return;
+        }
         
-        this.updateCameraPosition();
+        if (!this.mouse.isDragging || event.touches.length !== 1) return;
         
-        this.mouse.previousX = event.touches[0].clientX;
-        this.mouse.previousY = event.touches[0].clientY;
+        event.preventDefault();
+        this.dragCamera(event.touches[0].clientX, event.touches[0].clientY);
     }
     
     /**
      * Touch end event handler
      */
     onTouchEnd(event) {
+        const pressed = this.mouse.isDragging || this.mouse.isDraggingJoint;
+        if (this.mouse.isDraggingJoint) {
+            this.endJointDrag();
+        }
         this.mouse.isDragging = false;
+        
+        // Lifting one of two fingers carries on orbiting with the other
+        if (this.pinch && event.touches.length === 1) {
+            this.pinch = null;
+            this.mouse.isDragging = true;
+            this.mouse.previousX = event.touches[0].clientX;
+            this.mouse.previousY = event.touches[0].clientY;
+            return;
+        }
+        this.pinch = null;
+        
+        // A tap inspects the part under it
+        if (pressed && !this.mouse.moved && event.changedTouches.length === 1) {
+            this.inspectAt(event.changedTouches[0].clientX, event.changedTouches[0].clientY);
+        }
     }
     
     /**
@@ -211,40 +753,271 @@ class Controls {
             this.updateSpeed(parseFloat(e.target.value));
         });
         
+        // Transport: reverse, frame stepping and scrubbing
+        this.reverseBtn.addEventListener('click', () => {
+            this.setReversed(!this.clock.isReversed());
+        });
+        this.stepBackBtn.addEventListener('click', () => {
+            this.stepFrames(-1);
+        });
+        this.stepForwardBtn.addEventListener('click', () => {
+            this.stepFrames(1);
+        });
+        this.scrubSlider.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+        this.scrubSlider.addEventListener('pointerup', () => {
+            this.isScrubbing = false;
+        });
+        this.scrubSlider.addEventListener('input', (e) => {
+            this.scrubTo(parseFloat(e.target.value) * this.timeline.getCycleDuration());
+        });
+        
+        // Manual expansion: the slider and target buttons take over from the timeline
+        this.manualExpansionToggle.addEventListener('change', (e) => {
+            this.setManualExpansion(e.target.checked);
+        });
+        this.expansionSlider.addEventListener('pointerdown', () => {
+            this.isDraggingExpansion = true;
+        });
+        this.expansionSlider.addEventListener('pointerup', () => {
+            this.isDraggingExpansion = false;
+        });
+        this.expansionSlider.addEventListener('input', (e) => {
+            this.holdExpansion(parseFloat(e.target.value));
+        });
+        this.expansionTargets.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.animateExpansionTo(parseFloat(button.dataset.expansion)));
+        });
+        
+        // Keyframe timeline editor
+        this.timelineModeSelector.value = this.timeline.mode;
+        this.timelineModeSelector.addEventListener('change', (e) => {
+            this.setPlaybackMode(e.target.value);
+        });
+        this.timelineTrackSelector.addEventListener('change', () => {
+            this.renderKeyframes();
+        });
+        this.timelineStrip.addEventListener('click', (e) => {
+            this.pickKeyframeTime(e);
+        });
+        this.addKeyframeBtn.addEventListener('click', () => {
+            this.addKeyframe();
+        });
+        this.clearTrackBtn.addEventListener('click', () => {
+            this.clearTrack();
+        });
+        this.resetTimelineBtn.addEventListener('click', () => {
+            this.resetTimeline();
+        });
+        this.renderKeyframes();
+        
         // Color picker
         this.colorPicker.addEventListener('input', (e) => {
             this.updateColor(e.target.value);
         });
         
+        // Strut heatmap metric and color ramp
+        this.colorModeSelector.addEventListener('change', (e) => {
+            this.setColorMode(e.target.value);
+        });
+        this.colorRampSelector.addEventListener('change', (e) => {
+            this.setColorRamp(e.target.value);
+        });
+        
         // Material type selector
         this.materialSelector.addEventListener('change', (e) => {
             this.updateMaterialType(e.target.value);
         });
         
+        // Structure type selector
+        this.structureSelector.value = this.sphere.structureType;
+        this.structureSelector.addEventListener('change', (e) => {
+            this.updateStructureType(e.target.value);
+        });
+        
+        // Mechanism selector: the radial illustration reaches the geodesic frequencies
+        this.mechanismSelector.addEventListener('change', (e) => {
+            this.updateMechanism(e.target.value);
+        });
+        
+        // Base polyhedron selector (starts on the sphere's configured base)
+        this.syncGeometrySelectors();
+        this.polyhedronSelector.addEventListener('change', (e) => {
+            this.updateGeometry({ polyhedron: e.target.value });
+        });
+        
+        // Geodesic frequency selector
+        this.subdivisionsSelector.addEventListener('change', (e) => {
+            this.updateGeometry({ subdivisions: parseInt(e.target.value, 10) });
+        });
+        
         // Background selector
         this.backgroundSelector.addEventListener('change', (e) => {
             this.updateBackground(e.target.value);
         });
         
+        // Lighting rig selector
+        this.lightingSelector.addEventListener('change', (e) => {
+            this.updateLighting(e.target.value);
+        });
+        
+        // Environment map: a generated one, or a file of the user's
+        this.environmentSelector.addEventListener('change', (e) => {
+            this.updateEnvironment(e.target.value);
+        });
+        this.environmentLoadBtn.addEventListener('click', () => {
+            this.environmentInput.click();
+        });
+        this.environmentInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // The same file can be picked again
+            if (file) {
+                this.loadEnvironmentFile(file);
+            }
+        });
+        
+        // Exposure slider
+        this.exposureSlider.addEventListener('input', (e) => {
+            this.updateExposure(parseFloat(e.target.value));
+        });
+        
         // Auto-rotate toggle
         this.autoRotateToggle.addEventListener('change', (e) => {
             this.toggleAutoRotate(e.target.checked);
         });
         
+        // Spring-back after dragging a joint
+        this.springBackToggle.addEventListener('change', (e) => {
+            this.jointDragger.springBack = e.target.checked;
+            console.log(`Spring back: ${e.target.checked ? 'ON' : 'OFF'}`);
+        });
+        
         // Glow effect toggle
         this.glowToggle.addEventListener('change', (e) => {
             this.toggleGlow(e.target.checked);
         });
         
+        // Bloom sliders, anti-aliasing and vignette
+        this.bloomThresholdSlider.addEventListener('input', (e) => {
+            this.updateBloom('threshold', parseFloat(e.target.value));
+        });
+        this.bloomStrengthSlider.addEventListener('input', (e) => {
+            this.updateBloom('strength', parseFloat(e.target.value));
+        });
+        this.bloomRadiusSlider.addEventListener('input', (e) => {
+            this.updateBloom('radius', parseFloat(e.target.value));
+        });
+        this.antialiasSelector.addEventListener('change', (e) => {
+            this.updateAntialias(e.target.value);
+        });
+        this.vignetteToggle.addEventListener('change', (e) => {
+            this.toggleVignette(e.target.checked);
+        });
+        
+        // Instanced rendering toggle
+        this.instancedToggle.checked = this.sphere.config.instanced;
+        this.instancedToggle.addEventListener('change', (e) => {
+            this.toggleInstanced(e.target.checked);
+        });
+        
         // Stats toggle
         this.statsToggle.addEventListener('change', (e) => {
             this.toggleStats(e.target.checked);
         });
         
+        // Linkage check button
+        this.checkLinkageBtn.addEventListener('click', () => {
+            this.checkLinkage();
+        });
+        
+        // Joint error markers toggle
+        this.jointMarkersToggle.addEventListener('change', (e) => {
+            this.toggleJointMarkers(e.target.checked);
+        });
+        
+        // Part inspector
+        this.inspectorCloseBtn.addEventListener('click', () => {
+            this.closeInspector();
+        });
+        
+        // Model export button
+        this.exportBtn.addEventListener('click', () => {
+            this.exportModel();
+        });
+        
+        // Printable parts export button
+        this.printExportBtn.addEventListener('click', () => {
+            this.exportPrintableParts();
+        });
+        
+        // Fabrication report panel and downloads
+        this.fabricationReportBtn.addEventListener('click', () => {
+            this.showFabricationReport();
+        });
+        this.fabricationCsvBtn.addEventListener('click', () => {
+            this.createFabricationReport().download('csv');
+        });
+        this.fabricationJsonBtn.addEventListener('click', () => {
+            this.createFabricationReport().download('json');
+        });
+        
+        // High-resolution capture button
+        this.captureBtn.addEventListener('click', () => {
+            this.captureScreenshot();
+        });
+        
+        // Recording button (cancels while recording)
+        this.recordBtn.addEventListener('click', () => {
+            this.toggleRecording();
+        });
+        
         // Fullscreen button
         this.fullscreenBtn.addEventListener('click', () => {
             this.toggleFullscreen();
         });
+        
+        // Camera view buttons
+        this.viewFrontBtn.addEventListener('click', () => this.setCameraView('front'));
+        this.viewTopBtn.addEventListener('click', () => this.setCameraView('top'));
+        this.viewIsoBtn.addEventListener('click', () => this.setCameraView('isometric'));
+        this.viewResetBtn.addEventListener('click', () => this.setCameraView('default'));
+        
+        // Share link and reset of the saved settings
+        this.shareLinkBtn.addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        this.resetSettingsBtn.addEventListener('click', () => {
+            this.resetSettings();
+        });
+        
+        // Preset library
+        this.renderPresetList();
+        this.presetSelector.addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+        this.presetSaveBtn.addEventListener('click', () => {
+            this.savePreset();
+        });
+        this.presetRenameBtn.addEventListener('click', () => {
+            this.renamePreset();
+        });
+        this.presetDeleteBtn.addEventListener('click', () => {
+            this.deletePreset();
+        });
+        this.presetExportBtn.addEventListener('click', () => {
+            this.exportPresets();
+        });
+        this.presetImportBtn.addEventListener('click', () => {
+            this.presetImportInput.click();
+        });
+        this.presetImportInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // The same file can be picked again
+            if (file) {
+                this.importPresets(file);
+            }
+        });
     }
     
     /**
@@ -254,36 +1027,361 @@ class Controls {
         this.isAnimating = !this.isAnimating;
         
         if (this.isAnimating) {
+            // A finished one-shot timeline plays again from the start
+            if (this.timeline.isFinished()) {
+                this.timeline.seek(0);
+            }
             this.sphere.startAnimation();
+            this.clock.play();
+            this.resumeAfterDrag = false;
             this.toggleBtn.textContent = 'Pause Animation';
             this.toggleBtn.style.background = 'linear-gradient(135deg, #ff4444 0%, #cc0000 100%)';
         } else {
-            this.sphere.stopAnimation();
+            // Pausing the clock holds the current frame, so resuming does not jump
+            this.clock.pause();
             this.toggleBtn.textContent = 'Start Animation';
             this.toggleBtn.style.background = 'linear-gradient(135deg, #00aaff 0%, #0077cc 100%)';
         }
     }
     
     /**
-     * Update animation speed
-     * @param {number} speed - Speed value from slider
+     * Play the animation forwards or backwards
+     * @param {boolean} reversed - True to play backwards
      */
-    updateSpeed(speed) {
+    setReversed(reversed) {
+        this.clock.setReversed(reversed);
+        this.reverseBtn.textContent = reversed ? 'Forward' : 'Reverse';
+        console.log(`Playback direction: ${reversed ? 'reverse' : 'forward'}`);
+    }
+    
+    /**
+     * Pause and move by whole frames
+     * @param {number} frames - Frames to move (negative steps back)
+     */
+    stepFrames(frames) {
+        if (this.isAnimating) {
+            this.toggleAnimation();
+        }
+        
+        // The structure only follows the clock once its animation has started
+        this.sphere.startAnimation();
+        this.clock.step(frames);
+    }
+    
+    /**
+     * Seek the clock so the timeline lands on a time within its cycle
+     * @param {number} cycleTime - Timeline seconds from the start of the cycle
+     */
+    scrubTo(cycleTime) {
+        const offset = cycleTime - this.timeline.getCycleTime();
+        
+        this.sphere.startAnimation();
+        this.clock.seek(this.clock.getTime() + offset / this.sphere.animationSpeed);
+    }
+    
+    /**
+     * Update animation speed
+     * @param {number} speed - Speed value from slider
+     */
+    updateSpeed(speed) {
         this.sphere.setAnimationSpeed(speed);
         this.speedDisplay.textContent = speed.toFixed(1) + 'x';
         console.log(`Animation speed: ${speed.toFixed(1)}x`);
     }
     
+    /**
+     * Switch manual expansion on or off; off hands the expansion back to the timeline
+     * @param {boolean} enabled - Whether expansion is manual
+     */
+    setManualExpansion(enabled) {
+        this.manualExpansionToggle.checked = enabled;
+        this.sphere.setManualExpansion(enabled);
+        console.log(`Manual expansion: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
+    /**
+     * Hold the structure at an expansion, switching to manual expansion
+     * @param {number} factor - 0 = fully contracted, 1 = fully expanded
+     */
+    holdExpansion(factor) {
+        this.manualExpansionToggle.checked = true;
+        this.sphere.animateTo(factor, 0);
+    }
+    
+    /**
+     * Ease the structure to an expansion and hold it there (a jump with reduced motion)
+     * @param {number} factor - 0 = fully contracted, 1 = fully expanded
+     * @returns {Promise<boolean>} Resolves true on arrival, false if interrupted
+     */
+    animateExpansionTo(factor) {
+        this.manualExpansionToggle.checked = true;
+        console.log(`Expanding to ${Math.round(factor * 100)}%`);
+        return this.sphere.animateTo(factor, this.reducedMotion ? 0 : 0.8);
+    }
+    
+    /**
+     * Show the current expansion on the expansion slider
+     */
+    updateExpansionSlider() {
+        const factor = this.sphere.getExpansionFactor();
+        this.expansionDisplay.textContent = `${Math.round(factor * 100)}%`;
+        
+        // Leave the slider alone while it is being dragged
+        if (!this.isDraggingExpansion) {
+            this.expansionSlider.value = factor;
+        }
+    }
+    
+    /**
+     * Set how the timeline repeats
+     * @param {string} mode - 'loop', 'pingpong' or 'once'
+     */
+    setPlaybackMode(mode) {
+        this.timeline.setMode(mode);
+        console.log(`Timeline playback: ${mode}`);
+    }
+    
+    /**
+     * Track selected in the timeline editor
+     * @returns {string} 'expansion', 'rotation' or 'camera'
+     */
+    getSelectedTrack() {
+        return this.timelineTrackSelector.value;
+    }
+    
+    /**
+     * Value for a new keyframe: the typed expansion, or the current
+     * structure rotation or camera orbit
+     * @param {string} track - Track name
+     * @returns {number|Array<number>|Object}
+     */
+    captureTrackValue(track) {
+        switch (track) {
+            case 'rotation': {
+                const rotation = this.sphere.getGroup().rotation;
+                return [rotation.x, rotation.y, rotation.z];
+            }
+            case 'camera':
+                return this.cameraController.getState();
+            default:
+                return Math.max(0, Math.min(1, parseFloat(this.keyframeValueInput.value) || 0));
+        }
+    }
+    
+    /**
+     * Add (or replace) a keyframe on the selected track from the editor inputs
+     */
+    addKeyframe() {
+        const track = this.getSelectedTrack();
+        const time = parseFloat(this.keyframeTimeInput.value);
+        
+        try {
+            this.timeline.addKeyframe(track, time, this.captureTrackValue(track), this.keyframeEasingSelector.value);
+            this.renderKeyframes();
+            console.log(`Added ${track} keyframe at ${time}s`);
+        } catch (error) {
+            console.error('Could not add keyframe:', error);
+        }
+    }
+    
+    /**
+     * Remove a keyframe from the selected track
+     * @param {number} index - Index into the track's keyframes
+     */
+    removeKeyframe(index) {
+        this.timeline.removeKeyframe(this.getSelectedTrack(), index);
+        this.renderKeyframes();
+    }
+    
+    /**
+     * Load a keyframe into the editor inputs so it can be changed and re-added
+     * @param {Object} keyframe - Keyframe from the selected track
+     */
+    selectKeyframe(keyframe) {
+        this.keyframeTimeInput.value = keyframe.time.toFixed(2);
+        this.keyframeEasingSelector.value = keyframe.easing;
+        if (typeof keyframe.value === 'number') {
+            this.keyframeValueInput.value = keyframe.value.toFixed(2);
+        }
+    }
+    
+    /**
+     * Remove every keyframe of the selected track
+     */
+    clearTrack() {
+        this.timeline.clearTrack(this.getSelectedTrack());
+        this.renderKeyframes();
+        console.log(`Cleared ${this.getSelectedTrack()} track`);
+    }
+    
+    /**
+     * Replace the timeline with the default breathing cycle
+     */
+    resetTimeline() {
+        this.timeline = Timeline.createBreathing();
+        this.timeline.setMode(this.timelineModeSelector.value);
+        this.sphere.setTimeline(this.timeline);
+        this.renderKeyframes();
+        console.log('Timeline reset to breathing');
+    }
+    
+    /**
+     * Set the keyframe time input from a click on the timeline strip
+     * @param {MouseEvent} event - Click on the strip
+     */
+    pickKeyframeTime(event) {
+        const rect = this.timelineStrip.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        const duration = this.timeline.getDuration() || Math.PI * 2;
+        
+        this.keyframeTimeInput.value = (fraction * duration).toFixed(2);
+    }
+    
+    /**
+     * Short description of a keyframe value for the list
+     * @param {string} track - Track name
+     * @param {number|Array<number>|Object} value - Keyframe value
+     * @returns {string}
+     */
+    formatKeyframeValue(track, value) {
+        const degrees = angle => `${Math.round(angle * 180 / Math.PI)}°`;
+        
+        switch (track) {
+            case 'rotation':
+                return value.map(degrees).join(' ');
+            case 'camera':
+                return `θ${degrees(value.theta)} φ${degrees(value.phi)} r${value.radius.toFixed(0)}`;
+            default:
+                return value.toFixed(2);
+        }
+    }
+    
+    /**
+     * Redraw the strip markers and keyframe list for the selected track
+     */
+    renderKeyframes() {
+        const track = this.getSelectedTrack();
+        const keyframes = this.timeline.getKeyframes(track);
+        const duration = this.timeline.getDuration();
+        
+        // Expansion is typed in; rotation and camera keys capture the current view
+        this.keyframeValueInput.disabled = track !== 'expansion';
+        
+        this.timelineStrip.querySelectorAll('.timeline-marker').forEach(marker => marker.remove());
+        this.keyframeList.textContent = '';
+        
+        keyframes.forEach((keyframe, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-marker';
+            marker.style.left = `${duration > 0 ? keyframe.time / duration * 100 : 0}%`;
+            this.timelineStrip.appendChild(marker);
+            
+            const row = document.createElement('div');
+            row.className = 'keyframe-row';
+            row.textContent = `${keyframe.time.toFixed(2)}s  ${this.formatKeyframeValue(track, keyframe.value)}  ${keyframe.easing}`;
+            row.addEventListener('click', () => this.selectKeyframe(keyframe));
+            
+            const remove = document.createElement('button');
+            remove.className = 'keyframe-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove keyframe';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeKeyframe(index);
+            });
+            row.appendChild(remove);
+            
+            this.keyframeList.appendChild(row);
+        });
+        
+        if (keyframes.length === 0) {
+            this.keyframeList.textContent = 'No keyframes';
+        }
+    }
+    
+    /**
+     * Move the strip playhead and the scrub bar to the timeline's current time
+     */
+    updateTimelinePlayhead() {
+        const duration = this.timeline.getDuration();
+        const local = this.timeline.getLocalTime(this.timeline.time);
+        const cycle = this.timeline.getCycleDuration();
+        const cycleTime = this.timeline.getCycleTime();
+        
+        this.timelinePlayhead.style.left = `${duration > 0 ? local / duration * 100 : 0}%`;
+        this.scrubDisplay.textContent = `${cycleTime.toFixed(2)}s`;
+        
+        // Leave the slider alone while it is being dragged
+        if (!this.isScrubbing) {
+            this.scrubSlider.value = cycle > 0 ? cycleTime / cycle : 0;
+        }
+    }
+    
     /**
      * Update sphere color
      * @param {string} hexColor - Hex color string (e.g., '#00aaff')
      */
     updateColor(hexColor) {
+        // Picking a color goes back to uniform coloring
+        if (this.strutHeatmap.isActive()) {
+            this.colorModeSelector.value = 'uniform';
+            this.setColorMode('uniform');
+        }
+        
         // Convert hex string to number
         const colorValue = parseInt(hexColor.replace('#', ''), 16);
         this.sphere.updateColor(colorValue);
     }
     
+    /**
+     * Color the struts uniformly or by an analysis metric
+     * @param {string} mode - 'uniform' or a key of StrutHeatmap.METRICS
+     */
+    setColorMode(mode) {
+        if (mode === 'uniform') {
+            this.strutHeatmap.clear();
+            this.heatmapLegend.classList.add('hidden');
+        } else {
+            this.strutHeatmap.setMetric(mode);
+            this.heatmapLegendTitle.textContent = StrutHeatmap.METRICS[mode].label;
+            this.heatmapLegendBar.style.background = StrutHeatmap.getRampGradient(this.strutHeatmap.ramp);
+            this.heatmapLegend.classList.remove('hidden');
+            this.refreshHeatmap();
+        }
+        console.log(`Strut coloring: ${mode}`);
+    }
+    
+    /**
+     * Change the heatmap color ramp
+     * @param {string} ramp - A key of StrutHeatmap.RAMPS
+     */
+    setColorRamp(ramp) {
+        this.strutHeatmap.setRamp(ramp);
+        this.heatmapLegendBar.style.background = StrutHeatmap.getRampGradient(ramp);
+        this.refreshHeatmap();
+        console.log(`Color ramp: ${ramp}`);
+    }
+    
+    /**
+     * Recolor the struts straight away, without a time step, so a change shows
+     * while the clock holds still
+     */
+    refreshHeatmap() {
+        if (this.strutHeatmap.isActive()) {
+            this.updateHeatmapLegend(this.strutHeatmap.update(0));
+        }
+    }
+    
+    /**
+     * Show the range the heatmap colors span
+     * @param {{min: number, max: number}} range - From StrutHeatmap.update()
+     */
+    updateHeatmapLegend(range) {
+        const { unit, digits } = StrutHeatmap.METRICS[this.strutHeatmap.metric];
+        this.heatmapLegendMin.textContent = `${range.min.toFixed(digits)} ${unit}`;
+        this.heatmapLegendMax.textContent = `${range.max.toFixed(digits)} ${unit}`;
+    }
+    
     /**
      * Update material type
      * @param {string} type - Material type ('metallic', 'matte', 'glossy')
@@ -293,33 +1391,208 @@ class Controls {
         console.log(`Material type changed to: ${type}`);
     }
     
+    /**
+     * Ask main.js to switch to another structure type, or rebuild this one
+     * @param {string} type - 'sphere', 'ring', 'arch' or 'dome'
+     * @param {Object} options - Build options replacing the current ones (radii, mechanism, polyhedron)
+     */
+    updateStructureType(type, options = {}) {
+        if (this.onStructureChange) {
+            this.onStructureChange(type, options);
+        }
+    }
+    
+    /**
+     * Rebuild the sphere with another mechanism, on the same base polyhedron
+     * and, where the new mechanism closes at it, the same frequency
+     * @param {string} mechanism - 'linkage' or 'radial'
+     */
+    updateMechanism(mechanism) {
+        const { polyhedron, subdivisions } = this.sphere.config;
+        const options = { mechanism: mechanism, polyhedron: polyhedron };
+        if (HobermanSphere.supportsGeometry(mechanism, polyhedron, subdivisions)) {
+            options.subdivisions = subdivisions;
+        }
+        this.updateStructureType(this.sphere.structureType, options);
+    }
+    
+    /**
+     * Drive a new structure, carrying over the animation settings
+     * @param {DeployableStructure} structure - The structure that replaces the current one
+     */
+    setStructure(structure) {
+        this.linkageAnalyzer.dispose();
+        this.sphere = structure;
+        this.linkageAnalyzer = new LinkageAnalyzer(structure);
+        this.strutHeatmap.setStructure(structure);
+        this.jointDragger.setStructure(structure);
+        this.closeInspector();
+        this.partInspector.setStructure(structure);
+        this.mouse.isDraggingJoint = false;
+        this.resumeAfterDrag = false;
+        
+        structure.setTimeline(this.timeline);
+        structure.setClock(this.clock);
+        structure.setAnimationSpeed(parseFloat(this.speedSlider.value));
+        structure.setAutoRotate(this.autoRotateToggle.checked);
+        structure.setManualExpansion(this.manualExpansionToggle.checked);
+        if (this.isAnimating) {
+            structure.startAnimation();
+        }
+        
+        this.structureSelector.value = structure.structureType;
+        this.syncGeometrySelectors();
+        this.refreshHeatmap();
+        this.linkageReport.textContent = '';
+        this.linkageReport.classList.remove('ok', 'error');
+        this.fabricationReport.textContent = '';
+    }
+    
+    /**
+     * Show the current mechanism and base polyhedron; the selectors only apply
+     * to the sphere, and the linkage only to frequencies it closes at
+     */
+    syncGeometrySelectors() {
+        const { polyhedron, subdivisions, mechanism } = this.sphere.config;
+        const hasPolyhedron = polyhedron !== undefined;
+        
+        this.mechanismSelector.value = mechanism;
+        this.mechanismSelector.disabled = !hasPolyhedron;
+        this.polyhedronSelector.disabled = !hasPolyhedron;
+        this.subdivisionsSelector.disabled = !hasPolyhedron;
+        if (hasPolyhedron) {
+            this.polyhedronSelector.value = polyhedron;
+            this.subdivisionsSelector.value = String(subdivisions);
+            Array.from(this.subdivisionsSelector.options).forEach(option => {
+                option.disabled = !HobermanSphere.supportsGeometry(mechanism, polyhedron, parseInt(option.value, 10));
+            });
+        }
+    }
+    
+    /**
+     * Rebuild the sphere on a new base polyhedron or geodesic frequency
+     * @param {Object} options - { polyhedron, subdivisions }
+     */
+    updateGeometry(options) {
+        this.sphere.setGeometry(options);
+        
+        // Stale reports, markers and selections refer to the old structure
+        this.linkageAnalyzer.clearMarkers();
+        this.closeInspector();
+        this.linkageReport.textContent = '';
+        this.linkageReport.classList.remove('ok', 'error');
+        this.fabricationReport.textContent = '';
+        this.refreshHeatmap();
+        
+        const { polyhedron, subdivisions } = this.sphere.config;
+        console.log(`Geometry changed to: ${polyhedron} (frequency ${subdivisions + 1})`);
+    }
+    
     /**
      * Update background
      * @param {string} type - Background type
      */
     updateBackground(type) {
-        switch(type) {
-            case 'space':
-                this.scene.background = new THREE.Color(0x0a0a0a);
-                break;
-            case 'gradient':
-                this.scene.background = new THREE.Color(0x1a1a2e);
-                break;
-            case 'blue':
-                this.scene.background = new THREE.Color(0x001a33);
-                break;
-            case 'purple':
-                this.scene.background = new THREE.Color(0x1a0a2e);
-                break;
-            case 'black':
-                this.scene.background = new THREE.Color(0x000000);
-                break;
-            default:
-                this.scene.background = new THREE.Color(0x0a0a0a);
+        if (this.sceneEnvironment) {
+            this.sceneEnvironment.setBackground(SceneEnvironment.BACKGROUNDS[type] ? type : 'space');
         }
         console.log(`Background changed to: ${type}`);
     }
     
+    /**
+     * Switch the scene lights to another rig
+     * @param {string} rig - A key of LightingRig.RIGS
+     */
+    updateLighting(rig) {
+        if (this.lightingRig) {
+            this.lightingRig.setRig(rig);
+        }
+        console.log(`Lighting changed to: ${rig}`);
+    }
+    
+    /**
+     * Switch to a generated environment map, dropping a loaded file
+     * @param {string} name - One of SceneEnvironment.ENVIRONMENTS
+     */
+    updateEnvironment(name) {
+        // The loaded file is released on switching away, so it cannot be chosen again
+        if (name === 'file') return;
+        
+        if (this.sceneEnvironment) {
+            this.sceneEnvironment.setEnvironment(name);
+        }
+        this.setEnvironmentFileOption(null);
+        this.showEnvironmentStatus('', true);
+    }
+    
+    /**
+     * Light the scene with an environment map file
+     * @param {File} file - A .hdr, .exr, .jpg or .png panorama picked by the user
+     * @returns {Promise<boolean>} Whether it loaded
+     */
+    loadEnvironmentFile(file) {
+        if (!this.sceneEnvironment) {
+            return Promise.resolve(false);
+        }
+        
+        this.showEnvironmentStatus(`Loading ${file.name}...`, true);
+        return this.sceneEnvironment.loadFile(file)
+            .then(name => {
+                this.setEnvironmentFileOption(name);
+                this.showEnvironmentStatus(`Lit by ${name}`, true);
+                return true;
+            })
+            .catch(error => {
+                this.showEnvironmentStatus(error.message, false);
+                console.error('Environment map failed to load:', error);
+                return false;
+            });
+    }
+    
+    /**
+     * Show a loaded file in the environment selector, or remove it
+     * @param {string|null} fileName - Name of the loaded file, or null once it is gone
+     */
+    setEnvironmentFileOption(fileName) {
+        if (fileName === null) {
+            if (this.environmentFileOption) {
+                this.environmentFileOption.remove();
+                this.environmentFileOption = null;
+            }
+            return;
+        }
+        
+        if (!this.environmentFileOption) {
+            this.environmentFileOption = document.createElement('option');
+            this.environmentFileOption.value = 'file';
+            this.environmentSelector.appendChild(this.environmentFileOption);
+        }
+        this.environmentFileOption.textContent = fileName;
+        this.environmentSelector.value = 'file';
+    }
+    
+    /**
+     * Show an environment map message
+     * @param {string} message - Text to show
+     * @param {boolean} ok - False for errors
+     */
+    showEnvironmentStatus(message, ok) {
+        this.environmentStatus.textContent = message;
+        this.environmentStatus.classList.toggle('ok', ok);
+        this.environmentStatus.classList.toggle('error', !ok);
+    }
+    
+    /**
+     * Change the tone mapping exposure
+     * @param {number} exposure - 1 is neutral
+     */
+    updateExposure(exposure) {
+        if (this.sceneEnvironment) {
+            this.sceneEnvironment.setExposure(exposure);
+        }
+        this.exposureDisplay.textContent = exposure.toFixed(1);
+    }
+    
     /**
      * Toggle auto-rotation
      * @param {boolean} enabled - Whether auto-rotation is enabled
@@ -335,10 +1608,60 @@ class Controls {
      */
     toggleGlow(enabled) {
         this.glowEnabled = enabled;
-        // This will be handled in main.js with post-processing
+        // main.js switches the post-processing chain on the next frame
         console.log(`Glow effect: ${enabled ? 'ON' : 'OFF'}`);
     }
     
+    /**
+     * Change one bloom setting
+     * @param {string} key - 'threshold', 'strength' or 'radius'
+     * @param {number} value - New value
+     */
+    updateBloom(key, value) {
+        const displays = {
+            threshold: this.bloomThresholdDisplay,
+            strength: this.bloomStrengthDisplay,
+            radius: this.bloomRadiusDisplay
+        };
+        displays[key].textContent = value.toFixed(2);
+        
+        if (this.postProcessing) {
+            this.postProcessing.setBloom({ [key]: value });
+        }
+        console.log(`Bloom ${key}: ${value.toFixed(2)}`);
+    }
+    
+    /**
+     * Choose the anti-aliasing pass of the glow chain
+     * @param {string} mode - 'none', 'fxaa' or 'smaa'
+     */
+    updateAntialias(mode) {
+        if (this.postProcessing) {
+            this.postProcessing.setAntialias(mode);
+        }
+        console.log(`Anti-aliasing: ${mode}`);
+    }
+    
+    /**
+     * Toggle the vignette of the glow chain
+     * @param {boolean} enabled - Whether the edges are darkened
+     */
+    toggleVignette(enabled) {
+        if (this.postProcessing) {
+            this.postProcessing.setVignette(enabled);
+        }
+        console.log(`Vignette: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
+    /**
+     * Toggle drawing through InstancedRenderer
+     * @param {boolean} enabled - Whether instanced rendering is on
+     */
+    toggleInstanced(enabled) {
+        this.sphere.setInstanced(enabled);
+        console.log(`Instanced rendering: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
     /**
      * Get glow enabled state
      * @returns {boolean}
@@ -360,6 +1683,281 @@ class Controls {
         console.log(`Stats display: ${enabled ? 'ON' : 'OFF'}`);
     }
     
+    /**
+     * Run a full linkage check at the current expansion and show a summary
+     */
+    checkLinkage() {
+        const report = this.linkageAnalyzer.analyze();
+        const mobility = report.mobility;
+        const dof = mobility.numeric !== null ? mobility.numeric : 'n/a';
+        
+        this.linkageReport.textContent =
+            `Max joint error: ${report.maxJointError.toExponential(2)}\n` +
+            `Max strut drift: ${report.maxStrutDrift.toExponential(2)}\n` +
+            `Violations: ${report.violations.joints.length} joints, ${report.violations.struts.length} struts\n` +
+            `Mobility: ${dof} DOF (Kutzbach ${mobility.kutzbach})`;
+        this.linkageReport.classList.toggle('ok', report.isValid);
+        this.linkageReport.classList.toggle('error', !report.isValid);
+        
+        if (this.jointMarkersEnabled) {
+            this.linkageAnalyzer.showViolations(report);
+        }
+        
+        console.log('Linkage report:', report);
+    }
+    
+    /**
+     * Select the part under the pointer and show it in the inspector;
+     * clicking empty space closes it
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     */
+    inspectAt(clientX, clientY) {
+        const part = this.partInspector.pick(this.getPointer(clientX, clientY));
+        
+        if (!part) {
+            this.closeInspector();
+            return;
+        }
+        
+        this.partInspector.select(part);
+        this.inspectorPanel.classList.remove('hidden');
+        this.updateInspector();
+    }
+    
+    /**
+     * Refresh the inspector panel from the live structure
+     */
+    updateInspector() {
+        const info = this.partInspector.getInfo();
+        if (!info) return;
+        
+        this.partInspector.updateHighlight();
+        this.inspectorContent.textContent = PartInspector.toText(info);
+    }
+    
+    /**
+     * Clear the selection and hide the inspector panel
+     */
+    closeInspector() {
+        this.partInspector.select(null);
+        this.inspectorPanel.classList.add('hidden');
+        this.inspectorContent.textContent = '';
+    }
+    
+    /**
+     * Toggle live red markers at violating joints
+     * @param {boolean} enabled - Whether markers are shown
+     */
+    toggleJointMarkers(enabled) {
+        this.jointMarkersEnabled = enabled;
+        if (!enabled) {
+            this.linkageAnalyzer.clearMarkers();
+        }
+        console.log(`Joint error markers: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
+    /**
+     * Export the current structure as glTF or GLB, optionally with the breathing cycle
+     */
+    exportModel() {
+        const exporter = new StructureExporter(this.sphere);
+        
+        this.exportBtn.disabled = true;
+        exporter.download({
+            binary: this.exportFormatSelector.value === 'glb',
+            animated: this.exportAnimationToggle.checked
+        })
+            .catch(error => console.error('Model export failed:', error))
+            .finally(() => {
+                this.exportBtn.disabled = false;
+            });
+    }
+    
+    /**
+     * Export the struts as printable STL/OBJ solids with the chosen pin settings
+     */
+    exportPrintableParts() {
+        const [format, layout] = this.printFormatSelector.value.split('-');
+        
+        try {
+            const exporter = new PrintablePartExporter(this.sphere, {
+                unitScale: parseFloat(this.printScaleInput.value),
+                pinDiameter: parseFloat(this.pinDiameterInput.value),
+                clearance: parseFloat(this.printClearanceInput.value)
+            });
+            const archive = exporter.download({ format: format, layout: layout });
+            
+            this.printReport.textContent = [`${archive.fileName}:`].concat(archive.files).join('\n');
+            this.printReport.classList.add('ok');
+            this.printReport.classList.remove('error');
+        } catch (error) {
+            this.printReport.textContent = error.message;
+            this.printReport.classList.add('error');
+            this.printReport.classList.remove('ok');
+            console.error('Printable part export failed:', error);
+        }
+    }
+    
+    /**
+     * Report generator for the active structure, in the print scale's units
+     * @returns {FabricationReport}
+     */
+    createFabricationReport() {
+        return new FabricationReport(this.sphere, {
+            unitScale: parseFloat(this.printScaleInput.value)
+        });
+    }
+    
+    /**
+     * Show the bill of materials in the report panel
+     */
+    showFabricationReport() {
+        const generator = this.createFabricationReport();
+        const report = generator.generate();
+        
+        this.fabricationReport.textContent = generator.toText(report);
+        console.log('Fabrication report:', report);
+    }
+    
+    /**
+     * Capture the current view as a PNG at the chosen size
+     */
+    captureScreenshot() {
+        const preset = this.captureSizeSelector.value;
+        const isPaper = ScreenshotExporter.SIZES[preset] && ScreenshotExporter.SIZES[preset].widthMM;
+        const dpi = parseFloat(this.captureDpiInput.value);
+        const size = ScreenshotExporter.resolveSize(preset, {
+            dpi: dpi,
+            windowWidth: this.renderer.width,
+            windowHeight: this.renderer.height
+        });
+        
+        this.captureBtn.disabled = true;
+        this.captureStatus.textContent = `Rendering ${size.width} × ${size.height}...`;
+        this.captureStatus.classList.remove('ok', 'error');
+        
+        // Let the status paint before the (blocking) render
+        setTimeout(() => {
+            this.screenshotExporter.download({
+                width: size.width,
+                height: size.height,
+                supersample: parseInt(this.captureSupersampleSelector.value, 10),
+                transparent: this.captureTransparentToggle.checked,
+                dpi: isPaper ? dpi : undefined,
+                name: this.sphere.structureType
+            })
+                .then(fileName => {
+                    this.captureStatus.textContent = fileName;
+                    this.captureStatus.classList.add('ok');
+                })
+                .catch(error => {
+                    this.captureStatus.textContent = error.message;
+                    this.captureStatus.classList.add('error');
+                    console.error('Capture failed:', error);
+                })
+                .finally(() => {
+                    this.captureBtn.disabled = false;
+                });
+        }, 0);
+    }
+    
+    /**
+     * Recorder for the renderer canvas
+     * @returns {AnimationRecorder}
+     */
+    getRecorder() {
+        if (!this.recorder) {
+            this.recorder = new AnimationRecorder(this.renderer, {
+                clock: this.clock,
+                render: () => this.renderFrame()
+            });
+        }
+        return this.recorder;
+    }
+    
+    /**
+     * Whether the recorder is rendering frames itself (main.js skips its loop)
+     * @returns {boolean}
+     */
+    isRenderingOffline() {
+        return !!this.recorder && this.recorder.isRenderingOffline();
+    }
+    
+    /**
+     * Start a recording, or cancel the running one
+     */
+    toggleRecording() {
+        const recorder = this.getRecorder();
+        
+        if (recorder.isRecording) {
+            recorder.cancel();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    /**
+     * Record the running animation with the panel settings and save it
+     */
+    startRecording() {
+        const recorder = this.getRecorder();
+        const format = this.recordFormatSelector.value;
+        const length = parseFloat(this.recordLengthInput.value);
+        const fps = parseInt(this.recordFpsInput.value, 10);
+        const duration = this.recordUnitSelector.value === 'cycles'
+            ? AnimationRecorder.getCyclesDuration(this.timeline, length, this.sphere.animationSpeed)
+            : length;
+        
+        if (!(duration > 0) || !(fps > 0)) {
+            this.showRecordStatus('Set a recording length and frame rate above zero (cycles need timeline keyframes)', false);
+            return;
+        }
+        
+        // Recordings follow the running animation
+        if (!this.isAnimating) {
+            this.toggleAnimation();
+        }
+        
+        const options = {
+            duration: duration,
+            fps: fps,
+            onProgress: fraction => {
+                this.recordProgress.value = fraction;
+            }
+        };
+        const isVideo = format === 'webm';
+        const fileName = `${this.sphere.structureType}-${isVideo ? 'recording.webm' : 'frames.zip'}`;
+        
+        this.recordProgress.value = 0;
+        this.recordBtn.textContent = 'Cancel Recording';
+        this.showRecordStatus(`Recording ${duration.toFixed(2)}s at ${fps} fps...`, true);
+        
+        (isVideo ? recorder.recordVideo(options) : recorder.recordFrames(options))
+            .then(blob => {
+                recorder.download(blob, fileName);
+                this.showRecordStatus(fileName, true);
+            })
+            .catch(error => {
+                this.showRecordStatus(error.message, false);
+                console.error('Recording failed:', error);
+            })
+            .finally(() => {
+                this.recordBtn.textContent = 'Start Recording';
+            });
+    }
+    
+    /**
+     * Show a recording message under the progress bar
+     * @param {string} message - Text to show
+     * @param {boolean} ok - False for errors
+     */
+    showRecordStatus(message, ok) {
+        this.recordStatus.textContent = message;
+        this.recordStatus.classList.toggle('ok', ok);
+        this.recordStatus.classList.toggle('error', !ok);
+    }
+    
     /**
      * Toggle fullscreen mode
      */
@@ -390,6 +1988,433 @@ class Controls {
         }
     }
     
+    /**
+     * Current settings, as saved to localStorage and shared in links
+     * @returns {Object} Settings in the shape of SettingsStore.FIELDS
+     */
+    getSettings() {
+        const settings = {
+            structure: this.sphere.structureType,
+            mechanism: this.sphere.config.mechanism,
+            minRadius: this.sphere.config.minRadius,
+            maxRadius: this.sphere.config.maxRadius,
+            strutRadius: this.sphere.config.strutRadius,
+            speed: parseFloat(this.speedSlider.value),
+            color: this.colorPicker.value,
+            material: this.sphere.config.materialType,
+            instanced: this.instancedToggle.checked,
+            background: this.backgroundSelector.value,
+            lighting: this.lightingRig ? this.lightingRig.rig : this.lightingSelector.value,
+            exposure: parseFloat(this.exposureSlider.value),
+            autoRotate: this.autoRotateToggle.checked,
+            springBack: this.springBackToggle.checked,
+            glow: this.glowEnabled,
+            bloomThreshold: parseFloat(this.bloomThresholdSlider.value),
+            bloomStrength: parseFloat(this.bloomStrengthSlider.value),
+            bloomRadius: parseFloat(this.bloomRadiusSlider.value),
+            antialias: this.antialiasSelector.value,
+            vignette: this.vignetteToggle.checked,
+            stats: this.statsToggle.checked,
+            colorMode: this.colorModeSelector.value,
+            colorRamp: this.colorRampSelector.value,
+            theta: this.cameraController.state.theta,
+            phi: this.cameraController.state.phi,
+            radius: this.cameraController.state.radius,
+            targetX: this.cameraController.target.x,
+            targetY: this.cameraController.target.y,
+            targetZ: this.cameraController.target.z,
+            animating: this.isAnimating,
+            manualExpansion: this.sphere.isManualExpansion()
+        };
+        
+        // A loaded file cannot be restored from settings, so it is not saved
+        if (this.environmentSelector.value !== 'file') {
+            settings.environment = this.environmentSelector.value;
+        }
+        
+        // The expansion is only a setting while it is held by hand
+        if (settings.manualExpansion) {
+            settings.expansion = Math.round(this.sphere.getExpansionFactor() * 1000) / 1000;
+        }
+        
+        // Only the sphere is built on a base polyhedron
+        if (this.sphere.config.polyhedron !== undefined) {
+            settings.polyhedron = this.sphere.config.polyhedron;
+            settings.subdivisions = this.sphere.config.subdivisions;
+        }
+        return settings;
+    }
+    
+    /**
+     * Show a value in a selector, if it is one of its options
+     * @param {HTMLSelectElement} selector - The selector
+     * @param {string} value - Option value
+     * @returns {boolean} Whether the option exists
+     */
+    selectOption(selector, value) {
+        const exists = Array.from(selector.options).some(option => option.value === value);
+        if (exists) {
+            selector.value = value;
+        }
+        return exists;
+    }
+    
+    /**
+     * Restore settings from a previous visit or a shared link.
+     * Missing settings keep their current value.
+     * @param {Object} settings - Settings from SettingsStore.load() or SettingsStore.decode()
+     */
+    applySettings(settings) {
+        // Structure and geometry first; the rest applies to the parts they build
+        const type = settings.structure && this.selectOption(this.structureSelector, settings.structure)
+            ? settings.structure
+            : this.sphere.structureType;
+        const build = {};
+        ['mechanism', 'minRadius', 'maxRadius', 'strutRadius'].forEach(key => {
+            if (settings[key] !== undefined && settings[key] !== this.sphere.config[key]) {
+                build[key] = settings[key];
+            }
+        });
+        const minRadius = build.minRadius !== undefined ? build.minRadius : this.sphere.config.minRadius;
+        const maxRadius = build.maxRadius !== undefined ? build.maxRadius : this.sphere.config.maxRadius;
+        if (minRadius >= maxRadius) {
+            console.warn(`Ignoring radii ${minRadius}..${maxRadius}: the minimum must be below the maximum`);
+            delete build.minRadius;
+            delete build.maxRadius;
+        }
+        if (type !== this.sphere.structureType || Object.keys(build).length > 0) {
+            // A rebuilt sphere starts on the requested polyhedron straight away
+            if (type === 'sphere') {
+                if (settings.polyhedron && this.selectOption(this.polyhedronSelector, settings.polyhedron)) {
+                    build.polyhedron = settings.polyhedron;
+                }
+                const mechanism = build.mechanism || this.sphere.config.mechanism;
+                if (settings.subdivisions !== undefined &&
+                    HobermanSphere.supportsGeometry(mechanism, build.polyhedron || 'icosidodecahedron', settings.subdivisions) &&
+                    this.selectOption(this.subdivisionsSelector, String(settings.subdivisions))) {
+                    build.subdivisions = settings.subdivisions;
+                }
+            }
+            this.updateStructureType(type, build);
+        }
+        if (this.sphere.config.polyhedron !== undefined) {
+            const geometry = {};
+            if (settings.polyhedron && settings.polyhedron !== this.sphere.config.polyhedron &&
+                this.selectOption(this.polyhedronSelector, settings.polyhedron)) {
+                geometry.polyhedron = settings.polyhedron;
+            }
+            if (settings.subdivisions !== undefined && settings.subdivisions !== this.sphere.config.subdivisions &&
+                this.selectOption(this.subdivisionsSelector, String(settings.subdivisions))) {
+                geometry.subdivisions = settings.subdivisions;
+            }
+            
+            // A geodesic linkage cannot close, so it is not built
+            const { mechanism, polyhedron, subdivisions } = this.sphere.config;
+            const target = Object.assign({ polyhedron: polyhedron, subdivisions: subdivisions }, geometry);
+            if (!HobermanSphere.supportsGeometry(mechanism, target.polyhedron, target.subdivisions)) {
+                console.warn(`Ignoring subdivisions ${target.subdivisions}: the ${mechanism} mechanism cannot close at that frequency`);
+                delete geometry.subdivisions;
+                this.syncGeometrySelectors();
+            }
+            if (Object.keys(geometry).length > 0) {
+                this.updateGeometry(geometry);
+            }
+        }
+        
+        if (settings.material && this.selectOption(this.materialSelector, settings.material) &&
+            settings.material !== this.sphere.config.materialType) {
+            this.updateMaterialType(settings.material);
+        }
+        if (settings.color) {
+            this.colorPicker.value = settings.color;
+            this.updateColor(settings.color);
+        }
+        if (settings.instanced !== undefined) {
+            this.instancedToggle.checked = settings.instanced;
+            if (settings.instanced !== this.sphere.config.instanced) {
+                this.toggleInstanced(settings.instanced);
+            }
+        }
+        if (settings.speed !== undefined) {
+            this.speedSlider.value = String(settings.speed);
+            this.updateSpeed(settings.speed);
+        }
+        if (settings.background && this.selectOption(this.backgroundSelector, settings.background)) {
+            this.updateBackground(settings.background);
+        }
+        if (settings.lighting && this.selectOption(this.lightingSelector, settings.lighting)) {
+            this.updateLighting(settings.lighting);
+        }
+        // main.js generates the startup environment; regenerate only on a change
+        if (settings.environment && this.selectOption(this.environmentSelector, settings.environment) &&
+            (!this.sceneEnvironment || settings.environment !== this.sceneEnvironment.environment)) {
+            this.updateEnvironment(settings.environment);
+        }
+        if (settings.exposure !== undefined) {
+            this.exposureSlider.value = String(settings.exposure);
+            this.updateExposure(settings.exposure);
+        }
+        if (settings.autoRotate !== undefined) {
+            this.autoRotateToggle.checked = settings.autoRotate;
+            this.toggleAutoRotate(settings.autoRotate);
+        }
+        if (settings.springBack !== undefined) {
+            this.springBackToggle.checked = settings.springBack;
+            this.jointDragger.springBack = settings.springBack;
+        }
+        
+        // Glow chain
+        if (settings.glow !== undefined) {
+            this.glowToggle.checked = settings.glow;
+            this.toggleGlow(settings.glow);
+        }
+        const bloomSliders = {
+            threshold: [this.bloomThresholdSlider, settings.bloomThreshold],
+            strength: [this.bloomStrengthSlider, settings.bloomStrength],
+            radius: [this.bloomRadiusSlider, settings.bloomRadius]
+        };
+        Object.entries(bloomSliders).forEach(([key, [slider, value]]) => {
+            if (value !== undefined) {
+                slider.value = String(value);
+                this.updateBloom(key, value);
+            }
+        });
+        if (settings.antialias && this.selectOption(this.antialiasSelector, settings.antialias)) {
+            this.updateAntialias(settings.antialias);
+        }
+        if (settings.vignette !== undefined) {
+            this.vignetteToggle.checked = settings.vignette;
+            this.toggleVignette(settings.vignette);
+        }
+        
+        if (settings.stats !== undefined) {
+            this.statsToggle.checked = settings.stats;
+            this.toggleStats(settings.stats);
+        }
+        
+        // Strut coloring last: picking the color above went back to uniform
+        if (settings.colorRamp && this.selectOption(this.colorRampSelector, settings.colorRamp)) {
+            this.setColorRamp(settings.colorRamp);
+        }
+        if (settings.colorMode && this.selectOption(this.colorModeSelector, settings.colorMode)) {
+            this.setColorMode(settings.colorMode);
+        }
+        
+        // Camera orbit around its panned or focused target (the centre if none was saved),
+        // within the limits mouse and wheel keep to
+        if (['theta', 'phi', 'radius', 'targetX', 'targetY', 'targetZ'].some(key => settings[key] !== undefined)) {
+            this.cameraController.setBounds(this.sphere.getRadius(), this.sphere.config.maxRadius);
+            this.cameraController.set({
+                theta: settings.theta,
+                phi: settings.phi,
+                radius: settings.radius,
+                target: new THREE.Vector3(settings.targetX || 0, settings.targetY || 0, settings.targetZ || 0)
+            });
+        }
+        
+        // Manual expansion, held where it was left
+        if (settings.manualExpansion !== undefined) {
+            this.setManualExpansion(settings.manualExpansion);
+        }
+        if (settings.manualExpansion && settings.expansion !== undefined) {
+            this.holdExpansion(settings.expansion);
+        }
+        
+        if (settings.animating !== undefined && settings.animating !== this.isAnimating) {
+            this.toggleAnimation();
+        }
+        
+        console.log(`Applied ${Object.keys(settings).length} saved settings`);
+    }
+    
+    /**
+     * Copy a link that opens the current settings and view
+     */
+    copyShareLink() {
+        const url = `${window.location.href.split('#')[0]}#${SettingsStore.encode(this.getSettings())}`;
+        const showLink = () => this.showShareStatus(url, true);
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(
+                () => this.showShareStatus('Link copied to the clipboard', true),
+                showLink // Clipboard refused (insecure page, no permission): show it to copy by hand
+            );
+        } else {
+            showLink();
+        }
+    }
+    
+    /**
+     * Forget the saved settings and reload with the defaults
+     */
+    resetSettings() {
+        if (this.settingsStore) {
+            this.settingsStore.clear();
+            this.settingsStore = null; // Nothing is saved again before the reload
+        }
+        window.location.replace(window.location.href.split('#')[0]);
+    }
+    
+    /**
+     * Show a share-link message
+     * @param {string} message - Text to show
+     * @param {boolean} ok - False for errors
+     */
+    showShareStatus(message, ok) {
+        this.shareStatus.textContent = message;
+        this.shareStatus.classList.toggle('ok', ok);
+        this.shareStatus.classList.toggle('error', !ok);
+    }
+    
+    /**
+     * Fill the preset selector: built-in presets, then the user's
+     * @param {string} selected - Preset to leave selected ('' for none)
+     */
+    renderPresetList(selected = '') {
+        this.presetSelector.textContent = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '— Choose a preset —';
+        this.presetSelector.appendChild(placeholder);
+        
+        const groups = { builtIn: 'Built-in', user: 'My presets' };
+        Object.entries(groups).forEach(([key, label]) => {
+            const presets = this.presetLibrary.list().filter(preset => preset.builtIn === (key === 'builtIn'));
+            if (presets.length === 0) return;
+            
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            this.presetSelector.appendChild(group);
+        });
+        
+        this.presetSelector.value = selected;
+    }
+    
+    /**
+     * Apply a preset from the library
+     * @param {string} name - Preset name ('' does nothing)
+     */
+    applyPreset(name) {
+        const preset = this.presetLibrary.get(name);
+        if (!preset) return;
+        
+        this.applySettings(preset.settings);
+        
+        // Built-ins are saved under a new name, user presets under their own
+        this.presetNameInput.value = preset.builtIn ? '' : preset.name;
+        this.showPresetStatus(`Applied "${preset.name}"`, true);
+    }
+    
+    /**
+     * Save the current settings under the typed name
+     */
+    savePreset() {
+        try {
+            const preset = this.presetLibrary.save(this.presetNameInput.value, this.getSettings());
+            this.renderPresetList(preset.name);
+            this.presetNameInput.value = preset.name;
+            this.showPresetStatus(`Saved "${preset.name}"`, true);
+        } catch (error) {
+            this.showPresetStatus(error.message, false);
+        }
+    }
+    
+    /**
+     * The selected preset, if it is one of the user's
+     * @param {string} action - What the preset is needed for, for the error message
+     * @returns {string|null} Preset name
+     */
+    getSelectedUserPreset(action) {
+        const name = this.presetSelector.value;
+        if (!name || PresetLibrary.isBuiltIn(name)) {
+            this.showPresetStatus(`Select one of your presets to ${action}`, false);
+            return null;
+        }
+        return name;
+    }
+    
+    /**
+     * Rename the selected preset to the typed name
+     */
+    renamePreset() {
+        const name = this.getSelectedUserPreset('rename');
+        if (!name) return;
+        
+        try {
+            const newName = PresetLibrary.validateName(this.presetNameInput.value);
+            this.presetLibrary.rename(name, newName);
+            this.renderPresetList(newName);
+            this.showPresetStatus(`Renamed "${name}" to "${newName}"`, true);
+        } catch (error) {
+            this.showPresetStatus(error.message, false);
+        }
+    }
+    
+    /**
+     * Delete the selected preset
+     */
+    deletePreset() {
+        const name = this.getSelectedUserPreset('delete');
+        if (!name) return;
+        
+        this.presetLibrary.remove(name);
+        this.renderPresetList();
+        this.presetNameInput.value = '';
+        this.showPresetStatus(`Deleted "${name}"`, true);
+    }
+    
+    /**
+     * Download the selected preset, or every user preset if none is selected
+     */
+    exportPresets() {
+        const name = this.presetSelector.value;
+        if (!name && this.presetLibrary.presets.length === 0) {
+            this.showPresetStatus('There are no saved presets to export', false);
+            return;
+        }
+        
+        const fileName = this.presetLibrary.download(name ? [name] : undefined);
+        this.showPresetStatus(fileName, true);
+    }
+    
+    /**
+     * Add the presets from an exported JSON file
+     * @param {File} file - File picked by the user
+     * @returns {Promise<Array<string>>} Names of the imported presets
+     */
+    importPresets(file) {
+        return file.text()
+            .then(text => {
+                const names = this.presetLibrary.importJSON(text);
+                this.renderPresetList(names.length === 1 ? names[0] : '');
+                this.showPresetStatus(`Imported ${names.length} preset${names.length === 1 ? '' : 's'}`, names.length > 0);
+                return names;
+            })
+            .catch(error => {
+                this.showPresetStatus(error.message, false);
+                console.error('Preset import failed:', error);
+                return [];
+            });
+    }
+    
+    /**
+     * Show a preset library message
+     * @param {string} message - Text to show
+     * @param {boolean} ok - False for errors
+     */
+    showPresetStatus(message, ok) {
+        this.presetStatus.textContent = message;
+        this.presetStatus.classList.toggle('ok', ok);
+        this.presetStatus.classList.toggle('error', !ok);
+    }
+    
     /**
      * Get camera for external access
      * @returns {THREE.Camera}
@@ -399,10 +2424,45 @@ class Controls {
     }
     
     /**
-     * Update method called every frame
-     * @param {number} deltaTime - Time since last frame
+     * Update method called every frame, after the clock has ticked
      */
-    update(deltaTime) {
-        // Additional control updates can go here if needed
+    update() {
+        // Fly the camera along the timeline's camera track, unless the clock holds still
+        const moved = this.clock.getDelta() !== 0;
+        if (this.sphere.isAnimating && moved && this.timeline.state.camera) {
+            this.cameraController.set(this.timeline.state.camera);
+        }
+        
+        // Glide on after input, with zoom limits that follow the structure's size
+        this.cameraController.setBounds(this.sphere.getRadius(), this.sphere.config.maxRadius);
+        this.cameraController.update();
+        this.updateTimelinePlayhead();
+        this.updateExpansionSlider();
+        
+        // Settle a released joint, then carry on with the animation it interrupted
+        if (this.jointDragger.update() && this.resumeAfterDrag) {
+            this.resumeAfterDrag = false;
+            this.toggleAnimation();
+        }
+        
+        // Follow the inspected part as the linkage moves
+        this.updateInspector();
+        
+        // Recolor the struts from the metric as it is now, with speeds per simulation second
+        // (fixed steps while recording frames); a still clock only counts for motion by hand
+        if (this.strutHeatmap.isActive()) {
+            const delta = this.clock.getDelta();
+            if (delta !== 0) {
+                this.updateHeatmapLegend(this.strutHeatmap.update(delta));
+            } else if (this.jointDragger.isDragging() || this.jointDragger.isSpringing || this.sphere.isManualExpansion()) {
+                this.updateHeatmapLegend(this.strutHeatmap.update());
+            }
+        }
+        
+        // Keep joint error markers in step with the moving linkage
+        if (this.jointMarkersEnabled) {
+            const report = this.linkageAnalyzer.analyze(undefined, { mobility: false });
+            this.linkageAnalyzer.showViolations(report);
+        }
     }
 }
\ No newline at end of file
@@ -5,17 +5,21 @@
  * 
  * Initializes:
  * - Three.js scene, camera, and renderer
- * - Lighting system
- * - Hoberman Sphere
+ * - Lighting system and environment map
+ * - Hoberman Sphere (or another deployable structure)
  * - Controls
  * - Stats tracking
- * - Post-processing effects (glow)
+ * - Post-processing effects (bloom glow)
+ * - Saved settings and the share-link URL hash
+ * - Reduced motion (prefers-reduced-motion)
  * - Animation loop
  */
 
 // Global variables
 let scene, camera, renderer;
-let hobermanSphere, controls;
+let hobermanSphere, controls; // hobermanSphere holds whichever structure is active
+let lightingRig;
+let sceneEnvironment;
 let clock;
 
 // Stats tracking
@@ -26,17 +30,29 @@ let stats = {
 };
 
 // Post-processing for glow effect
-let composer, bloomPass;
+let postProcessing;
 let glowEnabled = false;
 
+// Settings are saved and written to the URL hash when they change
+let settingsHash = '';
+let lastSettingsCheck = 0;
+
 /**
  * Initialize the entire application
  */
 function init() {
     console.log('Initializing Hoberman Sphere Application...');
     
-    // Create Three.js clock for delta time
-    clock = new THREE.Clock();
+    // Simulation clock shared by the structure and the controls
+    clock = new AnimationClock();
+    
+    // Less motion by default when the system asks for it
+    const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const motionDefaults = reducedMotion && reducedMotion.matches ? { autoRotate: false, speed: 0.2 } : {};
+    
+    // A shared link wins over the settings saved on the last visit, and both over the defaults
+    const settingsStore = new SettingsStore();
+    const settings = Object.assign(motionDefaults, settingsStore.load(), SettingsStore.decode(window.location.hash));
     
     // Initialize scene
     initScene();
@@ -48,17 +64,21 @@ function init() {
     initRenderer();
     
     // Initialize lighting
-    initLighting();
+    initLighting(settings);
     
-    // Create Hoberman Sphere
-    createHobermanSphere();
+    // Create Hoberman Sphere (or the saved structure)
+    createHobermanSphere(settings);
     
     // Initialize controls
     initControls();
+    initReducedMotion(reducedMotion);
     
     // Initialize post-processing (glow effect)
     initPostProcessing();
     
+    // Restore the rest of the settings and keep saving them
+    initSettings(settingsStore, settings);
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize, false);
     
@@ -119,6 +139,9 @@ function initRenderer() {
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.0;
     
+    // Draw calls are counted per frame in renderFrame(), across all composer passes
+    renderer.info.autoReset = false;
+    
     // Append renderer to the DOM
     const container = document.getElementById('canvas-container');
     container.appendChild(renderer.domElement);
@@ -126,64 +149,92 @@ function initRenderer() {
 
 /**
  * Initialize lighting system
+ * @param {Object} settings - Saved or shared settings (for the lighting rig and environment)
  */
-function initLighting() {
-    // Ambient light - provides base illumination
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
-    scene.add(ambientLight);
-    
-    // Main directional light (key light)
-    const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight1.position.set(10, 10, 10);
-    directionalLight1.castShadow = true;
-    directionalLight1.shadow.mapSize.width = 2048;
-    directionalLight1.shadow.mapSize.height = 2048;
-    scene.add(directionalLight1);
-    
-    // Fill light (opposite side)
-    const directionalLight2 = new THREE.DirectionalLight(0x4466ff, 0.4);
-    directionalLight2.position.set(-10, 5, -10);
-    scene.add(directionalLight2);
-    
-    // Rim light (from below for dramatic effect)
-    const directionalLight3 = new THREE.DirectionalLight(0xff6644, 0.3);
-    directionalLight3.position.set(0, -10, 5);
-    scene.add(directionalLight3);
-    
-    // Point lights for dynamic highlights
-    const pointLight1 = new THREE.PointLight(0x00aaff, 1.5, 50);
-    pointLight1.position.set(15, 15, 15);
-    scene.add(pointLight1);
-    
-    const pointLight2 = new THREE.PointLight(0xff00aa, 1.0, 50);
-    pointLight2.position.set(-15, 10, -15);
-    scene.add(pointLight2);
-    
-    // Hemisphere light for ambient color variation
-    const hemisphereLight = new THREE.HemisphereLight(
-        0x4466ff,  // Sky color
-        0x002244,  // Ground color
-        0.3
-    );
-    scene.add(hemisphereLight);
+function initLighting(settings = {}) {
+    // Key, fill, rim, accent and ambient lights, recoloured by named rigs
+    lightingRig = new LightingRig(scene, LightingRig.RIGS[settings.lighting] ? settings.lighting : 'studio');
+    
+    // Reflections and soft light from an environment map, prefiltered with the renderer
+    sceneEnvironment = new SceneEnvironment(renderer, scene);
+    sceneEnvironment.setEnvironment(SceneEnvironment.ENVIRONMENTS.includes(settings.environment) ? settings.environment : 'studio');
 }
 
 /**
- * Create the Hoberman Sphere
+ * Create the Hoberman Sphere, or the structure the saved settings ask for
+ * @param {Object} settings - Saved or shared settings
  */
-function createHobermanSphere() {
-    hobermanSphere = new HobermanSphere(scene, {
-        minRadius: 1.5,       // Smaller minimum for dramatic effect
-        maxRadius: 10,        // Larger maximum for FULL expansion
-        strutRadius: 0.08,
-        subdivisions: 2,      // Full complexity
-        color: 0x00aaff,
-        materialType: 'metallic'
-    });
+function createHobermanSphere(settings = {}) {
+    // Built with the saved options straight away, so they need no rebuild later
+    const type = ['sphere', 'ring', 'arch', 'dome'].includes(settings.structure) ? settings.structure : 'sphere';
+    const overrides = {};
+    if (settings.color) overrides.color = parseInt(settings.color.slice(1), 16);
+    if (['metallic', 'matte', 'glossy'].includes(settings.material)) overrides.materialType = settings.material;
+    if (settings.instanced !== undefined) overrides.instanced = settings.instanced;
+    if (settings.mechanism) overrides.mechanism = settings.mechanism;
+    if (settings.strutRadius !== undefined) overrides.strutRadius = settings.strutRadius;
+    
+    // Radii only in pairs that leave the structure room to expand
+    const minRadius = settings.minRadius !== undefined ? settings.minRadius : 1.5;
+    const maxRadius = settings.maxRadius !== undefined ? settings.maxRadius : 10;
+    if (minRadius < maxRadius) {
+        overrides.minRadius = minRadius;
+        overrides.maxRadius = maxRadius;
+    }
+    
+    // Only the sphere has a base polyhedron; the linkage only closes without subdivisions
+    if (type === 'sphere') {
+        if (Polyhedra.TYPES.includes(settings.polyhedron)) overrides.polyhedron = settings.polyhedron;
+        if (settings.subdivisions !== undefined && HobermanSphere.supportsGeometry(
+            overrides.mechanism || 'linkage', overrides.polyhedron || 'icosidodecahedron', settings.subdivisions)) {
+            overrides.subdivisions = settings.subdivisions;
+        }
+    }
+    
+    hobermanSphere = createStructure(type, overrides);
     
     console.log('Hoberman Sphere created');
 }
 
+/**
+ * Create a deployable structure
+ * @param {string} type - 'sphere', 'ring', 'arch' or 'dome'
+ * @param {Object} overrides - Options replacing the defaults (e.g. carried-over color)
+ * @returns {DeployableStructure}
+ */
+function createStructure(type, overrides = {}) {
+    // Same defaults as an embedded viewer, on the shared simulation clock
+    return HobermanViewer.createStructure(scene, type, Object.assign({ clock: clock }, overrides));
+}
+
+/**
+ * Replace the active structure, keeping its size, mechanism, color, material and rendering mode
+ * @param {string} type - 'sphere', 'ring', 'arch' or 'dome'
+ * @param {Object} options - Build options replacing the carried-over ones (e.g. from a preset)
+ */
+function switchStructure(type, options = {}) {
+    const previous = hobermanSphere;
+    
+    hobermanSphere = createStructure(type, Object.assign({
+        minRadius: previous.config.minRadius,
+        maxRadius: previous.config.maxRadius,
+        strutRadius: previous.config.strutRadius,
+        mechanism: previous.config.mechanism,
+        color: previous.config.color,
+        materialType: previous.config.materialType,
+        instanced: previous.config.instanced
+    }, options));
+    hobermanSphere.setExpansion(previous.getExpansionFactor());
+    
+    controls.setStructure(hobermanSphere);
+    previous.dispose();
+    
+    // New materials start without glow; let updateGlowEffect reapply it
+    glowEnabled = false;
+    
+    console.log(`Structure changed to: ${type}`);
+}
+
 /**
  * Initialize controls
  */
@@ -195,17 +246,93 @@ function initControls() {
         scene
     );
     
+    // The structure selector asks main.js to swap the active structure
+    controls.onStructureChange = switchStructure;
+    
+    // Offline recording draws its frames through the same path as the loop
+    controls.renderFrame = renderFrame;
+    
+    // High-resolution capture renders offscreen with the live renderer
+    controls.screenshotExporter = new ScreenshotExporter(renderer, scene, camera);
+    
+    // Lighting rigs are switched from the control panel
+    controls.lightingRig = lightingRig;
+    
+    // Environment maps, backgrounds and exposure likewise
+    controls.sceneEnvironment = sceneEnvironment;
+    
     console.log('Controls initialized');
 }
 
+/**
+ * Keep the camera still between inputs while the system asks for reduced motion
+ * @param {MediaQueryList|null} query - The prefers-reduced-motion query (null where unsupported)
+ */
+function initReducedMotion(query) {
+    if (!query) {
+        return;
+    }
+    
+    controls.setReducedMotion(query.matches);
+    
+    // Follow the system setting if it changes while the page is open
+    if (query.addEventListener) {
+        query.addEventListener('change', (e) => controls.setReducedMotion(e.matches));
+    }
+}
+
+/**
+ * Apply saved settings to the controls, then keep the store and the URL hash up to date
+ * @param {SettingsStore} settingsStore - Where settings are saved
+ * @param {Object} settings - Settings read at startup
+ */
+function initSettings(settingsStore, settings) {
+    controls.settingsStore = settingsStore;
+    controls.applySettings(settings);
+    
+    // A link pasted into this tab applies without reloading
+    window.addEventListener('hashchange', () => {
+        if (window.location.hash.replace(/^#/, '') !== settingsHash) {
+            controls.applySettings(SettingsStore.decode(window.location.hash));
+        }
+    });
+    
+    console.log('Settings restored');
+}
+
+/**
+ * Save the settings and rewrite the URL hash when they have changed.
+ * Checked twice a second rather than per frame; camera drags and the
+ * timeline's camera track change settings continuously.
+ */
+function persistSettings() {
+    const now = performance.now();
+    if (!controls.settingsStore || now - lastSettingsCheck < 500) {
+        return;
+    }
+    lastSettingsCheck = now;
+    
+    const settings = controls.getSettings();
+    const hash = SettingsStore.encode(settings);
+    if (hash === settingsHash) {
+        return;
+    }
+    
+    settingsHash = hash;
+    controls.settingsStore.save(settings);
+    
+    // replaceState keeps the history clean and does not fire hashchange
+    window.history.replaceState(null, '', `#${hash}`);
+}
+
 /**
  * Initialize post-processing for glow effect
- * Note: Using basic implementation since EffectComposer requires additional imports
+ * The bloom chain is built the first time Glow is switched on
  */
 function initPostProcessing() {
-    // Placeholder for glow effect
-    // In a production app, you'd use THREE.EffectComposer with UnrealBloomPass
-    // For now, we'll simulate glow by increasing emissive intensity
+    postProcessing = new PostProcessing(renderer, scene, camera);
+    controls.postProcessing = postProcessing;
+    
     glowEnabled = false;
     console.log('Post-processing initialized (glow ready)');
 }
@@ -218,8 +345,9 @@ function updateGlowEffect() {
     
     if (shouldGlow !== glowEnabled) {
         glowEnabled = shouldGlow;
+        postProcessing.setEnabled(glowEnabled);
         
-        // Traverse sphere and update emissive intensity
+        // Brighter emissive struts give the bloom pass something to pick up
         hobermanSphere.getGroup().traverse((child) => {
             if (child.isMesh && child.material) {
                 if (glowEnabled) {
@@ -250,16 +378,33 @@ function updateStats() {
         stats.lastTime = currentTime;
         
         // Update FPS display
-        document.getElementById('fps-value').textContent = stats.fps;
+        setStat('fps-value', stats.fps);
     }
     
     // Update expansion percentage
     const expansion = Math.round(hobermanSphere.getExpansionFactor() * 100);
-    document.getElementById('expansion-value').textContent = expansion + '%';
+    setStat('expansion-value', expansion + '%');
     
     // Update speed display
     const speed = hobermanSphere.animationSpeed.toFixed(1);
-    document.getElementById('speed-value').textContent = speed + 'x';
+    setStat('speed-value', speed + 'x');
+    
+    // Draw calls of the last frame (constant with instanced rendering)
+    setStat('draw-calls-value', renderer.info.render.calls);
+}
+
+/**
+ * Show a stat, touching the page only when it changes so live regions
+ * are not announced every frame
+ * @param {string} id - Element id of the stat value
+ * @param {number|string} value - Value to show
+ */
+function setStat(id, value) {
+    const element = document.getElementById(id);
+    const text = String(value);
+    if (element.textContent !== text) {
+        element.textContent = text;
+    }
 }
 
 /**
@@ -273,6 +418,9 @@ function onWindowResize() {
     // Update renderer size
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    
+    // Resize the composer's render targets and the FXAA resolution to match
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
 }
 
 /**
@@ -281,17 +429,31 @@ function onWindowResize() {
 function animate() {
     requestAnimationFrame(animate);
     
-    // Get delta time
-    const deltaTime = clock.getDelta();
+    // Offline recording ticks the clock and draws its own frames
+    if (controls && controls.isRenderingOffline()) {
+        return;
+    }
+    
+    // Advance the simulation clock; the structure and controls read its step
+    clock.tick();
+    
+    renderFrame();
     
-    // Update Hoberman Sphere
+    persistSettings();
+}
+
+/**
+ * Update everything from the clock's current step and draw one frame
+ */
+function renderFrame() {
+    // Update the active structure
     if (hobermanSphere) {
-        hobermanSphere.update(deltaTime);
+        hobermanSphere.update();
     }
     
     // Update controls
     if (controls) {
-        controls.update(deltaTime);
+        controls.update();
     }
     
     // Update glow effect
@@ -300,8 +462,9 @@ function animate() {
     // Update stats
     updateStats();
     
-    // Render the scene
-    renderer.render(scene, camera);
+    // Render the scene, through the bloom chain when glow is on
+    renderer.info.reset();
+    postProcessing.render();
 }
 
 /**
@@ -0,0 +1,142 @@
+/**
+ * AnimationClock.test.js
+ * ============================================
+ * Pausing, reversing, stepping and seeking the simulation clock, and the
+ * structure following it frame for frame.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, AnimationClock, HobermanRing } = loadScripts();
+
+const EPSILON = 1e-9;
+const FRAME = 1 / 60;
+
+/**
+ * Tick the clock and update the structure for a number of frames
+ * @param {DeployableStructure} structure - Structure reading the clock
+ * @param {number} frames - Frames to run
+ */
+function run(structure, frames) {
+    for (let i = 0; i < frames; i++) {
+        structure.clock.tick(FRAME);
+        structure.update();
+    }
+}
+
+describe('AnimationClock', () => {
+    it('advances by the given step and holds while paused', () => {
+        const clock = new AnimationClock();
+        
+        clock.tick(0.02);
+        assert.equal(clock.getTime(), 0.02);
+        
+        clock.pause();
+        assert.equal(clock.tick(0.02), 0);
+        assert.equal(clock.getTime(), 0.02);
+        
+        clock.play();
+        clock.tick(0.02);
+        assert.equal(clock.getTime(), 0.04);
+    });
+    
+    it('caps long frames so a background tab does not jump', () => {
+        const clock = new AnimationClock({ maxDelta: 0.1 });
+        assert.equal(clock.tick(5), 0.1);
+    });
+    
+    it('reads an injected time source when no step is given', () => {
+        let now = 10;
+        const clock = new AnimationClock({ now: () => now });
+        
+        assert.equal(clock.tick(), 0);
+        now += 0.05;
+        assert.ok(Math.abs(clock.tick() - 0.05) < EPSILON);
+    });
+    
+    it('runs backwards when reversed', () => {
+        const clock = new AnimationClock();
+        clock.tick(0.1);
+        clock.setReversed(true);
+        
+        assert.equal(clock.tick(0.04), -0.04);
+        assert.ok(clock.isReversed());
+    });
+    
+    it('steps whole frames and seeks exactly, even while paused', () => {
+        const clock = new AnimationClock({ frameDuration: 0.02 });
+        clock.pause();
+        
+        clock.step(3);
+        clock.tick(0.5);
+        assert.ok(Math.abs(clock.getTime() - 0.06) < EPSILON);
+        
+        clock.step(-1);
+        clock.tick(0.5);
+        assert.ok(Math.abs(clock.getTime() - 0.04) < EPSILON);
+        
+        clock.play();
+        clock.seek(2.5);
+        clock.tick(0.05);
+        assert.equal(clock.getTime(), 2.5);
+    });
+});
+
+describe('DeployableStructure on the animation clock', () => {
+    it('resumes from the paused pose without a jump', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        ring.startAnimation();
+        run(ring, 30);
+        
+        const expansion = ring.getExpansionFactor();
+        const rotation = ring.getGroup().rotation.y;
+        ring.clock.pause();
+        run(ring, 100);
+        assert.equal(ring.getExpansionFactor(), expansion);
+        assert.equal(ring.getGroup().rotation.y, rotation);
+        
+        ring.clock.play();
+        run(ring, 1);
+        assert.ok(Math.abs(ring.getExpansionFactor() - expansion) < 0.01);
+        
+        ring.dispose();
+    });
+    
+    it('retraces its motion in reverse', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        ring.startAnimation();
+        run(ring, 20);
+        const expansion = ring.getExpansionFactor();
+        const rotation = ring.getGroup().rotation.clone();
+        
+        run(ring, 45);
+        ring.clock.setReversed(true);
+        run(ring, 45);
+        
+        assert.ok(Math.abs(ring.getExpansionFactor() - expansion) < 1e-6);
+        assert.ok(Math.abs(ring.getGroup().rotation.y - rotation.y) < 1e-6);
+        assert.ok(Math.abs(ring.getGroup().rotation.x - rotation.x) < 1e-6);
+        
+        ring.dispose();
+    });
+    
+    it('reproduces the same pose for the same time however it got there', () => {
+        const played = new HobermanRing(new THREE.Scene());
+        played.startAnimation();
+        run(played, 90);
+        
+        const seeked = new HobermanRing(new THREE.Scene());
+        seeked.startAnimation();
+        seeked.clock.seek(played.clock.getTime());
+        seeked.clock.tick(FRAME);
+        seeked.update();
+        
+        assert.ok(Math.abs(seeked.getExpansionFactor() - played.getExpansionFactor()) < 1e-9);
+        assert.ok(Math.abs(seeked.getGroup().rotation.y - played.getGroup().rotation.y) < 1e-9);
+        
+        played.dispose();
+        seeked.dispose();
+    });
+});
\ No newline at end of file
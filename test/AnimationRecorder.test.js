@@ -0,0 +1,193 @@
+/**
+ * AnimationRecorder.test.js
+ * ============================================
+ * Zip archives, the offline PNG-sequence recording at a fixed timestep and
+ * when a real-time video recording ends (with stand-in MediaRecorder).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { AnimationClock, AnimationRecorder, Timeline, ZipWriter } = loadScripts();
+
+// Animation frames run only when a test calls nextFrame()
+const frameCallbacks = [];
+const video = loadScripts({
+    globals: {
+        MediaRecorder: class {
+            static isTypeSupported(type) {
+                return type === 'video/webm';
+            }
+            start() {}
+            stop() {
+                this.ondataavailable({ data: new Blob(['video']) });
+                this.onstop();
+            }
+        },
+        requestAnimationFrame: callback => frameCallbacks.push(callback)
+    }
+});
+
+/**
+ * Run the waiting animation frame callbacks
+ */
+function nextFrame() {
+    frameCallbacks.splice(0).forEach(callback => callback());
+}
+
+/**
+ * Names and contents of the stored entries in a zip, read from the central directory
+ * @param {Uint8Array} bytes - Zip file bytes
+ * @returns {Array<Object>} Entries as { name, text, crc }
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014B50);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = Buffer.from(bytes.subarray(offset + 46, offset + 46 + nameLength)).toString();
+        
+        assert.equal(view.getUint32(local, true), 0x04034B50);
+        const start = local + 30 + view.getUint16(local + 26, true);
+        entries.push({
+            name: name,
+            text: Buffer.from(bytes.subarray(start, start + size)).toString(),
+            crc: view.getUint32(offset + 16, true)
+        });
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+/**
+ * Stand-in canvas whose PNG is the text of the current frame
+ * @param {Function} content - Returns the text for the next snapshot
+ * @returns {Object}
+ */
+function createCanvas(content) {
+    return {
+        toBlob(callback) {
+            callback(new Blob([content()]));
+        }
+    };
+}
+
+describe('ZipWriter', () => {
+    it('computes the standard CRC-32', () => {
+        assert.equal(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    });
+    
+    it('stores files that read back unchanged', () => {
+        const zip = new ZipWriter();
+        zip.addFile('a.txt', 'hello');
+        zip.addFile('dir/b.txt', new TextEncoder().encode('world!'));
+        
+        const entries = readZip(zip.toUint8Array());
+        assert.deepEqual(entries.map(entry => [entry.name, entry.text]), [['a.txt', 'hello'], ['dir/b.txt', 'world!']]);
+        assert.equal(entries[0].crc, ZipWriter.crc32(new TextEncoder().encode('hello')));
+    });
+    
+    it('writes the same bytes for the same files', () => {
+        const build = () => {
+            const zip = new ZipWriter();
+            zip.addFile('frame.png', 'data');
+            return Array.from(zip.toUint8Array());
+        };
+        assert.deepEqual(build(), build());
+    });
+});
+
+describe('AnimationRecorder', () => {
+    it('converts timeline cycles to clock seconds', () => {
+        const duration = AnimationRecorder.getCyclesDuration(Timeline.createBreathing(), 2, 0.5);
+        assert.ok(Math.abs(duration - Math.PI * 8) < 1e-9);
+    });
+    
+    it('renders numbered frames at a fixed timestep and restores the clock', async () => {
+        const clock = new AnimationClock();
+        clock.pause();
+        
+        const rendered = [];
+        const recorder = new AnimationRecorder(createCanvas(() => `t=${clock.getTime().toFixed(3)}`), {
+            clock: clock,
+            render: () => rendered.push(recorder.isRenderingOffline())
+        });
+        
+        const progress = [];
+        const blob = await recorder.recordFrames({ duration: 0.1, fps: 50, onProgress: value => progress.push(value) });
+        const entries = readZip(new Uint8Array(await blob.arrayBuffer()));
+        
+        assert.deepEqual(entries.map(entry => entry.name), [
+            'frame-00000.png', 'frame-00001.png', 'frame-00002.png', 'frame-00003.png', 'frame-00004.png'
+        ]);
+        assert.deepEqual(entries.map(entry => entry.text), ['t=0.000', 't=0.020', 't=0.040', 't=0.060', 't=0.080']);
+        assert.deepEqual(rendered, [true, true, true, true, true]);
+        assert.equal(progress[progress.length - 1], 1);
+        
+        assert.equal(recorder.isRenderingOffline(), false);
+        assert.equal(clock.isPaused(), true);
+    });
+    
+    it('stops when cancelled', async () => {
+        const clock = new AnimationClock();
+        const recorder = new AnimationRecorder(createCanvas(() => 'frame'), {
+            clock: clock,
+            render: () => recorder.cancel()
+        });
+        
+        await assert.rejects(recorder.recordFrames({ duration: 1, fps: 10 }), /cancelled/);
+        assert.equal(recorder.isRecording, false);
+    });
+    
+    it('rejects video recording without MediaRecorder', async () => {
+        const recorder = new AnimationRecorder(createCanvas(() => ''), { clock: new AnimationClock() });
+        await assert.rejects(recorder.recordVideo({ duration: 1 }), /not supported/);
+    });
+    
+    it('ends a video once the clock has played its length', async () => {
+        const clock = new video.AnimationClock();
+        const recorder = new video.AnimationRecorder({ captureStream: () => ({}) }, { clock: clock });
+        
+        const recording = recorder.recordVideo({ duration: 0.5 });
+        clock.tick(0.05);
+        nextFrame();
+        assert.equal(recorder.isRecording, true);
+        
+        for (let i = 0; i < 10; i++) {
+            clock.tick(0.05);
+        }
+        nextFrame();
+        
+        const blob = await recording;
+        assert.equal(blob.type, 'video/webm');
+        assert.equal(await blob.text(), 'video');
+        assert.equal(recorder.isRecording, false);
+        assert.equal(frameCallbacks.length, 0);
+    });
+    
+    it('cancels a video when playback pauses, and refuses to start paused', async () => {
+        const clock = new video.AnimationClock();
+        const recorder = new video.AnimationRecorder({ captureStream: () => ({}) }, { clock: clock });
+        
+        const recording = recorder.recordVideo({ duration: 1 });
+        clock.tick(0.05);
+        nextFrame();
+        clock.pause();
+        nextFrame();
+        
+        await assert.rejects(recording, /playback was paused/);
+        assert.equal(recorder.isRecording, false);
+        assert.equal(frameCallbacks.length, 0);
+        
+        await assert.rejects(recorder.recordVideo({ duration: 1 }), /Play the animation/);
+        assert.equal(recorder.isRecording, false);
+    });
+});
\ No newline at end of file
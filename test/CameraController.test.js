@@ -0,0 +1,173 @@
+/**
+ * CameraController.test.js
+ * ============================================
+ * Inertial orbit, panning and zoom within the structure's limits, and
+ * flights to preset views and focused parts.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, CameraController } = loadScripts();
+
+/**
+ * A controller around a fresh camera, at the startup view
+ * @param {Object} options - Controller options
+ * @returns {CameraController}
+ */
+function createController(options = {}) {
+    return new CameraController(new THREE.PerspectiveCamera(60, 1, 0.1, 1000), options);
+}
+
+/**
+ * Advance the controller by 60 Hz frames
+ * @param {CameraController} controller - The controller
+ * @param {number} frames - Number of frames
+ * @returns {boolean} Whether it was still moving after the last one
+ */
+function run(controller, frames) {
+    let moving = false;
+    for (let i = 0; i < frames; i++) {
+        moving = controller.update(1 / 60);
+    }
+    return moving;
+}
+
+describe('CameraController', () => {
+    it('starts at the default view looking at the centre', () => {
+        const controller = createController();
+        
+        assert.deepEqual({ ...controller.getState() }, { ...CameraController.VIEWS.default });
+        assert.ok(Math.abs(controller.camera.position.length() - 25) < 1e-9);
+        assert.ok(Math.abs(controller.camera.position.y - 25 * Math.cos(Math.PI / 4)) < 1e-9);
+    });
+    
+    it('eases into a drag and glides on after it', () => {
+        const controller = createController();
+        
+        controller.rotate(100, 0);
+        assert.equal(controller.state.theta, 0);
+        
+        run(controller, 1);
+        const first = controller.state.theta;
+        assert.ok(first > 0 && first < 1);
+        
+        // Released: still turning, by less each frame, towards the full drag
+        run(controller, 1);
+        const second = controller.state.theta - first;
+        assert.ok(second > 0 && second < first);
+        
+        assert.equal(run(controller, 600), false);
+        assert.ok(Math.abs(controller.state.theta - 1) < 1e-4);
+    });
+    
+    it('applies the same motion at any frame rate', () => {
+        const fast = createController();
+        const slow = createController();
+        fast.rotate(50, 20);
+        slow.rotate(50, 20);
+        
+        run(fast, 4);
+        slow.update(1 / 30);
+        slow.update(1 / 30);
+        assert.ok(Math.abs(fast.state.theta - slow.state.theta) < 1e-9);
+        assert.ok(Math.abs(fast.state.phi - slow.state.phi) < 1e-9);
+    });
+    
+    it('keeps zoom within limits that follow the structure', () => {
+        const controller = createController();
+        controller.setBounds(10, 10);
+        
+        controller.zoom(0.01);
+        run(controller, 600);
+        assert.ok(Math.abs(controller.state.radius - 12) < 1e-9);
+        
+        // A contracted structure lets the camera come closer
+        controller.setBounds(2, 10);
+        controller.zoom(0.01);
+        run(controller, 600);
+        assert.ok(Math.abs(controller.state.radius - 2.4) < 1e-9);
+        
+        // ...and expanding pushes it back out
+        controller.setBounds(8, 10);
+        run(controller, 1);
+        assert.ok(Math.abs(controller.state.radius - 9.6) < 1e-9);
+        
+        controller.zoom(1000);
+        run(controller, 600);
+        assert.equal(controller.state.radius, 60);
+        
+        controller.rotate(0, -10000);
+        run(controller, 600);
+        assert.equal(controller.state.phi, CameraController.MIN_PHI);
+    });
+    
+    it('pans the target across the view', () => {
+        const controller = createController();
+        const before = controller.camera.position.clone();
+        
+        // Dragging right moves the scene right, so the target moves left
+        controller.pan(100, 0, 600);
+        run(controller, 600);
+        
+        const right = new THREE.Vector3().setFromMatrixColumn(controller.camera.matrix, 0);
+        const worldPerPixel = 2 * 25 * Math.tan(Math.PI / 6) / 600;
+        assert.ok(Math.abs(controller.target.dot(right) + 100 * worldPerPixel) < 1e-4);
+        assert.ok(controller.camera.position.clone().sub(before).distanceTo(controller.target) < 1e-4);
+        assert.deepEqual({ ...controller.getState() }, { ...CameraController.VIEWS.default });
+    });
+    
+    it('flies to preset views the short way round', () => {
+        const controller = createController({ theta: 3 * Math.PI / 2 + 0.1 });
+        
+        controller.animateTo('front', 0.5);
+        assert.equal(controller.isAnimating(), true);
+        
+        // Halfway along the eased path, turning forwards through 2π
+        run(controller, 15);
+        assert.ok(controller.state.theta > 3 * Math.PI / 2 + 0.1);
+        
+        run(controller, 16);
+        assert.equal(controller.isAnimating(), false);
+        assert.ok(Math.abs(Math.cos(controller.state.theta)) < 1e-9);
+        assert.ok(Math.sin(controller.state.theta) > 0);
+        assert.equal(controller.state.phi, Math.PI / 2);
+        
+        // Any input cancels a flight
+        controller.animateTo('top');
+        controller.rotate(10, 0);
+        assert.equal(controller.isAnimating(), false);
+        
+        assert.throws(() => controller.animateTo('side'), /Unknown camera view/);
+    });
+    
+    it('focuses on a point from outside and resets to the centre', () => {
+        const controller = createController();
+        controller.setBounds(10, 10);
+        
+        const point = new THREE.Vector3(0, 0, 5);
+        controller.focus(point, 0.3);
+        run(controller, 30);
+        
+        assert.ok(controller.target.distanceTo(point) < 1e-9);
+        assert.ok(Math.abs(controller.state.radius - 7) < 1e-9);
+        assert.ok(Math.abs(controller.state.theta - Math.PI / 2) < 1e-9);
+        assert.ok(controller.camera.position.distanceTo(new THREE.Vector3(0, 0, 12)) < 1e-9);
+        
+        controller.animateTo('default', 0);
+        assert.equal(controller.target.length(), 0);
+        assert.deepEqual({ ...controller.getState() }, { ...CameraController.VIEWS.default });
+    });
+    
+    it('jumps to a set view, dropping pending motion', () => {
+        const controller = createController();
+        
+        controller.rotate(500, 0);
+        controller.set({ theta: 1, radius: 30 });
+        assert.equal(run(controller, 10), false);
+        assert.equal(controller.state.theta, 1);
+        assert.equal(controller.state.radius, 30);
+        assert.equal(controller.state.phi, Math.PI / 4);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * DeployableArch.test.js
+ * ============================================
+ * The open arches and their purlins stay closed as the arch rises.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, DeployableArch, LinkageAnalyzer } = loadScripts();
+
+const EPSILON = 1e-6;
+const STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * Distance between the two hinge points a purlin ties together
+ * @param {THREE.Mesh} tie - Tie mesh
+ * @returns {number}
+ */
+function tieLength(tie) {
+    const { from, to } = tie.userData;
+    return from.link.endpoints[from.endpoint].distanceTo(to.link.endpoints[to.endpoint]);
+}
+
+describe('DeployableArch', () => {
+    it('closes over the whole expansion range', () => {
+        const arch = new DeployableArch(new THREE.Scene(), { instanced: false });
+        const analyzer = new LinkageAnalyzer(arch);
+        
+        const sweep = analyzer.sweep(10);
+        assert.ok(sweep.isValid, `joint error ${sweep.maxJointError}`);
+        STEPS.forEach(factor => assert.ok(analyzer.analyze(factor).isValid, `factor ${factor}`));
+        
+        // Not one mechanism: the arches and their bays are not pinned together
+        assert.equal(analyzer.analyze(0.4).mobility.numeric, 15);
+    });
+    
+    it('keeps the purlins between arches at a constant length', () => {
+        const arch = new DeployableArch(new THREE.Scene(), { instanced: false });
+        assert.ok(arch.ties.length > 0);
+        
+        arch.setExpansion(0);
+        const lengths = arch.ties.map(tieLength);
+        
+        STEPS.forEach(factor => {
+            arch.setExpansion(factor);
+            arch.ties.forEach((tie, index) => {
+                assert.ok(Math.abs(tieLength(tie) - lengths[index]) < EPSILON, `tie ${index} at ${factor}`);
+            });
+        });
+    });
+});
\ No newline at end of file
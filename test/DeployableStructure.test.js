@@ -0,0 +1,110 @@
+/**
+ * DeployableStructure.test.js
+ * ============================================
+ * Manual expansion: holding the structure by hand and easing it to targets
+ * with animateTo(), independent of the timeline and the simulation clock.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanRing } = loadScripts();
+
+const FRAME = 1 / 60;
+
+describe('DeployableStructure manual expansion', () => {
+    /**
+     * A ring whose animateTo() reads a time source advanced by run()
+     * @returns {{ring: HobermanRing, run: Function}} run(frames) ticks both clocks by whole frames
+     */
+    function createRing() {
+        let now = 0;
+        const ring = new HobermanRing(new THREE.Scene(), { now: () => now });
+        return {
+            ring: ring,
+            run(frames) {
+                for (let i = 0; i < frames; i++) {
+                    now += FRAME;
+                    ring.clock.tick(FRAME);
+                    ring.update();
+                }
+            }
+        };
+    }
+    
+    it('eases to a target and holds it while the timeline plays on', async () => {
+        const { ring, run } = createRing();
+        ring.startAnimation();
+        run(10);
+        const start = ring.getExpansionFactor();
+        const rotation = ring.getGroup().rotation.y;
+        
+        const arrived = ring.animateTo(0.25, 0.5);
+        assert.equal(ring.isManualExpansion(), true);
+        
+        // About halfway through the eased curve (the first frame only starts its clock)
+        run(16);
+        assert.ok(Math.abs(ring.getExpansionFactor() - (start + 0.25) / 2) < 0.01);
+        
+        run(16);
+        assert.equal(ring.getExpansionFactor(), 0.25);
+        assert.equal(await arrived, true);
+        
+        // Held, while rotation keeps following the clock
+        run(60);
+        assert.equal(ring.getExpansionFactor(), 0.25);
+        assert.notEqual(ring.getGroup().rotation.y, rotation);
+        
+        // Back on the timeline
+        ring.setManualExpansion(false);
+        run(1);
+        assert.notEqual(ring.getExpansionFactor(), 0.25);
+        
+        ring.dispose();
+    });
+    
+    it('does not depend on the animation or the clock running', async () => {
+        const { ring, run } = createRing();
+        ring.clock.pause();
+        
+        const arrived = ring.animateTo(1, 0.2);
+        run(15);
+        assert.equal(ring.getExpansionFactor(), 1);
+        assert.equal(await arrived, true);
+        
+        // Starting and stopping the timeline leaves a held expansion alone
+        ring.clock.play();
+        ring.startAnimation();
+        run(30);
+        ring.stopAnimation();
+        run(30);
+        assert.equal(ring.getExpansionFactor(), 1);
+        assert.equal(ring.isManualExpansion(), true);
+        
+        ring.dispose();
+    });
+    
+    it('lets a new target, a jump or leaving manual mode take over', async () => {
+        const { ring, run } = createRing();
+        
+        const first = ring.animateTo(0, 1);
+        run(5);
+        const second = ring.animateTo(0.8, 1, 'linear');
+        assert.equal(await first, false);
+        
+        ring.animateTo(0.4, 0);
+        assert.equal(await second, false);
+        assert.equal(ring.getExpansionFactor(), 0.4);
+        
+        const third = ring.animateTo(2, 1);
+        ring.setManualExpansion(false);
+        assert.equal(await third, false);
+        run(5);
+        assert.equal(ring.getExpansionFactor(), 0.4);
+        
+        assert.throws(() => ring.animateTo(0.5, 1, 'wobble'), /Unknown easing/);
+        
+        ring.dispose();
+    });
+});
\ No newline at end of file
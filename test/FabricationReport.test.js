@@ -0,0 +1,91 @@
+/**
+ * FabricationReport.test.js
+ * ============================================
+ * Bill of materials counts, sizes and the CSV/JSON output.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanSphere, DeployableArch, FabricationReport } = loadScripts();
+
+describe('FabricationReport', () => {
+    it('counts the units, struts and pins of the pinned sphere', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'linkage', subdivisions: 0 });
+        const report = new FabricationReport(sphere).generate();
+        
+        assert.equal(report.scissorUnits, 300);
+        assert.equal(report.strutCount, 600);
+        assert.equal(report.struts.length, 1);
+        assert.equal(report.struts[0].kind, 'Angulated scissor bar');
+        
+        // One central pivot per unit, an outer and an inner pin per hinge
+        assert.equal(report.pinCount, 300 + sphere.hinges.length * 2);
+        const barEnds = report.connectors
+            .filter(connector => connector.type.startsWith('Outer'))
+            .reduce((sum, connector) => sum + connector.bars * connector.count, 0);
+        assert.equal(barEnds, 600);
+        
+        sphere.dispose();
+    });
+    
+    it('reports sizes in real units and restores the expansion', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'linkage', subdivisions: 0 });
+        sphere.setExpansion(0.4);
+        const report = new FabricationReport(sphere, { unitScale: 5 }).generate();
+        
+        assert.equal(sphere.getExpansionFactor(), 0.4);
+        assert.equal(report.config.maxRadius, 50);
+        assert.deepEqual(Array.from(report.expansion.expandedSize), [100, 100, 100]);
+        assert.equal(report.expansion.ratio, 6.67);
+        
+        sphere.dispose();
+    });
+    
+    it('lists radial struts and tips', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        const report = new FabricationReport(sphere).generate();
+        
+        assert.deepEqual(Array.from(report.struts, strut => strut.kind), ['Straight scissor bar', 'Connection strut']);
+        assert.equal(report.struts[1].count, 30);
+        
+        // Icosahedron: every tip joins two bars and five connection struts
+        const tips = report.connectors.find(connector => connector.type.startsWith('Tip'));
+        assert.equal(tips.bars, 7);
+        assert.equal(tips.count, 12);
+        
+        sphere.dispose();
+    });
+    
+    it('counts the ties ending on the arch hinges', () => {
+        const arch = new DeployableArch(new THREE.Scene(), {});
+        const report = new FabricationReport(arch).generate();
+        
+        const ties = report.struts.find(strut => strut.kind === 'Tie');
+        assert.equal(ties.count, arch.ties.length);
+        
+        const tieEnds = report.connectors
+            .filter(connector => connector.type.startsWith('Outer'))
+            .reduce((sum, connector) => sum + connector.bars * connector.count, 0);
+        assert.equal(tieEnds, arch.scissorLinks.length * 2 + arch.ties.length * 2);
+        
+        arch.dispose();
+    });
+    
+    it('writes CSV rows and JSON that round-trips', () => {
+        const arch = new DeployableArch(new THREE.Scene(), {});
+        const generator = new FabricationReport(arch);
+        const report = generator.generate();
+        
+        const rows = generator.toCSV(report).split('\n');
+        assert.equal(rows[0], 'Section,Item,Quantity,Value,Unit,Detail');
+        assert.ok(rows.some(row => row.startsWith('Strut,A ')));
+        assert.ok(rows.some(row => row.startsWith('Expansion,Expansion ratio,,')));
+        rows.forEach(row => assert.equal(row.split(',').length, 6, row));
+        
+        assert.deepEqual(JSON.parse(generator.toJSON(report)), JSON.parse(JSON.stringify(report)));
+        
+        arch.dispose();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * HobermanRing.test.js
+ * ============================================
+ * The planar ring stays a closed, single-freedom linkage as it expands.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanRing, LinkageAnalyzer } = loadScripts();
+
+describe('HobermanRing', () => {
+    it('closes over the whole expansion range', () => {
+        const ring = new HobermanRing(new THREE.Scene(), { instanced: false });
+        const analyzer = new LinkageAnalyzer(ring);
+        
+        const sweep = analyzer.sweep(10);
+        assert.equal(sweep.samples.length, 11);
+        assert.ok(sweep.isValid, `joint error ${sweep.maxJointError}`);
+        
+        // A closed chain of angulated pairs moves with one degree of freedom
+        const report = analyzer.analyze(0.37);
+        assert.ok(report.isValid);
+        assert.equal(report.mobility.numeric, 1);
+        
+        // Every link lies in the ring's plane
+        ring.scissorLinks.forEach(link => {
+            Object.values(link.endpoints).forEach(point => assert.ok(Math.abs(point.z) < 1e-9));
+        });
+    });
+    
+    it('keeps the old sphereGroup name for its group', () => {
+        const ring = new HobermanRing(new THREE.Scene(), { instanced: false });
+        assert.equal(ring.sphereGroup, ring.getGroup());
+    });
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * HobermanSphere.test.js
+ * ============================================
+ * Construction, connection struts and lifecycle of the Hoberman sphere.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanSphere, LinkageAnalyzer, LinkageKinematics, Polyhedra, SettingsStore } = loadScripts();
+
+const EPSILON = 1e-9;
+
+/**
+ * Build a sphere in a fresh scene
+ * @param {Object} options - HobermanSphere options
+ * @returns {HobermanSphere}
+ */
+function createSphere(options = {}) {
+    return new HobermanSphere(new THREE.Scene(), options);
+}
+
+describe('HobermanSphere', () => {
+    describe('construction', () => {
+        // A geodesic icosahedron of frequency n has 10n^2 + 2 vertices and 30n^2 edges
+        [0, 1, 2, 3].forEach(subdivisions => {
+            const frequency = subdivisions + 1;
+            it(`builds ${10 * frequency ** 2 + 2} radial links at subdivision ${subdivisions}`, () => {
+                const sphere = createSphere({ polyhedron: 'icosahedron', subdivisions: subdivisions });
+                const struts = new LinkageAnalyzer(sphere).getConnectionStruts();
+                
+                assert.equal(sphere.scissorLinks.length, 10 * frequency ** 2 + 2);
+                assert.equal(struts.length, 30 * frequency ** 2);
+                
+                // One link per vertex: every axis is a distinct unit vector
+                const axes = sphere.scissorLinks.map(link => link.axis);
+                axes.forEach(axis => assert.ok(Math.abs(axis.length() - 1) < EPSILON));
+                assert.equal(new Set(axes.map(axis => axis.toArray().map(v => v.toFixed(4)).join(','))).size, axes.length);
+                
+                // Struts join the links on the two ends of each geodesic edge
+                const { vertices, edges } = Polyhedra.create('icosahedron', subdivisions);
+                const edgeKeys = new Set(edges.map(edge => edge.slice().sort((a, b) => a - b).join('-')));
+                struts.forEach(strut => {
+                    const [a, b] = strut.userData.linkIndices;
+                    assert.ok(edgeKeys.has([a, b].sort((x, y) => x - y).join('-')));
+                    assert.ok(axes[a].distanceTo(new THREE.Vector3(...vertices[a])) < EPSILON);
+                });
+                sphere.dispose();
+            });
+        });
+        
+        it('builds one chain of angulated pairs per edge of the linkage', () => {
+            const sphere = createSphere({ mechanism: 'linkage', instanced: false });
+            const { vertices, edges } = Polyhedra.create('icosidodecahedron');
+            
+            // Enough pairs per edge to fold to the radius ratio, pinned at shared spokes
+            const arc = LinkageKinematics.angleBetween(vertices[edges[0][0]], vertices[edges[0][1]]);
+            const perEdge = LinkageKinematics.unitsPerArc(arc, 1.5 / 10);
+            assert.equal(perEdge, 5);
+            assert.equal(sphere.scissorLinks.length, edges.length * perEdge);
+            assert.equal(sphere.hinges.length, vertices.length + edges.length * (perEdge - 1));
+            sphere.dispose();
+        });
+    });
+    
+    describe('updateConnectionStruts', () => {
+        it('keeps both tips on the hinge points of the links they join', () => {
+            const sphere = createSphere({ mechanism: 'radial', subdivisions: 1, minRadius: 2, maxRadius: 8 });
+            const analyzer = new LinkageAnalyzer(sphere);
+            const struts = analyzer.getConnectionStruts();
+            assert.ok(struts.length > 0);
+            
+            [0, 0.2, 0.5, 0.8, 1].forEach(factor => {
+                sphere.setExpansion(factor);
+                
+                struts.forEach(strut => {
+                    const [a, b] = strut.userData.linkIndices.map(index => {
+                        const link = sphere.scissorLinks[index];
+                        return link.endpoints.top1.clone().add(link.endpoints.top2).multiplyScalar(0.5);
+                    });
+                    const tips = analyzer.getStrutTips(strut);
+                    
+                    // The cylinder's +Y tip faces the second link
+                    assert.ok(tips[0].distanceTo(b) < EPSILON, `strut ${strut.userData.linkIndices} at ${factor}`);
+                    assert.ok(tips[1].distanceTo(a) < EPSILON, `strut ${strut.userData.linkIndices} at ${factor}`);
+                });
+                
+                // So the analyzer finds no connection errors
+                const report = analyzer.analyze(factor);
+                assert.ok(report.joints.filter(joint => joint.type === 'connection').every(joint => joint.error < 1e-6));
+            });
+            
+            sphere.dispose();
+        });
+    });
+    
+    describe('linkage geometry', () => {
+        // Every base polyhedron and geodesic frequency the control panel offers
+        const frequencies = [];
+        for (let subdivisions = 0; subdivisions <= SettingsStore.FIELDS.subdivisions.max; subdivisions++) {
+            frequencies.push(subdivisions);
+        }
+        
+        Polyhedra.TYPES.forEach(polyhedron => {
+            it(`closes on the ${polyhedron} and refuses geodesics that cannot`, () => {
+                frequencies.forEach(subdivisions => {
+                    const options = { mechanism: 'linkage', polyhedron: polyhedron, subdivisions: subdivisions, instanced: false };
+                    if (!HobermanSphere.supportsGeometry('linkage', polyhedron, subdivisions)) {
+                        assert.throws(() => createSphere(options), /cannot close/);
+                        return;
+                    }
+                    
+                    const sphere = createSphere(options);
+                    const report = new LinkageAnalyzer(sphere).sweep(4);
+                    assert.ok(report.isValid, `${polyhedron} at subdivisions ${subdivisions}: joint error ${report.maxJointError}`);
+                    sphere.dispose();
+                });
+                
+                // The base polyhedron always closes; its first geodesic would not
+                assert.ok(HobermanSphere.supportsGeometry('linkage', polyhedron, 0));
+                const topology = LinkageKinematics.linkageTopology(Polyhedra.create(polyhedron, 1), { minRadius: 1.5, maxRadius: 10 });
+                const { hinges } = LinkageKinematics.solve(topology, 1);
+                assert.ok(hinges.some(hinge => hinge.error > 1e-3));
+            });
+        });
+        
+        it('defaults to the base polyhedron and keeps it when a geodesic is refused', () => {
+            const sphere = createSphere({ mechanism: 'linkage', instanced: false });
+            assert.equal(sphere.config.subdivisions, 0);
+            const links = sphere.scissorLinks.length;
+            
+            assert.throws(() => sphere.setGeometry({ subdivisions: 2 }), /cannot close/);
+            assert.equal(sphere.config.subdivisions, 0);
+            assert.equal(sphere.scissorLinks.length, links);
+            
+            // The radial illustration takes any frequency
+            assert.ok(HobermanSphere.supportsGeometry('radial', 'icosahedron', 5));
+            sphere.dispose();
+        });
+    });
+    
+    describe('setExpansion', () => {
+        it('clamps the expansion factor to [0, 1] and passes it to the links', () => {
+            const sphere = createSphere();
+            
+            sphere.setExpansion(-1);
+            assert.equal(sphere.getExpansionFactor(), 0);
+            sphere.scissorLinks.forEach(link => assert.equal(link.expansionFactor, 0));
+            
+            sphere.setExpansion(2);
+            assert.equal(sphere.getExpansionFactor(), 1);
+            sphere.scissorLinks.forEach(link => assert.equal(link.expansionFactor, 1));
+            
+            sphere.dispose();
+        });
+    });
+    
+    describe('setAnimationSpeed', () => {
+        it('keeps the speed between 0.1 and 3', () => {
+            const sphere = createSphere();
+            
+            sphere.setAnimationSpeed(0);
+            assert.equal(sphere.animationSpeed, 0.1);
+            
+            sphere.setAnimationSpeed(1.5);
+            assert.equal(sphere.animationSpeed, 1.5);
+            
+            sphere.setAnimationSpeed(10);
+            assert.equal(sphere.animationSpeed, 3);
+            
+            sphere.dispose();
+        });
+    });
+    
+    describe('dispose', () => {
+        [
+            ['radial', {}],
+            ['linkage', { mechanism: 'linkage', subdivisions: 0 }],
+            ['instanced linkage', { mechanism: 'linkage', subdivisions: 0, instanced: true }]
+        ].forEach(([name, options]) => {
+            it(`releases the ${name} sphere`, () => {
+                const scene = new THREE.Scene();
+                const sphere = new HobermanSphere(scene, options);
+                assert.ok(scene.children.includes(sphere.getGroup()));
+                
+                // Count geometry disposals through three's dispose event
+                const geometries = new Set();
+                sphere.getGroup().traverse(child => {
+                    if (child.geometry) geometries.add(child.geometry);
+                });
+                const disposed = new Set();
+                geometries.forEach(geometry => geometry.addEventListener('dispose', () => disposed.add(geometry)));
+                
+                sphere.dispose();
+                
+                assert.equal(scene.children.length, 0);
+                assert.equal(sphere.scissorLinks.length, 0);
+                assert.equal(sphere.hinges.length, 0);
+                assert.equal(sphere.instancedRenderer, null);
+                assert.equal(disposed.size, geometries.size);
+            });
+        });
+    });
+});
\ No newline at end of file
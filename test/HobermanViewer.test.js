@@ -0,0 +1,255 @@
+/**
+ * HobermanViewer.test.js
+ * ============================================
+ * Building, reconfiguring and driving a self-contained viewer, and the
+ * events it reports. Frames are drawn with a stand-in renderer.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanViewer } = loadScripts();
+
+/**
+ * Stand-in for an element with a size and children
+ * @returns {Object}
+ */
+function createContainer() {
+    return {
+        clientWidth: 400,
+        clientHeight: 300,
+        children: [],
+        appendChild(child) {
+            this.children.push(child);
+            child.parentNode = this;
+        },
+        removeChild(child) {
+            this.children = this.children.filter(other => other !== child);
+            child.parentNode = null;
+        }
+    };
+}
+
+/**
+ * Stand-in for WebGLRenderer and its canvas
+ * @returns {Object}
+ */
+function createRenderer() {
+    const listeners = {};
+    return {
+        renders: 0,
+        size: null,
+        disposed: false,
+        contextLost: false,
+        domElement: {
+            style: {},
+            listeners: listeners,
+            addEventListener(type, handler) {
+                listeners[type] = handler;
+            },
+            removeEventListener(type, handler) {
+                if (listeners[type] === handler) delete listeners[type];
+            }
+        },
+        setSize(width, height) {
+            this.size = [width, height];
+        },
+        render() {
+            this.renders++;
+        },
+        forceContextLoss() {
+            this.contextLost = true;
+        },
+        dispose() {
+            this.disposed = true;
+        }
+    };
+}
+
+/**
+ * A viewer that does not start its own render loop, with its events recorded
+ * @param {Object} options - Viewer settings
+ * @returns {{viewer: HobermanViewer, events: Array<Object>}}
+ */
+function createViewer(options = {}) {
+    const viewer = new HobermanViewer(createContainer(), Object.assign({
+        renderer: createRenderer(),
+        autostart: false
+    }, options));
+    const events = [];
+    viewer.onEvent = (type, detail) => events.push({ type: type, detail: detail });
+    return { viewer, events };
+}
+
+describe('HobermanViewer', () => {
+    it('builds its own scene from the settings', () => {
+        const { viewer } = createViewer({ structure: 'ring', color: '#ff8800', material: 'glossy', lighting: 'neon', speed: 1.5 });
+        
+        assert.equal(viewer.structure.structureType, 'ring');
+        assert.equal(viewer.structure.config.color, 0xff8800);
+        assert.equal(viewer.structure.config.materialType, 'glossy');
+        assert.equal(viewer.structure.clock, viewer.clock);
+        assert.equal(viewer.structure.animationSpeed, 1.5);
+        assert.equal(viewer.lightingRig.rig, 'neon');
+        assert.equal(viewer.container.children[0], viewer.renderer.domElement);
+        assert.deepEqual(Array.from(viewer.renderer.size), [400, 300]);
+        assert.equal(viewer.camera.aspect, 400 / 300);
+        
+        viewer.dispose();
+        assert.equal(viewer.container.children.length, 0);
+        assert.deepEqual(Object.keys(viewer.renderer.domElement.listeners), []);
+        
+        // The renderer was passed in, so it is the caller's to dispose
+        assert.equal(viewer.renderer.disposed, false);
+        assert.equal(viewer.renderer.contextLost, false);
+    });
+    
+    it('releases the renderer and its context when it made them', () => {
+        const createDefault = HobermanViewer.createRenderer;
+        HobermanViewer.createRenderer = createRenderer;
+        try {
+            const viewer = new HobermanViewer(createContainer(), { autostart: false });
+            assert.equal(viewer.ownsRenderer, true);
+            
+            viewer.dispose();
+            assert.equal(viewer.renderer.disposed, true);
+            assert.equal(viewer.renderer.contextLost, true);
+        } finally {
+            HobermanViewer.createRenderer = createDefault;
+        }
+    });
+    
+    it('keeps two viewers independent', () => {
+        const a = createViewer().viewer;
+        const b = createViewer({ autoplay: false }).viewer;
+        
+        a.frame(0.5);
+        b.frame(0.5);
+        assert.notEqual(a.scene, b.scene);
+        assert.notEqual(a.clock, b.clock);
+        assert.notEqual(a.getExpansion(), 0.5);
+        assert.equal(b.getExpansion(), 0.5);
+        assert.equal(a.renderer.renders, 1);
+        
+        a.dispose();
+        b.dispose();
+    });
+    
+    it('reports expansion changes and completed cycles', () => {
+        const { viewer, events } = createViewer({ speed: 1 });
+        const cycle = viewer.structure.timeline.getCycleDuration();
+        
+        viewer.frame(0.05);
+        assert.equal(events.filter(event => event.type === 'expansionchange').length, 1);
+        
+        for (let time = 0.05; time < cycle + 0.05; time += 0.05) {
+            viewer.frame(0.05);
+        }
+        const cycles = () => events.filter(event => event.type === 'cyclecomplete');
+        assert.equal(cycles().length, 1);
+        assert.equal(cycles()[0].detail.cycle, 1);
+        
+        // Seeking back against the playback direction completes nothing
+        viewer.clock.seek(0.05);
+        viewer.frame(0.05);
+        assert.equal(viewer.lastCycle, 0);
+        assert.equal(cycles().length, 1);
+        
+        // Nor does playing back across a cycle boundary in reverse
+        viewer.clock.seek(cycle + 0.1);
+        viewer.frame(0.05);
+        assert.equal(cycles().length, 2);
+        viewer.clock.setReversed(true);
+        for (let time = 0; time < 0.2; time += 0.05) {
+            viewer.frame(0.05);
+        }
+        assert.equal(viewer.lastCycle, 0);
+        assert.equal(cycles().length, 2);
+        
+        // Forward again, the next boundary completes the cycle once more
+        viewer.clock.setReversed(false);
+        for (let time = 0; time < 0.2; time += 0.05) {
+            viewer.frame(0.05);
+        }
+        assert.equal(cycles().length, 3);
+        assert.equal(cycles()[2].detail.cycle, 1);
+        
+        // Paused, nothing moves and nothing is reported
+        viewer.pause();
+        const count = events.length;
+        viewer.frame(0.05);
+        assert.equal(events.length, count);
+        assert.deepEqual(events.slice(-1).map(event => event.type), ['pause']);
+        
+        viewer.dispose();
+    });
+    
+    it('holds an expansion and plays on from the timeline', () => {
+        const { viewer, events } = createViewer();
+        
+        viewer.setExpansion(1.4);
+        assert.equal(viewer.getExpansion(), 1);
+        assert.equal(viewer.isPlaying(), false);
+        assert.deepEqual(events.map(event => event.type), ['pause', 'expansionchange']);
+        
+        viewer.frame(0.5);
+        assert.equal(viewer.getExpansion(), 1);
+        
+        viewer.play();
+        viewer.frame(0.5);
+        assert.equal(viewer.isPlaying(), true);
+        assert.notEqual(viewer.getExpansion(), 1);
+        
+        viewer.dispose();
+    });
+    
+    it('applies settings live and rebuilds only for structural ones', () => {
+        const { viewer, events } = createViewer();
+        const first = viewer.structure;
+        
+        viewer.setOptions({ material: 'matte', color: '#112233', lighting: 'dramatic', background: '#336699' });
+        assert.equal(viewer.structure, first);
+        assert.equal(first.config.materialType, 'matte');
+        assert.equal(first.config.color, 0x112233);
+        assert.equal(viewer.lightingRig.rig, 'dramatic');
+        assert.equal(viewer.scene.background.getHex(), 0x336699);
+        const materialChanges = events.filter(event => event.type === 'materialchange');
+        assert.equal(materialChanges.length, 1);
+        assert.deepEqual({ ...materialChanges[0].detail }, { material: 'matte', color: '#112233' });
+        
+        viewer.setExpansion(0.3);
+        viewer.setOptions({ polyhedron: 'cube', subdivisions: 1 });
+        assert.notEqual(viewer.structure, first);
+        assert.equal(viewer.structure.config.polyhedron, 'cube');
+        assert.equal(viewer.structure.config.subdivisions, 0); // A geodesic linkage cannot close
+        assert.equal(viewer.structure.config.materialType, 'matte');
+        assert.equal(viewer.structure.timeline, first.timeline);
+        assert.ok(Math.abs(viewer.getExpansion() - 0.3) < 1e-9);
+        assert.equal(viewer.isPlaying(), false);
+        assert.equal(viewer.scene.children.filter(child => child === first.getGroup()).length, 0);
+        
+        viewer.setBackground('transparent');
+        assert.equal(viewer.scene.background, null);
+        
+        viewer.dispose();
+    });
+    
+    it('orbits and zooms within limits', () => {
+        const { viewer } = createViewer();
+        const listeners = viewer.renderer.domElement.listeners;
+        
+        listeners.pointerdown({ clientX: 0, clientY: 0, pointerId: 1 });
+        listeners.pointermove({ clientX: 100, clientY: -1000 });
+        listeners.pointerup();
+        listeners.pointermove({ clientX: 500, clientY: 0 });
+        assert.equal(viewer.cameraRotation.theta, 0.5);
+        assert.equal(viewer.cameraRotation.phi, Math.PI - 0.1);
+        
+        listeners.wheel({ deltaY: -5000, preventDefault() {} });
+        assert.equal(viewer.cameraRotation.radius, 12);
+        assert.ok(Math.abs(viewer.camera.position.length() - 12) < 1e-9);
+        
+        viewer.dispose();
+    });
+});
\ No newline at end of file
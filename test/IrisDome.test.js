@@ -0,0 +1,72 @@
+/**
+ * IrisDome.test.js
+ * ============================================
+ * The dome's rings stay closed while each slides up the sphere and widens
+ * with its own expansion factor.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, IrisDome, LinkageAnalyzer } = loadScripts();
+
+const EPSILON = 1e-6;
+const STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+describe('IrisDome', () => {
+    it('closes over the whole expansion range', () => {
+        const dome = new IrisDome(new THREE.Scene(), { instanced: false });
+        const analyzer = new LinkageAnalyzer(dome);
+        
+        const sweep = analyzer.sweep(10);
+        assert.ok(sweep.isValid, `joint error ${sweep.maxJointError}`);
+        STEPS.forEach(factor => assert.ok(analyzer.analyze(factor).isValid, `factor ${factor}`));
+        
+        // Not one mechanism: the rings are not pinned to each other
+        assert.equal(analyzer.analyze(0.4).mobility.numeric, 29);
+    });
+    
+    it('keeps each ring closed on its own latitude circle as it opens', () => {
+        const dome = new IrisDome(new THREE.Scene(), { instanced: false });
+        const { maxRadius } = dome.config;
+        
+        STEPS.forEach(factor => {
+            dome.setExpansion(factor);
+            const expansions = new Set();
+            
+            dome.rings.forEach(ring => {
+                const latitude = ring.latitude * (1 - factor);
+                const height = maxRadius * Math.sin(latitude);
+                const radius = maxRadius * Math.cos(latitude);
+                
+                ring.links.forEach(link => {
+                    // updateLinks moves the origin and the expansion of every ring separately
+                    assert.ok(Math.abs(link.origin.y - height) < EPSILON);
+                    expansions.add(link.expansionFactor.toFixed(6));
+                    
+                    // The outer hinges trace the ring's latitude circle
+                    ['top1', 'top2'].forEach(name => {
+                        const point = link.endpoints[name];
+                        assert.ok(Math.abs(point.y - height) < EPSILON);
+                        assert.ok(Math.abs(Math.hypot(point.x, point.z) - radius) < EPSILON);
+                    });
+                });
+            });
+            
+            if (factor > 0 && factor < 1) {
+                assert.ok(expansions.size > 1, `rings share one expansion at ${factor}`);
+            }
+            
+            // Every hinge still pins its members to one point
+            dome.hinges.forEach(hinge => {
+                [hinge.outer, hinge.inner].forEach(members => {
+                    const first = members[0].link.endpoints[members[0].endpoint];
+                    members.forEach(member => {
+                        assert.ok(member.link.endpoints[member.endpoint].distanceTo(first) < EPSILON);
+                    });
+                });
+            });
+        });
+    });
+});
\ No newline at end of file
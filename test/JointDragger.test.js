@@ -0,0 +1,143 @@
+/**
+ * JointDragger.test.js
+ * ============================================
+ * Picking joints with the pointer ray, pulling them along their path and
+ * springing back on release.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, JointDragger, HobermanRing } = loadScripts();
+
+/**
+ * A ring at half expansion, seen face-on by a camera on the z axis
+ * @param {Object} options - Extra ring options
+ * @returns {{ring: HobermanRing, camera: THREE.PerspectiveCamera}}
+ */
+function createScene(options = {}) {
+    const ring = new HobermanRing(new THREE.Scene(), options);
+    ring.setExpansion(0.5);
+    
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(0, 0, 30);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    ring.getGroup().updateMatrixWorld(true);
+    
+    return { ring: ring, camera: camera };
+}
+
+/**
+ * Pointer over a point, in normalized device coordinates
+ * @param {THREE.Vector3} point - World position
+ * @param {THREE.Camera} camera - Camera looking at it
+ * @returns {THREE.Vector2}
+ */
+function pointerAt(point, camera) {
+    const projected = point.clone().project(camera);
+    return new THREE.Vector2(projected.x, projected.y);
+}
+
+/**
+ * Pointer over the outer hub of the ring's first hinge
+ * @param {HobermanRing} ring - The ring
+ * @param {THREE.Camera} camera - Camera looking at it
+ * @returns {THREE.Vector2}
+ */
+function pointerAtOuterHub(ring, camera) {
+    return pointerAt(ring.hinges[0].outerHub.getWorldPosition(new THREE.Vector3()), camera);
+}
+
+describe('JointDragger', () => {
+    it('finds the expansion where a path comes closest to a ray', () => {
+        const path = [0, 1, 2, 3, 4].map(x => new THREE.Vector3(x, 0, 0));
+        const ray = new THREE.Ray(new THREE.Vector3(2.5, 0, 10), new THREE.Vector3(0, 0, -1));
+        
+        assert.ok(Math.abs(JointDragger.getPathExpansion(path, ray) - 2.5 / 4) < 1e-9);
+    });
+    
+    it('leaves the camera to orbit when the pointer misses the structure', () => {
+        const { ring, camera } = createScene();
+        const dragger = new JointDragger(ring, camera);
+        
+        assert.equal(dragger.begin(new THREE.Vector2(0.95, 0.95)), false);
+        assert.equal(dragger.isDragging(), false);
+        
+        ring.dispose();
+    });
+    
+    it('expands when a hub is pulled outward and contracts when pushed in', () => {
+        const { ring, camera } = createScene();
+        const dragger = new JointDragger(ring, camera);
+        const hub = ring.hinges[0].outerHub;
+        
+        assert.equal(dragger.begin(pointerAtOuterHub(ring, camera)), true);
+        assert.equal(ring.getExpansionFactor(), 0.5);
+        
+        const outward = hub.getWorldPosition(new THREE.Vector3()).multiplyScalar(1.3);
+        dragger.drag(pointerAt(outward, camera));
+        assert.ok(ring.getExpansionFactor() > 0.6);
+        
+        // The hub follows the pointer along its path
+        ring.getGroup().updateMatrixWorld(true);
+        assert.ok(hub.getWorldPosition(new THREE.Vector3()).distanceTo(outward) < 0.2);
+        
+        const inward = outward.clone().multiplyScalar(0.5);
+        dragger.drag(pointerAt(inward, camera));
+        assert.ok(ring.getExpansionFactor() < 0.5);
+        
+        dragger.end();
+        assert.equal(dragger.isDragging(), false);
+        
+        ring.dispose();
+    });
+    
+    it('picks instanced joints through the instanced pivot mesh', () => {
+        const { ring, camera } = createScene({ instanced: true });
+        ring.setInstanced(true);
+        ring.getGroup().updateMatrixWorld(true);
+        const dragger = new JointDragger(ring, camera);
+        
+        assert.equal(dragger.pick(pointerAtOuterHub(ring, camera)), ring.hinges[0].outerHub);
+        
+        ring.dispose();
+    });
+    
+    it('springs back to the grabbed expansion on release', () => {
+        const { ring, camera } = createScene();
+        const dragger = new JointDragger(ring, camera, { springBack: true });
+        
+        dragger.begin(pointerAtOuterHub(ring, camera));
+        dragger.drag(pointerAt(new THREE.Vector3(0, 0, 0), camera));
+        assert.ok(ring.getExpansionFactor() < 0.2);
+        dragger.end();
+        
+        let settled = false;
+        for (let i = 0; i < 600 && !settled; i++) {
+            settled = dragger.update(1 / 60);
+        }
+        assert.ok(settled);
+        assert.equal(ring.getExpansionFactor(), 0.5);
+        
+        ring.dispose();
+    });
+    
+    it('stops springing once the timeline takes over', () => {
+        const { ring, camera } = createScene();
+        const dragger = new JointDragger(ring, camera, { springBack: true });
+        
+        dragger.begin(pointerAtOuterHub(ring, camera));
+        dragger.drag(pointerAt(new THREE.Vector3(0, 0, 0), camera));
+        dragger.end();
+        
+        ring.startAnimation();
+        const expansion = ring.getExpansionFactor();
+        assert.equal(dragger.update(1 / 60), false);
+        assert.equal(dragger.isSpringing, false);
+        assert.equal(ring.getExpansionFactor(), expansion);
+        
+        ring.dispose();
+    });
+});
\ No newline at end of file
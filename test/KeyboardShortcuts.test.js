@@ -0,0 +1,62 @@
+/**
+ * KeyboardShortcuts.test.js
+ * ============================================
+ * Keys resolving to actions, and keys left to form fields and the browser.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const KeyboardShortcuts = require('../js/KeyboardShortcuts');
+
+/**
+ * A key press on an element
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} options - { tagName of the target, ctrlKey, altKey, metaKey }
+ * @returns {Object}
+ */
+function press(key, options = {}) {
+    return Object.assign({ key: key, target: { tagName: options.tagName || 'CANVAS' } }, options);
+}
+
+describe('KeyboardShortcuts', () => {
+    it('resolves keys to actions and their values', () => {
+        assert.deepEqual(KeyboardShortcuts.resolve(press(' ')), { action: 'togglePlay', value: null });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('ArrowLeft')), { action: 'orbit', value: [-1, 0] });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('ArrowDown')), { action: 'orbit', value: [0, 1] });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('=')), { action: 'zoom', value: -1 });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('-')), { action: 'zoom', value: 1 });
+        assert.deepEqual(KeyboardShortcuts.resolve(press(']')), { action: 'speed', value: 1 });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('2')), { action: 'material', value: 'matte' });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('F')), { action: 'fullscreen', value: null });
+        assert.deepEqual(KeyboardShortcuts.resolve(press('?')), { action: 'help', value: null });
+        assert.equal(KeyboardShortcuts.resolve(press('x')), null);
+        assert.equal(KeyboardShortcuts.resolve({ key: 'f', target: null }).action, 'fullscreen');
+    });
+    
+    it('leaves keys to form fields, buttons and the browser', () => {
+        // Typing a preset name, moving a slider
+        assert.equal(KeyboardShortcuts.resolve(press('f', { tagName: 'INPUT' })), null);
+        assert.equal(KeyboardShortcuts.resolve(press('ArrowLeft', { tagName: 'INPUT' })), null);
+        assert.equal(KeyboardShortcuts.resolve(press('1', { tagName: 'SELECT' })), null);
+        assert.equal(KeyboardShortcuts.resolve({ key: '?', target: { tagName: 'DIV', isContentEditable: true } }), null);
+        
+        // Space presses a focused button; other shortcuts still work there
+        assert.equal(KeyboardShortcuts.resolve(press(' ', { tagName: 'BUTTON' })), null);
+        assert.equal(KeyboardShortcuts.resolve(press('ArrowUp', { tagName: 'BUTTON' })).action, 'orbit');
+        
+        // Escape still closes the help from a field
+        assert.equal(KeyboardShortcuts.resolve(press('Escape', { tagName: 'INPUT' })).action, 'closeHelp');
+        
+        assert.equal(KeyboardShortcuts.resolve(press('f', { ctrlKey: true })), null);
+        assert.equal(KeyboardShortcuts.resolve(press('-', { metaKey: true })), null);
+    });
+    
+    it('binds each key once and describes every binding', () => {
+        const keys = KeyboardShortcuts.BINDINGS.flatMap(binding => Object.keys(binding.keys));
+        assert.equal(new Set(keys).size, keys.length);
+        
+        KeyboardShortcuts.BINDINGS.forEach(binding => {
+            assert.ok(binding.label && binding.description && binding.action);
+        });
+    });
+});
\ No newline at end of file
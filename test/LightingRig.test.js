@@ -0,0 +1,41 @@
+/**
+ * LightingRig.test.js
+ * ============================================
+ * Switching the scene lights between rigs.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, LightingRig } = loadScripts();
+
+describe('LightingRig', () => {
+    it('recolours one set of lights for every rig', () => {
+        const scene = new THREE.Scene();
+        const rig = new LightingRig(scene);
+        const lights = Object.values(rig.lights);
+        
+        assert.equal(rig.rig, 'studio');
+        assert.equal(scene.children.length, lights.length);
+        assert.equal(rig.lights.accent1.color.getHex(), 0x00aaff);
+        
+        Object.keys(LightingRig.RIGS).forEach(name => {
+            rig.setRig(name);
+            const settings = LightingRig.RIGS[name];
+            Object.entries(settings).forEach(([light, values]) => {
+                assert.equal(rig.lights[light].color.getHex(), values.color);
+                assert.equal(rig.lights[light].intensity, values.intensity);
+            });
+            assert.equal(rig.lights.hemisphere.groundColor.getHex(), settings.hemisphere.groundColor);
+        });
+        assert.equal(scene.children.length, lights.length);
+        assert.ok(rig.lights.key.castShadow);
+        
+        assert.throws(() => rig.setRig('disco'), /Unknown lighting rig/);
+        assert.equal(rig.rig, 'dramatic');
+        
+        rig.dispose();
+        assert.equal(scene.children.length, 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * LinkageKinematics.test.js
+ * ============================================
+ * The headless kinematics core, required directly without Three.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Polyhedra = require('../js/Polyhedra');
+const LinkageKinematics = require('../js/LinkageKinematics');
+
+const EPSILON = 1e-6;
+
+describe('LinkageKinematics', () => {
+    it('closes every hinge of the icosidodecahedral linkage', () => {
+        const topology = LinkageKinematics.linkageTopology(
+            Polyhedra.create('icosidodecahedron'),
+            { minRadius: 1.5, maxRadius: 10 }
+        );
+        
+        [0, 0.25, 0.5, 0.75, 1].forEach(factor => {
+            const { hinges } = LinkageKinematics.solve(topology, factor);
+            hinges.forEach(hinge => assert.ok(hinge.error < EPSILON, `hinge error ${hinge.error} at ${factor}`));
+        });
+    });
+    
+    it('keeps the strut lengths constant', () => {
+        const unit = { spokeA: [1, 0, 0], spokeB: [0, 1, 0], minRadius: 1, maxRadius: 10 };
+        const lengths = LinkageKinematics.angulatedUnit(unit, 0).struts.map(strut => strut.length);
+        
+        [0.3, 0.6, 1].forEach(factor => {
+            LinkageKinematics.angulatedUnit(unit, factor).struts.forEach((strut, i) => {
+                assert.ok(Math.abs(strut.length - lengths[i]) < EPSILON);
+            });
+        });
+    });
+    
+    it('reaches the folded ratio with unitsPerArc() pairs', () => {
+        const units = LinkageKinematics.unitsPerArc(Math.PI * 2, 0.15);
+        assert.ok(Math.sin(Math.PI * 2 / units) <= 0.15);
+        assert.ok(Math.sin(Math.PI * 2 / (units - 1)) > 0.15);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * PartInspector.test.js
+ * ============================================
+ * Picking parts by name, live link information and the highlight that
+ * follows the selected part.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, PartInspector, HobermanRing, HobermanSphere } = loadScripts();
+
+/**
+ * Camera on the z axis looking at the origin
+ * @returns {THREE.PerspectiveCamera}
+ */
+function createCamera() {
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(0, 0, 30);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    return camera;
+}
+
+/**
+ * Pointer over a point of a structure, in normalized device coordinates
+ * @param {DeployableStructure} structure - Structure the point belongs to
+ * @param {THREE.Vector3} localPoint - Point in the structure group's space
+ * @param {THREE.Camera} camera - Camera looking at it
+ * @returns {THREE.Vector2}
+ */
+function pointerAt(structure, localPoint, camera) {
+    const group = structure.getGroup();
+    group.updateMatrixWorld(true);
+    const projected = group.localToWorld(localPoint.clone()).project(camera);
+    return new THREE.Vector2(projected.x, projected.y);
+}
+
+describe('PartInspector', () => {
+    it('names every part like the glTF export and maps it to its links', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const parts = Array.from(new PartInspector(ring, createCamera()).collectParts().values());
+        
+        const pivot = parts.find(part => part.name === 'ScissorLink_0_pivot');
+        assert.equal(pivot.role, 'Pivot');
+        assert.deepEqual(Array.from(pivot.linkIndices), [0]);
+        
+        const hub = parts.find(part => part.name === 'Hinge_1_outer');
+        assert.equal(hub.role, 'Hub');
+        assert.deepEqual(Array.from(hub.linkIndices).sort(), [0, 1]);
+        
+        assert.ok(parts.some(part => part.name === 'ScissorLink_0_strut1_leg1'));
+        
+        ring.dispose();
+    });
+    
+    it('picks a clicked pivot and leaves empty space unselected', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const camera = createCamera();
+        const inspector = new PartInspector(ring, camera);
+        
+        const part = inspector.pick(pointerAt(ring, ring.scissorLinks[0].position, camera));
+        assert.equal(part.name, 'ScissorLink_0_pivot');
+        assert.equal(inspector.pick(new THREE.Vector2(0.95, 0.95)), null);
+        
+        ring.dispose();
+    });
+    
+    it('picks struts through the instanced strut mesh', () => {
+        const ring = new HobermanRing(new THREE.Scene(), { instanced: true });
+        ring.setInstanced(true);
+        const camera = createCamera();
+        const inspector = new PartInspector(ring, camera);
+        const link = ring.scissorLinks[0];
+        
+        // Halfway along the first leg, between the outer hinge and the pivot
+        const onLeg = link.endpoints.top1.clone().add(link.position).multiplyScalar(0.5);
+        const part = inspector.pick(pointerAt(ring, onLeg, camera));
+        assert.equal(part.role, 'Strut');
+        assert.ok(part.name.startsWith('ScissorLink_'));
+        
+        ring.dispose();
+    });
+    
+    it('reports link geometry and neighbours that follow the expansion', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const inspector = new PartInspector(ring, createCamera());
+        const count = ring.scissorLinks.length;
+        
+        ring.setExpansion(0.2);
+        const folded = inspector.getLinkInfo(0);
+        ring.setExpansion(0.9);
+        const opened = inspector.getLinkInfo(0);
+        
+        assert.equal(folded.type, 'AngulatedScissorLink');
+        assert.equal(folded.strutLength, ring.scissorLinks[0].strutLength);
+        assert.notEqual(folded.openingAngle, opened.openingAngle);
+        assert.deepEqual(Array.from(opened.endpoints.top1), ring.scissorLinks[0].endpoints.top1.toArray());
+        
+        // A closed ring: each unit is pinned to the one before and after it
+        assert.deepEqual(Array.from(opened.neighbours), [1, count - 1]);
+        
+        ring.dispose();
+    });
+    
+    it('lists the links a connection strut joins', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'radial', polyhedron: 'octahedron' });
+        const inspector = new PartInspector(sphere, createCamera());
+        const strut = Array.from(inspector.collectParts().values()).find(part => part.role === 'ConnectionStrut');
+        const [a, b] = strut.linkIndices;
+        
+        assert.ok(inspector.getNeighbours(a).includes(b));
+        
+        inspector.select(strut);
+        const info = inspector.getInfo();
+        assert.equal(info.links.length, 2);
+        assert.ok(info.length > 0);
+        assert.match(PartInspector.toText(info), /Opening angle: [\d.]+°/);
+        
+        sphere.dispose();
+    });
+    
+    it('keeps the highlight on the selected part as it moves', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const inspector = new PartInspector(ring, createCamera());
+        const part = inspector.collectParts().get(ring.hinges[0].outerHub);
+        
+        inspector.select(part);
+        assert.equal(inspector.highlight.parent, ring.getGroup());
+        
+        ring.setExpansion(0.9);
+        inspector.updateHighlight();
+        assert.ok(inspector.highlight.position.equals(ring.hinges[0].outerHub.position));
+        
+        inspector.select(null);
+        assert.equal(ring.getGroup().children.some(child => child.userData.isHighlight), false);
+        
+        ring.dispose();
+    });
+});
\ No newline at end of file
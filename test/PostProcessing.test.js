@@ -0,0 +1,155 @@
+/**
+ * PostProcessing.test.js
+ * ============================================
+ * Building the bloom chain, switching its optional passes and following
+ * renderer resizes. The composer is never rendered; that needs WebGL.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+// SMAAPass decodes its lookup textures from data URLs when created
+class FakeImage {}
+
+const { THREE, PostProcessing } = loadScripts({
+    addons: [
+        'shaders/CopyShader',
+        'shaders/LuminosityHighPassShader',
+        'shaders/FXAAShader',
+        'shaders/SMAAShader',
+        'shaders/VignetteShader',
+        'postprocessing/EffectComposer',
+        'postprocessing/RenderPass',
+        'postprocessing/ShaderPass',
+        'postprocessing/UnrealBloomPass',
+        'postprocessing/SMAAPass'
+    ],
+    globals: { Image: FakeImage }
+});
+
+/**
+ * Stand-in for WebGLRenderer with the size calls the composer makes
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ * @param {number} pixelRatio - Device pixel ratio
+ * @returns {Object}
+ */
+function createRenderer(width, height, pixelRatio) {
+    return {
+        width: width,
+        height: height,
+        pixelRatio: pixelRatio,
+        renders: 0,
+        getSize(target) {
+            return target.set(this.width, this.height);
+        },
+        getPixelRatio() {
+            return this.pixelRatio;
+        },
+        render() {
+            this.renders++;
+        }
+    };
+}
+
+/**
+ * A chain for an 800 x 600 canvas at pixel ratio 2
+ * @param {Object} options - PostProcessing options
+ * @returns {PostProcessing}
+ */
+function createChain(options) {
+    return new PostProcessing(createRenderer(800, 600, 2), new THREE.Scene(), new THREE.PerspectiveCamera(), options);
+}
+
+describe('PostProcessing', () => {
+    it('renders straight to the renderer until glow is switched on', () => {
+        const chain = createChain();
+        
+        chain.render();
+        assert.equal(chain.renderer.renders, 1);
+        assert.equal(chain.composer, null);
+    });
+    
+    it('builds render, bloom, vignette and anti-aliasing passes in order', () => {
+        const chain = createChain({ threshold: 0.5, strength: 2, radius: 0.1 });
+        chain.setEnabled(true);
+        
+        const passes = chain.composer.passes;
+        assert.equal(passes.length, 5);
+        assert.equal(passes[0], chain.passes.render);
+        assert.equal(passes[1], chain.passes.bloom);
+        assert.equal(passes[4], chain.passes.smaa);
+        
+        assert.equal(chain.passes.bloom.threshold, 0.5);
+        assert.equal(chain.passes.bloom.strength, 2);
+        assert.equal(chain.passes.bloom.radius, 0.1);
+        
+        // Optional passes start off
+        assert.equal(chain.passes.vignette.enabled, false);
+        assert.equal(chain.passes.fxaa.enabled, false);
+        assert.equal(chain.passes.smaa.enabled, false);
+    });
+    
+    it('updates bloom settings and optional passes on the live chain', () => {
+        const chain = createChain();
+        chain.setEnabled(true);
+        
+        chain.setBloom({ strength: 0.8 });
+        assert.equal(chain.passes.bloom.strength, 0.8);
+        assert.equal(chain.passes.bloom.threshold, 0.2);
+        
+        chain.setAntialias('fxaa');
+        assert.equal(chain.passes.fxaa.enabled, true);
+        assert.equal(chain.passes.smaa.enabled, false);
+        
+        chain.setAntialias('smaa');
+        assert.equal(chain.passes.fxaa.enabled, false);
+        assert.equal(chain.passes.smaa.enabled, true);
+        
+        chain.setVignette(true);
+        assert.equal(chain.passes.vignette.enabled, true);
+        
+        assert.throws(() => chain.setAntialias('msaa'), /Unknown anti-aliasing mode/);
+    });
+    
+    it('keeps settings made before the chain is built', () => {
+        const chain = createChain();
+        chain.setBloom({ radius: 0.9 });
+        chain.setAntialias('fxaa');
+        chain.setVignette(true);
+        
+        chain.setEnabled(true);
+        assert.equal(chain.passes.bloom.radius, 0.9);
+        assert.equal(chain.passes.fxaa.enabled, true);
+        assert.equal(chain.passes.vignette.enabled, true);
+    });
+    
+    it('resizes the render targets and FXAA resolution in device pixels', () => {
+        const chain = createChain();
+        chain.setEnabled(true);
+        
+        chain.renderer.width = 1000;
+        chain.renderer.height = 500;
+        chain.renderer.pixelRatio = 1.5;
+        chain.setSize(1000, 500);
+        
+        assert.equal(chain.composer.renderTarget1.width, 1500);
+        assert.equal(chain.composer.renderTarget1.height, 750);
+        assert.equal(chain.passes.fxaa.uniforms.resolution.value.x, 1 / 1500);
+        assert.equal(chain.passes.fxaa.uniforms.resolution.value.y, 1 / 750);
+        
+        // The first bloom mip is half the drawing buffer
+        assert.equal(chain.passes.bloom.renderTargetsHorizontal[0].width, 750);
+    });
+    
+    it('releases the chain and falls back to plain rendering', () => {
+        const chain = createChain();
+        chain.setEnabled(true);
+        chain.dispose();
+        
+        assert.equal(chain.composer, null);
+        chain.render();
+        assert.equal(chain.renderer.renders, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * PresetLibrary.test.js
+ * ============================================
+ * Built-in presets, editing user presets and the JSON export format.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { PresetLibrary, SettingsStore } = loadScripts();
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        items: items,
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem(key) {
+            items.delete(key);
+        }
+    };
+}
+
+const SETTINGS = {
+    structure: 'ring',
+    mechanism: 'radial',
+    minRadius: 2,
+    maxRadius: 8,
+    color: '#ff8800',
+    lighting: 'dramatic',
+    speed: 1.2,
+    theta: 0.5,
+    animating: true,
+    stats: true
+};
+
+describe('PresetLibrary', () => {
+    it('ships complete, valid built-in presets', () => {
+        const library = new PresetLibrary(createStorage());
+        const names = Array.from(library.list(), preset => preset.name);
+        
+        assert.deepEqual(names, ['Showroom', 'Blueprint', 'Neon']);
+        library.list().forEach(preset => {
+            assert.equal(preset.builtIn, true);
+            assert.deepEqual(Object.keys(preset.settings).sort(), Object.keys(PresetLibrary.DEFAULTS).sort());
+            assert.deepEqual(SettingsStore.sanitize(preset.settings), preset.settings);
+        });
+        
+        assert.throws(() => library.save('Neon', SETTINGS), /built-in/);
+        assert.throws(() => library.remove('Blueprint'), /built-in/);
+    });
+    
+    it('saves, overwrites, renames and deletes user presets', () => {
+        const storage = createStorage();
+        const library = new PresetLibrary(storage, 'test-presets');
+        
+        const saved = library.save('  Orange ring ', SETTINGS);
+        assert.equal(saved.name, 'Orange ring');
+        assert.equal(saved.settings.animating, undefined);
+        assert.equal(saved.settings.stats, undefined);
+        assert.equal(saved.settings.lighting, 'dramatic');
+        
+        library.save('Orange ring', Object.assign({}, SETTINGS, { speed: 2 }));
+        library.save('A first', SETTINGS);
+        assert.deepEqual(Array.from(library.list().slice(3), preset => preset.name), ['A first', 'Orange ring']);
+        assert.equal(library.get('Orange ring').settings.speed, 2);
+        
+        library.rename('Orange ring', 'Tangerine');
+        assert.throws(() => library.rename('Tangerine', 'A first'), /already exists/);
+        assert.throws(() => library.rename('Tangerine', 'Showroom'), /already exists/);
+        assert.throws(() => library.rename('Missing', 'Other'), /No user preset/);
+        assert.throws(() => library.save('   ', SETTINGS), /1 to 60 characters/);
+        
+        assert.equal(library.remove('A first'), true);
+        assert.equal(library.remove('A first'), false);
+        
+        const reloaded = new PresetLibrary(storage, 'test-presets');
+        assert.deepEqual(Array.from(reloaded.presets, preset => preset.name), ['Tangerine']);
+        assert.equal(reloaded.get('Tangerine').settings.speed, 2);
+    });
+    
+    it('round-trips presets through an export file', () => {
+        const source = new PresetLibrary(createStorage());
+        source.save('Orange ring', SETTINGS);
+        source.save('Slow', { speed: 0.2 });
+        
+        const text = source.toJSON();
+        const data = JSON.parse(text);
+        assert.equal(data.format, 'hoberman-presets');
+        assert.equal(data.version, 1);
+        assert.equal(data.presets.length, 2);
+        assert.equal(JSON.parse(source.toJSON(['Slow'])).presets.length, 1);
+        
+        const target = new PresetLibrary(createStorage());
+        assert.deepEqual(Array.from(target.importJSON(text)), ['Orange ring', 'Slow']);
+        assert.deepEqual(target.get('Orange ring').settings, source.get('Orange ring').settings);
+    });
+    
+    it('checks imported files and keeps built-ins intact', () => {
+        const library = new PresetLibrary(createStorage());
+        
+        assert.throws(() => library.importJSON('{oops'), /not valid JSON/);
+        assert.throws(() => library.importJSON('{"presets": []}'), /Not a preset file/);
+        assert.throws(() => library.importJSON('{"format": "hoberman-presets", "version": 99, "presets": []}'), /newer/);
+        
+        const names = library.importJSON(JSON.stringify({
+            format: 'hoberman-presets',
+            version: 1,
+            presets: [
+                { name: 'Neon', settings: { color: '#123456', speed: 99 } },
+                { name: '', settings: { speed: 1 } },
+                { name: 'No settings' }
+            ]
+        }));
+        assert.deepEqual(Array.from(names), ['Neon (imported)']);
+        assert.deepEqual({ ...library.get('Neon (imported)').settings }, { color: '#123456' });
+        assert.equal(library.get('Neon').settings.color, '#ff00cc');
+    });
+    
+    it('works without storage', () => {
+        const library = new PresetLibrary(null);
+        library.save('Session only', SETTINGS);
+        assert.equal(library.presets.length, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * PrintablePartExporter.test.js
+ * ============================================
+ * Printable bar solids: hinge layout, pin holes, watertightness, plating
+ * and the zip of exported files.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanSphere, DeployableArch, PrintablePartExporter } = loadScripts();
+
+/**
+ * Check that a triangle soup is closed: every edge is used equally often in
+ * both directions, so the surface has no holes or flipped faces
+ * @param {THREE.BufferGeometry} geometry - Non-indexed geometry
+ * @returns {{closed: boolean, volume: number}}
+ */
+function inspectSolid(geometry) {
+    const position = geometry.attributes.position;
+    const key = i => [position.getX(i), position.getY(i), position.getZ(i)].map(v => Math.round(v * 1e4)).join(',');
+    const edges = new Map();
+    let volume = 0;
+    
+    for (let i = 0; i < position.count; i += 3) {
+        const corners = [i, i + 1, i + 2];
+        const keys = corners.map(key);
+        keys.forEach((from, k) => {
+            const edge = `${from}|${keys[(k + 1) % 3]}`;
+            edges.set(edge, (edges.get(edge) || 0) + 1);
+        });
+        
+        const [a, b, c] = corners.map(j => new THREE.Vector3().fromBufferAttribute(position, j));
+        volume += a.dot(b.clone().cross(c)) / 6;
+    }
+    
+    let closed = true;
+    edges.forEach((count, edge) => {
+        const [from, to] = edge.split('|');
+        if ((edges.get(`${to}|${from}`) || 0) !== count) closed = false;
+    });
+    
+    return { closed: closed, volume: volume };
+}
+
+describe('PrintablePartExporter', () => {
+    it('sizes the pin holes from the pin diameter and clearance', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        const exporter = new PrintablePartExporter(sphere, { pinDiameter: 4, clearance: 0.25 });
+        
+        assert.equal(exporter.getHoleDiameter(), 4.5);
+        assert.equal(exporter.getBarWidth(), 12);
+        
+        sphere.dispose();
+    });
+    
+    it('rejects bars too narrow to keep a wall around the holes', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        
+        assert.throws(() => new PrintablePartExporter(sphere, { pinDiameter: 3, barWidth: 4 }), /no wall/);
+        assert.throws(() => new PrintablePartExporter(sphere, { clearance: -1 }), /clearance/);
+        
+        sphere.dispose();
+    });
+    
+    it('makes one part per strut, grouped into identical types', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 1 });
+        const exporter = new PrintablePartExporter(sphere);
+        const types = exporter.groupParts(exporter.collectProfiles());
+        
+        const struts = sphere.getGroup().children.filter(child => child.userData.isConnectionStrut).length;
+        const total = types.reduce((sum, type) => sum + type.quantity, 0);
+        assert.equal(total, sphere.scissorLinks.length * 2 + struts);
+        assert.deepEqual(Array.from(types, type => type.id), ['A', 'B', 'C']);
+        
+        sphere.dispose();
+    });
+    
+    it('keeps the leg lengths and bend of angulated bars', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'linkage', subdivisions: 0 });
+        const exporter = new PrintablePartExporter(sphere, { unitScale: 20 });
+        const [type] = exporter.groupParts(exporter.collectProfiles());
+        
+        // Every bar of the icosidodecahedral sphere is the same part
+        assert.equal(type.quantity, sphere.scissorLinks.length * 2);
+        
+        const legLength = sphere.scissorLinks[0].legLength * 20;
+        const [a, b, c] = type.points;
+        assert.ok(Math.abs(Math.hypot(b[0] - a[0], b[1] - a[1]) - legLength) < 1e-6);
+        assert.ok(Math.abs(Math.hypot(c[0] - b[0], c[1] - b[1]) - legLength) < 1e-6);
+        assert.ok(c[1] > 0);
+        
+        sphere.dispose();
+    });
+    
+    it('builds closed solids with the right volume', () => {
+        const arch = new DeployableArch(new THREE.Scene(), {});
+        const exporter = new PrintablePartExporter(arch, { unitScale: 20 });
+        const types = exporter.buildPartTypes();
+        const { thickness } = exporter.config;
+        const holeArea = Math.PI * (exporter.getHoleDiameter() / 2) ** 2;
+        
+        types.forEach(type => {
+            const { closed, volume } = inspectSolid(type.mesh.geometry);
+            assert.ok(closed, `part ${type.id} is not closed`);
+            
+            // Rounded bar minus its holes, within the polygonal approximation
+            const width = exporter.getBarWidth();
+            const spans = type.points.slice(1).map((p, i) => Math.hypot(p[0] - type.points[i][0], p[1] - type.points[i][1]));
+            const straight = spans.reduce((sum, span) => sum + span, 0) * width + Math.PI * (width / 2) ** 2;
+            const expected = (straight - type.points.length * holeArea) * thickness;
+            assert.ok(Math.abs(volume - expected) / expected < 0.05, `part ${type.id}: ${volume} vs ${expected}`);
+        });
+        
+        arch.dispose();
+    });
+    
+    it('plates every part within the plate bounds', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 1 });
+        const exporter = new PrintablePartExporter(sphere, { plateWidth: 120, plateDepth: 120 });
+        const types = exporter.buildPartTypes();
+        const plates = exporter.buildPlates(types);
+        
+        const placed = plates.reduce((sum, plate) => sum + plate.children.length, 0);
+        assert.equal(placed, types.reduce((sum, type) => sum + type.quantity, 0));
+        assert.ok(plates.length > 1);
+        
+        plates.forEach(plate => {
+            const box = new THREE.Box3().setFromObject(plate);
+            assert.ok(box.min.x >= -1e-6 && box.min.y >= -1e-6 && box.min.z >= -1e-6);
+            assert.ok(box.max.x <= 120 + 1e-6 && box.max.y <= 120 + 1e-6);
+        });
+        
+        sphere.dispose();
+    });
+    
+    it('refuses parts larger than the build plate', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        const exporter = new PrintablePartExporter(sphere, { plateWidth: 20, plateDepth: 20 });
+        
+        assert.throws(() => exporter.buildPlates(exporter.buildPartTypes()), /Part A is .* does not fit the 20 x 20 mm build plate/);
+        
+        // A failed export still releases the part geometry and material
+        const disposed = [];
+        const buildPartTypes = exporter.buildPartTypes.bind(exporter);
+        exporter.buildPartTypes = () => {
+            const types = buildPartTypes();
+            types.forEach(type => type.mesh.geometry.addEventListener('dispose', () => disposed.push(type.id)));
+            types[0].mesh.material.addEventListener('dispose', () => disposed.push('material'));
+            return types;
+        };
+        THREE.STLExporter = class {};
+        try {
+            assert.throws(() => exporter.export({ format: 'stl', layout: 'plate' }), /does not fit/);
+        } finally {
+            delete THREE.STLExporter;
+        }
+        assert.ok(disposed.includes('A') && disposed.includes('material'));
+        
+        sphere.dispose();
+    });
+    
+    it('zips every exported file into one archive', async () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        const exporter = new PrintablePartExporter(sphere);
+        
+        // Stand-ins for the three.js exporters: binary STL is a view into a larger buffer
+        THREE.STLExporter = class {
+            parse() {
+                return new DataView(new TextEncoder().encode('..stl..').buffer, 2, 3);
+            }
+        };
+        THREE.OBJExporter = class {
+            parse() {
+                return 'obj';
+            }
+        };
+        
+        try {
+            const archive = exporter.exportZip({ format: 'stl' });
+            assert.equal(archive.fileName, 'sphere-parts.zip');
+            assert.ok(archive.files.length > 1);
+            assert.deepEqual(Array.from(archive.files), Array.from(exporter.export({ format: 'stl' }), file => file.fileName));
+            
+            // The end of central directory record counts the entries; each holds just the STL bytes
+            const bytes = new Uint8Array(await archive.blob.arrayBuffer());
+            const view = new DataView(bytes.buffer);
+            const end = bytes.length - 22;
+            assert.equal(view.getUint32(end, true), 0x06054B50);
+            assert.equal(view.getUint16(end + 10, true), archive.files.length);
+            assert.equal(view.getUint32(view.getUint32(end + 16, true) + 24, true), 3);
+            
+            const plates = exporter.exportZip({ format: 'obj', layout: 'plate' });
+            assert.equal(plates.fileName, 'sphere-plates.zip');
+            assert.equal(plates.files[0], 'sphere-plate-1.obj');
+        } finally {
+            delete THREE.STLExporter;
+            delete THREE.OBJExporter;
+        }
+        
+        sphere.dispose();
+    });
+    
+    it('needs the three.js STL and OBJ exporters to serialise', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        
+        assert.throws(() => new PrintablePartExporter(sphere).export({ format: 'stl' }), /STLExporter/);
+        assert.throws(() => new PrintablePartExporter(sphere).export({ format: 'obj' }), /OBJExporter/);
+        
+        sphere.dispose();
+    });
+});
\ No newline at end of file
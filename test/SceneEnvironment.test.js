@@ -0,0 +1,179 @@
+/**
+ * SceneEnvironment.test.js
+ * ============================================
+ * Generated backgrounds, switching and loading environment maps, and the
+ * skybox. Prefiltering and file loading use stand-ins; no WebGL is needed.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const revoked = [];
+const { THREE, SceneEnvironment, HobermanViewer } = loadScripts({
+    globals: {
+        URL: {
+            createObjectURL: file => `blob:${file.name}`,
+            revokeObjectURL: url => revoked.push(url)
+        }
+    }
+});
+
+/**
+ * Stand-in for PMREMGenerator: records what it prefilters
+ * @returns {Object}
+ */
+function createPMREM() {
+    return {
+        sources: [],
+        disposed: false,
+        fromScene(scene, sigma) {
+            return this.prefilter({ scene: scene, sigma: sigma });
+        },
+        fromEquirectangular(texture) {
+            return this.prefilter({ texture: texture });
+        },
+        prefilter(source) {
+            this.sources.push(source);
+            return {
+                texture: new THREE.Texture(),
+                disposed: false,
+                dispose() {
+                    this.disposed = true;
+                }
+            };
+        },
+        dispose() {
+            this.disposed = true;
+        }
+    };
+}
+
+/**
+ * A scene environment with stand-ins for the renderer, prefilter and loaders
+ * @param {Object} loaders - File type to stand-in loader
+ * @returns {SceneEnvironment}
+ */
+function createEnvironment(loaders = {}) {
+    const scene = new THREE.Scene();
+    scene.fog = new THREE.Fog(0x0a0a0a, 40, 120);
+    return new SceneEnvironment({ toneMappingExposure: 1 }, scene, { pmrem: createPMREM(), loaders: loaders });
+}
+
+/**
+ * Pixel of a generated texture
+ * @param {THREE.DataTexture} texture - Generated texture
+ * @param {number} index - Pixel index (row 0 is the bottom)
+ * @returns {Array<number>} RGBA bytes
+ */
+function pixel(texture, index) {
+    return Array.from(texture.image.data.slice(index * 4, index * 4 + 4));
+}
+
+describe('SceneEnvironment', () => {
+    it('draws gradients from top to bottom and repeatable nebulae', () => {
+        const gradient = SceneEnvironment.createGradientTexture([0xffffff, 0x000000], 3);
+        assert.equal(gradient.image.width, 1);
+        assert.deepEqual(pixel(gradient, 2), [255, 255, 255, 255]);
+        assert.deepEqual(pixel(gradient, 1), [128, 128, 128, 255]);
+        assert.deepEqual(pixel(gradient, 0), [0, 0, 0, 255]);
+        
+        const nebula = SceneEnvironment.createNebulaTexture(0x000000, [0xff0000], 16);
+        const again = SceneEnvironment.createNebulaTexture(0x000000, [0xff0000], 16);
+        assert.deepEqual(Array.from(nebula.image.data), Array.from(again.image.data));
+        assert.ok(Array.from(nebula.image.data).some((value, index) => index % 4 === 0 && value > 0));
+        
+        assert.ok(SceneEnvironment.createBackgroundTexture('gradient').isDataTexture);
+        assert.ok(SceneEnvironment.createBackgroundTexture('purple').isDataTexture);
+        assert.equal(SceneEnvironment.createBackgroundTexture('space'), null);
+        assert.equal(HobermanViewer.BACKGROUNDS.skybox, undefined);
+        assert.equal(HobermanViewer.BACKGROUNDS.purple, 0x1a0a2e);
+    });
+    
+    it('sets backgrounds and the fog colour', () => {
+        const environment = createEnvironment();
+        const scene = environment.scene;
+        
+        environment.setBackground('blue');
+        assert.equal(scene.background.getHex(), 0x001a33);
+        assert.equal(scene.fog.color.getHex(), 0x001a33);
+        
+        environment.setBackground('gradient');
+        const texture = scene.background;
+        assert.ok(texture.isDataTexture);
+        
+        // Without an environment the skybox is the flat colour
+        environment.setBackground('skybox');
+        assert.equal(scene.background.getHex(), 0x0a0a0a);
+        assert.equal(environment.backgroundTexture, null);
+        
+        assert.throws(() => environment.setBackground('plaid'), /Unknown background/);
+        assert.equal(environment.background, 'skybox');
+    });
+    
+    it('prefilters generated environments and releases the previous one', () => {
+        const environment = createEnvironment();
+        const { scene, pmrem } = environment;
+        
+        environment.setBackground('skybox');
+        environment.setEnvironment('studio');
+        const studio = environment.renderTarget;
+        assert.equal(scene.environment, studio.texture);
+        assert.equal(scene.background, studio.texture);
+        assert.ok(pmrem.sources[0].scene.isScene);
+        assert.ok(pmrem.sources[0].scene.children.length > 1);
+        
+        environment.setEnvironment('sky');
+        assert.equal(studio.disposed, true);
+        assert.equal(scene.environment, environment.renderTarget.texture);
+        assert.equal(environment.environment, 'sky');
+        
+        environment.setEnvironment('none');
+        assert.equal(scene.environment, null);
+        assert.equal(scene.background.getHex(), 0x0a0a0a);
+        
+        assert.throws(() => environment.setEnvironment('beach'), /Unknown environment/);
+        
+        environment.dispose();
+        assert.equal(pmrem.disposed, true);
+    });
+    
+    it('loads panoramas from HDR, EXR and image files', async () => {
+        const loaded = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+        const requests = [];
+        const hdr = {
+            load(url, onLoad) {
+                requests.push(url);
+                onLoad(loaded);
+            }
+        };
+        const image = {
+            load(url, onLoad, onProgress, onError) {
+                onError(new Error('corrupt'));
+            }
+        };
+        const environment = createEnvironment({ hdr: hdr, image: image });
+        
+        assert.equal(SceneEnvironment.getFileType('venice_sunset_1k.HDR'), 'hdr');
+        assert.equal(SceneEnvironment.getFileType('studio.exr'), 'exr');
+        assert.equal(SceneEnvironment.getFileType('field.jpeg'), 'image');
+        assert.equal(SceneEnvironment.getFileType('notes.txt'), null);
+        
+        environment.setBackground('skybox');
+        assert.equal(await environment.loadFile({ name: 'venice.hdr' }), 'venice.hdr');
+        assert.deepEqual(requests, ['blob:venice.hdr']);
+        assert.deepEqual(revoked, ['blob:venice.hdr']);
+        assert.equal(loaded.mapping, THREE.EquirectangularReflectionMapping);
+        assert.equal(environment.pmrem.sources[0].texture, loaded);
+        assert.equal(environment.scene.environment, environment.renderTarget.texture);
+        assert.equal(environment.scene.background, loaded);
+        assert.equal(environment.environment, 'file');
+        assert.equal(environment.fileName, 'venice.hdr');
+        
+        // Failures leave the current environment in place
+        await assert.rejects(environment.loadFile({ name: 'notes.txt' }), /not an environment map/);
+        await assert.rejects(environment.loadFile({ name: 'field.png' }), /Could not read field.png: corrupt/);
+        assert.equal(environment.fileName, 'venice.hdr');
+        assert.equal(environment.scene.background, loaded);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * ScissorLink.test.js
+ * ============================================
+ * Geometry of a single radial scissor unit across its expansion range.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, ScissorLink } = loadScripts();
+
+const EPSILON = 1e-9;
+const STEPS = [0, 0.1, 0.25, 0.5, 0.75, 0.9, 1];
+
+/**
+ * Create a link in its own scene
+ * @returns {ScissorLink}
+ */
+function createLink() {
+    return new ScissorLink(
+        new THREE.Scene(),
+        new THREE.Vector3(1, 2, 3),
+        new THREE.Vector3(1, 1, 0),
+        5,
+        0.08,
+        new THREE.MeshBasicMaterial()
+    );
+}
+
+describe('ScissorLink', () => {
+    it('places the endpoints getCurrentRadius() along the axis from the pivot', () => {
+        const link = createLink();
+        
+        STEPS.forEach(factor => {
+            link.setExpansion(factor);
+            const radius = link.getCurrentRadius();
+            
+            ['top1', 'top2'].forEach(name => {
+                const along = link.endpoints[name].clone().sub(link.position).dot(link.axis);
+                assert.ok(Math.abs(along - radius) < EPSILON, `${name} at ${factor}: ${along} vs ${radius}`);
+            });
+            ['bottom1', 'bottom2'].forEach(name => {
+                const along = link.endpoints[name].clone().sub(link.position).dot(link.axis);
+                assert.ok(Math.abs(along + radius) < EPSILON, `${name} at ${factor}: ${along} vs ${-radius}`);
+            });
+        });
+    });
+    
+    it('keeps the endpoints symmetric about the pivot', () => {
+        const link = createLink();
+        
+        STEPS.forEach(factor => {
+            link.setExpansion(factor);
+            const { top1, top2, bottom1, bottom2 } = link.endpoints;
+            
+            assert.ok(top1.clone().add(bottom2).multiplyScalar(0.5).distanceTo(link.position) < EPSILON);
+            assert.ok(top2.clone().add(bottom1).multiplyScalar(0.5).distanceTo(link.position) < EPSILON);
+            assert.ok(link.pivot.position.distanceTo(link.position) < EPSILON);
+        });
+    });
+    
+    it('shortens monotonically from half the strut length to zero', () => {
+        const link = createLink();
+        
+        link.setExpansion(0);
+        assert.ok(Math.abs(link.getCurrentRadius() - 2.5) < EPSILON);
+        
+        let previous = Infinity;
+        STEPS.forEach(factor => {
+            link.setExpansion(factor);
+            assert.ok(link.getCurrentRadius() < previous);
+            previous = link.getCurrentRadius();
+        });
+        
+        assert.ok(Math.abs(link.getCurrentRadius()) < EPSILON);
+    });
+    
+    it('clamps the expansion factor to [0, 1]', () => {
+        const link = createLink();
+        
+        link.setExpansion(-0.5);
+        assert.equal(link.expansionFactor, 0);
+        
+        link.setExpansion(4);
+        assert.equal(link.expansionFactor, 1);
+    });
+    
+    it('removes its meshes from the scene on dispose()', () => {
+        const link = createLink();
+        assert.equal(link.scene.children.length, 3);
+        
+        link.dispose();
+        assert.equal(link.scene.children.length, 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * ScreenshotExporter.test.js
+ * ============================================
+ * Capture sizes, tiling, supersampling and PNG DPI metadata, with a
+ * stand-in renderer (no WebGL in Node).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, ScreenshotExporter, ZipWriter } = loadScripts();
+
+/**
+ * Renderer stand-in that records its calls and fills every tile with the
+ * scene background's red channel
+ * @param {THREE.Scene} scene - Scene being rendered
+ * @returns {Object}
+ */
+function createRenderer(scene) {
+    const renderer = {
+        capabilities: { maxTextureSize: 4096 },
+        outputEncoding: THREE.LinearEncoding,
+        target: null,
+        clearColor: new THREE.Color(0x112233),
+        clearAlpha: 1,
+        tiles: [],
+        getRenderTarget() { return this.target; },
+        setRenderTarget(target) { this.target = target; },
+        getClearColor(color) { return color.copy(this.clearColor); },
+        getClearAlpha() { return this.clearAlpha; },
+        setClearColor(color, alpha) {
+            this.clearColor.set(color);
+            this.clearAlpha = alpha;
+        },
+        clear() {},
+        render(renderedScene, camera) {
+            this.tiles.push({ view: Object.assign({}, camera.view), background: renderedScene.background, alpha: this.clearAlpha });
+        },
+        readRenderTargetPixels(target, x, y, width, height, buffer) {
+            const red = scene.background ? Math.round(scene.background.r * 255) : 0;
+            for (let i = 0; i < width * height; i++) {
+                buffer.set([red, 0, 0, scene.background ? 255 : 0], i * 4);
+            }
+        }
+    };
+    return renderer;
+}
+
+/**
+ * A valid 1 x 1 PNG
+ * @returns {Uint8Array}
+ */
+function createPng() {
+    const chunk = (type, data) => {
+        const body = Buffer.concat([Buffer.from(type), data]);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(ZipWriter.crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    const header = Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0]);
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.from([0, 255, 0, 0, 255]))),
+        chunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+describe('ScreenshotExporter', () => {
+    it('resolves screen and print sizes', () => {
+        assert.deepEqual({ ...ScreenshotExporter.resolveSize('4k') }, { width: 3840, height: 2160 });
+        assert.deepEqual({ ...ScreenshotExporter.resolveSize('a4', { dpi: 300 }) }, { width: 3508, height: 2480 });
+        assert.deepEqual({ ...ScreenshotExporter.resolveSize('window', { windowWidth: 800, windowHeight: 600 }) }, { width: 800, height: 600 });
+        assert.throws(() => ScreenshotExporter.resolveSize('poster'), /Unknown capture size/);
+    });
+    
+    it('covers the image with tiles no larger than the limit', () => {
+        const tiles = ScreenshotExporter.getTiles(5000, 3000, 2048);
+        
+        assert.equal(tiles.length, 6);
+        assert.equal(tiles.reduce((sum, tile) => sum + tile.width * tile.height, 0), 5000 * 3000);
+        assert.ok(tiles.every(tile => tile.width <= 2048 && tile.height <= 2048));
+    });
+    
+    it('averages supersampled blocks and flips rows to top-first', () => {
+        // A 2 x 2 tile, bottom row first: the top row reads back last
+        const pixels = new Uint8Array([
+            0, 0, 0, 0,  40, 0, 0, 0,
+            80, 0, 0, 0,  120, 0, 0, 0
+        ]);
+        const sums = new Uint16Array(4);
+        ScreenshotExporter.accumulateTile(sums, 1, pixels, { x: 0, y: 0, width: 2, height: 2 }, 2);
+        assert.equal(sums[0] / 4, 60);
+        
+        const flipped = new Uint8ClampedArray(8);
+        ScreenshotExporter.accumulateTile(flipped, 1, pixels, { x: 0, y: 0, width: 1, height: 2 }, 1);
+        assert.deepEqual(Array.from(flipped), [40, 0, 0, 0, 0, 0, 0, 0]);
+    });
+    
+    it('renders offscreen in tiles without touching the live view', () => {
+        const scene = new THREE.Scene();
+        scene.background = new THREE.Color(1, 0, 0);
+        const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 100);
+        const projection = camera.projectionMatrix.clone();
+        const renderer = createRenderer(scene);
+        const exporter = new ScreenshotExporter(renderer, scene, camera);
+        exporter.tileSize = 256;
+        
+        const pixels = exporter.renderPixels({ width: 300, height: 200, supersample: 2 });
+        
+        assert.equal(renderer.tiles.length, 6);
+        assert.equal(renderer.tiles[0].view.fullWidth, 600);
+        assert.equal(pixels.length, 300 * 200 * 4);
+        assert.equal(pixels[0], 255);
+        assert.equal(pixels[pixels.length - 1], 255);
+        
+        assert.equal(camera.aspect, 1.5);
+        assert.equal(camera.view, null);
+        assert.ok(camera.projectionMatrix.equals(projection));
+        assert.equal(renderer.target, null);
+    });
+    
+    it('clears to transparent and restores the background afterwards', () => {
+        const scene = new THREE.Scene();
+        const background = new THREE.Color(0x0a0a0a);
+        scene.background = background;
+        const renderer = createRenderer(scene);
+        const exporter = new ScreenshotExporter(renderer, scene, new THREE.PerspectiveCamera());
+        
+        const pixels = exporter.renderPixels({ width: 4, height: 4, transparent: true });
+        
+        assert.equal(renderer.tiles[0].background, null);
+        assert.equal(renderer.tiles[0].alpha, 0);
+        assert.equal(pixels[3], 0);
+        assert.equal(scene.background, background);
+        assert.equal(renderer.clearAlpha, 1);
+        assert.equal(renderer.clearColor.getHex(), 0x112233);
+    });
+    
+    it('writes the print DPI into the PNG', () => {
+        const png = ScreenshotExporter.setPngDpi(createPng(), 300);
+        const buffer = Buffer.from(png);
+        const at = buffer.indexOf('pHYs');
+        
+        assert.equal(at, 37);
+        assert.equal(buffer.readUInt32BE(at + 4), 11811);
+        assert.equal(buffer.readUInt32BE(at + 13), ZipWriter.crc32(png.subarray(at, at + 13)));
+        assert.equal(buffer.indexOf('IDAT'), at + 21);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * SettingsStore.test.js
+ * ============================================
+ * Round trips through the URL hash and storage, and what happens to
+ * settings that are not valid.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SettingsStore = require('../js/SettingsStore');
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        items: items,
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem(key) {
+            items.delete(key);
+        }
+    };
+}
+
+const SETTINGS = {
+    structure: 'sphere',
+    polyhedron: 'cube',
+    subdivisions: 2,
+    speed: 1.5,
+    color: '#ff8800',
+    material: 'glossy',
+    autoRotate: false,
+    glow: true,
+    theta: 1.2345678,
+    phi: Math.PI / 3,
+    radius: 30,
+    targetX: 1.5,
+    targetY: -2.25,
+    targetZ: 0,
+    animating: true
+};
+
+describe('SettingsStore', () => {
+    it('round-trips settings through a URL hash', () => {
+        const hash = SettingsStore.encode(SETTINGS);
+        
+        assert.match(hash, /(^|&)color=ff8800(&|$)/);
+        assert.match(hash, /(^|&)autoRotate=0(&|$)/);
+        assert.match(hash, /(^|&)theta=1\.2346(&|$)/);
+        assert.match(hash, /(^|&)targetY=-2\.25(&|$)/);
+        
+        const decoded = SettingsStore.decode(`#${hash}`);
+        assert.deepEqual(decoded, Object.assign({}, SETTINGS, {
+            theta: 1.2346,
+            phi: parseFloat((Math.PI / 3).toFixed(4))
+        }));
+    });
+    
+    it('drops unknown keys and invalid values from a hand-edited link', () => {
+        const decoded = SettingsStore.decode('#speed=fast&color=red&glow=maybe&radius=25&subdivisions=1.5&phi=9&evil=1&material=<b>');
+        
+        assert.deepEqual(decoded, { radius: 25 });
+        assert.deepEqual(SettingsStore.decode(''), {});
+    });
+    
+    it('saves to and loads from storage', () => {
+        const storage = createStorage();
+        const store = new SettingsStore(storage, 'test-settings');
+        
+        assert.deepEqual(store.load(), {});
+        assert.equal(store.save(Object.assign({ extra: 'ignored' }, SETTINGS)), true);
+        assert.deepEqual(JSON.parse(storage.getItem('test-settings')), SETTINGS);
+        assert.deepEqual(new SettingsStore(storage, 'test-settings').load(), SETTINGS);
+        
+        store.clear();
+        assert.equal(storage.items.size, 0);
+    });
+    
+    it('survives broken or unavailable storage', () => {
+        const storage = createStorage();
+        storage.setItem('test-settings', '{not json');
+        assert.deepEqual(new SettingsStore(storage, 'test-settings').load(), {});
+        
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        assert.equal(new SettingsStore(storage, 'test-settings').save(SETTINGS), false);
+        
+        // No window in Node, so there is no localStorage to fall back on
+        const detached = new SettingsStore();
+        assert.equal(detached.storage, null);
+        assert.equal(detached.save(SETTINGS), false);
+        assert.deepEqual(detached.load(), {});
+    });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * StructureExporter.test.js
+ * ============================================
+ * Export scene naming, pose and the sampled breathing animation.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, HobermanSphere, IrisDome, StructureExporter } = loadScripts();
+
+const EPSILON = 1e-9;
+
+describe('StructureExporter', () => {
+    it('names every node after the part it represents', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'linkage', subdivisions: 0 });
+        const { root, parts } = new StructureExporter(sphere).buildExportScene();
+        
+        assert.equal(root.name, 'HobermanSphere');
+        assert.ok(root.getObjectByName('ScissorLink_0').isGroup);
+        assert.ok(root.getObjectByName('ScissorLink_0_strut1_leg1').isMesh);
+        assert.ok(root.getObjectByName('ScissorLink_0_pivot').isMesh);
+        assert.ok(root.getObjectByName('Hinge_0_outer').isMesh);
+        
+        // Animation tracks bind by name, so names must be unique
+        const names = new Set(parts.map(part => part.name));
+        assert.equal(names.size, parts.length);
+        
+        sphere.dispose();
+    });
+    
+    it('copies the current pose, with or without instancing', () => {
+        [false, true].forEach(instanced => {
+            const dome = new IrisDome(new THREE.Scene(), { instanced: instanced });
+            dome.setExpansion(0.3);
+            
+            const { root, parts } = new StructureExporter(dome).buildExportScene();
+            assert.ok(root.position.distanceTo(dome.getGroup().position) < EPSILON);
+            assert.ok(parts.some(part => part.role === 'Tie'));
+            
+            parts.forEach(part => {
+                assert.ok(part.node.position.distanceTo(part.mesh.position) < EPSILON, part.name);
+                assert.ok(part.node.quaternion.angleTo(part.mesh.quaternion) < 1e-6, part.name);
+                assert.ok(part.node.visible);
+            });
+            
+            dome.dispose();
+        });
+    });
+    
+    it('gives each role its own named material', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        const { materials } = new StructureExporter(sphere).buildExportScene();
+        
+        // Copy into this realm's Array; the scripts run in their own vm context
+        assert.deepEqual(
+            Array.from(materials, material => material.name).sort(),
+            ['HobermanSphere_ConnectionStrut', 'HobermanSphere_Pivot', 'HobermanSphere_Strut']
+        );
+        
+        sphere.dispose();
+    });
+    
+    it('samples one looping breathing cycle and restores the expansion', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        sphere.setAnimationSpeed(2);
+        sphere.setExpansion(0.8);
+        
+        const exporter = new StructureExporter(sphere);
+        exporter.animationSamples = 12;
+        const { parts } = exporter.buildExportScene();
+        const clip = exporter.createBreathingClip(parts);
+        
+        assert.equal(sphere.getExpansionFactor(), 0.8);
+        assert.ok(Math.abs(clip.duration - Math.PI) < EPSILON);
+        
+        // Position and rotation for every part, scale only for stretched struts
+        const scaleTracks = clip.tracks.filter(track => track.name.endsWith('.scale'));
+        assert.equal(clip.tracks.length, parts.length * 2 + scaleTracks.length);
+        assert.ok(scaleTracks.every(track => track.name.startsWith('ConnectionStrut_')));
+        
+        clip.tracks.forEach(track => {
+            assert.equal(track.times.length, 13);
+            
+            // The last key repeats the first so the cycle loops
+            const size = track.getValueSize();
+            for (let k = 0; k < size; k++) {
+                assert.ok(Math.abs(track.values[k] - track.values[12 * size + k]) < 1e-6, track.name);
+            }
+        });
+        
+        sphere.dispose();
+    });
+    
+    it('rejects when THREE.GLTFExporter is not loaded', async () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { subdivisions: 0 });
+        
+        await assert.rejects(new StructureExporter(sphere).export(), /GLTFExporter/);
+        
+        sphere.dispose();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * StrutHeatmap.test.js
+ * ============================================
+ * Colour ramps, the per-strut metrics and swapping materials in and out
+ * for individual and instanced struts.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, StrutHeatmap, HobermanRing, HobermanSphere } = loadScripts();
+
+/**
+ * Meshes of every scissor link strut in a structure
+ * @param {DeployableStructure} structure - The structure
+ * @returns {Array<THREE.Mesh>}
+ */
+function linkStruts(structure) {
+    const meshes = [];
+    structure.scissorLinks.forEach(link => {
+        link.getBars().forEach(bar => {
+            bar.segments.forEach(segment => meshes.push(segment.mesh));
+        });
+    });
+    return meshes;
+}
+
+describe('StrutHeatmap', () => {
+    it('samples colour ramps between their stops', () => {
+        const low = StrutHeatmap.sampleRamp('rainbow', 0);
+        const high = StrutHeatmap.sampleRamp('rainbow', 2);
+        const middle = StrutHeatmap.sampleRamp('coolwarm', 0.5);
+        
+        assert.equal(low.getHex(), 0x0000ff);
+        assert.equal(high.getHex(), 0xff0000);
+        assert.equal(middle.getHex(), 0xdddddd);
+        
+        assert.match(StrutHeatmap.getRampGradient('viridis'), /^linear-gradient\(to right, #440154, .*#fde725\)$/);
+        assert.throws(() => StrutHeatmap.sampleRamp('sepia', 0.5), /Unknown colour ramp/);
+    });
+    
+    it('colours struts by their link opening angle and restores the shared material', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const heatmap = new StrutHeatmap(ring);
+        ring.setExpansion(0.6);
+        
+        heatmap.setMetric('angle');
+        const range = heatmap.update(0.1);
+        assert.deepEqual({ ...range }, { min: 0, max: 180 });
+        
+        const link = ring.scissorLinks[0];
+        const expected = heatmap.getOpeningAngle(link);
+        link.getBars().forEach(bar => {
+            bar.segments.forEach(segment => {
+                assert.equal(heatmap.values.get(segment.mesh), expected);
+                assert.notEqual(segment.mesh.material, ring.material);
+                assert.ok(heatmap.binMaterials.includes(segment.mesh.material));
+            });
+        });
+        
+        heatmap.clear();
+        assert.equal(heatmap.isActive(), false);
+        assert.ok(linkStruts(ring).every(mesh => mesh.material === ring.material));
+        
+        heatmap.dispose();
+        ring.dispose();
+    });
+    
+    it('measures strut motion between updates', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const heatmap = new StrutHeatmap(ring);
+        const strut = ring.scissorLinks[0].getBars()[0].segments[0].mesh;
+        
+        heatmap.setMetric('endpointSpeed');
+        ring.setExpansion(0.3);
+        heatmap.update(0.1);
+        ring.setExpansion(0.5);
+        heatmap.update(0.1);
+        const speed = heatmap.values.get(strut);
+        assert.ok(speed > 0);
+        
+        // The peak eases down instead of dropping at once
+        heatmap.update(0.1);
+        assert.equal(heatmap.values.get(strut), 0);
+        assert.ok(heatmap.range.max > 0.9 * speed);
+        
+        heatmap.setMetric('angularVelocity');
+        heatmap.update(0.1);
+        ring.setExpansion(0.7);
+        heatmap.update(0.5);
+        assert.ok(heatmap.values.get(strut) > 0);
+        
+        heatmap.dispose();
+        ring.dispose();
+    });
+    
+    it('finds the strut that is off its joints', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const heatmap = new StrutHeatmap(ring);
+        
+        heatmap.setMetric('jointError');
+        heatmap.update(0.1);
+        assert.ok(Array.from(heatmap.values.values()).every(error => error < 1e-4));
+        assert.equal(heatmap.range.max, heatmap.analyzer.tolerance);
+        
+        const strut = ring.scissorLinks[1].getBars()[1].segments[0].mesh;
+        strut.position.x += 0.5;
+        heatmap.update(0.1);
+        const worst = Array.from(heatmap.values.entries()).reduce((a, b) => (b[1] > a[1] ? b : a));
+        assert.equal(worst[0], strut);
+        
+        heatmap.dispose();
+        ring.dispose();
+    });
+    
+    it('measures connection struts with the links they join', () => {
+        const sphere = new HobermanSphere(new THREE.Scene(), { mechanism: 'radial', polyhedron: 'octahedron' });
+        const heatmap = new StrutHeatmap(sphere);
+        const connection = sphere.getGroup().children.find(child => child.userData.isConnectionStrut);
+        const [a, b] = connection.userData.linkIndices.map(index => sphere.scissorLinks[index]);
+        
+        heatmap.setMetric('angle');
+        heatmap.update(0.1);
+        const mean = (heatmap.getOpeningAngle(a) + heatmap.getOpeningAngle(b)) / 2;
+        assert.ok(Math.abs(heatmap.values.get(connection) - mean) < 1e-9);
+        
+        heatmap.dispose();
+        sphere.dispose();
+    });
+    
+    it('colours instanced struts per instance', () => {
+        const ring = new HobermanRing(new THREE.Scene(), { instanced: true });
+        ring.setInstanced(true);
+        const heatmap = new StrutHeatmap(ring, { ramp: 'magma' });
+        const strutMesh = ring.instancedRenderer.strutMesh;
+        
+        heatmap.setMetric('angle');
+        heatmap.update(0.1);
+        assert.equal(strutMesh.material, heatmap.heatMaterial);
+        assert.equal(strutMesh.instanceColor.count, ring.instancedRenderer.struts.length);
+        
+        heatmap.clear();
+        assert.equal(strutMesh.material, ring.material);
+        assert.equal(strutMesh.instanceColor, null);
+        
+        heatmap.dispose();
+        ring.dispose();
+    });
+    
+    it('hands the old structure its material back when switching structures', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const sphere = new HobermanSphere(new THREE.Scene());
+        const heatmap = new StrutHeatmap(ring);
+        
+        heatmap.setMetric('angle');
+        heatmap.update(0.1);
+        heatmap.setStructure(sphere);
+        
+        assert.ok(linkStruts(ring).every(mesh => mesh.material === ring.material));
+        assert.equal(heatmap.isActive(), true);
+        
+        heatmap.update(0.1);
+        assert.ok(linkStruts(sphere).every(mesh => mesh.material !== sphere.material));
+        assert.throws(() => heatmap.setMetric('torque'), /Unknown heatmap metric/);
+        
+        heatmap.dispose();
+        ring.dispose();
+        sphere.dispose();
+    });
+});
\ No newline at end of file
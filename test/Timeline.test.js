@@ -0,0 +1,171 @@
+/**
+ * Timeline.test.js
+ * ============================================
+ * Easing curves, keyframe sampling, playback modes and the structure
+ * animation driven by a timeline.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/loadScripts');
+
+const { THREE, Easing, Timeline, HobermanRing } = loadScripts();
+
+const EPSILON = 1e-9;
+
+describe('Easing', () => {
+    it('starts every curve at 0 and ends it at 1', () => {
+        Easing.NAMES.forEach(name => {
+            const curve = Easing.get(name);
+            assert.ok(Math.abs(curve(0)) < EPSILON, name);
+            assert.ok(Math.abs(curve(1) - 1) < EPSILON, name);
+        });
+    });
+    
+    it('jumps at the start for step and at the end for hold', () => {
+        assert.equal(Easing.step(0.01), 1);
+        assert.equal(Easing.hold(0.99), 0);
+    });
+    
+    it('overshoots with elastic and stays in range with bounce', () => {
+        const samples = Array.from({ length: 101 }, (_, i) => i / 100);
+        assert.ok(samples.some(t => Easing.elastic(t) > 1));
+        assert.ok(samples.every(t => Easing.bounce(t) >= 0 && Easing.bounce(t) <= 1 + EPSILON));
+    });
+    
+    it('rejects unknown names', () => {
+        assert.throws(() => Easing.get('wobble'), /Unknown easing/);
+    });
+});
+
+describe('Timeline', () => {
+    it('breathes along the original sine wave by default', () => {
+        const timeline = Timeline.createBreathing();
+        
+        for (let time = 0; time < 20; time += 0.37) {
+            const expected = Math.sin(time) * 0.5 + 0.5;
+            assert.ok(Math.abs(timeline.seek(time).expansion - expected) < 1e-9, `t=${time}`);
+        }
+        assert.equal(timeline.state.rotation, undefined);
+        assert.equal(timeline.state.camera, undefined);
+    });
+    
+    it('eases each segment with the easing of its first keyframe', () => {
+        const timeline = new Timeline();
+        timeline.addKeyframe('expansion', 0, 0, 'linear');
+        timeline.addKeyframe('expansion', 2, 1, 'hold');
+        timeline.addKeyframe('expansion', 4, 0, 'linear');
+        
+        assert.equal(timeline.sample('expansion', 1), 0.5);
+        assert.equal(timeline.sample('expansion', 3.9), 1);
+        assert.equal(timeline.sample('expansion', 4), 0);
+    });
+    
+    it('interpolates rotation arrays and camera objects', () => {
+        const timeline = new Timeline();
+        timeline.addKeyframe('rotation', 0, [0, 0, 0], 'linear');
+        timeline.addKeyframe('rotation', 1, [1, 2, 3], 'linear');
+        timeline.addKeyframe('camera', 0, { theta: 0, phi: 1, radius: 20 }, 'linear');
+        timeline.addKeyframe('camera', 1, { theta: 1, phi: 1, radius: 40 }, 'linear');
+        
+        const state = timeline.evaluate(0.5);
+        assert.deepEqual(Array.from(state.rotation), [0.5, 1, 1.5]);
+        assert.deepEqual({ ...state.camera }, { theta: 0.5, phi: 1, radius: 30 });
+        assert.equal(state.expansion, undefined);
+    });
+    
+    it('keeps keyframes sorted and replaces one at the same time', () => {
+        const timeline = new Timeline();
+        timeline.addKeyframe('expansion', 3, 1);
+        timeline.addKeyframe('expansion', 1, 0);
+        timeline.addKeyframe('expansion', 3, 0.5, 'bounce');
+        
+        const keyframes = timeline.getKeyframes('expansion');
+        assert.deepEqual(Array.from(keyframes, key => key.time), [1, 3]);
+        assert.equal(keyframes[1].value, 0.5);
+        assert.equal(keyframes[1].easing, 'bounce');
+        
+        assert.throws(() => timeline.addKeyframe('zoom', 0, 1), /Unknown timeline track/);
+        assert.throws(() => timeline.addKeyframe('expansion', -1, 1), /time/);
+        assert.throws(() => timeline.addKeyframe('expansion', 0, 1, 'wobble'), /Unknown easing/);
+    });
+    
+    it('loops, ping-pongs or stops at the end', () => {
+        const timeline = new Timeline();
+        timeline.addKeyframe('expansion', 0, 0, 'linear');
+        timeline.addKeyframe('expansion', 2, 1, 'linear');
+        
+        timeline.seek(2.5);
+        assert.equal(timeline.state.expansion, 0.25);
+        
+        timeline.setMode('pingpong');
+        assert.equal(timeline.getCycleDuration(), 4);
+        timeline.seek(2.5);
+        assert.equal(timeline.state.expansion, 0.75);
+        
+        timeline.setMode('once');
+        timeline.seek(1.5);
+        assert.equal(timeline.isFinished(), false);
+        timeline.update(1);
+        assert.equal(timeline.state.expansion, 1);
+        assert.equal(timeline.isFinished(), true);
+        
+        assert.throws(() => timeline.setMode('shuffle'), /Unknown playback mode/);
+    });
+    
+    it('wraps reverse playback past the start', () => {
+        const timeline = new Timeline();
+        timeline.addKeyframe('expansion', 0, 0, 'linear');
+        timeline.addKeyframe('expansion', 2, 1, 'linear');
+        
+        timeline.update(-0.5);
+        assert.equal(timeline.getCycleTime(), 1.5);
+        assert.equal(timeline.state.expansion, 0.75);
+        
+        // A finished one-shot timeline reverses from its end straight away
+        timeline.setMode('once');
+        timeline.seek(10);
+        timeline.update(-0.5);
+        assert.equal(timeline.state.expansion, 0.75);
+    });
+});
+
+describe('DeployableStructure timeline playback', () => {
+    it('advances the timeline at the animation speed while animating', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        ring.setAnimationSpeed(2);
+        
+        ring.clock.tick(1);
+        ring.update();
+        assert.equal(ring.timeline.time, 0);
+        
+        ring.startAnimation();
+        ring.clock.tick(0.05);
+        ring.update();
+        assert.ok(Math.abs(ring.timeline.time - 0.1) < EPSILON);
+        assert.ok(Math.abs(ring.getExpansionFactor() - (Math.sin(0.1) * 0.5 + 0.5)) < EPSILON);
+        
+        ring.dispose();
+    });
+    
+    it('lets a rotation track take over from auto-rotation', () => {
+        const ring = new HobermanRing(new THREE.Scene());
+        const timeline = new Timeline();
+        timeline.addKeyframe('rotation', 0, [0, 0, 0], 'linear');
+        timeline.addKeyframe('rotation', 4, [0, 2, 0], 'linear');
+        ring.setTimeline(timeline);
+        ring.setAnimationSpeed(1);
+        ring.startAnimation();
+        
+        ring.clock.tick(0.1);
+        ring.update();
+        const rotation = ring.getGroup().rotation;
+        assert.ok(Math.abs(rotation.y - 0.05) < EPSILON);
+        assert.equal(rotation.x, 0);
+        
+        // No expansion keyframes: the expansion stays where it was
+        assert.equal(ring.getExpansionFactor(), 0.5);
+        
+        ring.dispose();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * loadScripts.js
+ * ============================================
+ * Loads the browser scripts from js/ into a Node vm context for the tests.
+ * 
+ * The scripts declare global classes and expect THREE to be a global, just
+ * as index.html provides it. Running them in one shared context reproduces
+ * that without a browser; no WebGL renderer is ever created.
+ * 
+ * Tests that need three.js example scripts (the CDN tags at the top of
+ * index.html) can load them from node_modules first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const THREE = require('three');
+
+// Same order as the script tags in index.html (UI and entry point left out)
+const SCRIPTS = [
+    'LinkageKinematics',
+    'ScissorLink',
+    'AngulatedScissorLink',
+    'Polyhedra',
+    'InstancedRenderer',
+    'Easing',
+    'Timeline',
+    'AnimationClock',
+    'CameraController',
+    'KeyboardShortcuts',
+    'JointDragger',
+    'PartInspector',
+    'DeployableStructure',
+    'HobermanSphere',
+    'HobermanRing',
+    'DeployableArch',
+    'IrisDome',
+    'LinkageAnalyzer',
+    'StrutHeatmap',
+    'StructureExporter',
+    'PrintablePartExporter',
+    'FabricationReport',
+    'ZipWriter',
+    'AnimationRecorder',
+    'ScreenshotExporter',
+    'PostProcessing',
+    'LightingRig',
+    'SceneEnvironment',
+    'HobermanViewer',
+    'SettingsStore',
+    'PresetLibrary'
+];
+
+// Build logs would drown the test report
+const quietConsole = {
+    log() {},
+    warn() {},
+    error: console.error
+};
+
+/**
+ * Run the scripts and return their classes by name
+ * @param {Object} options - { addons: paths under three/examples/js without .js,
+ *     globals: extra browser globals the addons need }
+ * @returns {Object} Map of class name to class, plus THREE
+ */
+function loadScripts(options = {}) {
+    // Browser globals that Node also provides
+    const context = vm.createContext(Object.assign({
+        THREE: THREE,
+        console: quietConsole,
+        Blob: Blob,
+        TextEncoder: TextEncoder,
+        URLSearchParams: URLSearchParams,
+        setTimeout: setTimeout
+    }, options.globals));
+    
+    // Addons attach themselves to THREE, like the CDN scripts do
+    (options.addons || []).forEach(name => {
+        const file = require.resolve(`three/examples/js/${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    
+    SCRIPTS.forEach(name => {
+        const file = path.join(__dirname, '..', '..', 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    
+    const classes = { THREE: THREE };
+    SCRIPTS.forEach(name => {
+        classes[name] = vm.runInContext(name, context);
+    });
+    
+    return classes;
+}
+
+module.exports = loadScripts;
\ No newline at end of file